@@ -17,6 +17,7 @@ module.exports = {
     // Game Flow
     CARDS_PER_GAME: 1, // For single card games
     CARDS_PER_MULTI_GAME: 3, // For multi-card games
+    BANS_PER_PLAYER: 1, // Extra card dealt and banned per player with --ban
     ROUNDS_PER_CARD: 3,
     AUTO_PLAY_FINAL_ROUND: true,
     REVEAL_DELAY_MS: 1000,
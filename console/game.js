@@ -1,6 +1,7 @@
 // console/game.js - Main Rock Paper Scissors Card Game Logic for Console
 const readline = require('readline');
 const config = require('./config');
+const { SeededRandom } = require('../shared/core/seeded-random');
 
 class Card {
     constructor(rock, paper, scissors) {
@@ -17,6 +18,16 @@ class Card {
         return this.properties[propertyKey];
     }
 
+    // Rarity by the spread between the highest and lowest value (as in the shared engine)
+    getRarity() {
+        const values = Object.values(this.properties);
+        const spread = Math.max(...values) - Math.min(...values);
+        if (spread <= 1) return 'Legendary';
+        if (spread <= 3) return 'Epic';
+        if (spread <= 5) return 'Rare';
+        return 'Common';
+    }
+
     toString() {
         return `Rock: ${this.rock}, Paper: ${this.paper}, Scissors: ${this.scissors}`;
     }
@@ -36,15 +47,16 @@ class CardGenerator {
         return cards;
     }
 
-    static getRandomCard() {
+    static getRandomCard(rng) {
         const allCards = this.generateAllPossibleCards();
-        return allCards[Math.floor(Math.random() * allCards.length)];
+        return SeededRandom.from(rng).pick(allCards);
     }
 }
 
 class Player {
-    constructor(name, cards) {
+    constructor(name, cards, rng) {
         this.name = name;
+        this.rng = SeededRandom.from(rng);
         // Handle both single card and array of cards
         if (Array.isArray(cards)) {
             this.cards = cards;
@@ -54,10 +66,23 @@ class Player {
         this.usedProperties = [];
         this.totalScore = 0;
         this.usedCards = [];
+        this.bannedCards = [];
+    }
+
+    isCardAvailable(cardIndex) {
+        return !this.usedCards.includes(cardIndex) && !this.bannedCards.includes(cardIndex);
     }
 
     getAvailableCards() {
-        return this.cards.filter((card, index) => !this.usedCards.includes(index));
+        return this.cards.filter((card, index) => this.isCardAvailable(index));
+    }
+
+    // Ban phase: the opponent removes one of this player's cards before play
+    banCard(cardIndex) {
+        if (cardIndex < 0 || cardIndex >= this.cards.length || this.bannedCards.includes(cardIndex)) {
+            throw new Error('Invalid card to ban');
+        }
+        this.bannedCards.push(cardIndex);
     }
 
     getAvailableProperties() {
@@ -81,6 +106,9 @@ class Player {
         if (this.usedCards.includes(cardIndex)) {
             throw new Error('Card already used');
         }
+        if (this.bannedCards.includes(cardIndex)) {
+            throw new Error('Card was banned');
+        }
         
         this.usedProperties.push(property);
         this.usedCards.push(cardIndex);
@@ -92,9 +120,9 @@ class Player {
         const availableCards = this.getAvailableCards();
         const availableProperties = this.getAvailableProperties();
         
-        const randomCard = availableCards[Math.floor(Math.random() * availableCards.length)];
+        const randomCard = this.rng.pick(availableCards);
         const cardIndex = this.cards.indexOf(randomCard);
-        const randomProperty = availableProperties[Math.floor(Math.random() * availableProperties.length)];
+        const randomProperty = this.rng.pick(availableProperties);
         
         return { cardIndex, property: randomProperty };
     }
@@ -102,19 +130,20 @@ class Player {
     // Base implementation for property selection (used by RandomPlayer)
     chooseProperty() {
         const available = this.getAvailableProperties();
-        return available[Math.floor(Math.random() * available.length)];
+        return this.rng.pick(available);
     }
 
     reset() {
         this.usedProperties = [];
         this.totalScore = 0;
         this.usedCards = [];
+        this.bannedCards = [];
     }
 }
 
 class AIPlayer extends Player {
-    constructor(name, cards) {
-        super(name, cards);
+    constructor(name, cards, rng) {
+        super(name, cards, rng);
         this.allPossibleCards = CardGenerator.generateAllPossibleCards();
     }
 
@@ -180,6 +209,22 @@ class AIPlayer extends Player {
         return { cardIndex: bestCard, property: bestProperty };
     }
 
+    // Ban the opponent card with the highest single value; with only rarities shown, the most extreme card
+    chooseBan(opponentCards, visibility = 'full') {
+        const rarities = ['Legendary', 'Epic', 'Rare', 'Common'];
+        const threat = card => visibility === 'rarity' ?
+            rarities.indexOf(card.getRarity()) :
+            Math.max(...Object.values(card.properties));
+        
+        let banIndex = 0;
+        opponentCards.forEach((card, index) => {
+            if (threat(card) > threat(opponentCards[banIndex])) {
+                banIndex = index;
+            }
+        });
+        return banIndex;
+    }
+
     chooseProperty(opponentUsedProperties = []) {
         const availableProperties = this.getAvailableProperties();
         if (availableProperties.length === 1) {
@@ -356,12 +401,14 @@ class Game {
             // Multi-card display
             console.log(`${this.player1.name} Cards:`);
             this.player1.cards.forEach((card, i) => {
-                const used = this.player1.usedCards.includes(i) ? ' (USED)' : '';
+                const used = this.player1.usedCards.includes(i) ? ' (USED)' :
+                             this.player1.bannedCards.includes(i) ? ' (BANNED)' : '';
                 console.log(`  Card ${i + 1}: ${card.toString()}${used}`);
             });
             console.log(`${this.player2.name} Cards:`);
             this.player2.cards.forEach((card, i) => {
-                const used = this.player2.usedCards.includes(i) ? ' (USED)' : '';
+                const used = this.player2.usedCards.includes(i) ? ' (USED)' :
+                             this.player2.bannedCards.includes(i) ? ' (BANNED)' : '';
                 console.log(`  Card ${i + 1}: ${card.toString()}${used}`);
             });
         }
@@ -382,7 +429,10 @@ class Game {
 }
 
 class GameManager {
-    constructor() {
+    // options.bans: 'full' or 'rarity' adds a ban phase to multi-card games
+    constructor(rng, options = {}) {
+        this.rng = SeededRandom.from(rng);
+        this.bans = options.bans || null;
         this.rl = readline.createInterface({
             input: process.stdin,
             output: process.stdout
@@ -423,7 +473,7 @@ class GameManager {
                 const askCardInput = () => {
                     this.rl.question(`${player.name}, choose card (1-${player.cards.length}): `, (cardInput) => {
                         const cardChoice = parseInt(cardInput.trim()) - 1;
-                        if (cardChoice >= 0 && cardChoice < player.cards.length && !player.usedCards.includes(cardChoice)) {
+                        if (cardChoice >= 0 && cardChoice < player.cards.length && player.isCardAvailable(cardChoice)) {
                             
                             const askPropertyInput = () => {
                                 this.rl.question(`Choose property from Card ${cardChoice + 1} (${availableStr}): `, (propInput) => {
@@ -456,11 +506,11 @@ class GameManager {
     async playHumanVsAI() {
         console.log('\n🎮 Starting Human vs AI Game!');
         
-        const humanCard = CardGenerator.getRandomCard();
-        const aiCard = CardGenerator.getRandomCard();
+        const humanCard = CardGenerator.getRandomCard(this.rng);
+        const aiCard = CardGenerator.getRandomCard(this.rng);
         
-        const human = new Player('Human', humanCard);
-        const ai = new AIPlayer('AI', aiCard);
+        const human = new Player('Human', humanCard, this.rng);
+        const ai = new AIPlayer('AI', aiCard, this.rng);
         
         console.log(`\nYour card: ${humanCard.toString()}`);
         
@@ -493,29 +543,28 @@ class GameManager {
     async playHumanVsAIMultiCard() {
         console.log('\n🎮 Starting 3-Card Human vs AI Game!');
         
-        const humanCards = [
-            CardGenerator.getRandomCard(),
-            CardGenerator.getRandomCard(), 
-            CardGenerator.getRandomCard()
-        ];
-        const aiCards = [
-            CardGenerator.getRandomCard(),
-            CardGenerator.getRandomCard(),
-            CardGenerator.getRandomCard()
-        ];
+        // With a ban phase each player is dealt extra cards for the opponent to ban
+        const deckSize = config.CARDS_PER_MULTI_GAME + (this.bans ? config.BANS_PER_PLAYER : 0);
+        const dealDeck = () => Array.from({ length: deckSize }, () => CardGenerator.getRandomCard(this.rng));
+        const humanCards = dealDeck();
+        const aiCards = dealDeck();
         
-        const human = new Player('Human', humanCards);
-        const ai = new AIPlayer('AI', aiCards);
+        const human = new Player('Human', humanCards, this.rng);
+        const ai = new AIPlayer('AI', aiCards, this.rng);
         
         console.log(`\nYour cards:`);
         humanCards.forEach((card, i) => {
             console.log(`  Card ${i + 1}: ${card.toString()}`);
         });
         
+        if (this.bans) {
+            await this.playBanPhase(human, ai);
+        }
+        
         const game = new Game(human, ai);
         
         // Play 3 rounds with card and property choices
-        for (let i = 0; i < 3; i++) {
+        for (let i = 0; i < config.CARDS_PER_MULTI_GAME; i++) {
             console.log(`\n--- Round ${i + 1} ---`);
             const humanChoice = await this.getPlayerInput(human);
             const aiChoice = ai.chooseCardAndProperty(human.usedProperties);
@@ -527,6 +576,38 @@ class GameManager {
         return game.displayFinalResult();
     }
 
+    async playBanPhase(human, ai) {
+        console.log(`\n--- Ban Phase ---`);
+        console.log(`${ai.name}'s cards:`);
+        ai.cards.forEach((card, i) => {
+            console.log(`  ${i + 1}. ${this.bans === 'rarity' ? card.getRarity() : card.toString()}`);
+        });
+        
+        for (let ban = 0; ban < config.BANS_PER_PLAYER; ban++) {
+            // The AI decides before the human's ban is known
+            const humanAvailable = human.getAvailableCards();
+            const aiBan = human.cards.indexOf(humanAvailable[ai.chooseBan(humanAvailable, this.bans)]);
+            const humanBan = await new Promise((resolve) => {
+                const askBan = () => {
+                    this.rl.question(`Ban one of ${ai.name}'s cards (1-${ai.cards.length}): `, (input) => {
+                        const choice = parseInt(input.trim()) - 1;
+                        if (choice >= 0 && choice < ai.cards.length && ai.isCardAvailable(choice)) {
+                            resolve(choice);
+                        } else {
+                            console.log('Invalid card choice! Please try again.');
+                            askBan();
+                        }
+                    });
+                };
+                askBan();
+            });
+            
+            ai.banCard(humanBan);
+            human.banCard(aiBan);
+            console.log(`You banned ${ai.name}'s Card ${humanBan + 1}; ${ai.name} banned your Card ${aiBan + 1}`);
+        }
+    }
+
     async playMenu() {
         console.log('\n=== Rock Paper Scissors Card Game ===');
         console.log('1. Play vs AI (1 card)');
@@ -3,11 +3,41 @@ const { GameManager } = require('./game');
 const { TestRunner, CardAnalysis } = require('./test');
 const config = require('./config');
 
+const { GameConfig } = require('../shared/core/game-config');
+const { SeededRandom } = require('../shared/core/seeded-random');
+
+// Read an optional --seed=<value> argument so a session can be replayed
+function getSeedFromArgs(argv = process.argv) {
+    const arg = argv.find(a => a.startsWith('--seed='));
+    if (!arg) return undefined;
+    const seed = arg.slice('--seed='.length);
+    return /^\d+$/.test(seed) ? Number(seed) : seed;
+}
+
+// Read an optional --ban[=full|rarity] argument adding a ban phase to multi-card games
+function getBansFromArgs(argv = process.argv) {
+    const arg = argv.find(a => a === '--ban' || a.startsWith('--ban='));
+    if (!arg) return undefined;
+    const bans = arg.slice('--ban='.length) || GameConfig.BAN_VISIBILITY.FULL;
+    if (!Object.values(GameConfig.BAN_VISIBILITY).includes(bans)) {
+        throw new Error(`Unknown ban visibility "${bans}": use --ban=full or --ban=rarity`);
+    }
+    return bans;
+}
+
 async function main() {
     console.log('🃏 Welcome to Rock Paper Scissors Card Game (Console Version)!');
     console.log(`Using configuration: ${config.CARDS_PER_GAME} card(s) per game`);
     
-    const gameManager = new GameManager();
+    const rng = SeededRandom.from(getSeedFromArgs());
+    console.log(`Session seed: ${rng.getSeed()} (replay with --seed=${rng.getSeed()})`);
+    
+    const bans = getBansFromArgs();
+    if (bans) {
+        console.log(`Ban phase: each player bans one of the opponent's cards (${bans === GameConfig.BAN_VISIBILITY.RARITY ? 'rarities only' : 'full cards'} shown)`);
+    }
+    
+    const gameManager = new GameManager(rng, { bans });
     
     while (true) {
         try {
@@ -24,28 +54,28 @@ async function main() {
                     
                 case '3':
                     console.log('\n🧪 Running AI vs AI Test Suite (1 Card)...');
-                    const testRunner1 = new TestRunner();
+                    const testRunner1 = new TestRunner(rng);
                     await testRunner1.runAIvsAITest(config.TEST_SCENARIOS.AI_VS_AI);
                     testRunner1.displayResults();
                     break;
                     
                 case '4':
                     console.log('\n🧪 Running AI vs Random Test Suite (1 Card)...');
-                    const testRunner2 = new TestRunner();
+                    const testRunner2 = new TestRunner(rng);
                     await testRunner2.runAIvsRandomTest(config.TEST_SCENARIOS.AI_VS_RANDOM);
                     testRunner2.displayResults();
                     break;
                     
                 case '5':
                     console.log('\n🧪 Running AI vs AI Test Suite (3 Cards)...');
-                    const testRunner3 = new TestRunner();
+                    const testRunner3 = new TestRunner(rng);
                     await testRunner3.runAIvsAIMultiTest(config.TEST_SCENARIOS.AI_VS_AI_MULTI);
                     testRunner3.displayResults();
                     break;
                     
                 case '6':
                     console.log('\n🧪 Running AI vs Random Test Suite (3 Cards)...');
-                    const testRunner4 = new TestRunner();
+                    const testRunner4 = new TestRunner(rng);
                     await testRunner4.runAIvsRandomMultiTest(config.TEST_SCENARIOS.AI_VS_RANDOM_MULTI);
                     testRunner4.displayResults();
                     break;
@@ -81,4 +111,4 @@ if (require.main === module) {
     main().catch(console.error);
 }
 
-module.exports = { main };
\ No newline at end of file
+module.exports = { main, getSeedFromArgs, getBansFromArgs };
\ No newline at end of file
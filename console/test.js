@@ -1,9 +1,15 @@
 // console/test.js - Test Scenarios and Statistics for Console Version
 const { CardGenerator, AIPlayer, RandomPlayer, Game } = require('./game');
 const config = require('./config');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { SeededRandom } = require('../shared/core/seeded-random');
 
 class TestRunner {
-    constructor() {
+    constructor(rng) {
+        this.rng = SeededRandom.from(rng);
         this.results = {
             aiVsAi: { wins1: 0, wins2: 0, ties: 0, games: [] },
             aiVsRandom: { aiWins: 0, randomWins: 0, ties: 0, games: [] },
@@ -49,11 +55,11 @@ class TestRunner {
         console.log(`\n🤖 Running ${numGames} AI vs AI games...`);
         
         for (let i = 0; i < numGames; i++) {
-            const card1 = CardGenerator.getRandomCard();
-            const card2 = CardGenerator.getRandomCard();
+            const card1 = CardGenerator.getRandomCard(this.rng);
+            const card2 = CardGenerator.getRandomCard(this.rng);
             
-            const ai1 = new AIPlayer('AI-1', card1);
-            const ai2 = new AIPlayer('AI-2', card2);
+            const ai1 = new AIPlayer('AI-1', card1, this.rng);
+            const ai2 = new AIPlayer('AI-2', card2, this.rng);
             
             const result = this.runSilentGame(ai1, ai2, false);
             
@@ -85,11 +91,11 @@ class TestRunner {
         console.log(`\n🎲 Running ${numGames} AI vs Random games...`);
         
         for (let i = 0; i < numGames; i++) {
-            const aiCard = CardGenerator.getRandomCard();
-            const randomCard = CardGenerator.getRandomCard();
+            const aiCard = CardGenerator.getRandomCard(this.rng);
+            const randomCard = CardGenerator.getRandomCard(this.rng);
             
-            const ai = new AIPlayer('AI', aiCard);
-            const random = new RandomPlayer('Random', randomCard);
+            const ai = new AIPlayer('AI', aiCard, this.rng);
+            const random = new RandomPlayer('Random', randomCard, this.rng);
             
             const result = this.runSilentGame(ai, random, false);
             
@@ -122,18 +128,18 @@ class TestRunner {
         
         for (let i = 0; i < numGames; i++) {
             const cards1 = [
-                CardGenerator.getRandomCard(),
-                CardGenerator.getRandomCard(),
-                CardGenerator.getRandomCard()
+                CardGenerator.getRandomCard(this.rng),
+                CardGenerator.getRandomCard(this.rng),
+                CardGenerator.getRandomCard(this.rng)
             ];
             const cards2 = [
-                CardGenerator.getRandomCard(),
-                CardGenerator.getRandomCard(),
-                CardGenerator.getRandomCard()
+                CardGenerator.getRandomCard(this.rng),
+                CardGenerator.getRandomCard(this.rng),
+                CardGenerator.getRandomCard(this.rng)
             ];
             
-            const ai1 = new AIPlayer('AI-1', cards1);
-            const ai2 = new AIPlayer('AI-2', cards2);
+            const ai1 = new AIPlayer('AI-1', cards1, this.rng);
+            const ai2 = new AIPlayer('AI-2', cards2, this.rng);
             
             const result = this.runSilentGame(ai1, ai2, true);
             
@@ -166,18 +172,18 @@ class TestRunner {
         
         for (let i = 0; i < numGames; i++) {
             const aiCards = [
-                CardGenerator.getRandomCard(),
-                CardGenerator.getRandomCard(),
-                CardGenerator.getRandomCard()
+                CardGenerator.getRandomCard(this.rng),
+                CardGenerator.getRandomCard(this.rng),
+                CardGenerator.getRandomCard(this.rng)
             ];
             const randomCards = [
-                CardGenerator.getRandomCard(),
-                CardGenerator.getRandomCard(),
-                CardGenerator.getRandomCard()
+                CardGenerator.getRandomCard(this.rng),
+                CardGenerator.getRandomCard(this.rng),
+                CardGenerator.getRandomCard(this.rng)
             ];
             
-            const ai = new AIPlayer('AI', aiCards);
-            const random = new RandomPlayer('Random', randomCards);
+            const ai = new AIPlayer('AI', aiCards, this.rng);
+            const random = new RandomPlayer('Random', randomCards, this.rng);
             
             const result = this.runSilentGame(ai, random, true);
             
@@ -399,4 +405,1232 @@ class CardAnalysis {
     }
 }
 
-module.exports = { TestRunner, CardAnalysis };
\ No newline at end of file
+// Load the shared engine scripts in the order web/index.html lists them, into one scope of their
+// own instead of the global object, and return what they export
+function loadEngine() {
+    const root = path.join(__dirname, '..');
+    const html = fs.readFileSync(path.join(root, 'web', 'index.html'), 'utf8');
+    const scripts = [...html.matchAll(/src="\.\.\/(shared\/[^"]+)"/g)].map(match => match[1]);
+    const source = scripts.map(script => fs.readFileSync(path.join(root, script), 'utf8')).join('\n');
+
+    const engine = {};
+    const module = {
+        get exports() { return engine; },
+        set exports(exports) { Object.assign(engine, exports); }
+    };
+    vm.compileFunction(source, ['module'], { filename: 'shared-engine.js' })(module);
+    return engine;
+}
+
+class EngineScenarios {
+    static runAll() {
+        const engine = loadEngine();
+        console.log('\n🧪 Running engine scenarios...');
+
+        const scenarios = [
+            ['Seeded matches replay identically', () => EngineScenarios.testSeededMatch(engine)],
+            ['Configurable card universes', () => EngineScenarios.testCardUniverse(engine)],
+            ['Pluggable rule sets', () => EngineScenarios.testRuleSets(engine)],
+            ['Scoring systems', () => EngineScenarios.testScoringSystems(engine)],
+            ['Bonus ruleset', () => EngineScenarios.testBonuses(engine)],
+            ['Engine events', () => EngineScenarios.testEvents(engine)],
+            ['Undo/redo replay', () => EngineScenarios.testUndoRedo(engine)],
+            ['Commit-reveal moves', () => EngineScenarios.testCommitReveal(engine)],
+            ['Free card order', () => EngineScenarios.testFreeCardOrder(engine)],
+            ['Match formats', () => EngineScenarios.testMatchFormats(engine)],
+            ['Tiebreakers', () => EngineScenarios.testTiebreakers(engine)],
+            ['Move timers', () => EngineScenarios.testMoveTimers(engine)],
+            ['Undo/redo past a timeout', () => EngineScenarios.testUndoPastTimeout(engine)],
+            ['Resign and abandon', () => EngineScenarios.testEarlyEndings(engine)],
+            ['Save migrations', () => EngineScenarios.testSaveMigrations(engine)],
+            ['Free-for-all', () => EngineScenarios.testFreeForAll(engine)],
+            ['2v2 teams', () => EngineScenarios.testTeamMatch(engine)],
+            ['Snake draft', () => EngineScenarios.testSnakeDraft(engine)],
+            ['Card abilities', () => EngineScenarios.testCardAbilities(engine)],
+            ['Player views', () => EngineScenarios.testPlayerViews(engine)],
+            ['Bans', () => EngineScenarios.testBans(engine)],
+            ['Handicaps', () => EngineScenarios.testHandicaps(engine)],
+            ['Equilibrium strategies', () => EngineScenarios.testEquilibrium(engine)],
+            ['Opponent card inference', () => EngineScenarios.testOpponentPosterior(engine)],
+            ['Look-ahead search', () => EngineScenarios.testLookAheadSearch(engine)],
+            ['Opponent model', () => EngineScenarios.testOpponentModel(engine)]
+        ];
+
+        let failed = 0;
+        scenarios.forEach(([name, scenario]) => {
+            try {
+                scenario();
+                console.log(`✅ ${name}`);
+            } catch (error) {
+                failed++;
+                console.log(`❌ ${name}: ${error.message}`);
+            }
+        });
+
+        console.log(`\n${scenarios.length - failed}/${scenarios.length} scenarios passed`);
+        return failed === 0;
+    }
+
+    // Create a match from one seed, drawing both decks (sized by options.format) from the match's generator
+    static createSeededMatch({ CardGenerator, MatchFormat, MatchManager, SeededRandom }, seed, options = {}) {
+        const rng = new SeededRandom(seed);
+        const deckSize = MatchFormat.from(options.format).deckSize;
+        const player1Cards = CardGenerator.getRandomCards(deckSize, [], rng);
+        const player2Cards = CardGenerator.getRandomCards(deckSize, player1Cards, rng);
+        return new MatchManager(player1Cards, player2Cards, 'demo', { rng: rng, ...options });
+    }
+
+    // Play a whole match from one seed, both sides choosing like the AI with the match's generator
+    static playSeededMatch(engine, seed, options = {}, play = {}) {
+        const match = EngineScenarios.createSeededMatch(engine, seed, options);
+        match.startMatch();
+        return EngineScenarios.playMatch(engine, match, play);
+    }
+
+    // Play a started match to the end, tiebreaker included. Cards are played in deck order and
+    // properties chosen by the AI unless play.chooseCard / play.chooseProperty pick them
+    static playMatch({ AIStrategy, CardGenerator, GameConfig }, match, play = {}) {
+        const phases = GameConfig.GAME_PHASES;
+        const allCards = CardGenerator.generateAllCards();
+        const chooseCard = play.chooseCard || (playerNumber => match.getAvailableCardIndices(playerNumber)[0]);
+        const chooseProperty = play.chooseProperty || (playerNumber => {
+            const opponentUsed = match.roundManager[`usedPlayer${playerNumber === 1 ? 2 : 1}Properties`];
+            return AIStrategy.chooseBestProperty(match.getActiveCard(playerNumber), match.roundManager.getAvailableProperties(playerNumber),
+                allCards, opponentUsed, play.difficulty || 'easy', match.getRandom());
+        });
+        while (!match.isMatchComplete()) {
+            switch (match.matchPhase) {
+                case phases.CARD_SELECTION:
+                    match.selectCard(1, chooseCard(1));
+                    match.selectCard(2, chooseCard(2));
+                    break;
+                case phases.PROPERTY_SELECTION:
+                    match.selectProperty(1, chooseProperty(1));
+                    match.selectProperty(2, chooseProperty(2));
+                    break;
+                case phases.ROUND_RESULT:
+                    if (!match.isTiebreakerActive() && match.roundManager.getRoundResults().length >= match.roundManager.maxRounds) {
+                        match.completeCardGame();
+                    } else {
+                        match.advanceToNextRound();
+                    }
+                    break;
+                case phases.CARD_COMPLETE:
+                    match.advanceToNextCard();
+                    break;
+                default:
+                    throw new Error(`Unexpected phase: ${match.matchPhase}`);
+            }
+        }
+
+        return match;
+    }
+
+    static testSeededMatch(engine) {
+        const { SeededRandom } = engine;
+        const draws = seed => {
+            const rng = new SeededRandom(seed);
+            return [rng.next(), rng.nextInt(100), rng.nextString()];
+        };
+        assert.deepStrictEqual(draws('bug-report'), draws('bug-report'));
+        assert.notDeepStrictEqual(draws('bug-report'), draws('other-report'));
+
+        // The same seed gives the same decks, match id, AI moves and results
+        const first = EngineScenarios.playSeededMatch(engine, 2024);
+        const second = EngineScenarios.playSeededMatch(engine, 2024);
+        assert.strictEqual(first.matchId, second.matchId);
+        assert.deepStrictEqual(first.cardGameResults, second.cardGameResults);
+        assert.deepStrictEqual(first.getRandom().exportState(), second.getRandom().exportState());
+        assert.notStrictEqual(EngineScenarios.playSeededMatch(engine, 7).matchId, first.matchId);
+    }
+
+    static testCardUniverse({ Card, CardGenerator, CardUniverse, GameConfig, MatchManager }) {
+        const compact = new CardUniverse(GameConfig.CARD_UNIVERSES.COMPACT);
+        const cards = CardGenerator.generateAllCards(compact);
+        assert.strictEqual(cards.length, 28);
+        cards.forEach(card => {
+            const values = compact.properties.map(property => card.getProperty(property));
+            assert.strictEqual(values.reduce((sum, value) => sum + value, 0), 15);
+            assert.ok(values.every(value => value >= 1 && value <= 7), card.toString());
+        });
+
+        assert.throws(() => new Card(99, 8, 6, 1, compact), /between 1 and 7/);
+        assert.throws(() => new CardUniverse({ PROPERTY_SUM: 40 }), /No card can sum to 40/);
+
+        // A match only accepts decks from its own universe
+        assert.throws(() => new MatchManager(cards.slice(0, 3), cards.slice(3, 6)), /Invalid player cards/);
+        const match = new MatchManager(cards.slice(0, 3), cards.slice(3, 6), 'demo', { universe: compact });
+        assert.ok(match.universe.equals(compact));
+    }
+
+    static testRuleSets({ CardGenerator, CardUniverse, GameConfig, MatchManager, RuleSet }) {
+        // Every property of the extended tournament beats two others and loses to two
+        const extended = new RuleSet(GameConfig.RULE_SETS.EXTENDED);
+        assert.strictEqual(extended.getPropertyCount(), 5);
+        extended.getProperties().forEach(property => {
+            assert.strictEqual(extended.getBeatenProperties(property).length, 2, property);
+            assert.strictEqual(extended.getCounterProperties(property).length, 2, property);
+        });
+        assert.ok(extended.beats('wisdom', 'attack') && !extended.beats('attack', 'wisdom'));
+        assert.throws(() => new RuleSet({ PROPERTIES: { a: {}, b: {} }, BEATS: { a: ['a'] } }), /a cannot beat itself/);
+
+        // A match in a five-property universe plays one round per property, scored by the rule set
+        const universe = new CardUniverse({ PROPERTY_SUM: 25, RULE_SET: GameConfig.RULE_SETS.EXTENDED });
+        const cards = CardGenerator.getRandomCards(6, [], 5, universe);
+        const match = new MatchManager(cards.slice(0, 3), cards.slice(3), 'demo', { universe: universe, rng: 5 });
+        match.startMatch();
+        match.selectCard(1, 0);
+        match.selectCard(2, 0);
+        assert.strictEqual(match.roundManager.maxRounds, 5);
+        assert.deepStrictEqual(match.roundManager.getAvailableProperties(1), extended.getProperties());
+
+        match.selectProperty(1, 'wisdom');
+        match.selectProperty(2, 'attack');
+        const round = match.roundManager.getRoundResults()[0];
+        assert.strictEqual(round.player2Points, 0);
+        assert.strictEqual(round.winner, round.player1Value > round.player2Value ? 'player1' : 'tie');
+    }
+
+    static testScoringSystems(engine) {
+        const { GameConfig, ScoringStrategy } = engine;
+        const systems = GameConfig.SCORING_SYSTEMS;
+
+        // Deception beats attack: with the higher value it wins the round, with the lower value the
+        // standard outcome is a tie
+        const expected = {
+            [systems.DIFFERENCE]: { higher: [3, 0], lower: [0, 0] },
+            [systems.FLAT]: { higher: [1, 0], lower: [0, 0] },
+            [systems.FULL_VALUE]: { higher: [7, 0], lower: [0, 0] },
+            [systems.PARTIAL]: { higher: [3, 0], lower: [2, 0] },
+            [systems.TIE_SPLIT]: { higher: [2, 0], lower: [1, 1] }
+        };
+        Object.entries(expected).forEach(([id, points]) => {
+            const strategy = ScoringStrategy.get(id);
+            assert.deepStrictEqual(strategy.scoreRound('deception', 7, 'attack', 4), points.higher, id);
+            assert.deepStrictEqual(strategy.scoreRound('deception', 4, 'attack', 7), points.lower, id);
+        });
+        assert.throws(() => ScoringStrategy.get('most-points'), /Unknown scoring system: most-points/);
+
+        // The match scores every round with its system and records it in the result
+        const match = EngineScenarios.playSeededMatch(engine, 11, { scoring: systems.FLAT, bonusRules: {} });
+        const rounds = match.cardGameResults.flatMap(result => result.rounds);
+        assert.strictEqual(match.getMatchResult().scoringSystem, systems.FLAT);
+        assert.strictEqual(match.scoreManager.getScores().player1, rounds.filter(round => round.winner === 'player1').length);
+        assert.strictEqual(match.scoreManager.getScores().player2, rounds.filter(round => round.winner === 'player2').length);
+    }
+
+    static testBonuses(engine) {
+        const { GameConfig, ScoreManager } = engine;
+        const rules = GameConfig.BONUS_RULES;
+        const perfectRound = round => ({
+            round: round,
+            player1Property: 'deception', player1Value: 9, player1Points: 8,
+            player2Property: 'attack', player2Value: 1, player2Points: 0,
+            winner: 'player1'
+        });
+        const playCardGame = scores => {
+            const rounds = [1, 2, 3].map(perfectRound);
+            rounds.forEach(round => scores.processRoundResult(round, 1, round.round));
+            scores.completeCardGame(rounds, 1);
+        };
+
+        // Three perfect rounds make a streak, and a card game the opponent never scored in is a clean sheet
+        const scores = new ScoreManager();
+        playCardGame(scores);
+        assert.deepStrictEqual(scores.getAwardedBonuses().map(bonus => bonus.type), [
+            rules.PERFECT_ROUND.TYPE, rules.PERFECT_ROUND.TYPE, rules.PERFECT_ROUND.TYPE, rules.WIN_STREAK.TYPE,
+            rules.CLEAN_SHEET.TYPE
+        ]);
+        const bonusPoints = 3 * rules.PERFECT_ROUND.POINTS + rules.WIN_STREAK.POINTS + rules.CLEAN_SHEET.POINTS;
+        assert.strictEqual(scores.getScoreBreakdown().bonus.player1, bonusPoints);
+        assert.strictEqual(scores.getScore(1), 24 + bonusPoints);
+        assert.deepStrictEqual(scores.getScoreBreakdown().bonuses, scores.getAwardedBonuses());
+
+        // Rulesets are declarative: {} disables bonuses, a subset keeps only its rules
+        const noBonuses = new ScoreManager(undefined, {});
+        playCardGame(noBonuses);
+        assert.strictEqual(noBonuses.getScore(1), 24);
+        const cleanSheetOnly = new ScoreManager(undefined, { CLEAN_SHEET: { ...rules.CLEAN_SHEET, POINTS: 10 } });
+        playCardGame(cleanSheetOnly);
+        assert.strictEqual(cleanSheetOnly.getScore(1), 34);
+
+        // The match result itemizes every bonus, and they make up the final score with the round points
+        const result = EngineScenarios.playSeededMatch(engine, 3).getMatchResult();
+        [1, 2].forEach(playerNumber => {
+            const roundPoints = result.cardResults.flatMap(card => card.rounds)
+                .reduce((sum, round) => sum + round[`player${playerNumber}Points`], 0);
+            const bonusPoints = result.bonuses.filter(bonus => bonus.player === playerNumber)
+                .reduce((sum, bonus) => sum + bonus.points, 0);
+            assert.strictEqual(result.finalScores[`player${playerNumber}`], roundPoints + bonusPoints);
+        });
+    }
+
+    static testEvents(engine) {
+        const { GameConfig } = engine;
+        const events = GameConfig.GAME_EVENTS;
+        const match = EngineScenarios.createSeededMatch(engine, 21);
+        const log = [];
+        Object.values(events).forEach(event => match.on(event, payload => log.push({ event, payload })));
+        let roundsSeen = 0;
+        const unsubscribe = match.on(events.ROUND_RESOLVED, () => roundsSeen++);
+        assert.throws(() => match.on('roundResolvd', () => {}), /roundResolvd/);
+
+        match.startMatch();
+        EngineScenarios.playMatch(engine, match);
+        const named = event => log.filter(entry => entry.event === event);
+        assert.strictEqual(log[0].event, events.MATCH_STARTED);
+        assert.strictEqual(log[log.length - 1].event, events.MATCH_COMPLETE);
+        assert.strictEqual(named(events.CARD_SELECTED).length, 6);
+        assert.strictEqual(named(events.CARD_GAME_COMPLETE).length, 3);
+        assert.strictEqual(named(events.ROUND_RESOLVED).length, 9);
+        assert.strictEqual(roundsSeen, 9);
+
+        // A committed property stays hidden from every listener until the round resolves
+        named(events.PROPERTY_COMMITTED).forEach(({ payload }) => {
+            assert.deepStrictEqual(Object.keys(payload).sort(), ['playerNumber', 'round']);
+        });
+        assert.ok(named(events.ROUND_RESOLVED).every(({ payload }) => payload.player1Property && payload.player2Property));
+
+        unsubscribe();
+        match.emit(events.ROUND_RESOLVED, {});
+        assert.strictEqual(roundsSeen, 9);
+    }
+
+    // Copy of the match state without the parts that only say when or how it was reached
+    static snapshot(match) {
+        const state = JSON.parse(JSON.stringify(match.exportState(), (key, value) => key === 'timestamp' ? undefined : value));
+        delete state.matchId;
+        delete state.startTime;
+        delete state.endTime;
+        delete state.actionLog;
+        return state;
+    }
+
+    static testUndoRedo(engine) {
+        const { GameConfig, MatchManager } = engine;
+        const actions = GameConfig.MATCH_ACTIONS;
+        const match = EngineScenarios.createSeededMatch(engine, 11, { allowUndo: true });
+        const restored = [];
+        match.on(GameConfig.GAME_EVENTS.STATE_RESTORED, event => restored.push(event));
+
+        match.startMatch();
+        match.selectCard(1, 0);
+        match.selectCard(2, 0);
+        match.selectProperty(1, 'magic');
+        const beforeRound = EngineScenarios.snapshot(match);
+        match.selectProperty(2, 'attack');
+        const afterRound = EngineScenarios.snapshot(match);
+
+        // Draws made between actions (an AI thinking) are not part of the state an undo returns to
+        match.rng.next();
+        assert.strictEqual(match.undo(), true);
+        assert.deepStrictEqual(EngineScenarios.snapshot(match), beforeRound);
+        assert.deepStrictEqual(EngineScenarios.snapshot(match), EngineScenarios.snapshot(match.getStateAtAction(4)));
+
+        assert.strictEqual(match.redo(), true);
+        assert.deepStrictEqual(EngineScenarios.snapshot(match), afterRound);
+        assert.strictEqual(match.redo(), false);
+        assert.deepStrictEqual(restored, [
+            { action: actions.UNDO, actionCount: 4 },
+            { action: actions.REDO, actionCount: 5 }
+        ]);
+
+        // A new move after an undo drops the redo history, and the log still replays to the same state
+        match.undo();
+        match.selectProperty(2, 'deception');
+        assert.strictEqual(match.canRedo(), false);
+        const replayed = MatchManager.replay(match.initialSetup, match.getEffectiveActions());
+        assert.deepStrictEqual(EngineScenarios.snapshot(replayed), EngineScenarios.snapshot(match));
+    }
+
+    static testCommitReveal(engine) {
+        const { GameConfig, MoveCommitment } = engine;
+        const phases = GameConfig.GAME_PHASES;
+        assert.strictEqual(MoveCommitment.sha256('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+
+        const match = EngineScenarios.createSeededMatch(engine, 8, { commitReveal: true });
+        const committed = [];
+        match.on(GameConfig.GAME_EVENTS.MOVE_COMMITTED, event => committed.push(event));
+        match.startMatch();
+        match.selectCard(1, 0);
+        match.selectCard(2, 0);
+
+        assert.throws(() => match.selectProperty(1, 'attack'), /use commitProperty and revealProperty/);
+        assert.throws(() => match.commitProperty(1, 'attack'), /SHA-256 hex digest/);
+
+        const cards = { 1: match.player1Cards[match.player1SelectedCard], 2: match.player2Cards[match.player2SelectedCard] };
+        const moves = { 1: 'attack', 2: 'magic' };
+        const salts = { 1: MoveCommitment.createSalt(), 2: MoveCommitment.createSalt() };
+        [1, 2].forEach(playerNumber => {
+            match.commitProperty(playerNumber, MoveCommitment.create(cards[playerNumber].id, moves[playerNumber], salts[playerNumber]));
+        });
+        assert.strictEqual(match.matchPhase, phases.PROPERTY_REVEAL);
+        assert.deepStrictEqual(committed, [{ playerNumber: 1, round: 1 }, { playerNumber: 2, round: 1 }]);
+
+        // A reveal must repeat the committed property and salt exactly
+        assert.throws(() => match.revealProperty(1, 'magic', salts[1]), /Reveal does not match player 1's commitment/);
+        assert.throws(() => match.revealProperty(1, 'attack', salts[2]), /Reveal does not match player 1's commitment/);
+        assert.strictEqual(match.hasRevealed(1), false);
+
+        match.revealProperty(1, moves[1], salts[1]);
+        assert.throws(() => match.revealProperty(1, moves[1], salts[1]), /already revealed/);
+        const { roundResult } = match.revealProperty(2, moves[2], salts[2]);
+
+        assert.strictEqual(roundResult.player1Property, 'attack');
+        assert.strictEqual(roundResult.player2Property, 'magic');
+        assert.strictEqual(match.matchPhase, phases.ROUND_RESULT);
+        assert.strictEqual(match.hasCommitted(1) || match.hasCommitted(2), false);
+    }
+
+    static testFreeCardOrder(engine) {
+        const match = EngineScenarios.createSeededMatch(engine, 9);
+        match.startMatch();
+        assert.throws(() => match.selectCard(1, 1.5), /Invalid card index/);
+
+        // Any unused card can open the match, and a played card stays out of later card games
+        const orders = { 1: [2, 0, 1], 2: [1, 2, 0] };
+        const played = { 1: [], 2: [] };
+        const chooseCard = playerNumber => {
+            const cardIndex = orders[playerNumber][match.currentCardGame - 1];
+            played[playerNumber].push(cardIndex);
+            if (played[playerNumber].length > 1) {
+                assert.throws(() => match.selectCard(playerNumber, played[playerNumber][0]), /already used/);
+            }
+            assert.deepStrictEqual(match.getAvailableCardIndices(playerNumber),
+                [0, 1, 2].filter(index => !played[playerNumber].slice(0, -1).includes(index)));
+            return cardIndex;
+        };
+        EngineScenarios.playMatch(engine, match, { chooseCard });
+
+        assert.deepStrictEqual(match.cardGameResults.map(result => [result.player1Card, result.player2Card]), [[2, 1], [0, 2], [1, 0]]);
+        assert.deepStrictEqual(match.exportState().usedCards, { player1: [2, 0, 1], player2: [1, 2, 0] });
+        assert.ok(match.getPlayerCardInfo(1).every(card => card.used && !card.available));
+    }
+
+    static testMatchFormats(engine) {
+        const { CardGenerator, GameConfig, MatchFormat, MatchManager } = engine;
+        const formats = GameConfig.MATCH_FORMATS;
+
+        // Bring 5, play 3: two cards per player stay unplayed, and replay keeps the format
+        const bringFive = EngineScenarios.playSeededMatch(engine, 10, { format: formats.BRING_FIVE_PLAY_THREE });
+        assert.strictEqual(bringFive.cardGameResults.length, 3);
+        assert.strictEqual(bringFive.getAvailableCardIndices(1).length, 2);
+        assert.deepStrictEqual(bringFive.exportState().format, formats.BRING_FIVE_PLAY_THREE);
+        assert.deepStrictEqual(bringFive.matchResult.format, formats.BRING_FIVE_PLAY_THREE);
+        assert.deepStrictEqual(MatchManager.replay(bringFive.initialSetup, bringFive.getEffectiveActions()).format.toJSON(),
+            formats.BRING_FIVE_PLAY_THREE);
+
+        const threeCards = CardGenerator.getRandomCards(3);
+        assert.throws(() => new MatchManager(threeCards, CardGenerator.getRandomCards(3, threeCards), 'demo',
+            { format: formats.BRING_FIVE_PLAY_THREE }), /Invalid player cards/);
+        assert.throws(() => new MatchFormat({ DECK_SIZE: 5, CARDS_PLAYED: 6, WIN_CONDITION: 'total-points' }), /CARDS_PLAYED must be/);
+        assert.throws(() => new MatchFormat({ DECK_SIZE: 5, CARDS_PLAYED: 5, WIN_CONDITION: 'first-to' }), /TARGET_POINTS must be/);
+
+        // First to N ends the match in the card game where a player reaches N
+        const firstTo = EngineScenarios.playSeededMatch(engine, 10, {
+            format: { DECK_SIZE: 5, CARDS_PLAYED: 5, WIN_CONDITION: 'first-to', TARGET_POINTS: 1 }
+        });
+        const scores = firstTo.scoreManager.getScores();
+        assert.ok(firstTo.cardGameResults.length < 5);
+        assert.ok(Math.max(scores.player1, scores.player2) >= 1);
+
+        // Card games won decide before points, and points break a tie in card games
+        const cardGames = MatchFormat.from(formats.CARD_GAMES);
+        const won = winners => winners.map(winner => ({ winner }));
+        assert.strictEqual(cardGames.determineWinner({ player1: 10, player2: 5 }, won(['player2', 'player2', 'player1'])), 'player2');
+        assert.strictEqual(cardGames.determineWinner({ player1: 10, player2: 5 }, won(['player2', 'tie', 'player1'])), 'player1');
+        assert.strictEqual(MatchFormat.from().determineWinner({ player1: 10, player2: 5 }, won(['player2', 'player2'])), 'player1');
+    }
+
+    static testTiebreakers(engine) {
+        const { GameConfig, MatchManager } = engine;
+        const tiebreakers = GameConfig.TIEBREAKERS;
+        assert.throws(() => EngineScenarios.createSeededMatch(engine, 1, { tiebreaker: 'penalties' }), /Unknown tiebreaker/);
+
+        // Both players play the same properties in the same order, which leaves this match level,
+        // and in the tiebreaker a pair of properties that scores the same for both, so it stays level
+        const playLevel = (seed, options) => {
+            const match = EngineScenarios.createSeededMatch(engine, seed, { bonusRules: {}, allowUndo: true, ...options });
+            let tiedPair = null;
+            const chooseProperty = playerNumber => {
+                if (!match.isTiebreakerActive()) {
+                    return match.roundManager.getAvailableProperties(playerNumber)[0];
+                }
+                if (playerNumber === 1) {
+                    const [card1, card2] = [match.getActiveCard(1), match.getActiveCard(2)];
+                    tiedPair = null;
+                    match.roundManager.getAvailableProperties(1).forEach(property1 => {
+                        match.roundManager.getAvailableProperties(2).forEach(property2 => {
+                            const [points1, points2] = match.scoringStrategy.scoreRound(property1, card1.getProperty(property1),
+                                property2, card2.getProperty(property2), card1.universe);
+                            if (!tiedPair && points1 === points2) tiedPair = { 1: property1, 2: property2 };
+                        });
+                    });
+                }
+                return tiedPair[playerNumber];
+            };
+            match.startMatch();
+            return EngineScenarios.playMatch(engine, match, { chooseProperty });
+        };
+
+        const suddenDeath = playLevel(12, { tiebreaker: tiebreakers.SUDDEN_DEATH });
+        const result = suddenDeath.getMatchResult();
+        const maxRounds = GameConfig.TIEBREAKER_RULES.MAX_SUDDEN_DEATH_ROUNDS;
+        const scores = suddenDeath.scoreManager.getScores();
+        assert.strictEqual(scores.player1, scores.player2);
+        assert.strictEqual(result.tiebreaker.rounds.length, maxRounds);
+        assert.strictEqual(result.tiebreaker.decidedBy, 'coin-toss');
+        assert.strictEqual(result.winner, result.tiebreaker.winner);
+
+        // The coin toss is part of the action that drew it, so undo/redo and replay land on the same winner
+        const log = suddenDeath.getActionLog();
+        const deciding = log[log.length - 1].action;
+        assert.strictEqual(deciding.outcomes.coinToss, result.tiebreaker.winner);
+        assert.strictEqual(suddenDeath.undo(), true);
+        suddenDeath.rng.next();
+        assert.strictEqual(suddenDeath.redo(), true);
+        assert.strictEqual(suddenDeath.getMatchResult().tiebreaker.winner, result.tiebreaker.winner);
+
+        const otherWinner = result.tiebreaker.winner === 'player1' ? 'player2' : 'player1';
+        const actions = suddenDeath.getEffectiveActions().map(entry => entry.action);
+        actions[actions.length - 1] = { ...deciding, outcomes: { coinToss: otherWinner } };
+        assert.strictEqual(MatchManager.replay(suddenDeath.initialSetup, actions).getMatchResult().tiebreaker.winner, otherWinner);
+
+        // Bring 5, play 3: the reserve card game is played first, then sudden death with the same cards
+        const reserve = playLevel(10, { tiebreaker: tiebreakers.RESERVE_CARD, format: GameConfig.MATCH_FORMATS.BRING_FIVE_PLAY_THREE });
+        const reserveResult = reserve.getMatchResult().tiebreaker;
+        assert.strictEqual(reserveResult.player1Card.id, reserve.player1Cards[3].id);
+        assert.strictEqual(reserveResult.player2Card.id, reserve.player2Cards[3].id);
+        assert.deepStrictEqual(reserveResult.rounds.map(round => round.stage),
+            [...Array(3).fill(tiebreakers.RESERVE_CARD), ...Array(maxRounds).fill(tiebreakers.SUDDEN_DEATH)]);
+        assert.deepStrictEqual(reserve.cardGameResults.length, 3);
+    }
+
+    static testMoveTimers(engine) {
+        const { GameClock, GameConfig } = engine;
+        const phases = GameConfig.GAME_PHASES;
+        const clock = GameClock.manual(1000);
+        const match = EngineScenarios.createSeededMatch(engine, 12, { clock, onTimeout: GameConfig.TIMEOUT_ACTIONS.RANDOM });
+        const timeouts = [];
+        match.on(GameConfig.GAME_EVENTS.MOVE_TIMEOUT, event => timeouts.push(event));
+
+        // Nothing happens before the limit; after it, both overdue players get a random card
+        match.startMatch();
+        assert.strictEqual(match.getTimeRemaining(), match.timeouts.cardSelection);
+        clock.advance(match.timeouts.cardSelection - 1);
+        assert.deepStrictEqual(match.checkTimers(), []);
+        clock.advance(1);
+        match.checkTimers();
+        assert.deepStrictEqual(timeouts.map(event => [event.playerNumber, event.phase, event.resolution]),
+            [[1, phases.CARD_SELECTION, 'random'], [2, phases.CARD_SELECTION, 'random']]);
+        assert.strictEqual(match.player1SelectedCard, timeouts[0].move);
+        assert.strictEqual(match.matchPhase, phases.PROPERTY_SELECTION);
+        assert.strictEqual(match.getTimeRemaining(), match.timeouts.propertySelection);
+
+        // A forfeit ends the match for the opponent, and the match result lists the timeouts
+        const forfeited = EngineScenarios.createSeededMatch(engine, 12, { clock, onTimeout: GameConfig.TIMEOUT_ACTIONS.FORFEIT });
+        forfeited.startMatch();
+        forfeited.selectCard(1, 0);
+        clock.advance(forfeited.timeouts.cardSelection);
+        forfeited.checkTimers();
+        const result = forfeited.getMatchResult();
+        assert.strictEqual(result.forfeitedBy, 'player2');
+        assert.strictEqual(result.winner, 'player1');
+        assert.deepStrictEqual(result.timeouts.map(event => [event.playerNumber, event.resolution, event.move]), [[2, 'forfeit', null]]);
+    }
+
+    static testUndoPastTimeout(engine) {
+        const { GameClock, GameConfig, MatchManager } = engine;
+        const clock = GameClock.manual(1000);
+        const match = EngineScenarios.createSeededMatch(engine, 12, {
+            clock, allowUndo: true, onTimeout: GameConfig.TIMEOUT_ACTIONS.AI
+        });
+        match.startMatch();
+        match.selectCard(1, 0);
+        match.selectCard(2, 1);
+        match.selectProperty(1, 'magic');
+        clock.advance(match.timeouts.propertySelection);
+        const [timeout] = match.checkTimers();
+        const afterTimeout = EngineScenarios.snapshot(match);
+
+        // The timeout's move is part of the logged action
+        const log = match.getActionLog();
+        assert.deepStrictEqual(log[log.length - 1].action,
+            { type: GameConfig.MATCH_ACTIONS.TIMEOUT, playerNumber: 2, outcomes: { move: timeout.move } });
+
+        // Undo and redo past the timeout, with draws in between, land on the same state and the same start time
+        clock.advance(5000);
+        assert.strictEqual(match.undo(), true);
+        assert.deepStrictEqual(match.getPendingPlayers(), [2]);
+        assert.strictEqual(match.roundManager.getRoundResults().length, 0);
+        match.rng.next();
+        assert.strictEqual(match.redo(), true);
+        assert.deepStrictEqual(EngineScenarios.snapshot(match), afterTimeout);
+        assert.strictEqual(match.startTime, 1000);
+
+        const replayed = MatchManager.replay(match.initialSetup, match.getEffectiveActions(), { clock });
+        assert.deepStrictEqual(EngineScenarios.snapshot(replayed), afterTimeout);
+        assert.strictEqual(replayed.roundManager.getRoundResults()[0].player2Property, timeout.move);
+    }
+
+    static testEarlyEndings(engine) {
+        const { GameClock, GameConfig, MatchManager } = engine;
+        const reasons = GameConfig.TERMINATION_REASONS;
+        const completed = EngineScenarios.playSeededMatch(engine, 13);
+        assert.strictEqual(completed.getMatchResult().terminationReason, reasons.NORMAL);
+        assert.strictEqual(completed.getMatchResult().forfeitedBy, null);
+
+        // Resigning mid-round ends the match at once for the opponent, whatever the scores
+        const resigned = EngineScenarios.createSeededMatch(engine, 13);
+        resigned.startMatch();
+        resigned.selectCard(1, 0);
+        resigned.selectCard(2, 0);
+        resigned.selectProperty(1, 'attack');
+        const result = resigned.resign(1);
+        assert.strictEqual(resigned.matchPhase, GameConfig.GAME_PHASES.GAME_OVER);
+        assert.strictEqual(result.winner, 'player2');
+        assert.strictEqual(result.forfeitedBy, 'player1');
+        assert.strictEqual(result.terminationReason, reasons.RESIGNATION);
+        assert.throws(() => resigned.resign(2), /already complete/);
+
+        // A resignation is an action like any other, so a replay ends the same way
+        const replayed = MatchManager.replay(resigned.initialSetup, resigned.getEffectiveActions());
+        assert.strictEqual(replayed.getMatchResult().terminationReason, reasons.RESIGNATION);
+
+        const disconnected = EngineScenarios.createSeededMatch(engine, 13);
+        disconnected.startMatch();
+        assert.throws(() => disconnected.abandon(2, reasons.RESIGNATION), /Invalid abandon reason/);
+        assert.strictEqual(disconnected.abandon(2, reasons.DISCONNECT).terminationReason, reasons.DISCONNECT);
+        assert.strictEqual(disconnected.getMatchResult().winner, 'player1');
+
+        const abandoned = EngineScenarios.createSeededMatch(engine, 13);
+        abandoned.startMatch();
+        assert.strictEqual(abandoned.abandon(1).terminationReason, reasons.ABANDONED);
+
+        // A forfeit on time is told apart from the other early endings
+        const clock = GameClock.manual();
+        const timedOut = EngineScenarios.createSeededMatch(engine, 13, { clock, onTimeout: GameConfig.TIMEOUT_ACTIONS.FORFEIT });
+        timedOut.startMatch();
+        clock.advance(timedOut.timeouts.cardSelection);
+        timedOut.checkTimers();
+        assert.strictEqual(timedOut.getMatchResult().terminationReason, reasons.TIMEOUT);
+        assert.strictEqual(timedOut.getMatchResult().forfeitedBy, 'player1');
+    }
+
+    // A save as written before versioning (version 1): card game 1 played, card game 2 about to start
+    static createBaselineSave() {
+        const card = (id, deception, magic, attack) => ({ id, deception, magic, attack, rarity: 'Rare', balanced: false });
+        const round = (number, player1Property, player1Value, player2Property, player2Value, winner) => ({
+            round: number,
+            player1Property, player1Value, player1Points: winner === 'player1' ? 3 : 0,
+            player2Property, player2Value, player2Points: winner === 'player2' ? 3 : 0,
+            winner
+        });
+        const rounds = [
+            round(1, 'attack', 9, 'magic', 9, 'tie'),
+            round(2, 'magic', 7, 'deception', 4, 'player1'),
+            round(3, 'deception', 4, 'attack', 7, 'tie')
+        ];
+
+        return {
+            matchId: 'match_baseline',
+            gameMode: 'demo',
+            player1Cards: [card(3, 4, 7, 9), card(10, 6, 5, 9), card(20, 7, 9, 4)],
+            player2Cards: [card(5, 4, 9, 7), card(15, 7, 4, 9), card(30, 9, 4, 7)],
+            currentCardGame: 2,
+            maxCardGames: 3,
+            matchPhase: 'card-selection',
+            player1SelectedCard: null,
+            player2SelectedCard: null,
+            cardGameResults: [
+                { cardGame: 1, player1Card: 0, player2Card: 0, rounds: rounds, scores: { player1: 3, player2: 0 }, winner: 'player1' }
+            ],
+            matchResult: null,
+            startTime: 1000,
+            endTime: null,
+            roundManager: {
+                currentRound: 3,
+                maxRounds: 3,
+                roundResults: rounds,
+                usedPlayer1Properties: ['attack', 'magic', 'deception'],
+                usedPlayer2Properties: ['magic', 'deception', 'attack'],
+                currentPlayer1Property: 'deception',
+                currentPlayer2Property: 'attack',
+                roundPhase: 'round-result',
+                autoPlayEnabled: true
+            },
+            scoreManager: {
+                player1Score: 3,
+                player2Score: 0,
+                scoreHistory: [{ timestamp: 1000, player: 1, points: 3, source: 'round', previousScore: 0, newScore: 3 }],
+                cardScores: [{ cardGame: 1, player1Score: 3, player2Score: 0, winner: 'player1', rounds: rounds }],
+                bonusPoints: { player1: 0, player2: 0 },
+                statistics: {
+                    player1: { totalPoints: 3, roundsWon: 1, roundsTied: 2, cardsWon: 1, highestSingleRound: 3, averagePerRound: 1, winStreak: 1 },
+                    player2: { totalPoints: 0, roundsLost: 1, roundsTied: 2, cardsLost: 1 }
+                }
+            }
+        };
+    }
+
+    static testSaveMigrations(engine) {
+        const { GameConfig, MatchStateSchema } = engine;
+        const save = EngineScenarios.createBaselineSave();
+        assert.strictEqual(MatchStateSchema.getVersion(save), 1);
+        assert.notDeepStrictEqual(MatchStateSchema.validate(save), []);
+
+        const migrated = MatchStateSchema.migrate(save);
+        assert.strictEqual(migrated.version, MatchStateSchema.VERSION);
+        assert.deepStrictEqual(MatchStateSchema.validate(migrated), []);
+        assert.deepStrictEqual(migrated.usedCards, { player1: [0], player2: [0] });
+        assert.strictEqual(save.version, undefined);
+
+        // The migrated match plays on from where the save left it
+        const match = EngineScenarios.createSeededMatch(engine, 14);
+        match.importState(save);
+        assert.strictEqual(match.matchPhase, GameConfig.GAME_PHASES.CARD_SELECTION);
+        assert.strictEqual(match.currentCardGame, 2);
+        assert.strictEqual(match.scoreManager.player1Score, 3);
+        assert.deepStrictEqual(match.getAvailableCardIndices(1), [1, 2]);
+        assert.strictEqual(match.exportState().version, MatchStateSchema.VERSION);
+        assert.throws(() => match.selectCard(1, 0), /already used/);
+        match.selectCard(1, 1);
+        match.selectCard(2, 1);
+        assert.strictEqual(match.matchPhase, GameConfig.GAME_PHASES.PROPERTY_SELECTION);
+
+        // Rock/paper/scissors saves (version 0) get the current property names
+        const legacyNames = { deception: 'rock', magic: 'paper', attack: 'scissors' };
+        const legacySave = JSON.parse(JSON.stringify(save).replace(/"(deception|magic|attack)"/g, (text, name) => `"${legacyNames[name]}"`));
+        assert.strictEqual(MatchStateSchema.getVersion(legacySave), 0);
+        assert.deepStrictEqual(MatchStateSchema.migrate(legacySave), migrated);
+
+        // Validation names every wrong field by its path
+        const broken = { ...match.exportState(), currentCardGame: 'two', player1Cards: undefined };
+        broken.roundManager = { ...broken.roundManager, roundPhase: 'lunch' };
+        const errors = MatchStateSchema.validate(broken);
+        assert.ok(errors.some(error => error.startsWith('currentCardGame: expected integer')));
+        assert.ok(errors.includes('player1Cards: is required'));
+        assert.ok(errors.some(error => error.startsWith('roundManager.roundPhase: must be one of')));
+        assert.throws(() => match.importState(broken), /Invalid match state: .*currentCardGame/);
+        assert.throws(() => match.importState({ ...migrated, version: MatchStateSchema.VERSION + 1 }), /newer than supported/);
+    }
+
+    // Create a free-for-all (or team) match from one seed, drawing every deck from the match's generator
+    static createFreeForAll({ CardGenerator, SeededRandom }, Manager, seed, playerCount, options = {}) {
+        const rng = new SeededRandom(seed);
+        const decks = [];
+        for (let i = 0; i < playerCount; i++) {
+            decks.push(CardGenerator.getRandomCards(3, decks.flat(), rng));
+        }
+        return new Manager(decks, { rng: rng, ...options });
+    }
+
+    // Play a started free-for-all (or team) match to the end, every player choosing at random
+    static playFreeForAll({ GameConfig }, match) {
+        const phases = GameConfig.GAME_PHASES;
+        while (!match.isMatchComplete()) {
+            switch (match.matchPhase) {
+                case phases.CARD_SELECTION:
+                    match.players.forEach(player => match.selectCard(player.number, match.getAvailableCardIndices(player.number)[0]));
+                    break;
+                case phases.PROPERTY_SELECTION:
+                    match.players
+                        .filter(player => player.currentProperty === null)
+                        .forEach(player => match.selectProperty(player.number, match.rng.pick(match.getAvailableProperties(player.number))));
+                    break;
+                case phases.ROUND_RESULT:
+                    match.advanceToNextRound();
+                    break;
+                case phases.CARD_COMPLETE:
+                    match.advanceToNextCard();
+                    break;
+                default:
+                    throw new Error(`Unexpected phase: ${match.matchPhase}`);
+            }
+        }
+        return match;
+    }
+
+    static testFreeForAll(engine) {
+        const { CardGenerator, FreeForAllManager, GameClock, GameConfig, MatchStateSchema } = engine;
+        const clock = GameClock.manual(1000);
+        const match = EngineScenarios.createFreeForAll(engine, FreeForAllManager, 15, 4, { clock });
+        const committed = [];
+        match.on(GameConfig.GAME_EVENTS.PROPERTY_COMMITTED, event => committed.push(event));
+        match.startMatch();
+        EngineScenarios.playFreeForAll(engine, match);
+
+        // Every round resolves all six pairings, and each player collects the points of their own
+        const rounds = match.cardGameResults.flatMap(result => result.rounds);
+        assert.strictEqual(rounds.length, 9);
+        rounds.forEach(round => {
+            assert.strictEqual(round.pairings.length, 6);
+            round.pairings.forEach(({ players: [first, second], points }) => {
+                const expected = match.scoringStrategy.scoreRound(round.plays[first].property, round.plays[first].value,
+                    round.plays[second].property, round.plays[second].value, match.universe);
+                assert.deepStrictEqual(points, expected);
+            });
+            match.players.forEach(player => {
+                const fromPairings = round.pairings.reduce((sum, pairing) =>
+                    sum + (pairing.players[0] === player.id ? pairing.points[0] : pairing.players[1] === player.id ? pairing.points[1] : 0), 0);
+                assert.strictEqual(round.points[player.id], fromPairings);
+            });
+        });
+        match.players.forEach(player => {
+            assert.strictEqual(player.score, rounds.reduce((sum, round) => sum + round.points[player.id], 0));
+        });
+        assert.ok(committed.every(event => Object.keys(event).sort().join() === 'playerNumber,round'));
+
+        // Standings cover every player, best first, with shared ranks for equal scores
+        const result = match.getMatchResult();
+        assert.strictEqual(result.standings.length, 4);
+        assert.strictEqual(match.startTime, 1000);
+        assert.strictEqual(result.duration, 0);
+        const ranked = FreeForAllManager.rankStandings([
+            { player: 'a', sortKey: [5] }, { player: 'b', sortKey: [7] }, { player: 'c', sortKey: [5] }, { player: 'd', sortKey: [1] }
+        ]);
+        assert.deepStrictEqual(ranked.map(entry => [entry.player, entry.rank, entry.tied]),
+            [['b', 1, false], ['a', 2, true], ['c', 2, true], ['d', 4, false]]);
+        assert.strictEqual(FreeForAllManager.getLeader({ player1: 4, player2: 4, player3: 1 }), 'tie');
+
+        // Player counts and shared cards are checked, and saves are versioned and validated
+        assert.throws(() => EngineScenarios.createFreeForAll(engine, FreeForAllManager, 15, 2), /Invalid player decks/);
+        const deck = CardGenerator.getRandomCards(3);
+        assert.throws(() => new FreeForAllManager([deck, deck, CardGenerator.getRandomCards(3, deck)]), /Invalid player decks/);
+
+        const saved = match.exportState();
+        assert.strictEqual(saved.version, MatchStateSchema.VERSION);
+        assert.deepStrictEqual(MatchStateSchema.validate(saved, 'freeForAll'), []);
+        const restored = EngineScenarios.createFreeForAll(engine, FreeForAllManager, 1, 4);
+        restored.importState(saved);
+        assert.deepStrictEqual(restored.getStandings(), match.getStandings());
+        assert.throws(() => restored.importState({ ...saved, currentRound: 0 }), /currentRound: must be at least 1/);
+    }
+
+    static testTeamMatch(engine) {
+        const { GameClock, GameConfig, MatchStateSchema, TeamMatchManager } = engine;
+        const match = EngineScenarios.createFreeForAll(engine, TeamMatchManager, 16, 4, {
+            pairing: GameConfig.TEAM_PAIRINGS.ROTATING, bonusRules: {}, clock: GameClock.manual()
+        });
+        const hintEvents = [];
+        match.on(GameConfig.GAME_EVENTS.TEAM_HINT, event => hintEvents.push(event));
+        assert.deepStrictEqual(match.getPairings(1), [[1, 3], [2, 4]]);
+        assert.deepStrictEqual(match.getPairings(2), [[1, 4], [2, 3]]);
+        assert.throws(() => EngineScenarios.createFreeForAll(engine, TeamMatchManager, 16, 3), /Invalid player decks/);
+
+        // A hint reaches the teammate only, and the event does not carry its content
+        match.startMatch();
+        match.players.forEach(player => match.selectCard(player.number, 0));
+        const hint = match.sendHint(1, 'attack');
+        assert.strictEqual(hint.to, 'player2');
+        assert.deepStrictEqual(match.getHints(2).map(sent => sent.property), ['attack']);
+        assert.deepStrictEqual(match.getHints(3), []);
+        assert.deepStrictEqual(hintEvents, [{ team: 'team1', cardGame: 1, round: 1 }]);
+        assert.throws(() => match.sendHint(1, 'magic'), /no hints left/);
+
+        // Team totals are the sums of their players' pairing points, under the rotating pairing
+        EngineScenarios.playFreeForAll(engine, match);
+        const rounds = match.cardGameResults.flatMap(result => result.rounds);
+        rounds.forEach(round => {
+            assert.deepStrictEqual(round.pairings.map(pairing => pairing.players),
+                match.getPairings(round.round).map(pair => pair.map(number => `player${number}`)));
+            assert.strictEqual(round.team1Points, round.points.player1 + round.points.player2);
+            assert.strictEqual(round.team2Points, round.points.player3 + round.points.player4);
+        });
+        const playerScores = match.getPlayerScores();
+        assert.deepStrictEqual(match.getScores(), {
+            team1: playerScores.player1 + playerScores.player2,
+            team2: playerScores.player3 + playerScores.player4
+        });
+
+        const result = match.getMatchResult();
+        assert.deepStrictEqual(result.standings.map(entry => entry.team).sort(), ['team1', 'team2']);
+        assert.strictEqual(result.winner, match.getCurrentWinner());
+        assert.strictEqual(result.hints.length, 1);
+
+        // Saves keep the team scores and hints and are validated against the team schema
+        const saved = match.exportState();
+        assert.deepStrictEqual(MatchStateSchema.validate(saved, 'teamMatch'), []);
+        const restored = EngineScenarios.createFreeForAll(engine, TeamMatchManager, 1, 4);
+        restored.importState(saved);
+        assert.deepStrictEqual(restored.getScores(), match.getScores());
+        assert.deepStrictEqual(restored.getHints(1), match.getHints(1));
+        assert.throws(() => restored.importState({ ...saved, pairing: 'random' }), /pairing: must be one of/);
+    }
+
+    static testSnakeDraft({ DraftManager, GameConfig, MatchManager }) {
+        assert.deepStrictEqual(DraftManager.getSnakeOrder(2, 3), [1, 2, 2, 1, 1, 2]);
+        assert.deepStrictEqual(DraftManager.getSnakeOrder(3, 2), [1, 2, 3, 3, 2, 1]);
+
+        const draft = new DraftManager({ rng: 7 });
+        const pickers = [];
+        draft.on(GameConfig.GAME_EVENTS.DRAFT_PICK, pick => pickers.push(pick.playerNumber));
+
+        // Picks follow the snake order, and a card can be taken only once
+        const first = draft.getAvailableCards()[0];
+        assert.throws(() => draft.pick(2, first.id), /It is player 1's pick/);
+        draft.pick(1, first.id);
+        assert.throws(() => draft.pick(2, first.id), /not available/);
+        while (!draft.isComplete()) {
+            draft.autoPick();
+        }
+
+        assert.deepStrictEqual(pickers, [1, 2, 2, 1, 1, 2]);
+        assert.deepStrictEqual(draft.getDraftRecord().picks.map(pick => pick.round), [1, 1, 2, 2, 3, 3]);
+        const ids = draft.getHands().flat().map(card => card.id);
+        assert.strictEqual(new Set(ids).size, 6);
+
+        // The drafted hands start a match that keeps the draft record, also through replay
+        const match = draft.createMatch();
+        assert.deepStrictEqual(match.player1Cards.map(card => card.id), draft.getHand(1).map(card => card.id));
+        assert.deepStrictEqual(match.draft.picks.map(pick => pick.playerNumber), pickers);
+        assert.deepStrictEqual(MatchManager.replay(match.initialSetup, []).draft, match.draft);
+
+        // A pack drafts from that many random cards of the universe
+        const pack = new DraftManager({ rng: 7, packSize: 8 });
+        while (!pack.isComplete()) {
+            pack.autoPick();
+        }
+        const packIds = pack.getDraftRecord().pool;
+        assert.strictEqual(packIds.length, 8);
+        assert.ok(pack.getHands().flat().every(card => packIds.includes(card.id)));
+        assert.throws(() => new DraftManager({ packSize: 5 }), /pool must hold at least 6 cards/);
+    }
+
+    static testCardAbilities(engine) {
+        const { Card, CardGenerator, GameConfig, MatchManager, MoveCommitment } = engine;
+        const abilities = GameConfig.CARD_ABILITIES;
+        const createMatch = (options = {}) => {
+            const decks = [CardGenerator.getRandomCards(3)];
+            decks.push(CardGenerator.getRandomCards(3, decks[0]));
+            decks[0][0] = new Card(101, { deception: 2, magic: 9, attack: 9, abilities: [abilities.PEEK, abilities.SWAP_VALUES, abilities.DOUBLE_POINTS] });
+            decks[1][0] = new Card(102, { deception: 6, magic: 7, attack: 7, abilities: [abilities.NULLIFY_LOSS] });
+            const match = new MatchManager(decks[0], decks[1], 'demo', options);
+            match.startMatch();
+            match.selectCard(1, 0);
+            match.selectCard(2, 0);
+            return match;
+        };
+
+        const match = createMatch();
+        const activated = [];
+        match.on(GameConfig.GAME_EVENTS.ABILITY_ACTIVATED, event => activated.push(event));
+        assert.throws(() => match.activateAbility(1, abilities.PEEK), /has not chosen a property yet/);
+        assert.throws(() => match.activateAbility(2, abilities.NULLIFY_LOSS), /fires by itself/);
+        assert.throws(() => match.activateAbility(1, abilities.SWAP_VALUES, { properties: ['magic', 'magic'] }), /two different properties/);
+
+        // Round 1: player 1 peeks, then swaps their deception (2) for their magic (9) to beat attack;
+        // player 2's passive Nullify Loss cancels the round
+        match.selectProperty(2, 'attack');
+        assert.deepStrictEqual(match.activateAbility(1, abilities.PEEK).effect, { playerNumber: 1, ability: abilities.PEEK, hook: 'activate', revealed: 'attack' });
+        assert.throws(() => match.activateAbility(1, abilities.PEEK), /no Peek ability left/);
+        assert.strictEqual(match.activateAbility(1, abilities.SWAP_VALUES, { properties: ['deception', 'magic'] }).effect, null);
+        match.selectProperty(1, 'deception');
+        const [first] = match.roundManager.getRoundResults();
+        assert.strictEqual(first.player1Value, 9);
+        assert.strictEqual(first.winner, 'tie');
+        assert.strictEqual(first.player1Points, first.player2Points);
+        assert.deepStrictEqual(first.effects.map(effect => [effect.playerNumber, effect.ability]), [
+            [1, abilities.PEEK], [1, abilities.SWAP_VALUES], [2, abilities.NULLIFY_LOSS]
+        ]);
+        assert.ok(first.effects[2].cancelled > 0);
+
+        // Round 2: Double Points doubles player 1's win; Nullify Loss has been used up
+        match.advanceToNextRound();
+        match.activateAbility(1, abilities.DOUBLE_POINTS);
+        match.selectProperty(2, 'deception');
+        match.selectProperty(1, 'magic');
+        const second = match.roundManager.getRoundResults()[1];
+        const [points] = match.scoringStrategy.scoreRound('magic', 9, 'deception', 6, match.universe);
+        assert.strictEqual(second.player1Points, points * 2);
+        assert.strictEqual(second.winner, 'player1');
+        assert.deepStrictEqual(second.effects, [{ playerNumber: 1, ability: abilities.DOUBLE_POINTS, hook: 'after-scoring', points: points * 2 }]);
+
+        // Activations are announced without their effect
+        assert.deepStrictEqual(activated.map(event => Object.keys(event).sort()), Array(3).fill(['ability', 'playerNumber', 'round']));
+
+        // In commit-reveal matches a move the opponent can still peek at is disclosed to the engine only
+        const hidden = createMatch({ commitReveal: true });
+        const salt = MoveCommitment.createSalt();
+        const commitment = MoveCommitment.create(102, 'magic', salt);
+        assert.throws(() => hidden.commitProperty(2, commitment), /Player 1 can still peek/);
+        hidden.commitProperty(2, commitment, { property: 'magic', salt: salt });
+        assert.strictEqual(hidden.activateAbility(1, abilities.PEEK).effect.revealed, 'magic');
+    }
+
+    static testPlayerViews(engine) {
+        const { AIStrategy, GameConfig } = engine;
+        const match = EngineScenarios.createSeededMatch(engine, 19);
+        match.startMatch();
+        assert.throws(() => match.getPlayerView(3), /Invalid player number: 3/);
+
+        // The opponent's deck shows no values, and their card stays hidden until both have chosen
+        match.selectCard(1, 1);
+        let view = match.getPlayerView(2);
+        assert.deepStrictEqual(view.opponent.cards.map(card => Object.keys(card).sort()), Array(3).fill(['banned', 'current', 'index', 'revealed', 'used']));
+        assert.strictEqual(view.opponent.hasSelectedCard, true);
+        assert.ok(view.opponent.cards.every(card => !card.current));
+        match.selectCard(2, 0);
+        assert.strictEqual(match.getPlayerView(2).opponent.cards[1].current, true);
+
+        // A chosen property is known to have been chosen, never which one
+        match.selectProperty(1, 'magic');
+        view = match.getPlayerView(2);
+        assert.strictEqual(view.opponent.hasChosenProperty, true);
+        assert.deepStrictEqual(view.opponent.cards[1].revealed, {});
+        assert.strictEqual(view.you.currentProperty, null);
+        assert.strictEqual(view.you.mustDisclose, false);
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(view)), view);
+
+        // The AI plays from its view alone
+        const property = AIStrategy.choosePropertyFromView(view, GameConfig.AI_CONFIG.DIFFICULTY_LEVELS.HARD, match.getRandom());
+        assert.ok(view.you.availableProperties.includes(property));
+        match.selectProperty(2, property);
+        view = match.getPlayerView(2);
+        assert.deepStrictEqual(view.opponent.cards[1].revealed, { magic: match.player1Cards[1].magic });
+        assert.deepStrictEqual(view.opponent.usedProperties, ['magic']);
+        assert.strictEqual(view.roundResults.length, 1);
+    }
+
+    static testBans(engine) {
+        const { GameConfig } = engine;
+        const { getBansFromArgs } = require('./index');
+        const phases = GameConfig.GAME_PHASES;
+        const format = GameConfig.MATCH_FORMATS.BRING_FIVE_PLAY_THREE;
+        assert.throws(() => EngineScenarios.createSeededMatch(engine, 20, { format, bans: 'hidden' }), /Unknown ban visibility: hidden/);
+        assert.strictEqual(getBansFromArgs(['--ban']), GameConfig.BAN_VISIBILITY.FULL);
+        assert.strictEqual(getBansFromArgs(['--ban=rarity']), GameConfig.BAN_VISIBILITY.RARITY);
+        assert.throws(() => getBansFromArgs(['--ban=none']), /Unknown ban visibility "none": use --ban=full or --ban=rarity/);
+
+        const match = EngineScenarios.createSeededMatch(engine, 20, { format, bans: GameConfig.BAN_VISIBILITY.RARITY });
+        let completed = null;
+        match.on(GameConfig.GAME_EVENTS.BANS_COMPLETE, bans => { completed = bans; });
+        match.startMatch();
+        assert.strictEqual(match.matchPhase, phases.BAN);
+        assert.throws(() => match.selectCard(1, 0), /Cannot select card during phase: ban/);
+
+        // The opponent's deck shows only rarities, and a ban stays hidden until both are in
+        assert.deepStrictEqual(match.getPlayerView(1).opponent.cards.map(card => Object.keys(card).sort()),
+            Array(5).fill(['banned', 'current', 'index', 'rarity', 'revealed', 'used']));
+        match.banCard(1, 2);
+        assert.throws(() => match.banCard(1, 3), /already banned a card/);
+        let view = match.getPlayerView(2);
+        assert.strictEqual(view.opponent.hasBanned, true);
+        assert.ok(view.you.cards.every(card => !card.banned));
+        assert.strictEqual(completed, null);
+
+        match.banCard(2, 0);
+        assert.strictEqual(match.matchPhase, phases.CARD_SELECTION);
+        assert.deepStrictEqual(completed, {
+            visibility: GameConfig.BAN_VISIBILITY.RARITY,
+            player1: { cardIndex: 0, cardId: match.player1Cards[0].id },
+            player2: { cardIndex: 2, cardId: match.player2Cards[2].id }
+        });
+        view = match.getPlayerView(2);
+        assert.deepStrictEqual(view.you.cards.map(card => card.banned), [false, false, true, false, false]);
+        assert.throws(() => match.selectCard(2, 2), /Card 2 was banned by the opponent/);
+
+        EngineScenarios.playMatch(engine, match);
+        assert.deepStrictEqual(match.getMatchResult().bans, completed);
+    }
+
+    static testHandicaps(engine) {
+        const { CardGenerator, GameConfig, MatchManager, MoveCommitment, SeededRandom } = engine;
+        assert.throws(() => MatchManager.normalizeHandicaps({ player1: { peek: 'yes', bonus: 1 } }),
+            /Invalid handicaps: player1: unknown handicap bonus; player1.peek must be true or false \(got yes\)/);
+
+        // The handicapped player brings a fourth card, starts 5 points up and may peek once per card game
+        const handicaps = { player1: { startingPoints: 5, peek: true, extraCards: 1 } };
+        const createMatch = (options = {}) => {
+            const rng = new SeededRandom(21);
+            const player1Cards = CardGenerator.getRandomCards(4, [], rng);
+            const player2Cards = CardGenerator.getRandomCards(3, player1Cards, rng);
+            const match = new MatchManager(player1Cards, player2Cards, 'demo', { rng, handicaps, ...options });
+            match.startMatch();
+            match.selectCard(1, 3);
+            match.selectCard(2, 0);
+            return match;
+        };
+        assert.throws(() => new MatchManager(CardGenerator.getRandomCards(3), CardGenerator.getRandomCards(3), 'demo', { handicaps }), /Invalid player cards/);
+
+        const match = createMatch();
+        const peeks = [];
+        match.on(GameConfig.GAME_EVENTS.HANDICAP_PEEK, peek => peeks.push(peek));
+        assert.deepStrictEqual(match.scoreManager.getScores(), { player1: 5, player2: 0 });
+        assert.throws(() => match.peek(1), /has not chosen a property yet/);
+        assert.throws(() => match.peek(2), /Player 2 has no peek left/);
+        match.selectProperty(2, 'magic');
+        assert.deepStrictEqual(match.peek(1), { property: 'magic' });
+        assert.strictEqual(match.getPlayerView(1).you.peeksLeft, 0);
+        assert.throws(() => match.peek(1), /no peek left this card game/);
+        assert.deepStrictEqual(peeks, [{ playerNumber: 1, cardGame: 1, round: 1 }]);
+        match.selectProperty(1, 'attack');
+
+        EngineScenarios.playMatch(engine, match);
+        const result = match.getMatchResult();
+        assert.deepStrictEqual(result.handicaps, MatchManager.normalizeHandicaps(handicaps));
+        assert.deepStrictEqual(result.peeks, peeks);
+        assert.strictEqual(match.usedCards.player1.length, 3);
+
+        // In commit-reveal matches the peek sees the move disclosed with the commitment
+        const hidden = createMatch({ commitReveal: true });
+        const salt = MoveCommitment.createSalt();
+        const commitment = MoveCommitment.create(hidden.player2Cards[0].id, 'deception', salt);
+        assert.throws(() => hidden.commitProperty(2, commitment), /Player 1 can still peek/);
+        hidden.commitProperty(2, commitment, { property: 'deception', salt: salt });
+        assert.deepStrictEqual(hidden.peek(1), { property: 'deception' });
+    }
+
+    static testEquilibrium({ AIStrategy, Card, SeededRandom }) {
+        const assertSolution = (matrix, strategy, value) => {
+            const solution = AIStrategy.solveMatrixGame(matrix);
+            solution.strategy.forEach((probability, index) => {
+                assert.ok(Math.abs(probability - strategy[index]) < 1e-9, `row ${index}: ${probability}, expected ${strategy[index]}`);
+            });
+            assert.ok(Math.abs(solution.value - value) < 1e-9, `value ${solution.value}, expected ${value}`);
+        };
+
+        // Rock-paper-scissors and matching pennies: uniform play, fair game
+        assertSolution([[0, -1, 1], [1, 0, -1], [-1, 1, 0]], [1 / 3, 1 / 3, 1 / 3], 0);
+        assertSolution([[1, -1], [-1, 1]], [0.5, 0.5], 0);
+        // Mixed 2x2: 2p - (1 - p) = -p + (1 - p) gives p = 0.4
+        assertSolution([[2, -1], [-1, 1]], [0.4, 0.6], 0.2);
+        // Saddle point: the second row dominates
+        assertSolution([[3, 1], [4, 2]], [0, 1], 2);
+
+        // A card game against a mirror card is fair, and the strategy is a distribution over the properties
+        const card = new Card(1, 6, 7, 7);
+        const game = AIStrategy.solveSingleCardGame(card, ['deception', 'magic', 'attack'], [new Card(2, 6, 7, 7)], []);
+        assert.deepStrictEqual(game.properties, ['deception', 'magic', 'attack']);
+        assert.ok(Math.abs(game.strategy.reduce((sum, probability) => sum + probability, 0) - 1) < 1e-9);
+        assert.ok(Math.abs(game.value) < 1e-9, `value ${game.value}`);
+
+        // Weighted picks never land on a zero weight
+        const rng = new SeededRandom(22);
+        for (let i = 0; i < 20; i++) {
+            assert.strictEqual(rng.pickWeighted(['a', 'b', 'c'], [0, 2, 0]), 'b');
+        }
+    }
+
+    static testOpponentPosterior(engine) {
+        const { AIStrategy, CardGenerator, GameConfig } = engine;
+        const total = posterior => posterior.reduce((sum, { weight }) => sum + weight, 0);
+        const allCards = CardGenerator.generateAllCards();
+
+        // An update keeps the designs with the value shown; a value no design has changes nothing
+        const magicSevens = AIStrategy.updatePosterior(allCards, 'magic', 7);
+        assert.ok(magicSevens.length > 0 && magicSevens.every(({ card }) => card.magic === 7));
+        assert.ok(Math.abs(total(magicSevens) - 1) < 1e-9);
+        assert.strictEqual(AIStrategy.updatePosterior(magicSevens, 'attack', 42).length, magicSevens.length);
+
+        // Before anything is revealed: every design but the player's own three
+        const match = EngineScenarios.createSeededMatch(engine, 23);
+        match.startMatch();
+        match.selectCard(1, 0);
+        match.selectCard(2, 0);
+        assert.strictEqual(AIStrategy.getOpponentPosterior(match.getPlayerView(2)).length, allCards.length - 3);
+
+        // One revealed round narrows it to the designs that showed the same value
+        match.selectProperty(1, 'attack');
+        match.selectProperty(2, 'magic');
+        const opponentCard = match.player1Cards[0];
+        const posterior = AIStrategy.getOpponentPosterior(match.getPlayerView(2));
+        assert.ok(posterior.length < allCards.length - 3);
+        assert.ok(posterior.every(({ card }) => card.attack === opponentCard.attack));
+        assert.ok(posterior.some(({ card }) => card.id === opponentCard.id));
+        assert.ok(Math.abs(total(posterior) - 1) < 1e-9);
+
+        // A deck shown in full after the ban phase leaves only its playable cards
+        const banned = EngineScenarios.createSeededMatch(engine, 23, {
+            format: GameConfig.MATCH_FORMATS.BRING_FIVE_PLAY_THREE,
+            bans: GameConfig.BAN_VISIBILITY.FULL
+        });
+        banned.startMatch();
+        banned.banCard(1, 0);
+        banned.banCard(2, 4);
+        const shown = AIStrategy.getOpponentPosterior(banned.getPlayerView(2));
+        assert.deepStrictEqual(shown.map(({ card }) => card.id).sort(), banned.player1Cards.slice(0, 4).map(card => card.id).sort());
+        assert.ok(shown.every(({ weight }) => Math.abs(weight - 0.25) < 1e-9));
+    }
+
+    static testLookAheadSearch({ AIStrategy, Card, CardGenerator, GameConfig }) {
+        const card = new Card(1, 2, 9, 9);
+        const properties = ['deception', 'magic', 'attack'];
+        const opponents = CardGenerator.generateAllCards().filter(other => other.id !== card.id);
+        const search = depth => AIStrategy.searchCardGame(card, properties, opponents, [], depth);
+
+        const full = search(3);
+        assert.deepStrictEqual(Object.keys(full.values).sort(), [...properties].sort());
+        assert.notDeepStrictEqual(full, search(1));
+        assert.strictEqual(full.value, Math.max(...Object.values(full.values)));
+        assert.throws(() => AIStrategy.searchCardGame(card, properties, opponents, ['magic']), /same number of properties left/);
+
+        // Past the position cap the search stops deepening, keeping the last depth it completed;
+        // this game fits under the default cap, so lifting it changes nothing
+        const limit = GameConfig.AI_CONFIG.SEARCH_NODE_LIMIT;
+        try {
+            GameConfig.AI_CONFIG.SEARCH_NODE_LIMIT = 1;
+            assert.deepStrictEqual(search(3), search(1));
+            GameConfig.AI_CONFIG.SEARCH_NODE_LIMIT = Infinity;
+            assert.deepStrictEqual(search(3), full);
+        } finally {
+            GameConfig.AI_CONFIG.SEARCH_NODE_LIMIT = limit;
+        }
+    }
+
+    static testOpponentModel(engine) {
+        const { AIStrategy, Card, GameConfig, OpponentModel } = engine;
+        const levels = GameConfig.AI_CONFIG.DIFFICULTY_LEVELS;
+        assert.throws(() => new OpponentModel({ type: 'neural' }), /Unknown opponent model: neural/);
+        const best = prediction => Object.keys(prediction).reduce((a, b) => prediction[a] >= prediction[b] ? a : b);
+
+        // A player who always plays deception, magic, attack in that order
+        const routine = new OpponentModel();
+        assert.strictEqual(routine.getExploitation(), 0);
+        for (let i = 0; i < 10; i++) {
+            routine.recordCardGame([{ property: 'deception', value: 5 }, { property: 'magic', value: 7 }, { property: 'attack', value: 8 }]);
+        }
+        const properties = ['deception', 'magic', 'attack'];
+        assert.strictEqual(routine.observations, 20);
+        assert.strictEqual(best(routine.predict({ round: 1, previousProperty: null, availableProperties: properties })), 'deception');
+        assert.ok(routine.predict({ round: 2, previousProperty: 'deception', availableProperties: ['magic', 'attack'] }).magic > 0.5);
+        assert.ok(routine.getExploitation() > 0 && routine.getExploitation() <= GameConfig.AI_CONFIG.OPPONENT_MODEL.MAX_EXPLOITATION);
+
+        const restored = new OpponentModel();
+        restored.importState(JSON.parse(JSON.stringify(routine.exportState())));
+        assert.deepStrictEqual(restored.predict({ round: 1, previousProperty: null, availableProperties: properties }),
+            routine.predict({ round: 1, previousProperty: null, availableProperties: properties }));
+
+        // A player who always leads with their highest value, whichever property holds it
+        const leader = new OpponentModel({ type: GameConfig.AI_CONFIG.OPPONENT_MODEL.TYPES.FREQUENCY });
+        const cards = [new Card(1, 9, 6, 5), new Card(2, 5, 9, 6), new Card(3, 6, 5, 9)];
+        for (let i = 0; i < 12; i++) {
+            const card = cards[i % cards.length];
+            const order = [...properties].sort((a, b) => card.getProperty(b) - card.getProperty(a));
+            leader.recordCardGame(order.map(property => ({ property, value: card.getProperty(property) })));
+        }
+        assert.strictEqual(leader.getHabit(), 'rank');
+        const posterior = [{ card: cards[1], weight: 1 }];
+        assert.strictEqual(best(leader.predict({ round: 1, previousProperty: null, availableProperties: properties, posterior })), 'magic');
+
+        // Following a match learns from each card game the player completes
+        const observer = new OpponentModel();
+        const match = EngineScenarios.createSeededMatch(engine, 25);
+        observer.observe(match, 1);
+        match.startMatch();
+        EngineScenarios.playMatch(engine, match, {
+            chooseProperty: playerNumber => playerNumber === 2 ?
+                AIStrategy.choosePropertyFromView(match.getPlayerView(2), levels.ADAPTIVE, match.getRandom(), observer) :
+                match.roundManager.getAvailableProperties(1)[0]
+        });
+        assert.strictEqual(observer.observations, 6);
+    }
+}
+
+module.exports = { TestRunner, CardAnalysis, EngineScenarios };
+
+if (require.main === module) {
+    if (!EngineScenarios.runAll()) {
+        process.exitCode = 1;
+    }
+}
\ No newline at end of file
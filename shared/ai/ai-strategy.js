@@ -9,12 +9,15 @@ class AIStrategy {
      * Choose the best card and property combination for AI in multi-card mode
      * @param {Card[]} availableCards - Available AI cards
      * @param {string[]} availableProperties - Available properties for current card
-     * @param {Card[]} allPossibleOpponentCards - All possible opponent cards
+     * @param {Card[]|Object[]} allPossibleOpponentCards - All possible opponent cards, or [{card, weight}]
      * @param {string[]} usedOpponentProperties - Properties already used by opponent
      * @param {string} difficulty - AI difficulty level
+     * @param {SeededRandom} [rng] - Random number generator
+     * @param {ScoringStrategy} [scoring] - Scoring strategy searched with (standard scoring by default)
+     * @param {number} [cardGamesLeft] - Card games still to be played, this one included (one per available card by default)
      * @returns {Object} - {cardIndex, property}
      */
-    static chooseBestMove(availableCards, availableProperties, allPossibleOpponentCards, usedOpponentProperties, difficulty = 'normal') {
+    static chooseBestMove(availableCards, availableProperties, allPossibleOpponentCards, usedOpponentProperties, difficulty = 'normal', rng, scoring, cardGamesLeft = availableCards.length) {
         if (availableCards.length === 0 || availableProperties.length === 0) {
             throw new Error('No available cards or properties for AI');
         }
@@ -24,6 +27,52 @@ class AIStrategy {
             return { cardIndex: 0, property: availableProperties[0] };
         }
 
+        rng = SeededRandom.from(rng);
+        if (this.playsEquilibrium(difficulty)) {
+            // Play the card whose game is worth the most, with that game's mixed strategy
+            const solutions = availableCards.map(card => this.solveSingleCardGame(
+                card, availableProperties, allPossibleOpponentCards, usedOpponentProperties, scoring
+            ));
+            const best = solutions.reduce((bestIndex, solution, index) =>
+                solution.value > solutions[bestIndex].value ? index : bestIndex, 0);
+            return {
+                cardIndex: best,
+                property: rng.pickWeighted(solutions[best].properties, solutions[best].strategy)
+            };
+        }
+
+        const depth = this.getLookAheadDepth(difficulty);
+        if (depth > 0) {
+            // Search this card game for every card; the games left lie beyond the search
+            // horizon, so they are estimated for the best of the other cards, one per game
+            const searches = availableCards.map(card => this.searchCardGame(
+                card, availableProperties, allPossibleOpponentCards, usedOpponentProperties, depth, scoring
+            ));
+            const estimates = availableCards.map(card => this.estimateRounds(
+                card, card.getPropertyNames(), card.getPropertyNames(), allPossibleOpponentCards, scoring
+            ));
+            const laterGames = Math.max(0, Math.min(cardGamesLeft, availableCards.length) - 1);
+            let best = { score: -Infinity, cardIndex: 0, property: availableProperties[0] };
+
+            availableCards.forEach((card, cardIndex) => {
+                const later = estimates
+                    .filter((estimate, index) => index !== cardIndex)
+                    .sort((a, b) => b - a)
+                    .slice(0, laterGames)
+                    .reduce((sum, estimate) => sum + estimate, 0);
+                availableProperties.forEach(property => {
+                    const score = later + this.applyDifficultyModifier(
+                        searches[cardIndex].values[property], difficulty, card, property, rng
+                    );
+                    if (score > best.score) {
+                        best = { score, cardIndex, property };
+                    }
+                });
+            });
+
+            return { cardIndex: best.cardIndex, property: best.property };
+        }
+
         let bestScore = -Infinity;
         let bestCardIndex = 0;
         let bestProperty = availableProperties[0];
@@ -36,7 +85,8 @@ class AIStrategy {
                     property, 
                     allPossibleOpponentCards, 
                     usedOpponentProperties, 
-                    difficulty
+                    difficulty,
+                    rng
                 );
 
                 if (score > bestScore) {
@@ -50,16 +100,192 @@ class AIStrategy {
         return { cardIndex: bestCardIndex, property: bestProperty };
     }
 
+    /**
+     * Choose a property from a player view (MatchManager.getPlayerView), so the AI only
+     * uses what its player is entitled to know; moves are weighted by the posterior over
+     * the opponent's card (getOpponentPosterior)
+     * @param {Object} view - Player view of the AI's player
+     * @param {string} difficulty - AI difficulty level
+     * @param {SeededRandom} [rng] - Random number generator
+     * @param {OpponentModel} [opponentModel] - What is known of the opponent's habits (adaptive difficulty)
+     * @returns {string} - Property to play
+     */
+    static choosePropertyFromView(view, difficulty = 'normal', rng, opponentModel) {
+        if (!view.you.activeCard) {
+            throw new Error('No card in play for AI');
+        }
+
+        const universe = CardUniverse.from(view.universe);
+        if (difficulty === GameConfig.AI_CONFIG.DIFFICULTY_LEVELS.ADAPTIVE && opponentModel) {
+            const posterior = this.getOpponentPosterior(view);
+            const used = view.opponent.usedProperties;
+            const prediction = opponentModel.predict({
+                round: used.length + 1,
+                previousProperty: used.length > 0 ? used[used.length - 1] : null,
+                availableProperties: universe.properties.filter(property => !used.includes(property)),
+                posterior
+            });
+
+            return this.chooseCounterProperty(
+                Card.fromJSON(view.you.activeCard, universe),
+                view.you.availableProperties,
+                posterior,
+                used,
+                prediction,
+                opponentModel.getExploitation(),
+                rng,
+                ScoringStrategy.get(view.scoringSystem)
+            );
+        }
+
+        return this.chooseBestProperty(
+            Card.fromJSON(view.you.activeCard, universe),
+            view.you.availableProperties,
+            this.getOpponentPosterior(view),
+            view.opponent.usedProperties,
+            difficulty,
+            rng,
+            ScoringStrategy.get(view.scoringSystem)
+        );
+    }
+
+    /**
+     * Choose which card to play next from a player view (card selection)
+     * Easy and normal AIs pick at random; the others weigh their cards with chooseBestMove
+     * @param {Object} view - Player view of the AI's player
+     * @param {string} difficulty - AI difficulty level
+     * @param {SeededRandom} [rng] - Random number generator
+     * @returns {number} - Index of the card in the AI's deck
+     */
+    static chooseCardFromView(view, difficulty = 'normal', rng) {
+        const available = view.you.availableCards;
+        if (available.length === 0) {
+            throw new Error('No available cards for AI');
+        }
+
+        rng = SeededRandom.from(rng);
+        const levels = GameConfig.AI_CONFIG.DIFFICULTY_LEVELS;
+        if ([levels.EASY, levels.NORMAL].includes(difficulty)) {
+            return rng.pick(available);
+        }
+
+        const universe = CardUniverse.from(view.universe);
+        const cards = available.map(index => Card.fromJSON(view.you.cards[index], universe));
+        const move = this.chooseBestMove(
+            cards,
+            universe.properties,
+            this.getOpponentPosterior(view),
+            [],
+            difficulty,
+            rng,
+            ScoringStrategy.get(view.scoringSystem),
+            view.maxCardGames - view.currentCardGame + 1
+        );
+        return available[move.cardIndex];
+    }
+
+    /**
+     * Work out the posterior over the opponent's card in play from a player view.
+     * The prior is uniform over the opponent's remaining deck slots (the current one once
+     * it is in play), each slot uniform over the designs it can hold: the card itself when
+     * the deck is shown, else the designs of its shown rarity. The AI's own cards and the
+     * opponent's played cards that the revealed values pin down are ruled out, and every
+     * value the slot has revealed is applied with updatePosterior
+     * @param {Object} view - Player view of the AI's player
+     * @returns {Object[]} - [{card, weight}] with weights summing to 1
+     */
+    static getOpponentPosterior(view) {
+        const universe = CardUniverse.from(view.universe);
+        const allCards = CardGenerator.generateAllCards(universe);
+        const ownIds = view.you.cards.map(card => card.id);
+
+        const slotPosterior = (entry, removedIds = []) => {
+            const shown = universe.properties.every(property => typeof entry[property] === 'number');
+            const candidates = shown ? [Card.fromJSON(entry, universe)] : allCards.filter(card =>
+                !ownIds.includes(card.id) && (entry.rarity === undefined || card.getRarity() === entry.rarity));
+            const remaining = candidates.filter(card => !removedIds.includes(card.id));
+
+            return Object.entries(entry.revealed || {}).reduce(
+                (posterior, [property, value]) => this.updatePosterior(posterior, property, value),
+                (remaining.length > 0 ? remaining : candidates).map(card => ({ card, weight: 1 / (remaining.length || candidates.length) }))
+            );
+        };
+
+        const opponentCards = view.opponent.cards;
+        const removedIds = opponentCards
+            .filter(entry => entry.used && !entry.current)
+            .map(entry => slotPosterior(entry))
+            .filter(posterior => posterior.length === 1)
+            .map(posterior => posterior[0].card.id);
+        const current = opponentCards.filter(entry => entry.current);
+        const slots = current.length > 0 ? current : opponentCards.filter(entry => !entry.used && !entry.banned);
+
+        // Mix the slots, merging designs that several slots could hold
+        const weights = new Map();
+        slots.forEach(entry => {
+            slotPosterior(entry, removedIds).forEach(({ card, weight }) => {
+                const merged = weights.get(card.id) || { card, weight: 0 };
+                merged.weight += weight / slots.length;
+                weights.set(card.id, merged);
+            });
+        });
+        return [...weights.values()];
+    }
+
+    /**
+     * Bayesian update of a posterior over the opponent's card on a revealed value:
+     * only designs with that value keep their weight, renormalized to sum to 1.
+     * If no design matches (e.g. the value was changed by an ability), the posterior
+     * is returned unchanged
+     * @param {Card[]|Object[]} posterior - Cards (equally likely) or [{card, weight}]
+     * @param {string} property - Property the opponent played
+     * @param {number} value - Value it showed
+     * @returns {Object[]} - Updated [{card, weight}]
+     */
+    static updatePosterior(posterior, property, value) {
+        const entries = this.toWeightedCards(posterior);
+        const consistent = entries.filter(({ card, weight }) => weight > 0 && card.getProperty(property) === value);
+        return consistent.length > 0 ? this.normalizeOpponentPrior(consistent) : this.normalizeOpponentPrior(entries);
+    }
+
+    /**
+     * Choose which opponent card to ban from a player view (ban phase)
+     * With the full deck shown, the card that would make the strongest pick is banned;
+     * with only rarities shown, the most extreme one, as extreme cards carry the highest values
+     * @param {Object} view - Player view of the AI's player
+     * @param {string} difficulty - AI difficulty level (easy bans at random)
+     * @param {SeededRandom} [rng] - Random number generator
+     * @returns {number} - Index of the card in the opponent's deck
+     */
+    static chooseBanFromView(view, difficulty = 'normal', rng) {
+        const candidates = view.opponent.cards;
+        rng = SeededRandom.from(rng);
+        if (difficulty === GameConfig.AI_CONFIG.DIFFICULTY_LEVELS.EASY) {
+            return rng.pick(candidates).index;
+        }
+
+        const universe = CardUniverse.from(view.universe);
+        const rarities = Object.values(GameConfig.RARITY_LEVELS);
+        const threat = card => view.banVisibility === GameConfig.BAN_VISIBILITY.FULL ?
+            this.scoreCardForSelection(Card.fromJSON(card, universe)) :
+            rarities.indexOf(card.rarity);
+
+        const highest = Math.max(...candidates.map(threat));
+        return rng.pick(candidates.filter(card => threat(card) === highest)).index;
+    }
+
     /**
      * Choose the best property for single-card mode
      * @param {Card} card - The AI's card
      * @param {string[]} availableProperties - Available properties
-     * @param {Card[]} allPossibleOpponentCards - All possible opponent cards
+     * @param {Card[]|Object[]} allPossibleOpponentCards - All possible opponent cards, or [{card, weight}]
      * @param {string[]} usedOpponentProperties - Properties already used by opponent
      * @param {string} difficulty - AI difficulty level
+     * @param {SeededRandom} [rng] - Random number generator
+     * @param {ScoringStrategy} [scoring] - Scoring strategy searched with (standard scoring by default)
      * @returns {string} - Best property to play
      */
-    static chooseBestProperty(card, availableProperties, allPossibleOpponentCards, usedOpponentProperties, difficulty = 'normal') {
+    static chooseBestProperty(card, availableProperties, allPossibleOpponentCards, usedOpponentProperties, difficulty = 'normal', rng, scoring) {
         if (availableProperties.length === 0) {
             throw new Error('No available properties for AI');
         }
@@ -68,17 +294,31 @@ class AIStrategy {
             return availableProperties[0];
         }
 
+        if (this.playsEquilibrium(difficulty)) {
+            return this.chooseOptimalProperty(card, availableProperties, allPossibleOpponentCards, usedOpponentProperties, rng, scoring);
+        }
+
+        rng = SeededRandom.from(rng);
         let bestProperty = availableProperties[0];
         let bestScore = -Infinity;
 
+        // Hard and expert AIs value each property by searching the rest of the card game
+        const depth = this.getLookAheadDepth(difficulty);
+        const search = depth > 0 ?
+            this.searchCardGame(card, availableProperties, allPossibleOpponentCards, usedOpponentProperties, depth, scoring) :
+            null;
+
         availableProperties.forEach(property => {
-            const score = this.evaluateMove(
-                card, 
-                property, 
-                allPossibleOpponentCards, 
-                usedOpponentProperties, 
-                difficulty
-            );
+            const score = search ?
+                this.applyDifficultyModifier(search.values[property], difficulty, card, property, rng) :
+                this.evaluateMove(
+                    card, 
+                    property, 
+                    allPossibleOpponentCards, 
+                    usedOpponentProperties, 
+                    difficulty,
+                    rng
+                );
 
             if (score > bestScore) {
                 bestScore = score;
@@ -89,45 +329,451 @@ class AIStrategy {
         return bestProperty;
     }
 
+    /**
+     * Get how many rounds ahead a difficulty searches (GameConfig.AI_CONFIG.LOOK_AHEAD_DEPTH)
+     * @param {string} difficulty - AI difficulty level
+     * @returns {number} - Search depth in rounds (0 for AIs that do not search)
+     */
+    static getLookAheadDepth(difficulty) {
+        const config = GameConfig.AI_CONFIG;
+
+        switch (difficulty) {
+            case config.DIFFICULTY_LEVELS.HARD:
+                return Math.max(1, config.LOOK_AHEAD_DEPTH - 1);
+            case config.DIFFICULTY_LEVELS.EXPERT:
+                return config.LOOK_AHEAD_DEPTH;
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Expectimax search over the rest of a single-card game.
+     * The AI maximizes over its properties; the opponent's card (from the posterior) and
+     * property (getOpponentPropertyOdds) form the chance node. Each outcome shows which
+     * property the opponent played and its value, so the posterior is updated on both
+     * before the next round is searched. Rounds past the depth are estimated with estimateRounds.
+     * Positions reached by playing the same properties in another order are searched once, and
+     * the search deepens one round at a time while it stays within SEARCH_NODE_LIMIT positions
+     * @param {Card} card - The AI's card
+     * @param {string[]} availableProperties - Properties the AI has not played yet
+     * @param {Card|Card[]|Object[]} opponentCards - Opponent card, cards (equally likely), or [{card, weight}]
+     * @param {string[]} usedOpponentProperties - Properties already used by opponent
+     * @param {number} [depth] - Rounds to search
+     * @param {ScoringStrategy} [scoring] - Scoring strategy of the match (standard scoring by default)
+     * @returns {Object} - {value, values}: expected net points of the rest of the game when
+     *   playing the best property, and for each available property
+     */
+    static searchCardGame(card, availableProperties, opponentCards, usedOpponentProperties, depth = GameConfig.AI_CONFIG.LOOK_AHEAD_DEPTH, scoring) {
+        const opponentProperties = card.getPropertyNames().filter(
+            prop => !usedOpponentProperties.includes(prop)
+        );
+        if (opponentProperties.length !== availableProperties.length) {
+            throw new Error('Both players must have the same number of properties left');
+        }
+
+        const netScore = this.getNetScore(card, scoring);
+
+        // What the opponent may show next depends only on what they have shown so far (the
+        // path of revealed plays), so the outcomes are shared by all of the AI's lines
+        const chanceNodes = new Map();
+        const getOutcomes = (path, theirs, posterior) => {
+            if (!chanceNodes.has(path)) {
+                // Group the opponent's possible (card, property) plays by what the round would reveal
+                const outcomes = new Map();
+                posterior.forEach(({ card: opponentCard, weight }) => {
+                    const odds = this.getOpponentPropertyOdds(opponentCard, theirs);
+                    theirs.forEach((oppProperty, index) => {
+                        if (odds[index] === 0) return;
+                        const key = `${oppProperty}:${opponentCard.getProperty(oppProperty)}`;
+                        const outcome = outcomes.get(key) || { key, oppProperty, entries: [] };
+                        outcome.entries.push({ card: opponentCard, weight: weight * odds[index] });
+                        outcomes.set(key, outcome);
+                    });
+                });
+                chanceNodes.set(path, [...outcomes.values()].map(({ key, oppProperty, entries }) => ({
+                    path: `${path}/${key}`,
+                    oppProperty,
+                    weight: entries.reduce((sum, entry) => sum + entry.weight, 0),
+                    posterior: this.normalizeOpponentPrior(entries)
+                })));
+            }
+            return chanceNodes.get(path);
+        };
+
+        let positions = 0;
+        let limit = Infinity;
+        const searched = new Map();
+        const search = (mine, theirs, path, posterior, depthLeft) => {
+            if (mine.length === 0) {
+                return { value: 0, values: {} };
+            }
+
+            const key = `${[...mine].sort().join(',')}|${path}`;
+            if (searched.has(key)) {
+                return searched.get(key);
+            }
+            if (++positions > limit) {
+                return null;
+            }
+
+            if (depthLeft <= 0) {
+                const estimate = { value: this.estimateRounds(card, mine, theirs, posterior, scoring, netScore), values: {} };
+                searched.set(key, estimate);
+                return estimate;
+            }
+
+            const values = {};
+            for (const property of mine) {
+                values[property] = 0;
+                for (const outcome of getOutcomes(path, theirs, posterior)) {
+                    const rest = search(
+                        mine.filter(p => p !== property),
+                        theirs.filter(p => p !== outcome.oppProperty),
+                        outcome.path,
+                        outcome.posterior,
+                        depthLeft - 1
+                    );
+                    if (rest === null) {
+                        return null;
+                    }
+                    values[property] += outcome.weight *
+                        (netScore(property, outcome.oppProperty, outcome.posterior[0].card) + rest.value);
+                }
+            }
+
+            const result = { value: Math.max(...Object.values(values)), values };
+            searched.set(key, result);
+            return result;
+        };
+
+        // Search one round deeper at a time; a round is always searched, deeper only within the budget
+        const prior = this.normalizeOpponentPrior(opponentCards);
+        let result = null;
+        for (let searchDepth = 1; searchDepth <= Math.max(1, depth); searchDepth++) {
+            positions = 0;
+            searched.clear();
+            const deeper = search(availableProperties, opponentProperties, '', prior, searchDepth);
+            if (deeper === null) {
+                break;
+            }
+            result = deeper;
+            limit = GameConfig.AI_CONFIG.SEARCH_NODE_LIMIT;
+        }
+        return result;
+    }
+
+    /**
+     * Model of the opponent's property choice used by searchCardGame: opponents favour
+     * their high values, playing each remaining property with probability proportional
+     * to its value (equally likely if all are 0)
+     * @param {Card} opponentCard - Card the opponent may hold
+     * @param {string[]} opponentProperties - Properties the opponent has left
+     * @returns {number[]} - Probability of each property
+     */
+    static getOpponentPropertyOdds(opponentCard, opponentProperties) {
+        const values = opponentProperties.map(property => Math.max(0, opponentCard.getProperty(property)));
+        const total = values.reduce((sum, value) => sum + value, 0);
+        return total > 0 ?
+            values.map(value => value / total) :
+            opponentProperties.map(() => 1 / opponentProperties.length);
+    }
+
+    /**
+     * Estimate the net points of the remaining rounds without searching them:
+     * every pairing of the remaining properties is taken as equally likely
+     * @param {Card} card - The AI's card
+     * @param {string[]} properties - Properties the AI has left
+     * @param {string[]} opponentProperties - Properties the opponent has left
+     * @param {Card|Card[]|Object[]} opponentCards - Opponent card, cards (equally likely), or [{card, weight}]
+     * @param {ScoringStrategy} [scoring] - Scoring strategy of the match (standard scoring by default)
+     * @param {Function} [netScore] - getNetScore function for the card, to reuse its scored rounds
+     * @returns {number} - Expected net points
+     */
+    static estimateRounds(card, properties, opponentProperties, opponentCards, scoring, netScore = this.getNetScore(card, scoring)) {
+        if (opponentProperties.length === 0) {
+            return 0;
+        }
+
+        return this.normalizeOpponentPrior(opponentCards).reduce((total, { card: opponentCard, weight }) =>
+            total + weight * properties.reduce((sum, property) => sum + opponentProperties.reduce(
+                (pairs, oppProperty) => pairs + netScore(property, oppProperty, opponentCard), 0
+            ), 0), 0) / opponentProperties.length;
+    }
+
+    /**
+     * Get a function giving the AI's net points (its points minus the opponent's) for a round
+     * Rounds only depend on the properties and the opponent's value, so each is scored once
+     * @param {Card} card - The AI's card
+     * @param {ScoringStrategy} [scoring] - Scoring strategy of the match (standard scoring by default)
+     * @returns {Function} - (property, oppProperty, opponentCard) => net points
+     */
+    static getNetScore(card, scoring) {
+        const scoreRound = scoring ?
+            (...play) => scoring.scoreRound(...play) :
+            (...play) => GameRules.calculateRoundScore(...play);
+
+        const scored = {};   // property -> opponent property -> opponent value -> net points
+        return (property, oppProperty, opponentCard) => {
+            const oppValue = opponentCard.getProperty(oppProperty);
+            const byProperty = scored[property] || (scored[property] = {});
+            const byValue = byProperty[oppProperty] || (byProperty[oppProperty] = {});
+            if (byValue[oppValue] === undefined) {
+                const [myScore, oppScore] = scoreRound(property, card.getProperty(property), oppProperty, oppValue, card.universe);
+                byValue[oppValue] = myScore - oppScore;
+            }
+            return byValue[oppValue];
+        };
+    }
+
+    /**
+     * Check if a difficulty plays the equilibrium of each card game (adaptive AIs do
+     * whenever they are not best-responding to an opponent model)
+     * @param {string} difficulty - AI difficulty level
+     * @returns {boolean} - True for the optimal and adaptive difficulties
+     */
+    static playsEquilibrium(difficulty) {
+        const levels = GameConfig.AI_CONFIG.DIFFICULTY_LEVELS;
+        return difficulty === levels.OPTIMAL || difficulty === levels.ADAPTIVE;
+    }
+
+    /**
+     * Choose a property against a predicted opponent property (adaptive difficulty)
+     * With probability exploitation the AI best-responds to the prediction, valuing the
+     * rounds after this one at their equilibrium; otherwise it plays the equilibrium
+     * strategy, so a player who learns to bait the model cannot exploit it for long
+     * @param {Card} card - The AI's card
+     * @param {string[]} availableProperties - Available properties
+     * @param {Card|Card[]|Object[]} opponentCards - Opponent card, or prior over it (see solveSingleCardGame)
+     * @param {string[]} usedOpponentProperties - Properties already used by opponent
+     * @param {Object} prediction - {property: probability} for the opponent's next property (OpponentModel.predict)
+     * @param {number} exploitation - Probability of best-responding (OpponentModel.getExploitation)
+     * @param {SeededRandom} [rng] - Random number generator
+     * @param {ScoringStrategy} [scoring] - Scoring strategy of the match (standard scoring by default)
+     * @returns {string} - Property to play
+     */
+    static chooseCounterProperty(card, availableProperties, opponentCards, usedOpponentProperties, prediction, exploitation, rng, scoring) {
+        if (availableProperties.length === 0) {
+            throw new Error('No available properties for AI');
+        }
+
+        rng = SeededRandom.from(rng);
+        const solution = this.solveSingleCardGame(card, availableProperties, opponentCards, usedOpponentProperties, scoring);
+        if (rng.next() >= exploitation) {
+            return rng.pickWeighted(solution.properties, solution.strategy);
+        }
+
+        const expected = row => solution.opponentProperties.reduce(
+            (sum, oppProperty, index) => sum + (prediction[oppProperty] || 0) * row[index], 0
+        );
+        const payoffs = solution.matrix.map(expected);
+        return solution.properties[payoffs.indexOf(Math.max(...payoffs))];
+    }
+
+    /**
+     * Choose a property by playing the equilibrium strategy of the card game (optimal difficulty)
+     * @param {Card} card - The AI's card
+     * @param {string[]} availableProperties - Available properties
+     * @param {Card|Card[]|Object[]} opponentCards - Opponent card, or prior over it (see solveSingleCardGame)
+     * @param {string[]} usedOpponentProperties - Properties already used by opponent
+     * @param {SeededRandom} [rng] - Random number generator
+     * @param {ScoringStrategy} [scoring] - Scoring strategy of the match (standard scoring by default)
+     * @returns {string} - Property to play
+     */
+    static chooseOptimalProperty(card, availableProperties, opponentCards, usedOpponentProperties, rng, scoring) {
+        if (availableProperties.length === 0) {
+            throw new Error('No available properties for AI');
+        }
+
+        const solution = this.solveSingleCardGame(card, availableProperties, opponentCards, usedOpponentProperties, scoring);
+        return SeededRandom.from(rng).pickWeighted(solution.properties, solution.strategy);
+    }
+
+    /**
+     * Solve the rest of a single-card game as a zero-sum simultaneous-move game.
+     * Each property is played once, so the state is the pair of property sets still
+     * unplayed; working back from the forced last round, every state's matrix game
+     * on net points (own points minus the opponent's) is solved exactly.
+     * Against a prior, payoffs are averaged over the opponent's possible cards, so
+     * the opponent is treated as playing the same strategy whatever its card is.
+     * Card abilities are not taken into account
+     * @param {Card} card - The AI's card
+     * @param {string[]} availableProperties - Properties the AI has not played yet
+     * @param {Card|Card[]|Object[]} opponentCards - Known opponent card, cards it is equally
+     *   likely to be, or [{card, weight}] entries
+     * @param {string[]} usedOpponentProperties - Properties already used by opponent
+     * @param {ScoringStrategy} [scoring] - Scoring strategy of the match (standard scoring by default)
+     * @returns {Object} - {properties, strategy, value, opponentProperties, matrix}: the AI's
+     *   properties, the probability of playing each, the expected net points of the rest of
+     *   the game, and the matrix game of this round (later rounds valued at their equilibrium)
+     */
+    static solveSingleCardGame(card, availableProperties, opponentCards, usedOpponentProperties, scoring) {
+        const prior = this.normalizeOpponentPrior(opponentCards);
+        const opponentProperties = card.getPropertyNames().filter(
+            prop => !usedOpponentProperties.includes(prop)
+        );
+        if (opponentProperties.length !== availableProperties.length) {
+            throw new Error('Both players must have the same number of properties left');
+        }
+
+        const netScore = this.getNetScore(card, scoring);
+
+        // Expected net points of one round for each pair of properties
+        const net = {};
+        availableProperties.forEach(property => {
+            net[property] = {};
+            opponentProperties.forEach(oppProperty => {
+                net[property][oppProperty] = prior.reduce((sum, { card: opponentCard, weight }) =>
+                    sum + weight * netScore(property, oppProperty, opponentCard), 0);
+            });
+        });
+
+        const solved = {};
+        const solve = (mine, theirs) => {
+            const key = `${mine.join(',')}|${theirs.join(',')}`;
+            if (!solved[key]) {
+                const matrix = mine.map(property => theirs.map(oppProperty => net[property][oppProperty] + (mine.length === 1 ? 0 :
+                    solve(mine.filter(p => p !== property), theirs.filter(p => p !== oppProperty)).value)));
+                solved[key] = { ...this.solveMatrixGame(matrix), matrix };
+            }
+            return solved[key];
+        };
+
+        const solution = solve(availableProperties, opponentProperties);
+        return {
+            properties: [...availableProperties],
+            strategy: solution.strategy,
+            value: solution.value,
+            opponentProperties: opponentProperties,
+            matrix: solution.matrix
+        };
+    }
+
+    /**
+     * Turn an opponent card, or a list of cards, into normalized prior weights
+     * @param {Card|Card[]|Object[]} opponentCards - Card, cards (equally likely), or [{card, weight}]
+     * @returns {Object[]} - [{card, weight}] with weights summing to 1
+     */
+    static normalizeOpponentPrior(opponentCards) {
+        const entries = this.toWeightedCards(opponentCards).filter(entry => entry.weight > 0);
+        const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+        if (entries.length === 0 || !(total > 0)) {
+            throw new Error('No possible opponent cards for AI');
+        }
+
+        return entries.map(entry => ({ card: entry.card, weight: entry.weight / total }));
+    }
+
+    /**
+     * Give plain cards a weight of 1, keeping [{card, weight}] entries as they are
+     * @param {Card|Card[]|Object[]} opponentCards - Card, cards, or [{card, weight}]
+     * @returns {Object[]} - [{card, weight}] (not normalized)
+     */
+    static toWeightedCards(opponentCards) {
+        return (Array.isArray(opponentCards) ? opponentCards : [opponentCards])
+            .map(entry => entry instanceof Card ? { card: entry, weight: 1 } : entry);
+    }
+
+    /**
+     * Solve a zero-sum matrix game for the row player with the simplex method.
+     * The payoffs are shifted to be positive, the column player's program
+     * (maximize sum y subject to A y <= 1) is solved, and the row player's
+     * strategy is read from its dual
+     * @param {number[][]} matrix - Row player's payoff for each row and column
+     * @returns {Object} - {strategy, value}: probability of each row, and the game value
+     */
+    static solveMatrixGame(matrix) {
+        const rows = matrix.length;
+        const columns = matrix[0].length;
+        const epsilon = 1e-9;
+        const shift = 1 - Math.min(...matrix.map(row => Math.min(...row)));
+
+        // Tableau rows: constraints with slack columns, then the objective
+        const tableau = matrix.map((row, i) => [
+            ...row.map(payoff => payoff + shift),
+            ...matrix.map((_, j) => i === j ? 1 : 0),
+            1
+        ]);
+        tableau.push([...new Array(columns).fill(-1), ...new Array(rows).fill(0), 0]);
+        const basis = matrix.map((_, i) => columns + i);
+        const rhs = columns + rows;
+
+        for (;;) {
+            // Bland's rule: lowest entering and leaving indices, so the method cannot cycle
+            const entering = tableau[rows].findIndex((coefficient, j) => j < rhs && coefficient < -epsilon);
+            if (entering === -1) break;
+
+            let leaving = -1;
+            for (let i = 0; i < rows; i++) {
+                if (tableau[i][entering] <= epsilon) continue;
+                const ratio = tableau[i][rhs] / tableau[i][entering];
+                const best = leaving === -1 ? Infinity : tableau[leaving][rhs] / tableau[leaving][entering];
+                if (ratio < best - epsilon || (Math.abs(ratio - best) <= epsilon && basis[i] < basis[leaving])) {
+                    leaving = i;
+                }
+            }
+
+            const pivot = tableau[leaving][entering];
+            tableau[leaving] = tableau[leaving].map(entry => entry / pivot);
+            tableau.forEach((row, i) => {
+                if (i === leaving || row[entering] === 0) return;
+                const factor = row[entering];
+                tableau[i] = row.map((entry, j) => entry - factor * tableau[leaving][j]);
+            });
+            basis[leaving] = entering;
+        }
+
+        const total = tableau[rows][rhs];
+        const weights = tableau[rows].slice(columns, rhs).map(weight => Math.max(0, weight));
+        const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+
+        return {
+            strategy: weights.map(weight => weight / weightSum),
+            value: 1 / total - shift
+        };
+    }
+
     /**
      * Evaluate a specific move (card + property combination)
+     * Scenarios are weighted by the opponent card's weight when a posterior is given
      * @param {Card} card - AI's card
      * @param {string} property - Property to evaluate
-     * @param {Card[]} allPossibleOpponentCards - All possible opponent cards
+     * @param {Card[]|Object[]} allPossibleOpponentCards - All possible opponent cards, or [{card, weight}]
      * @param {string[]} usedOpponentProperties - Used opponent properties
      * @param {string} difficulty - AI difficulty level
+     * @param {SeededRandom} [rng] - Random number generator
      * @returns {number} - Move evaluation score
      */
-    static evaluateMove(card, property, allPossibleOpponentCards, usedOpponentProperties, difficulty) {
+    static evaluateMove(card, property, allPossibleOpponentCards, usedOpponentProperties, difficulty, rng) {
         const myValue = card.getProperty(property);
         let totalScore = 0;
         let scenarioCount = 0;
 
         // Get opponent's available properties
-        const opponentAvailableProps = GameConfig.getAllProperties().filter(
+        const opponentAvailableProps = card.getPropertyNames().filter(
             prop => !usedOpponentProperties.includes(prop)
         );
 
         // Simulate against all possible opponent strategies
-        allPossibleOpponentCards.forEach(opponentCard => {
+        this.toWeightedCards(allPossibleOpponentCards).forEach(({ card: opponentCard, weight }) => {
             opponentAvailableProps.forEach(oppProperty => {
                 const oppValue = opponentCard.getProperty(oppProperty);
                 
                 const [myScore, oppScore] = GameRules.calculateRoundScore(
-                    property, myValue, oppProperty, oppValue
+                    property, myValue, oppProperty, oppValue, card.universe
                 );
                 
                 // Net score advantage (positive good for AI, negative bad)
                 const netScore = myScore - oppScore;
-                totalScore += netScore;
-                scenarioCount++;
+                totalScore += weight * netScore;
+                scenarioCount += weight;
             });
         });
 
         let avgScore = scenarioCount > 0 ? totalScore / scenarioCount : 0;
 
         // Apply difficulty-based modifications
-        avgScore = this.applyDifficultyModifier(avgScore, difficulty, card, property);
+        avgScore = this.applyDifficultyModifier(avgScore, difficulty, card, property, rng);
 
         return avgScore;
     }
@@ -138,19 +784,20 @@ class AIStrategy {
      * @param {string} difficulty - AI difficulty level
      * @param {Card} card - AI's card
      * @param {string} property - Property being evaluated
+     * @param {SeededRandom} [rng] - Random number generator
      * @returns {number} - Modified score
      */
-    static applyDifficultyModifier(baseScore, difficulty, card, property) {
+    static applyDifficultyModifier(baseScore, difficulty, card, property, rng) {
         const config = GameConfig.AI_CONFIG;
         
         switch (difficulty) {
             case config.DIFFICULTY_LEVELS.EASY:
                 // Easy AI makes some random choices
-                return baseScore + (Math.random() - 0.5) * 2;
+                return baseScore + (SeededRandom.from(rng).next() - 0.5) * 2;
                 
             case config.DIFFICULTY_LEVELS.NORMAL:
                 // Normal AI with slight randomness
-                return baseScore + (Math.random() - 0.5) * config.RANDOMNESS_FACTOR;
+                return baseScore + (SeededRandom.from(rng).next() - 0.5) * config.RANDOMNESS_FACTOR;
                 
             case config.DIFFICULTY_LEVELS.HARD:
                 // Hard AI considers card synergy
@@ -176,7 +823,6 @@ class AIStrategy {
      */
     static calculateCardSynergy(card, property) {
         const myValue = card.getProperty(property);
-        const otherProperties = GameConfig.getAllProperties().filter(p => p !== property);
         
         // Bonus for playing the highest property
         const highest = card.getHighestProperty();
@@ -218,13 +864,15 @@ class AIStrategy {
     }
 
     /**
-     * Choose AI cards for multi-card mode (select 3 cards from available pool)
+     * Choose AI cards for multi-card mode (select a deck from available pool)
      * @param {Card[]} availableCards - All available cards
      * @param {Card[]} excludeCards - Cards to exclude (opponent's cards)
      * @param {string} difficulty - AI difficulty level
+     * @param {SeededRandom} [rng] - Random number generator
+     * @param {number} [count] - Deck size (MatchFormat.deckSize)
      * @returns {Card[]} - Selected AI cards
      */
-    static chooseAICards(availableCards, excludeCards = [], difficulty = 'normal') {
+    static chooseAICards(availableCards, excludeCards = [], difficulty = 'normal', rng, count = GameConfig.GAME_MECHANICS.CARDS_PER_PLAYER) {
         const config = GameConfig.AI_CONFIG;
         
         // Filter out excluded cards
@@ -232,25 +880,27 @@ class AIStrategy {
             !excludeCards.some(excluded => excluded.id === card.id)
         );
         
-        if (selectableCards.length < GameConfig.GAME_MECHANICS.CARDS_PER_PLAYER) {
+        if (selectableCards.length < count) {
             throw new Error('Not enough cards available for AI selection');
         }
 
         switch (difficulty) {
             case config.DIFFICULTY_LEVELS.EASY:
-                return this.selectRandomCards(selectableCards, GameConfig.GAME_MECHANICS.CARDS_PER_PLAYER);
+                return this.selectRandomCards(selectableCards, count, rng);
                 
             case config.DIFFICULTY_LEVELS.NORMAL:
-                return this.selectBalancedCards(selectableCards, GameConfig.GAME_MECHANICS.CARDS_PER_PLAYER);
+                return this.selectBalancedCards(selectableCards, count, rng);
                 
             case config.DIFFICULTY_LEVELS.HARD:
-                return this.selectStrategicCards(selectableCards, GameConfig.GAME_MECHANICS.CARDS_PER_PLAYER);
+                return this.selectStrategicCards(selectableCards, count);
                 
             case config.DIFFICULTY_LEVELS.EXPERT:
-                return this.selectOptimalCards(selectableCards, GameConfig.GAME_MECHANICS.CARDS_PER_PLAYER);
+            case config.DIFFICULTY_LEVELS.OPTIMAL:
+            case config.DIFFICULTY_LEVELS.ADAPTIVE:
+                return this.selectOptimalCards(selectableCards, count);
                 
             default:
-                return this.selectBalancedCards(selectableCards, GameConfig.GAME_MECHANICS.CARDS_PER_PLAYER);
+                return this.selectBalancedCards(selectableCards, count, rng);
         }
     }
 
@@ -258,10 +908,11 @@ class AIStrategy {
      * Select random cards for easy AI
      * @param {Card[]} availableCards - Available cards
      * @param {number} count - Number of cards to select
+     * @param {SeededRandom} [rng] - Random number generator
      * @returns {Card[]} - Selected cards
      */
-    static selectRandomCards(availableCards, count) {
-        const shuffled = [...availableCards].sort(() => Math.random() - 0.5);
+    static selectRandomCards(availableCards, count, rng) {
+        const shuffled = SeededRandom.from(rng).shuffle(availableCards);
         return shuffled.slice(0, count);
     }
 
@@ -269,9 +920,12 @@ class AIStrategy {
      * Select balanced cards for normal AI
      * @param {Card[]} availableCards - Available cards
      * @param {number} count - Number of cards to select
+     * @param {SeededRandom} [rng] - Random number generator
      * @returns {Card[]} - Selected cards
      */
-    static selectBalancedCards(availableCards, count) {
+    static selectBalancedCards(availableCards, count, rng) {
+        rng = SeededRandom.from(rng);
+        
         // Prefer balanced cards but include some variety
         const balanced = availableCards.filter(card => card.isBalanced());
         const extreme = availableCards.filter(card => !card.isBalanced());
@@ -280,18 +934,18 @@ class AIStrategy {
         
         // Select mostly balanced cards
         const balancedToSelect = Math.min(count - 1, balanced.length);
-        selected.push(...this.selectRandomCards(balanced, balancedToSelect));
+        selected.push(...this.selectRandomCards(balanced, balancedToSelect, rng));
         
         // Fill remaining with extreme cards
         const remaining = count - selected.length;
         if (remaining > 0 && extreme.length > 0) {
-            selected.push(...this.selectRandomCards(extreme, remaining));
+            selected.push(...this.selectRandomCards(extreme, remaining, rng));
         } else if (remaining > 0) {
             // Fallback to any available cards
             const remainingCards = availableCards.filter(card => 
                 !selected.some(s => s.id === card.id)
             );
-            selected.push(...this.selectRandomCards(remainingCards, remaining));
+            selected.push(...this.selectRandomCards(remainingCards, remaining, rng));
         }
         
         return selected;
@@ -389,7 +1043,7 @@ class AIStrategy {
         let synergy = 0;
         
         // Prefer diverse property strengths
-        GameConfig.getAllProperties().forEach(property => {
+        card.getPropertyNames().forEach(property => {
             const myValue = card.getProperty(property);
             const hasStrongInProperty = selectedCards.some(selected => 
                 selected.getProperty(property) >= 7
@@ -420,6 +1074,8 @@ class AIStrategy {
             case config.DIFFICULTY_LEVELS.HARD:
                 return baseDelay * 1.5;
             case config.DIFFICULTY_LEVELS.EXPERT:
+            case config.DIFFICULTY_LEVELS.OPTIMAL:
+            case config.DIFFICULTY_LEVELS.ADAPTIVE:
                 return baseDelay * 2;
             default:
                 return baseDelay;
@@ -446,8 +1102,8 @@ class AIStrategy {
             return false;
         }
         
-        // Validate all properties are valid
-        if (!availableProperties.every(prop => GameConfig.isValidProperty(prop))) {
+        // Validate all properties are valid for the cards' rule set
+        if (!availableProperties.every(prop => GameRules.isValidProperty(prop, availableCards[0].universe))) {
             return false;
         }
         
@@ -0,0 +1,300 @@
+// shared/ai/opponent-model.js - Opponent Modelling
+
+/**
+ * OpponentModel class learning one player's property habits from the card games they
+ * play, across rounds and matches. Each choice is counted in its context: the round of
+ * the card game (frequency model) or the property played just before (Markov model).
+ * Two habits are counted in every context, the property itself and its rank on the card
+ * (0 for the highest value the player had left), so both "never opens with deception"
+ * and "always leads with the highest value" are picked up. Predictions use whichever
+ * habit has predicted the player better over their recent choices; AIStrategy best-responds
+ * to them with the adaptive difficulty
+ */
+class OpponentModel {
+    /**
+     * @param {Object} [options] - Model options
+     * @param {string} [options.type] - GameConfig.AI_CONFIG.OPPONENT_MODEL.TYPES id (Markov by default)
+     */
+    constructor(options = {}) {
+        const types = GameConfig.AI_CONFIG.OPPONENT_MODEL.TYPES;
+        const type = options.type || types.MARKOV;
+        if (!Object.values(types).includes(type)) {
+            throw new Error(`Unknown opponent model: ${type}`);
+        }
+
+        this.type = type;
+        this.reset();
+    }
+
+    /**
+     * Forget everything learned
+     */
+    reset() {
+        this.counts = { property: {}, rank: {} };   // Habit -> context -> choice -> count
+        this.recent = { property: [], rank: [] };   // Habit -> edge over a uniform guess on recent choices
+        this.observations = 0;
+    }
+
+    /**
+     * Follow a match, learning from every card game the player completes
+     * @param {MatchManager} match - Match to follow
+     * @param {number} playerNumber - Player to model (1 or 2)
+     * @returns {Function} - Call to stop following
+     */
+    observe(match, playerNumber) {
+        return match.on(GameConfig.GAME_EVENTS.CARD_GAME_COMPLETE, result => {
+            this.recordCardGame(OpponentModel.getPlays(result.rounds, playerNumber));
+        });
+    }
+
+    /**
+     * Turn a card game's round results into one player's plays
+     * A value changed by the player's own before-scoring ability is not their card's, so it is left out
+     * @param {Object[]} rounds - Round results, in order
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @returns {Object[]} - [{property, value}] (value null when unknown)
+     */
+    static getPlays(rounds, playerNumber) {
+        const player = `player${playerNumber}`;
+        return rounds.map(round => {
+            const changed = (round.effects || []).some(effect =>
+                effect.playerNumber === playerNumber && effect.hook === GameConfig.ABILITY_HOOKS.BEFORE_SCORING);
+            return { property: round[`${player}Property`], value: changed ? null : round[`${player}Value`] };
+        });
+    }
+
+    /**
+     * Learn from a card game the player has played
+     * Each choice first scores how well both habits predicted it, then is counted
+     * @param {Object[]} plays - The player's plays in order, [{property, value}] (value null when unknown)
+     */
+    recordCardGame(plays) {
+        const values = {};
+        plays.forEach(play => {
+            values[play.property] = play.value;
+        });
+        const ranksKnown = plays.every(play => typeof play.value === 'number');
+
+        plays.forEach((play, index) => {
+            // The last property is forced, so it says nothing about the player's habits
+            const remaining = plays.slice(index).map(later => later.property);
+            if (remaining.length < 2) return;
+
+            const context = this.getContext(index + 1, index > 0 ? plays[index - 1].property : null);
+            this.score('property', this.predictProperties(context, remaining)[play.property], remaining.length);
+            this.count('property', context, play.property);
+
+            if (ranksKnown) {
+                const rank = OpponentModel.getRank(values, remaining, play.property);
+                this.score('rank', this.predictRanks(context, remaining.length)[rank], remaining.length);
+                this.count('rank', context, rank);
+            }
+            this.observations++;
+        });
+    }
+
+    /**
+     * Predict the player's next property
+     * @param {Object} situation - Where the player is
+     * @param {number} situation.round - Round of the card game (1-based)
+     * @param {string|null} situation.previousProperty - Property they played last round, null in round 1
+     * @param {string[]} situation.availableProperties - Properties they have left
+     * @param {Object[]} [situation.posterior] - [{card, weight}] over their card, needed to turn rank
+     *   habits into properties (see AIStrategy.getOpponentPosterior)
+     * @returns {Object} - {property: probability}
+     */
+    predict({ round, previousProperty, availableProperties, posterior }) {
+        const context = this.getContext(round, previousProperty);
+        if (this.getHabit() !== 'rank' || !posterior || posterior.length === 0) {
+            return this.predictProperties(context, availableProperties);
+        }
+
+        const ranks = this.predictRanks(context, availableProperties.length);
+        const prediction = {};
+        availableProperties.forEach(property => {
+            prediction[property] = 0;
+        });
+
+        // Each card the player may hold turns the rank odds into property odds (tied values share a rank)
+        posterior.forEach(({ card, weight }) => {
+            const values = {};
+            availableProperties.forEach(property => {
+                values[property] = card.getProperty(property);
+            });
+            const odds = availableProperties.map(property => ranks[OpponentModel.getRank(values, availableProperties, property)]);
+            const total = odds.reduce((sum, odd) => sum + odd, 0);
+            if (total === 0) return;
+            availableProperties.forEach((property, index) => {
+                prediction[property] += weight * odds[index] / total;
+            });
+        });
+
+        const total = Object.values(prediction).reduce((sum, probability) => sum + probability, 0);
+        if (total === 0) {
+            return this.predictProperties(context, availableProperties);
+        }
+        availableProperties.forEach(property => {
+            prediction[property] /= total;
+        });
+        return prediction;
+    }
+
+    /**
+     * Get the habit that has predicted the player better over their recent choices
+     * @returns {string} - 'property' or 'rank'
+     */
+    getHabit() {
+        return this.recent.rank.length > 0 && this.getEdge('rank') > this.getEdge('property') ? 'rank' : 'property';
+    }
+
+    /**
+     * Get how much better than a uniform guess a habit has predicted the player's recent choices
+     * @param {string} [habit] - 'property' or 'rank' (the habit used for predictions by default)
+     * @returns {number} - Average probability given to the actual choice, minus the uniform guess's
+     */
+    getEdge(habit = this.getHabit()) {
+        const edges = this.recent[habit];
+        return edges.length > 0 ? edges.reduce((sum, edge) => sum + edge, 0) / edges.length : 0;
+    }
+
+    /**
+     * Get the share of moves that should best-respond to the predictions
+     * It grows with the observations and with the recent edge (up to TRUSTED_EDGE), and
+     * never passes MAX_EXPLOITATION. It is 0 while the model predicts no better than a
+     * uniform guess, e.g. once a player turns the tables by changing their habits, so
+     * the AI falls back to the equilibrium
+     * @returns {number} - Probability in [0, MAX_EXPLOITATION]
+     */
+    getExploitation() {
+        const config = GameConfig.AI_CONFIG.OPPONENT_MODEL;
+        const trust = Math.min(1, Math.max(0, this.getEdge() / config.TRUSTED_EDGE));
+        const confidence = this.observations / (this.observations + config.CONFIDENCE_OBSERVATIONS);
+        return config.MAX_EXPLOITATION * trust * confidence;
+    }
+
+    /**
+     * Get the context a choice is counted in
+     * @param {number} round - Round of the card game (1-based)
+     * @param {string|null} previousProperty - Property played the round before
+     * @returns {string} - Context key
+     */
+    getContext(round, previousProperty) {
+        return this.type === GameConfig.AI_CONFIG.OPPONENT_MODEL.TYPES.FREQUENCY ?
+            `round:${round}` :
+            `after:${previousProperty || 'start'}`;
+    }
+
+    /**
+     * Get the smoothed odds of each property in a context
+     * @param {string} context - Context key
+     * @param {string[]} properties - Properties the player can choose from
+     * @returns {Object} - {property: probability}
+     */
+    predictProperties(context, properties) {
+        const odds = this.getOdds('property', context, properties);
+        const prediction = {};
+        properties.forEach((property, index) => {
+            prediction[property] = odds[index];
+        });
+        return prediction;
+    }
+
+    /**
+     * Get the smoothed odds of each rank in a context
+     * @param {string} context - Context key
+     * @param {number} choices - Number of properties the player can choose from
+     * @returns {number[]} - Probability of each rank (0 = highest value)
+     */
+    predictRanks(context, choices) {
+        return this.getOdds('rank', context, Array.from({ length: choices }, (_, rank) => rank));
+    }
+
+    /**
+     * Get the smoothed odds of some choices in a context
+     * @param {string} habit - 'property' or 'rank'
+     * @param {string} context - Context key
+     * @param {Array} choices - Choices to compare
+     * @returns {number[]} - Probability of each choice
+     */
+    getOdds(habit, context, choices) {
+        const counts = this.counts[habit][context] || {};
+        const weights = choices.map(choice => (counts[choice] || 0) + GameConfig.AI_CONFIG.OPPONENT_MODEL.SMOOTHING);
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        return total > 0 ? weights.map(weight => weight / total) : choices.map(() => 1 / choices.length);
+    }
+
+    /**
+     * Count a choice
+     * @param {string} habit - 'property' or 'rank'
+     * @param {string} context - Context key
+     * @param {string|number} choice - Property or rank chosen
+     */
+    count(habit, context, choice) {
+        const counts = this.counts[habit][context] || (this.counts[habit][context] = {});
+        counts[choice] = (counts[choice] || 0) + 1;
+    }
+
+    /**
+     * Remember how well a habit predicted a choice
+     * @param {string} habit - 'property' or 'rank'
+     * @param {number} probability - Probability it gave to the actual choice
+     * @param {number} choices - Number of choices there were
+     */
+    score(habit, probability, choices) {
+        const edges = this.recent[habit];
+        edges.push(probability - 1 / choices);
+        if (edges.length > GameConfig.AI_CONFIG.OPPONENT_MODEL.RECENT_CHOICES) {
+            edges.shift();
+        }
+    }
+
+    /**
+     * Get the rank of a property among some of a card's values
+     * @param {Object} values - {property: value}
+     * @param {string[]} properties - Properties ranked
+     * @param {string} property - Property to rank
+     * @returns {number} - Number of properties with a higher value
+     */
+    static getRank(values, properties, property) {
+        return properties.filter(other => values[other] > values[property]).length;
+    }
+
+    /**
+     * Export what the model has learned, e.g. to keep it between sessions
+     * @returns {Object} - Serializable model state
+     */
+    exportState() {
+        return JSON.parse(JSON.stringify({
+            type: this.type,
+            counts: this.counts,
+            recent: this.recent,
+            observations: this.observations
+        }));
+    }
+
+    /**
+     * Import a model state
+     * @param {Object} state - State from exportState
+     */
+    importState(state) {
+        if (!Object.values(GameConfig.AI_CONFIG.OPPONENT_MODEL.TYPES).includes(state.type)) {
+            throw new Error(`Unknown opponent model: ${state.type}`);
+        }
+
+        const copy = JSON.parse(JSON.stringify(state));
+        this.type = copy.type;
+        this.counts = copy.counts;
+        this.recent = copy.recent;
+        this.observations = copy.observations;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OpponentModel };
+}
+
+// Also make available globally for browser
+if (typeof window !== 'undefined') {
+    window.OpponentModel = OpponentModel;
+}
\ No newline at end of file
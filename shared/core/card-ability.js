@@ -0,0 +1,231 @@
+// shared/core/card-ability.js - Card Abilities
+
+/**
+ * CardAbility class describing an effect a card can carry (Card.abilities lists the ids).
+ * Each ability resolves at one hook (GameConfig.ABILITY_HOOKS) of round resolution:
+ * when a player activates it, before scoring (changing the values played) or after
+ * scoring (changing the points). Activated abilities are used by the player, once per
+ * card game; passive abilities fire by themselves, also once per card game. The
+ * built-in abilities are listed in GameConfig.CARD_ABILITIES; custom abilities can be
+ * added with CardAbility.register
+ */
+class CardAbility {
+    /**
+     * @param {string} id - Unique ability identifier
+     * @param {string} name - Display name
+     * @param {string} description - Short explanation of the effect
+     * @param {Object} definition - How the ability resolves
+     * @param {string} definition.trigger - GameConfig.ABILITY_TRIGGERS id
+     * @param {string} definition.hook - GameConfig.ABILITY_HOOKS id
+     * @param {Function} definition.apply - (context) => effect details, or null if it did not fire.
+     *   context is {player, opponent, plays, params, ruleSet}, where plays maps 'player1'/'player2'
+     *   to {card, property, value, points}; before- and after-scoring effects change plays in place
+     * @param {Function} [definition.validate] - (params, card, ruleSet) => error message or null
+     */
+    constructor(id, name, description, definition) {
+        if (typeof definition.apply !== 'function') {
+            throw new Error(`Card ability ${id} needs an apply function`);
+        }
+        if (!Object.values(GameConfig.ABILITY_TRIGGERS).includes(definition.trigger)) {
+            throw new Error(`Card ability ${id} has an unknown trigger: ${definition.trigger}`);
+        }
+        if (!Object.values(GameConfig.ABILITY_HOOKS).includes(definition.hook)) {
+            throw new Error(`Card ability ${id} has an unknown hook: ${definition.hook}`);
+        }
+
+        this.id = id;
+        this.name = name;
+        this.description = description;
+        this.trigger = definition.trigger;
+        this.hook = definition.hook;
+        this.applyFn = definition.apply;
+        this.validateFn = definition.validate || null;
+
+        Object.freeze(this);
+    }
+
+    /**
+     * Registered abilities by id (registration order is resolution order within a hook)
+     */
+    static registry = {};
+
+    /**
+     * Add an ability to the registry so cards can carry it
+     * @param {CardAbility} ability - Ability to register
+     * @returns {CardAbility} - The registered ability
+     */
+    static register(ability) {
+        if (!(ability instanceof CardAbility)) {
+            throw new Error('Only CardAbility instances can be registered');
+        }
+        this.registry[ability.id] = ability;
+        return ability;
+    }
+
+    /**
+     * Get a registered ability by id
+     * @param {string} id - Ability identifier
+     * @returns {CardAbility} - Ability
+     */
+    static get(id) {
+        const ability = this.registry[id];
+        if (!ability) {
+            throw new Error(`Unknown card ability: ${id}`);
+        }
+        return ability;
+    }
+
+    /**
+     * Check if an ability is registered
+     * @param {string} id - Ability identifier
+     * @returns {boolean} - True if registered
+     */
+    static has(id) {
+        return Object.prototype.hasOwnProperty.call(this.registry, id);
+    }
+
+    /**
+     * Get all registered abilities
+     * @returns {CardAbility[]} - Registered abilities
+     */
+    static getAll() {
+        return Object.values(this.registry);
+    }
+
+    /**
+     * Check if the player decides when the ability is used
+     * @returns {boolean} - True for activated abilities
+     */
+    isActivated() {
+        return this.trigger === GameConfig.ABILITY_TRIGGERS.ACTIVATED;
+    }
+
+    /**
+     * Check activation parameters
+     * @param {Object} params - Parameters given on activation
+     * @param {Card} card - Card carrying the ability
+     * @param {RuleSet} ruleSet - Rule set of the match
+     * @returns {string|null} - Error message, or null if valid
+     */
+    validateParams(params, card, ruleSet) {
+        return this.validateFn ? this.validateFn(params, card, ruleSet) : null;
+    }
+
+    /**
+     * Resolve the ability
+     * @param {Object} context - Resolution context (see constructor)
+     * @returns {Object|null} - Effect details, or null if the ability did not fire
+     */
+    apply(context) {
+        return this.applyFn(context);
+    }
+
+    /**
+     * Convert ability to JSON-serializable object
+     * @returns {Object} - Plain object representation
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            trigger: this.trigger,
+            hook: this.hook
+        };
+    }
+}
+
+// Built-in abilities
+(() => {
+    const abilities = GameConfig.CARD_ABILITIES;
+    const triggers = GameConfig.ABILITY_TRIGGERS;
+    const hooks = GameConfig.ABILITY_HOOKS;
+
+    CardAbility.register(new CardAbility(
+        abilities.PEEK,
+        'Peek',
+        'See the property your opponent has chosen this round before choosing yours',
+        {
+            trigger: triggers.ACTIVATED,
+            hook: hooks.ACTIVATE,
+            apply: ({ player, opponent, plays }) => {
+                if (plays[player].property !== null) {
+                    throw new Error('Peek must be used before choosing your property');
+                }
+                if (plays[opponent].property === null) {
+                    throw new Error('Your opponent has not chosen a property yet');
+                }
+                return { revealed: plays[opponent].property };
+            }
+        }
+    ));
+
+    CardAbility.register(new CardAbility(
+        abilities.SWAP_VALUES,
+        'Swap Values',
+        'Swap two of your values for this round',
+        {
+            trigger: triggers.ACTIVATED,
+            hook: hooks.BEFORE_SCORING,
+            validate: (params, card, ruleSet) => {
+                const properties = params && params.properties;
+                if (!Array.isArray(properties) || properties.length !== 2 || properties[0] === properties[1] ||
+                    !properties.every(property => ruleSet.hasProperty(property))) {
+                    return 'Swap Values needs two different properties';
+                }
+                return null;
+            },
+            apply: ({ player, plays, params }) => {
+                const play = plays[player];
+                const [first, second] = params.properties;
+                const swapped = play.property === first ? second : play.property === second ? first : null;
+                if (swapped !== null) {
+                    play.value = play.card.getProperty(swapped);
+                }
+                return { properties: [first, second], value: play.value };
+            }
+        }
+    ));
+
+    CardAbility.register(new CardAbility(
+        abilities.DOUBLE_POINTS,
+        'Double Points',
+        'Double the points you score this round',
+        {
+            trigger: triggers.ACTIVATED,
+            hook: hooks.AFTER_SCORING,
+            apply: ({ player, plays }) => {
+                plays[player].points *= 2;
+                return { points: plays[player].points };
+            }
+        }
+    ));
+
+    CardAbility.register(new CardAbility(
+        abilities.NULLIFY_LOSS,
+        'Nullify Loss',
+        'The first round you lose with this card is cancelled: your opponent scores no more than you',
+        {
+            trigger: triggers.PASSIVE,
+            hook: hooks.AFTER_SCORING,
+            apply: ({ player, opponent, plays }) => {
+                if (plays[player].points >= plays[opponent].points) {
+                    return null;
+                }
+                const cancelled = plays[opponent].points - plays[player].points;
+                plays[opponent].points = plays[player].points;
+                return { cancelled: cancelled };
+            }
+        }
+    ));
+})();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CardAbility };
+}
+
+// Also make available globally for browser
+if (typeof window !== 'undefined') {
+    window.CardAbility = CardAbility;
+}
\ No newline at end of file
@@ -6,59 +6,46 @@
  */
 class CardGenerator {
     /**
-     * Generate all mathematically possible cards where properties sum to 20
-     * Each property must be between 1 and 9 inclusive
+     * Generate all mathematically possible cards in a universe
+     * (by default: properties sum to 20, each between 1 and 9 inclusive)
+     * @param {CardUniverse|Object} [universe] - Card universe or GAME_MECHANICS-style config
      * @returns {Card[]} - Array of all possible cards
      */
-    static generateAllCards() {
+    static generateAllCards(universe) {
+        const cardUniverse = CardUniverse.from(universe);
         const cards = [];
         let cardId = 0;
         
-        // Generate all valid combinations where deception + magic + attack = 20
-        for (let deception = 1; deception <= 9; deception++) {
-            for (let magic = 1; magic <= 9; magic++) {
-                const attack = 20 - deception - magic;
-                
-                // Only create card if attack is also within valid range
-                if (attack >= 1 && attack <= 9) {
-                    try {
-                        cards.push(new Card(cardId++, deception, magic, attack));
-                    } catch (error) {
-                        console.warn(`Failed to create card: ${error.message}`);
-                    }
-                }
+        // Generate all valid value combinations that add up to the property sum
+        cardUniverse.enumerateValues().forEach(values => {
+            try {
+                cards.push(new Card(cardId++, values, cardUniverse));
+            } catch (error) {
+                console.warn(`Failed to create card: ${error.message}`);
             }
-        }
+        });
         
         return cards;
     }
 
     /**
      * Get total number of possible cards without generating them
+     * @param {CardUniverse|Object} [universe] - Card universe or GAME_MECHANICS-style config
      * @returns {number} - Count of possible cards
      */
-    static getTotalCardCount() {
-        let count = 0;
-        
-        for (let deception = 1; deception <= 9; deception++) {
-            for (let magic = 1; magic <= 9; magic++) {
-                const attack = 20 - deception - magic;
-                if (attack >= 1 && attack <= 9) {
-                    count++;
-                }
-            }
-        }
-        
-        return count;
+    static getTotalCardCount(universe) {
+        return CardUniverse.from(universe).enumerateValues().length;
     }
 
     /**
      * Generate a single random card
      * @param {Card[]} excludeCards - Cards to exclude from selection
+     * @param {SeededRandom} [rng] - Random number generator
+     * @param {CardUniverse|Object} [universe] - Card universe to draw from
      * @returns {Card} - Random card
      */
-    static getRandomCard(excludeCards = []) {
-        const allCards = this.generateAllCards();
+    static getRandomCard(excludeCards = [], rng, universe) {
+        const allCards = this.generateAllCards(universe);
         const availableCards = allCards.filter(card => 
             !excludeCards.some(excludeCard => excludeCard.id === card.id)
         );
@@ -67,27 +54,29 @@ class CardGenerator {
             throw new Error('No available cards to select from');
         }
         
-        const randomIndex = Math.floor(Math.random() * availableCards.length);
-        return availableCards[randomIndex];
+        return SeededRandom.from(rng).pick(availableCards);
     }
 
     /**
      * Generate multiple random cards without duplicates
      * @param {number} count - Number of cards to generate
      * @param {Card[]} excludeCards - Cards to exclude from selection
+     * @param {SeededRandom} [rng] - Random number generator
+     * @param {CardUniverse|Object} [universe] - Card universe to draw from
      * @returns {Card[]} - Array of random cards
      */
-    static getRandomCards(count, excludeCards = []) {
+    static getRandomCards(count, excludeCards = [], rng, universe) {
         if (count <= 0) {
             return [];
         }
         
+        rng = SeededRandom.from(rng);
         const cards = [];
         let excluded = [...excludeCards];
         
         for (let i = 0; i < count; i++) {
             try {
-                const card = this.getRandomCard(excluded);
+                const card = this.getRandomCard(excluded, rng, universe);
                 cards.push(card);
                 excluded.push(card);
             } catch (error) {
@@ -103,9 +92,10 @@ class CardGenerator {
      * Generate cards with specific rarity
      * @param {string} rarity - 'Legendary', 'Epic', 'Rare', or 'Common'
      * @param {number} count - Number of cards to generate
+     * @param {SeededRandom} [rng] - Random number generator
      * @returns {Card[]} - Array of cards with specified rarity
      */
-    static getCardsByRarity(rarity, count = 1) {
+    static getCardsByRarity(rarity, count = 1, rng) {
         const allCards = this.generateAllCards();
         const filteredCards = allCards.filter(card => card.getRarity() === rarity);
         
@@ -113,22 +103,16 @@ class CardGenerator {
             throw new Error(`No cards found with rarity: ${rarity}`);
         }
         
-        const selectedCards = [];
-        for (let i = 0; i < count && i < filteredCards.length; i++) {
-            const randomIndex = Math.floor(Math.random() * filteredCards.length);
-            const selectedCard = filteredCards.splice(randomIndex, 1)[0];
-            selectedCards.push(selectedCard);
-        }
-        
-        return selectedCards;
+        return this.selectRandomFromArray(filteredCards, count, rng);
     }
 
     /**
      * Generate balanced cards only (max difference <= 3)
      * @param {number} count - Number of cards to generate
+     * @param {SeededRandom} [rng] - Random number generator
      * @returns {Card[]} - Array of balanced cards
      */
-    static getBalancedCards(count = 1) {
+    static getBalancedCards(count = 1, rng) {
         const allCards = this.generateAllCards();
         const balancedCards = allCards.filter(card => card.isBalanced());
         
@@ -136,14 +120,7 @@ class CardGenerator {
             throw new Error('No balanced cards available');
         }
         
-        const selectedCards = [];
-        for (let i = 0; i < count && i < balancedCards.length; i++) {
-            const randomIndex = Math.floor(Math.random() * balancedCards.length);
-            const selectedCard = balancedCards.splice(randomIndex, 1)[0];
-            selectedCards.push(selectedCard);
-        }
-        
-        return selectedCards;
+        return this.selectRandomFromArray(balancedCards, count, rng);
     }
 
     /**
@@ -151,9 +128,10 @@ class CardGenerator {
      * @param {string} property - 'deception', 'magic', or 'attack'
      * @param {number} minValue - Minimum value for the property
      * @param {number} count - Number of cards to generate
+     * @param {SeededRandom} [rng] - Random number generator
      * @returns {Card[]} - Array of cards with high property values
      */
-    static getCardsWithHighProperty(property, minValue = 7, count = 1) {
+    static getCardsWithHighProperty(property, minValue = 7, count = 1, rng) {
         if (!GameRules.isValidProperty(property)) {
             throw new Error(`Invalid property: ${property}`);
         }
@@ -168,45 +146,41 @@ class CardGenerator {
             throw new Error(`No cards found with ${normalizedProperty} >= ${minValue}`);
         }
         
-        const selectedCards = [];
-        for (let i = 0; i < count && i < filteredCards.length; i++) {
-            const randomIndex = Math.floor(Math.random() * filteredCards.length);
-            const selectedCard = filteredCards.splice(randomIndex, 1)[0];
-            selectedCards.push(selectedCard);
-        }
-        
-        return selectedCards;
+        return this.selectRandomFromArray(filteredCards, count, rng);
     }
 
     /**
      * Generate a preset collection for testing purposes
      * @param {string} collectionType - 'balanced', 'extreme', 'mixed', 'weak', 'strong'
+     * @param {SeededRandom} [rng] - Random number generator
      * @returns {Card[]} - Array of 3 cards for testing
      */
-    static getTestCollection(collectionType = 'mixed') {
+    static getTestCollection(collectionType = 'mixed', rng) {
+        rng = SeededRandom.from(rng);
+        
         switch (collectionType.toLowerCase()) {
             case 'balanced':
-                return this.getBalancedCards(3);
+                return this.getBalancedCards(3, rng);
             
             case 'extreme':
                 // Cards with high differences between properties
-                return this.getCardsByRarity('Common', 3);
+                return this.getCardsByRarity('Common', 3, rng);
             
             case 'weak':
                 // Cards with generally lower values
-                return this.getCardsWithSpecificSum(15, 3);
+                return this.getCardsWithSpecificSum(15, 3, rng);
             
             case 'strong':
                 // Cards with generally higher values
-                return this.getCardsWithSpecificSum(25, 3);
+                return this.getCardsWithSpecificSum(25, 3, rng);
             
             case 'mixed':
             default:
                 // Mix of different card types
                 const cards = [];
-                cards.push(...this.getBalancedCards(1));
-                cards.push(...this.getCardsByRarity('Rare', 1));
-                cards.push(...this.getRandomCards(1, cards));
+                cards.push(...this.getBalancedCards(1, rng));
+                cards.push(...this.getCardsByRarity('Rare', 1, rng));
+                cards.push(...this.getRandomCards(1, cards, rng));
                 return cards;
         }
     }
@@ -215,9 +189,10 @@ class CardGenerator {
      * Get cards where highest property value equals specific value
      * @param {number} maxValue - Maximum property value on the card
      * @param {number} count - Number of cards to generate
+     * @param {SeededRandom} [rng] - Random number generator
      * @returns {Card[]} - Array of cards with specified max value
      */
-    static getCardsWithSpecificSum(targetSum, count = 1) {
+    static getCardsWithSpecificSum(targetSum, count = 1, rng) {
         // This is a helper for test collections
         // Since all cards sum to 20, we use different criteria
         const allCards = this.generateAllCards();
@@ -228,21 +203,23 @@ class CardGenerator {
                    true; // fallback
         });
         
-        return this.selectRandomFromArray(filteredCards, count);
+        return this.selectRandomFromArray(filteredCards, count, rng);
     }
 
     /**
      * Helper method to select random items from an array
      * @param {Array} array - Array to select from
      * @param {number} count - Number of items to select
+     * @param {SeededRandom} [rng] - Random number generator
      * @returns {Array} - Selected items
      */
-    static selectRandomFromArray(array, count) {
+    static selectRandomFromArray(array, count, rng) {
+        rng = SeededRandom.from(rng);
         const selected = [];
         const copy = [...array];
         
         for (let i = 0; i < count && copy.length > 0; i++) {
-            const randomIndex = Math.floor(Math.random() * copy.length);
+            const randomIndex = rng.nextInt(copy.length);
             selected.push(copy.splice(randomIndex, 1)[0]);
         }
         
@@ -251,23 +228,25 @@ class CardGenerator {
 
     /**
      * Analyze card distribution across all possible cards
+     * @param {CardUniverse|Object} [universe] - Card universe to analyze
      * @returns {Object} - Statistics about card distribution
      */
-    static analyzeCardDistribution() {
-        const allCards = this.generateAllCards();
+    static analyzeCardDistribution(universe) {
+        const cardUniverse = CardUniverse.from(universe);
+        const allCards = this.generateAllCards(cardUniverse);
         
         const stats = {
             totalCards: allCards.length,
             rarityDistribution: {},
-            propertyDistribution: {
-                deception: {},
-                magic: {},
-                attack: {}
-            },
+            propertyDistribution: {},
             balancedCards: 0,
             extremeCards: 0
         };
         
+        cardUniverse.properties.forEach(property => {
+            stats.propertyDistribution[property] = {};
+        });
+        
         // Analyze each card
         allCards.forEach(card => {
             // Rarity distribution
@@ -275,12 +254,11 @@ class CardGenerator {
             stats.rarityDistribution[rarity] = (stats.rarityDistribution[rarity] || 0) + 1;
             
             // Property value distribution
-            stats.propertyDistribution.deception[card.deception] = 
-                (stats.propertyDistribution.deception[card.deception] || 0) + 1;
-            stats.propertyDistribution.magic[card.magic] = 
-                (stats.propertyDistribution.magic[card.magic] || 0) + 1;
-            stats.propertyDistribution.attack[card.attack] = 
-                (stats.propertyDistribution.attack[card.attack] || 0) + 1;
+            cardUniverse.properties.forEach(property => {
+                const value = card.getProperty(property);
+                stats.propertyDistribution[property][value] = 
+                    (stats.propertyDistribution[property][value] || 0) + 1;
+            });
             
             // Balance analysis
             if (card.isBalanced()) {
@@ -296,23 +274,22 @@ class CardGenerator {
     /**
      * Validate that generated cards follow game rules
      * @param {Card[]} cards - Cards to validate
+     * @param {CardUniverse|Object} [universe] - Card universe the cards must belong to
      * @returns {boolean} - True if all cards are valid
      */
-    static validateCards(cards) {
+    static validateCards(cards, universe) {
+        const cardUniverse = CardUniverse.from(universe);
+        
         return cards.every(card => {
             try {
                 // Check if it's a Card instance
                 if (!(card instanceof Card)) return false;
                 
-                // Check property sum
-                if (card.deception + card.magic + card.attack !== 20) return false;
-                
-                // Check property ranges
-                if (card.deception < 1 || card.deception > 9) return false;
-                if (card.magic < 1 || card.magic > 9) return false;
-                if (card.attack < 1 || card.attack > 9) return false;
+                // Check the card belongs to this universe
+                if (!card.universe.equals(cardUniverse)) return false;
                 
-                return true;
+                // Check property sum and ranges
+                return cardUniverse.isValidCard(card.getProperties());
             } catch (error) {
                 return false;
             }
@@ -0,0 +1,283 @@
+// shared/core/card-universe.js - Card Universe Definition
+
+/**
+ * CardUniverse class describing which cards can exist: the properties on a card
+ * (taken from its RuleSet), the sum they must add up to and the allowed range of each value.
+ * Built from a GAME_MECHANICS-style object so alternate card sets can be prototyped
+ * from one config, e.g. { PROPERTY_SUM: 15, MIN_PROPERTY_VALUE: 1, MAX_PROPERTY_VALUE: 7 }
+ * or { PROPERTY_SUM: 25, RULE_SET: GameConfig.RULE_SETS.EXTENDED }
+ */
+class CardUniverse {
+    constructor(mechanics = {}) {
+        const defaults = GameConfig.GAME_MECHANICS;
+
+        this.propertySum = mechanics.PROPERTY_SUM !== undefined ? mechanics.PROPERTY_SUM : defaults.PROPERTY_SUM;
+        this.minValue = mechanics.MIN_PROPERTY_VALUE !== undefined ? mechanics.MIN_PROPERTY_VALUE : defaults.MIN_PROPERTY_VALUE;
+        this.maxValue = mechanics.MAX_PROPERTY_VALUE !== undefined ? mechanics.MAX_PROPERTY_VALUE : defaults.MAX_PROPERTY_VALUE;
+        this.ruleSet = RuleSet.from(mechanics.RULE_SET);
+        this.properties = this.ruleSet.getProperties();
+        this.propertyCount = mechanics.PROPERTIES_PER_CARD !== undefined ? mechanics.PROPERTIES_PER_CARD : this.properties.length;
+
+        const errors = CardUniverse.getValidationErrors(this.toConfig());
+        if (errors.length > 0) {
+            throw new Error(`Invalid card universe: ${errors.join('; ')}`);
+        }
+
+        Object.freeze(this.properties);
+        Object.freeze(this);
+    }
+
+    /**
+     * Get the universe described by GameConfig.GAME_MECHANICS
+     * @returns {CardUniverse} - Default card universe
+     */
+    static getDefault() {
+        if (!this.defaultUniverse || !this.defaultUniverse.matchesConfig(GameConfig.GAME_MECHANICS)) {
+            this.defaultUniverse = new CardUniverse(GameConfig.GAME_MECHANICS);
+        }
+        return this.defaultUniverse;
+    }
+
+    /**
+     * Resolve a universe argument (instance, config object or nothing)
+     * @param {CardUniverse|Object} [universe] - Universe or GAME_MECHANICS-style config
+     * @returns {CardUniverse} - Card universe
+     */
+    static from(universe) {
+        if (universe instanceof CardUniverse) {
+            return universe;
+        }
+        if (universe === undefined || universe === null) {
+            return this.getDefault();
+        }
+        return new CardUniverse(universe);
+    }
+
+    /**
+     * List everything wrong with a GAME_MECHANICS-style universe config
+     * @param {Object} mechanics - Config to check
+     * @returns {string[]} - Error messages (empty if valid)
+     */
+    static getValidationErrors(mechanics) {
+        const errors = [];
+        const sum = mechanics.PROPERTY_SUM;
+        const min = mechanics.MIN_PROPERTY_VALUE;
+        const max = mechanics.MAX_PROPERTY_VALUE;
+        const count = mechanics.PROPERTIES_PER_CARD;
+        let ruleSet;
+        try {
+            ruleSet = RuleSet.from(mechanics.RULE_SET);
+        } catch (error) {
+            return [error.message];
+        }
+
+        if (!Number.isInteger(sum) || sum < 1) errors.push(`PROPERTY_SUM must be a positive integer (got ${sum})`);
+        if (!Number.isInteger(min) || min < 0) errors.push(`MIN_PROPERTY_VALUE must be a non-negative integer (got ${min})`);
+        if (!Number.isInteger(max) || max < min) errors.push(`MAX_PROPERTY_VALUE must be an integer >= MIN_PROPERTY_VALUE (got ${max})`);
+        if (count !== undefined && count !== ruleSet.getPropertyCount()) {
+            errors.push(`PROPERTIES_PER_CARD must match the rule set's ${ruleSet.getPropertyCount()} properties (got ${count})`);
+        }
+
+        // At least one card must be possible
+        const propertyCount = ruleSet.getPropertyCount();
+        if (errors.length === 0 && (min * propertyCount > sum || max * propertyCount < sum)) {
+            errors.push(`No card can sum to ${sum} with ${propertyCount} values between ${min} and ${max}`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check whether a value is allowed on a card
+     * @param {number} value - Property value to check
+     * @returns {boolean} - True if valid
+     */
+    isValidValue(value) {
+        return Number.isInteger(value) && value >= this.minValue && value <= this.maxValue;
+    }
+
+    /**
+     * Check whether a set of property values forms a valid card
+     * @param {Object} values - Map of property name to value
+     * @returns {boolean} - True if valid
+     */
+    isValidCard(values) {
+        return this.getCardErrors(values).length === 0;
+    }
+
+    /**
+     * List everything wrong with a set of property values
+     * @param {Object} values - Map of property name to value
+     * @returns {string[]} - Error messages (empty if valid)
+     */
+    getCardErrors(values) {
+        const errors = [];
+
+        this.properties.forEach(property => {
+            if (!this.isValidValue(values[property])) {
+                errors.push(`Each property must be between ${this.minValue} and ${this.maxValue} inclusive (${property}: ${values[property]})`);
+            }
+        });
+
+        const total = this.getValueSum(values);
+        if (total !== this.propertySum) {
+            errors.push(`Card properties must sum to ${this.propertySum}. Got: ${total}`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Sum the values of all properties
+     * @param {Object} values - Map of property name to value
+     * @returns {number} - Sum of values
+     */
+    getValueSum(values) {
+        return this.properties.reduce((sum, property) => sum + values[property], 0);
+    }
+
+    /**
+     * Build a property map from values given in property order
+     * @param {number[]} valueList - Values in the order of this.properties
+     * @returns {Object} - Map of property name to value
+     */
+    valuesFromArray(valueList) {
+        const values = {};
+        this.properties.forEach((property, index) => {
+            values[property] = valueList[index];
+        });
+        return values;
+    }
+
+    /**
+     * Enumerate every valid value combination, in lexicographic property order
+     * @returns {Object[]} - Array of property maps
+     */
+    enumerateValues() {
+        const results = [];
+        const current = [];
+        const count = this.propertyCount;
+
+        const fill = (index, remaining) => {
+            const slotsLeft = count - index - 1;
+
+            if (slotsLeft === 0) {
+                if (this.isValidValue(remaining)) {
+                    results.push(this.valuesFromArray([...current, remaining]));
+                }
+                return;
+            }
+
+            for (let value = this.minValue; value <= this.maxValue; value++) {
+                const rest = remaining - value;
+                // Prune when the remaining slots can no longer reach the sum
+                if (rest < slotsLeft * this.minValue || rest > slotsLeft * this.maxValue) continue;
+                current.push(value);
+                fill(index + 1, rest);
+                current.pop();
+            }
+        };
+
+        fill(0, this.propertySum);
+        return results;
+    }
+
+    /**
+     * Get the spread between highest and lowest value, relative to the value range
+     * @param {Object} values - Map of property name to value
+     * @returns {number} - Ratio between 0 (flat) and 1 (most extreme)
+     */
+    getSpreadRatio(values) {
+        const range = this.maxValue - this.minValue;
+        if (range === 0) return 0;
+
+        const list = this.properties.map(property => values[property]);
+        return (Math.max(...list) - Math.min(...list)) / range;
+    }
+
+    /**
+     * Get rarity from property distribution, scaled to this universe's value range
+     * (for the standard 1-9 range: difference <= 1 Legendary, <= 3 Epic, <= 5 Rare)
+     * @param {Object} values - Map of property name to value
+     * @returns {string} - Rarity level
+     */
+    getRarity(values) {
+        const spread = this.getSpreadRatio(values);
+        const levels = GameConfig.RARITY_LEVELS;
+
+        if (spread <= 1 / 8) return levels.LEGENDARY; // Very balanced
+        if (spread <= 3 / 8) return levels.EPIC;      // Balanced
+        if (spread <= 5 / 8) return levels.RARE;      // Moderate
+        return levels.COMMON;                         // Extreme
+    }
+
+    /**
+     * Check if values are balanced (difference <= 3 on the standard 1-9 range)
+     * @param {Object} values - Map of property name to value
+     * @returns {boolean} - True if balanced
+     */
+    isBalanced(values) {
+        return this.getSpreadRatio(values) <= 3 / 8;
+    }
+
+    /**
+     * Get the most points a single round can award (highest minus lowest value)
+     * @returns {number} - Maximum single round score
+     */
+    getMaxRoundScore() {
+        return this.maxValue - this.minValue;
+    }
+
+    /**
+     * Check if this universe is described by a GAME_MECHANICS-style config
+     * @param {Object} mechanics - Config to compare against
+     * @returns {boolean} - True if equivalent
+     */
+    matchesConfig(mechanics) {
+        return this.propertySum === mechanics.PROPERTY_SUM &&
+               this.minValue === mechanics.MIN_PROPERTY_VALUE &&
+               this.maxValue === mechanics.MAX_PROPERTY_VALUE &&
+               this.ruleSet.equals(RuleSet.from(mechanics.RULE_SET));
+    }
+
+    /**
+     * Check if two universes define the same set of cards
+     * @param {CardUniverse} other - Universe to compare with
+     * @returns {boolean} - True if equivalent
+     */
+    equals(other) {
+        return other instanceof CardUniverse && this.matchesConfig(other.toConfig());
+    }
+
+    /**
+     * Convert universe to a GAME_MECHANICS-style config object
+     * @returns {Object} - Plain config object
+     */
+    toConfig() {
+        return {
+            PROPERTY_SUM: this.propertySum,
+            MIN_PROPERTY_VALUE: this.minValue,
+            MAX_PROPERTY_VALUE: this.maxValue,
+            PROPERTIES_PER_CARD: this.propertyCount,
+            RULE_SET: this.ruleSet.toJSON()
+        };
+    }
+
+    /**
+     * Convert universe to JSON-serializable object
+     * @returns {Object} - Plain object representation
+     */
+    toJSON() {
+        return this.toConfig();
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CardUniverse };
+}
+
+// Also make available globally for browser
+if (typeof window !== 'undefined') {
+    window.CardUniverse = CardUniverse;
+}
\ No newline at end of file
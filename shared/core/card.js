@@ -2,41 +2,66 @@
 
 /**
  * Card class representing a single card with Deception, Magic, Attack properties
+ * (or whatever properties its CardUniverse defines)
  * This class is reusable across console, web testing, and future Cardano integration
+ *
+ * Construct with positional values in universe property order,
+ * `new Card(id, deception, magic, attack)`, or with a value map,
+ * `new Card(id, { deception, magic, attack })`. Either form accepts a
+ * CardUniverse as the last argument; the default comes from GameConfig.GAME_MECHANICS.
+ * The value map may also list the card's abilities (CardAbility ids):
+ * `new Card(id, { deception, magic, attack, abilities: ['double-points'] })`.
  */
 class Card {
-    constructor(id, deception, magic, attack) {
-        // Validate property sum
-        if (deception + magic + attack !== 20) {
-            throw new Error(`Card properties must sum to 20. Got: ${deception + magic + attack}`);
-        }
+    constructor(id, ...args) {
+        const universe = args[args.length - 1] instanceof CardUniverse ? args.pop() : CardUniverse.getDefault();
+        const values = args.length === 1 && typeof args[0] === 'object' && args[0] !== null
+            ? { ...args[0] }
+            : universe.valuesFromArray(args);
         
-        // Validate individual property ranges
-        if (!this.isValidProperty(deception) || !this.isValidProperty(magic) || !this.isValidProperty(attack)) {
-            throw new Error('Each property must be between 1 and 9 inclusive');
+        // Validate property sum and individual property ranges
+        const errors = universe.getCardErrors(values);
+        if (errors.length > 0) {
+            throw new Error(errors[0]);
         }
         
         this.id = id;
-        this.deception = deception;
-        this.magic = magic;
-        this.attack = attack;
+        this.universe = universe;
+        this.values = Object.freeze(universe.valuesFromArray(universe.properties.map(p => values[p])));
+        this.abilities = Object.freeze([...(values.abilities || [])]);
+        
+        // Expose each property as a field (card.deception, card.magic, ...)
+        universe.properties.forEach(property => {
+            this[property] = this.values[property];
+        });
         
         // Legacy support for old property names (for backward compatibility)
-        this.rock = deception;
-        this.paper = magic;
-        this.scissors = attack;
+        Object.entries(Card.LEGACY_PROPERTY_MAP).forEach(([legacy, property]) => {
+            if (this.values[property] !== undefined) {
+                this[legacy] = this.values[property];
+            }
+        });
         
         // Freeze the object to prevent modification after creation
         Object.freeze(this);
     }
 
+    /**
+     * Legacy property names mapped to their current names
+     */
+    static LEGACY_PROPERTY_MAP = {
+        'rock': 'deception',
+        'paper': 'magic',
+        'scissors': 'attack'
+    };
+
     /**
      * Validate if a property value is within allowed range
      * @param {number} value - Property value to validate
      * @returns {boolean} - True if valid
      */
     isValidProperty(value) {
-        return Number.isInteger(value) && value >= 1 && value <= 9;
+        return this.universe.isValidValue(value);
     }
 
     /**
@@ -46,21 +71,21 @@ class Card {
      */
     getProperty(property) {
         // Support both new and legacy property names
-        const propertyMap = {
-            'rock': 'deception',
-            'paper': 'magic', 
-            'scissors': 'attack',
-            'deception': 'deception',
-            'magic': 'magic',
-            'attack': 'attack'
-        };
+        const mappedProperty = Card.LEGACY_PROPERTY_MAP[property] || property;
         
-        const mappedProperty = propertyMap[property];
-        if (!mappedProperty) {
+        if (!Object.prototype.hasOwnProperty.call(this.values, mappedProperty)) {
             throw new Error(`Invalid property name: ${property}`);
         }
         
-        return this[mappedProperty];
+        return this.values[mappedProperty];
+    }
+
+    /**
+     * Get the names of all properties on this card
+     * @returns {string[]} - Property names in universe order
+     */
+    getPropertyNames() {
+        return [...this.universe.properties];
     }
 
     /**
@@ -68,11 +93,25 @@ class Card {
      * @returns {Object} - Object with all property values
      */
     getProperties() {
-        return {
-            deception: this.deception,
-            magic: this.magic,
-            attack: this.attack
-        };
+        return { ...this.values };
+    }
+
+    /**
+     * Check if the card carries an ability
+     * @param {string} abilityId - CardAbility id
+     * @returns {boolean} - True if the card has the ability
+     */
+    hasAbility(abilityId) {
+        return this.abilities.includes(abilityId);
+    }
+
+    /**
+     * Get a copy of this card carrying the given abilities
+     * @param {string[]} abilities - CardAbility ids
+     * @returns {Card} - New Card instance
+     */
+    withAbilities(abilities) {
+        return new Card(this.id, { ...this.values, abilities: abilities }, this.universe);
     }
 
     /**
@@ -81,13 +120,13 @@ class Card {
      * @returns {boolean} - True if cards have identical properties
      */
     isIdentical(otherCard) {
-        if (!(otherCard instanceof Card)) {
+        if (!(otherCard instanceof Card) || !this.universe.equals(otherCard.universe)) {
             return false;
         }
         
-        return this.deception === otherCard.deception &&
-               this.magic === otherCard.magic &&
-               this.attack === otherCard.attack;
+        return this.universe.properties.every(property => 
+            this.values[property] === otherCard.values[property]
+        );
     }
 
     /**
@@ -95,11 +134,9 @@ class Card {
      * @returns {Object} - {property: string, value: number}
      */
     getHighestProperty() {
-        const properties = [
-            { property: 'deception', value: this.deception },
-            { property: 'magic', value: this.magic },
-            { property: 'attack', value: this.attack }
-        ];
+        const properties = this.universe.properties.map(property => 
+            ({ property, value: this.values[property] })
+        );
         
         return properties.reduce((max, current) => 
             current.value > max.value ? current : max
@@ -111,11 +148,9 @@ class Card {
      * @returns {Object} - {property: string, value: number}
      */
     getLowestProperty() {
-        const properties = [
-            { property: 'deception', value: this.deception },
-            { property: 'magic', value: this.magic },
-            { property: 'attack', value: this.attack }
-        ];
+        const properties = this.universe.properties.map(property => 
+            ({ property, value: this.values[property] })
+        );
         
         return properties.reduce((min, current) => 
             current.value < min.value ? current : min
@@ -123,13 +158,11 @@ class Card {
     }
 
     /**
-     * Check if this card is balanced (max difference <= 3)
+     * Check if this card is balanced (max difference <= 3 on the standard 1-9 range)
      * @returns {boolean} - True if card is balanced
      */
     isBalanced() {
-        const highest = this.getHighestProperty().value;
-        const lowest = this.getLowestProperty().value;
-        return (highest - lowest) <= 3;
+        return this.universe.isBalanced(this.values);
     }
 
     /**
@@ -137,14 +170,7 @@ class Card {
      * @returns {string} - Rarity level
      */
     getRarity() {
-        const highest = this.getHighestProperty().value;
-        const lowest = this.getLowestProperty().value;
-        const difference = highest - lowest;
-        
-        if (difference <= 1) return 'Legendary'; // Very balanced
-        if (difference <= 3) return 'Epic';      // Balanced
-        if (difference <= 5) return 'Rare';      // Moderate
-        return 'Common';                         // Extreme
+        return this.universe.getRarity(this.values);
     }
 
     /**
@@ -152,7 +178,10 @@ class Card {
      * @returns {string} - Human readable card description
      */
     toString() {
-        return `Deception: ${this.deception}, Magic: ${this.magic}, Attack: ${this.attack}`;
+        const ruleSet = this.universe.ruleSet;
+        return this.universe.properties
+            .map(property => `${ruleSet.getName(property)}: ${this.values[property]}`)
+            .join(', ');
     }
 
     /**
@@ -160,7 +189,10 @@ class Card {
      * @returns {string} - Compact card description
      */
     toCompactString() {
-        return `🎭${this.deception} ✨${this.magic} ⚔️${this.attack}`;
+        const ruleSet = this.universe.ruleSet;
+        return this.universe.properties
+            .map(property => `${ruleSet.getIcon(property) || ruleSet.getName(property).charAt(0)}${this.values[property]}`)
+            .join(' ');
     }
 
     /**
@@ -168,23 +200,39 @@ class Card {
      * @returns {Object} - Plain object representation
      */
     toJSON() {
-        return {
+        const json = {
             id: this.id,
-            deception: this.deception,
-            magic: this.magic,
-            attack: this.attack,
+            ...this.values,
             rarity: this.getRarity(),
             balanced: this.isBalanced()
         };
+        
+        if (this.abilities.length > 0) {
+            json.abilities = [...this.abilities];
+        }
+        
+        // Only non-standard cards need to carry their universe
+        if (!this.universe.equals(CardUniverse.getDefault())) {
+            json.universe = this.universe.toJSON();
+        }
+        
+        return json;
     }
 
     /**
      * Create a Card from a plain object
      * @param {Object} obj - Plain object with card data
+     * @param {CardUniverse|Object} [universe] - Universe to use if obj does not carry one
      * @returns {Card} - New Card instance
      */
-    static fromJSON(obj) {
-        return new Card(obj.id, obj.deception, obj.magic, obj.attack);
+    static fromJSON(obj, universe) {
+        const cardUniverse = CardUniverse.from(obj.universe || universe);
+        const values = {};
+        cardUniverse.properties.forEach(property => {
+            values[property] = obj[property];
+        });
+        values.abilities = obj.abilities;
+        return new Card(obj.id, values, cardUniverse);
     }
 
     /**
@@ -0,0 +1,127 @@
+// shared/core/event-emitter.js - Minimal Event Emitter
+
+/**
+ * EventEmitter class letting UIs, loggers and network layers subscribe to engine events
+ * (see GameConfig.GAME_EVENTS) instead of polling manager state
+ */
+class EventEmitter {
+    /**
+     * @param {string[]} [eventNames] - Allowed event names (any name if omitted)
+     */
+    constructor(eventNames = null) {
+        this.eventNames = eventNames;
+        this.eventListeners = {};
+    }
+
+    /**
+     * Check that an event name is allowed
+     * @param {string} event - Event name
+     */
+    validateEventName(event) {
+        if (this.eventNames && !this.eventNames.includes(event)) {
+            throw new Error(`Unknown event: ${event}`);
+        }
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} - Call to unsubscribe
+     */
+    on(event, listener) {
+        this.validateEventName(event);
+        if (typeof listener !== 'function') {
+            throw new Error('Event listener must be a function');
+        }
+
+        if (!this.eventListeners[event]) {
+            this.eventListeners[event] = [];
+        }
+        this.eventListeners[event].push(listener);
+
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} - Call to unsubscribe
+     */
+    once(event, listener) {
+        const wrapper = payload => {
+            this.off(event, wrapper);
+            listener(payload);
+        };
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} listener - Listener passed to on()
+     * @returns {boolean} - True if the listener was subscribed
+     */
+    off(event, listener) {
+        const listeners = this.eventListeners[event] || [];
+        const index = listeners.indexOf(listener);
+        if (index === -1) {
+            return false;
+        }
+
+        listeners.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Remove all listeners for one event, or for every event
+     * @param {string} [event] - Event name
+     */
+    removeAllListeners(event) {
+        if (event === undefined) {
+            this.eventListeners = {};
+        } else {
+            delete this.eventListeners[event];
+        }
+    }
+
+    /**
+     * Publish an event to its listeners
+     * A failing listener is logged and does not stop the game or the other listeners
+     * @param {string} event - Event name
+     * @param {*} payload - Event data
+     */
+    emit(event, payload) {
+        this.validateEventName(event);
+
+        [...(this.eventListeners[event] || [])].forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Error in ${event} listener:`, error);
+            }
+        });
+    }
+
+    /**
+     * Re-publish events from another emitter as this emitter's own
+     * @param {EventEmitter} source - Emitter to forward from
+     * @param {string[]} events - Event names to forward
+     */
+    forwardEvents(source, events) {
+        events.forEach(event => {
+            source.on(event, payload => this.emit(event, payload));
+        });
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventEmitter };
+}
+
+// Also make available globally for browser
+if (typeof window !== 'undefined') {
+    window.EventEmitter = EventEmitter;
+}
\ No newline at end of file
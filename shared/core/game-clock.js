@@ -0,0 +1,79 @@
+// shared/core/game-clock.js - Injectable Game Clock
+
+/**
+ * GameClock class supplying the current time to the engine's move timers.
+ * A system clock follows Date.now(); a manual clock only moves when advanced,
+ * so tests and simulations can expire timers without waiting
+ */
+class GameClock {
+    /**
+     * @param {number|null} [startTime] - Start time of a manual clock in ms (system clock if omitted)
+     */
+    constructor(startTime = null) {
+        if (startTime !== null && !Number.isFinite(startTime)) {
+            throw new Error(`Invalid clock start time: ${startTime}`);
+        }
+
+        this.isManual = startTime !== null;
+        this.currentTime = startTime;
+    }
+
+    /**
+     * Create a manual clock
+     * @param {number} [startTime] - Start time in ms
+     * @returns {GameClock} - Clock that only moves when advanced
+     */
+    static manual(startTime = 0) {
+        return new GameClock(startTime);
+    }
+
+    /**
+     * Resolve a clock argument (instance or nothing)
+     * @param {GameClock} [clock] - Clock to use
+     * @returns {GameClock} - Clock (a system clock if omitted)
+     */
+    static from(clock) {
+        if (clock instanceof GameClock) {
+            return clock;
+        }
+        if (clock === undefined || clock === null) {
+            return new GameClock();
+        }
+        throw new Error('Clock must be a GameClock');
+    }
+
+    /**
+     * Get the current time
+     * @returns {number} - Time in ms
+     */
+    now() {
+        return this.isManual ? this.currentTime : Date.now();
+    }
+
+    /**
+     * Move a manual clock forward
+     * @param {number} ms - Time to advance in ms
+     * @returns {number} - New current time
+     */
+    advance(ms) {
+        if (!this.isManual) {
+            throw new Error('Only a manual clock can be advanced');
+        }
+        if (!Number.isFinite(ms) || ms < 0) {
+            throw new Error(`Invalid time to advance: ${ms}`);
+        }
+
+        this.currentTime += ms;
+        return this.currentTime;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameClock };
+}
+
+// Also make available globally for browser
+if (typeof window !== 'undefined') {
+    window.GameClock = GameClock;
+}
\ No newline at end of file
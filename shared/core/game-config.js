@@ -20,7 +20,67 @@ class GameConfig {
     };
 
     /**
-     * Property names and identifiers
+     * Alternate card universes for prototyping new card sets
+     * Pass one to CardUniverse / CardGenerator.generateAllCards / MatchManager options
+     */
+    static CARD_UNIVERSES = {
+        STANDARD: {
+            PROPERTY_SUM: 20,
+            MIN_PROPERTY_VALUE: 1,
+            MAX_PROPERTY_VALUE: 9
+        },
+        COMPACT: {
+            PROPERTY_SUM: 15,
+            MIN_PROPERTY_VALUE: 1,
+            MAX_PROPERTY_VALUE: 7
+        },
+        HEAVY: {
+            PROPERTY_SUM: 24,
+            MIN_PROPERTY_VALUE: 2,
+            MAX_PROPERTY_VALUE: 10
+        }
+    };
+
+    /**
+     * Property rule sets: which properties exist and which property beats which
+     * Pass one as RULE_SET in a card universe config to play with it
+     */
+    static RULE_SETS = {
+        STANDARD: {
+            NAME: 'Deception Magic Attack',
+            PROPERTIES: {
+                deception: { name: 'Deception', icon: '🎭' },
+                magic: { name: 'Magic', icon: '✨' },
+                attack: { name: 'Attack', icon: '⚔️' }
+            },
+            BEATS: {
+                deception: ['attack'],       // Deception beats Attack
+                attack: ['magic'],           // Attack beats Magic
+                magic: ['deception']         // Magic beats Deception
+            }
+        },
+        EXTENDED: {
+            // Rock-Paper-Scissors-Lizard-Spock style: every property beats two and loses to two
+            NAME: 'Deception Magic Attack Stealth Wisdom',
+            PROPERTIES: {
+                deception: { name: 'Deception', icon: '🎭' },
+                magic: { name: 'Magic', icon: '✨' },
+                attack: { name: 'Attack', icon: '⚔️' },
+                stealth: { name: 'Stealth', icon: '🌑' },
+                wisdom: { name: 'Wisdom', icon: '🦉' }
+            },
+            BEATS: {
+                deception: ['attack', 'stealth'],
+                attack: ['magic', 'stealth'],
+                magic: ['deception', 'wisdom'],
+                stealth: ['magic', 'wisdom'],
+                wisdom: ['attack', 'deception']
+            }
+        }
+    };
+
+    /**
+     * Property names and identifiers (standard rule set)
      */
     static PROPERTIES = {
         DECEPTION: 'deception',
@@ -37,12 +97,140 @@ class GameConfig {
         SCISSORS: 'scissors'
     };
 
+    /**
+     * How the winner of a match is decided (see MatchFormat)
+     */
+    static WIN_CONDITIONS = {
+        TOTAL_POINTS: 'total-points',    // Most points after all card games
+        CARD_GAMES: 'card-games',        // Most card games won (total points break ties)
+        FIRST_TO: 'first-to'             // First to TARGET_POINTS ends the match at once
+    };
+
+    /**
+     * Match formats selectable per match (pass one as the MatchManager format option)
+     */
+    static MATCH_FORMATS = {
+        STANDARD: {
+            NAME: 'Standard',
+            DECK_SIZE: 3,
+            CARDS_PLAYED: 3,
+            WIN_CONDITION: 'total-points'
+        },
+        BRING_FIVE_PLAY_THREE: {
+            NAME: 'Bring 5, Play 3',
+            DECK_SIZE: 5,
+            CARDS_PLAYED: 3,
+            WIN_CONDITION: 'total-points'
+        },
+        CARD_GAMES: {
+            NAME: 'Card Games Won',
+            DECK_SIZE: 3,
+            CARDS_PLAYED: 3,
+            WIN_CONDITION: 'card-games'
+        },
+        FIRST_TO_15: {
+            NAME: 'First to 15',
+            DECK_SIZE: 5,
+            CARDS_PLAYED: 5,
+            WIN_CONDITION: 'first-to',
+            TARGET_POINTS: 15
+        }
+    };
+
+    /**
+     * Free-for-all player limits (see FreeForAllManager)
+     */
+    static FREE_FOR_ALL = {
+        MIN_PLAYERS: 3,
+        MAX_PLAYERS: 4
+    };
+
+    /**
+     * 2v2 team mode limits (see TeamMatchManager)
+     */
+    static TEAM_MODE = {
+        PLAYERS_PER_TEAM: 2,
+        HINTS_PER_CARD_GAME: 1           // Hints each player may send their teammate per card game
+    };
+
+    /**
+     * Who plays whom in a 2v2 round (pass one as the TeamMatchManager pairing option)
+     */
+    static TEAM_PAIRINGS = {
+        FIXED: 'fixed',                  // 1 v 3 and 2 v 4 every round
+        ROTATING: 'rotating'             // Opponents swap every other round (1 v 4 and 2 v 3)
+    };
+
+    /**
+     * Tiebreakers that decide a match ending level (pass one as the MatchManager tiebreaker option)
+     */
+    static TIEBREAKERS = {
+        SUDDEN_DEATH: 'sudden-death',    // Single rounds with the last cards played until one is won
+        RESERVE_CARD: 'reserve-card'     // An extra card game with a reserve card, then sudden death
+    };
+
+    /**
+     * What happens when a player's move timer expires (pass one as the MatchManager onTimeout option)
+     */
+    static TIMEOUT_ACTIONS = {
+        RANDOM: 'random',                // Play a random legal move for the player
+        AI: 'ai',                        // Play the move AIStrategy would choose
+        FORFEIT: 'forfeit'               // The player forfeits the match
+    };
+
+    /**
+     * How a match ended (matchResult.terminationReason), so stats and ratings can tell endings apart
+     */
+    static TERMINATION_REASONS = {
+        NORMAL: 'normal',                // All card games played (or a first-to-N target reached)
+        RESIGNATION: 'resignation',      // A player resigned
+        TIMEOUT: 'timeout',              // A player forfeited by running out of time
+        DISCONNECT: 'disconnect',        // A player lost connection and did not return
+        ABANDONED: 'abandoned'           // A player left the match
+    };
+
+    /**
+     * Tiebreaker limits
+     */
+    static TIEBREAKER_RULES = {
+        MAX_SUDDEN_DEATH_ROUNDS: 5       // After this many tied rounds a seeded coin toss decides
+    };
+
+    /**
+     * Built-in card abilities (see CardAbility); list them in a card's abilities
+     */
+    static CARD_ABILITIES = {
+        PEEK: 'peek',                    // See the opponent's property this round before choosing
+        SWAP_VALUES: 'swap-values',      // Swap two of your values for this round
+        DOUBLE_POINTS: 'double-points',  // Double your points this round
+        NULLIFY_LOSS: 'nullify-loss'     // Passive: the first lost round with the card is cancelled
+    };
+
+    /**
+     * Who decides when a card ability is used
+     */
+    static ABILITY_TRIGGERS = {
+        ACTIVATED: 'activated',          // The player activates it during property selection (once per card game)
+        PASSIVE: 'passive'               // Fires by itself when its condition is met (once per card game)
+    };
+
+    /**
+     * When a card ability resolves during a round
+     */
+    static ABILITY_HOOKS = {
+        ACTIVATE: 'activate',            // As soon as the player activates it
+        BEFORE_SCORING: 'before-scoring', // After both properties are chosen, before points are calculated
+        AFTER_SCORING: 'after-scoring'   // After points are calculated, before the round winner is decided
+    };
+
     /**
      * Game phases and states
      */
     static GAME_PHASES = {
+        BAN: 'ban',                              // Optional: each player bans one opponent card before the first card game
         CARD_SELECTION: 'card-selection',
         PROPERTY_SELECTION: 'property-selection',
+        PROPERTY_REVEAL: 'property-reveal',      // Commit-reveal matches: both players committed
         ROUND_RESULT: 'round-result',
         AUTO_ROUND: 'auto-round',
         CARD_COMPLETE: 'card-complete',
@@ -50,6 +238,24 @@ class GameConfig {
         WAITING: 'waiting'
     };
 
+    /**
+     * What a player sees of the opponent's deck in the ban phase (pass one as the MatchManager bans option)
+     */
+    static BAN_VISIBILITY = {
+        FULL: 'full',                    // Every card with its values
+        RARITY: 'rarity'                 // Only each card's rarity
+    };
+
+    /**
+     * Handicaps for mismatched players (pass {player1, player2} as the MatchManager handicaps option,
+     * each player's handicaps keyed by these ids)
+     */
+    static HANDICAPS = {
+        STARTING_POINTS: 'startingPoints',   // Points the player starts the match with
+        PEEK: 'peek',                        // true: see the opponent's chosen property before choosing, once per card game
+        EXTRA_CARDS: 'extraCards'            // Cards brought beyond the format's deck size (still playing format.cardsPlayed)
+    };
+
     /**
      * Game modes
      */
@@ -57,6 +263,8 @@ class GameConfig {
         DEMO: 'demo',                    // Testing with generated cards
         PVC: 'pvc',                      // Player vs Computer
         PVP: 'pvp',                      // Player vs Player
+        FREE_FOR_ALL: 'ffa',             // Three or more players, every pair scored each round
+        TEAMS: 'teams',                  // 2v2, pairings scored into a team total
         BLOCKCHAIN: 'blockchain',         // Future: Real NFT gameplay
         CONSOLE: 'console'               // Console/terminal mode
     };
@@ -100,23 +308,134 @@ class GameConfig {
             EASY: 'easy',
             NORMAL: 'normal',
             HARD: 'hard',
-            EXPERT: 'expert'
+            EXPERT: 'expert',
+            OPTIMAL: 'optimal',          // Equilibrium mixed strategy for each card game
+            ADAPTIVE: 'adaptive'         // Best-responds to an OpponentModel, falling back to the equilibrium
         },
         DEFAULT_DIFFICULTY: 'normal',
         THINKING_DELAY: 500,             // Delay to simulate AI thinking (ms)
         RANDOMNESS_FACTOR: 0.1,          // How much randomness to add to AI decisions
-        LOOK_AHEAD_DEPTH: 2              // How many moves ahead AI considers
+        LOOK_AHEAD_DEPTH: 2,             // How many moves ahead AI considers
+        SEARCH_NODE_LIMIT: 5000,         // Positions a look-ahead search may visit before it stops deepening
+        OPPONENT_MODEL: {
+            TYPES: {
+                FREQUENCY: 'frequency',  // Choices counted by round of the card game
+                MARKOV: 'markov'         // Choices counted by the property played before
+            },
+            SMOOTHING: 1,                // Pseudo-count every choice starts with
+            RECENT_CHOICES: 30,          // Choices the model's recent accuracy is measured over
+            CONFIDENCE_OBSERVATIONS: 10, // Observations at which the model is trusted halfway
+            TRUSTED_EDGE: 0.25,          // Recent edge over a uniform guess at which the model is fully trusted
+            MAX_EXPLOITATION: 0.8        // Highest share of moves that best-respond (the rest play the equilibrium)
+        }
     };
 
     /**
      * Scoring configuration
      */
     static SCORING = {
-        WIN_BONUS: 0,                    // Bonus points for winning a round
-        PERFECT_GAME_BONUS: 0,           // Bonus for winning all rounds
-        COMEBACK_BONUS: 0,               // Bonus for winning after being behind
+        DEFAULT_SYSTEM: 'difference',    // Round scoring system (see SCORING_SYSTEMS)
         MIN_SCORE: 0,                    // Minimum possible score
-        MAX_SINGLE_ROUND_SCORE: 8        // Maximum points in a single round (9-1)
+        MAX_SINGLE_ROUND_SCORE: 8        // Maximum points in a single round (9-1, see CardUniverse.getMaxRoundScore)
+    };
+
+    /**
+     * Bonus ruleset awarded by ScoreManager on top of round points
+     * TRIGGER says when a rule is checked ('round' after every round, 'card' after every card game);
+     * pass a subset (or {}) as the MatchManager bonusRules option to change or disable bonuses
+     */
+    static BONUS_RULES = {
+        PERFECT_ROUND: {
+            TYPE: 'perfect_round',
+            NAME: 'Perfect Round',
+            POINTS: 2,                   // Winning a round with the highest value against the lowest
+            TRIGGER: 'round'
+        },
+        WIN_STREAK: {
+            TYPE: 'win_streak',
+            NAME: 'Win Streak',
+            POINTS: 3,                   // Winning LENGTH rounds in a row (awarded again every LENGTH wins)
+            TRIGGER: 'round',
+            LENGTH: 3
+        },
+        CLEAN_SHEET: {
+            TYPE: 'clean_sheet',
+            NAME: 'Clean Sheet',
+            POINTS: 3,                   // Winning a card game without the opponent scoring
+            TRIGGER: 'card'
+        },
+        COMEBACK: {
+            TYPE: 'comeback',
+            NAME: 'Comeback',
+            POINTS: 4,                   // Trailing before a card game and leading after it
+            TRIGGER: 'card'
+        },
+        UNDERDOG: {
+            TYPE: 'underdog',
+            NAME: 'Underdog',
+            POINTS: 2,                   // Winning a card game with a card of lower rarity than the opponent's
+            TRIGGER: 'card'
+        }
+    };
+
+    /**
+     * Events published by the match managers, RoundManager, ScoreManager and DraftManager (see EventEmitter)
+     */
+    static GAME_EVENTS = {
+        MATCH_STARTED: 'matchStarted',           // Payload: match start information
+        CARD_BANNED: 'cardBanned',               // Payload: {playerNumber} (never which card until both have banned)
+        BANS_COMPLETE: 'bansComplete',           // Payload: bans {visibility, player1, player2} (see MatchManager.getBans)
+        CARD_SELECTED: 'cardSelected',           // Payload: {playerNumber, cardIndex, cardGame}
+        HANDICAP_PEEK: 'handicapPeek',           // Payload: {playerNumber, cardGame, round} (never the property seen)
+        PROPERTY_COMMITTED: 'propertyCommitted', // Payload: {playerNumber, round} (properties come with roundResolved)
+        MOVE_COMMITTED: 'moveCommitted',         // Payload: {playerNumber, round} (commit-reveal matches)
+        ROUND_RESOLVED: 'roundResolved',         // Payload: round result
+        BONUS_AWARDED: 'bonusAwarded',           // Payload: itemized bonus
+        CARD_GAME_COMPLETE: 'cardGameComplete',  // Payload: card game result
+        MOVE_TIMEOUT: 'moveTimeout',             // Payload: timeout event {playerNumber, phase, cardGame, round, resolution, move}
+        TIEBREAKER_STARTED: 'tiebreakerStarted', // Payload: tiebreaker state
+        TIEBREAKER_COMPLETE: 'tiebreakerComplete', // Payload: tiebreaker state with its winner
+        ABILITY_ACTIVATED: 'abilityActivated',   // Payload: {playerNumber, round, ability} (never the effect itself)
+        TEAM_HINT: 'teamHint',                   // Payload: {team, cardGame, round} (never the hint itself)
+        DRAFT_PICK: 'draftPick',                 // Payload: {pick, round, playerNumber, cardId}
+        DRAFT_COMPLETE: 'draftComplete',         // Payload: draft record {packSize, pool, order, picks}
+        STATE_RESTORED: 'stateRestored',         // Payload: {action, actionCount} after an undo or redo rebuilt the state
+        MATCH_COMPLETE: 'matchComplete'          // Payload: match result
+    };
+
+    /**
+     * Serializable match actions applied through MatchManager.dispatch
+     * A logged action also carries the random outcomes it drew, e.g. {outcomes: {coinToss}}
+     */
+    static MATCH_ACTIONS = {
+        START_MATCH: 'startMatch',               // {type}
+        BAN_CARD: 'banCard',                     // {type, playerNumber, cardIndex} - index in the opponent's deck
+        SELECT_CARD: 'selectCard',               // {type, playerNumber, cardIndex}
+        SELECT_PROPERTY: 'selectProperty',       // {type, playerNumber, property}
+        COMMIT_PROPERTY: 'commitProperty',       // {type, playerNumber, commitment, disclosure} - disclosure {property, salt} or null
+        REVEAL_PROPERTY: 'revealProperty',       // {type, playerNumber, property, salt}
+        ADVANCE_ROUND: 'advanceRound',           // {type}
+        COMPLETE_CARD_GAME: 'completeCardGame',  // {type}
+        ADVANCE_CARD: 'advanceCard',             // {type}
+        COMPLETE_MATCH: 'completeMatch',         // {type}
+        TIMEOUT: 'timeout',                      // {type, playerNumber, outcomes: {move}} - a move timer expired
+        ACTIVATE_ABILITY: 'activateAbility',     // {type, playerNumber, ability, params}
+        PEEK: 'peek',                            // {type, playerNumber} - peek handicap
+        RESIGN: 'resign',                        // {type, playerNumber}
+        ABANDON: 'abandon',                      // {type, playerNumber, reason} - disconnect or abandoned
+        UNDO: 'undo',                            // {type} - practice matches only
+        REDO: 'redo'                             // {type} - practice matches only
+    };
+
+    /**
+     * Round scoring systems selectable per match (see ScoringStrategy)
+     */
+    static SCORING_SYSTEMS = {
+        DIFFERENCE: 'difference',        // Winning property AND higher value scores the difference
+        FLAT: 'flat',                    // One point per round won
+        FULL_VALUE: 'full-value',        // Round winner scores their full value
+        PARTIAL: 'partial',              // Beating property with the lower value scores half the difference
+        TIE_SPLIT: 'tie-split'           // Two points per round won, tied rounds split one each
     };
 
     /**
@@ -242,12 +561,16 @@ class GameConfig {
                 if (!config[prop]) return false;
             }
 
-            // Validate game mechanics
+            // Validate game mechanics (card universe must allow at least one card)
             const mechanics = config.GAME_MECHANICS;
-            if (mechanics.PROPERTY_SUM !== 20) return false;
-            if (mechanics.MIN_PROPERTY_VALUE < 1) return false;
-            if (mechanics.MAX_PROPERTY_VALUE > 9) return false;
-            if (mechanics.CARDS_PER_PLAYER !== 3) return false;
+            const universeErrors = CardUniverse.getValidationErrors(mechanics);
+            if (universeErrors.length > 0) return false;
+            const formatErrors = MatchFormat.getValidationErrors({
+                DECK_SIZE: mechanics.CARDS_PER_PLAYER,
+                CARDS_PLAYED: mechanics.TOTAL_CARD_GAMES,
+                WIN_CONDITION: this.WIN_CONDITIONS.TOTAL_POINTS
+            });
+            if (formatErrors.length > 0) return false;
 
             return true;
         } catch (error) {
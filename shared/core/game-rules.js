@@ -3,10 +3,14 @@
 /**
  * GameRules class containing all game mechanics and calculations
  * Reusable across console, web testing, and future Cardano integration
+ *
+ * Property logic is driven by a RuleSet. Methods take an optional trailing
+ * `rules` argument (a RuleSet or CardUniverse); without it the standard
+ * deception/magic/attack rule set is used.
  */
 class GameRules {
     /**
-     * Property winning relationships
+     * Property winning relationships (standard rule set)
      * Each property beats one other property
      */
     static WINNING_RULES = {
@@ -16,7 +20,7 @@ class GameRules {
     };
 
     /**
-     * Property display names with icons
+     * Property display names with icons (standard rule set)
      */
     static PROPERTY_NAMES = {
         'deception': '🎭 Deception',
@@ -25,7 +29,7 @@ class GameRules {
     };
 
     /**
-     * Property icons only
+     * Property icons only (standard rule set)
      */
     static PROPERTY_ICONS = {
         'deception': '🎭',
@@ -43,31 +47,47 @@ class GameRules {
     };
 
     /**
-     * All valid property names
+     * All valid property names (standard rule set)
      */
     static VALID_PROPERTIES = ['deception', 'magic', 'attack'];
 
+    /**
+     * Resolve the rule set to use from a RuleSet, CardUniverse or nothing
+     * @param {RuleSet|CardUniverse} [rules] - Rule set or card universe
+     * @returns {RuleSet} - Rule set
+     */
+    static getRuleSet(rules) {
+        if (rules instanceof CardUniverse) {
+            return rules.ruleSet;
+        }
+        return RuleSet.from(rules);
+    }
+
     /**
      * Calculate the score for a round between two players
      * @param {string} prop1 - Player 1's property
      * @param {number} val1 - Player 1's value
      * @param {string} prop2 - Player 2's property  
      * @param {number} val2 - Player 2's value
+     * @param {CardUniverse} [universe] - Card universe the values come from
      * @returns {number[]} - [player1Score, player2Score]
      */
-    static calculateRoundScore(prop1, val1, prop2, val2) {
+    static calculateRoundScore(prop1, val1, prop2, val2, universe) {
+        const cardUniverse = CardUniverse.from(universe);
+        const ruleSet = cardUniverse.ruleSet;
+        
         // Validate inputs
-        if (!this.isValidProperty(prop1) || !this.isValidProperty(prop2)) {
+        if (!this.isValidProperty(prop1, ruleSet) || !this.isValidProperty(prop2, ruleSet)) {
             throw new Error('Invalid property names provided');
         }
         
-        if (!this.isValidPropertyValue(val1) || !this.isValidPropertyValue(val2)) {
+        if (!this.isValidPropertyValue(val1, cardUniverse) || !this.isValidPropertyValue(val2, cardUniverse)) {
             throw new Error('Invalid property values provided');
         }
 
         // Convert legacy property names
-        prop1 = this.normalizeProperty(prop1);
-        prop2 = this.normalizeProperty(prop2);
+        prop1 = this.normalizeProperty(prop1, ruleSet);
+        prop2 = this.normalizeProperty(prop2, ruleSet);
         
         if (prop1 === prop2) {
             // Same property - higher value wins the difference
@@ -78,10 +98,10 @@ class GameRules {
 
         // Different properties - check winning rules
         // Only score if you have the winning property AND higher value
-        if (this.WINNING_RULES[prop1] === prop2 && val1 > val2) {
+        if (ruleSet.beats(prop1, prop2) && val1 > val2) {
             return [val1 - val2, 0];
         }
-        if (this.WINNING_RULES[prop2] === prop1 && val2 > val1) {
+        if (ruleSet.beats(prop2, prop1) && val2 > val1) {
             return [0, val2 - val1];
         }
         
@@ -92,89 +112,126 @@ class GameRules {
     /**
      * Normalize property name (convert legacy to new)
      * @param {string} property - Property name to normalize
+     * @param {RuleSet|CardUniverse} [rules] - Rule set the property belongs to
      * @returns {string} - Normalized property name
      */
-    static normalizeProperty(property) {
-        return this.LEGACY_PROPERTY_MAP[property] || property;
+    static normalizeProperty(property, rules) {
+        const mapped = this.LEGACY_PROPERTY_MAP[property];
+        return mapped && this.getRuleSet(rules).hasProperty(mapped) ? mapped : property;
     }
 
     /**
      * Check if property name is valid (including legacy names)
      * @param {string} property - Property name to check
+     * @param {RuleSet|CardUniverse} [rules] - Rule set the property belongs to
      * @returns {boolean} - True if valid
      */
-    static isValidProperty(property) {
-        const normalized = this.normalizeProperty(property);
-        return this.VALID_PROPERTIES.includes(normalized);
+    static isValidProperty(property, rules) {
+        const normalized = this.normalizeProperty(property, rules);
+        return this.getRuleSet(rules).hasProperty(normalized);
     }
 
     /**
      * Check if property value is valid
      * @param {number} value - Property value to check
+     * @param {CardUniverse} [universe] - Card universe defining the value range
      * @returns {boolean} - True if valid
      */
-    static isValidPropertyValue(value) {
-        return Number.isInteger(value) && value >= 1 && value <= 9;
+    static isValidPropertyValue(value, universe) {
+        return CardUniverse.from(universe).isValidValue(value);
     }
 
     /**
      * Get the display name for a property
      * @param {string} property - The property key
+     * @param {RuleSet|CardUniverse} [rules] - Rule set the property belongs to
      * @returns {string} - Display name with icon
      */
-    static getPropertyDisplayName(property) {
-        const normalized = this.normalizeProperty(property);
-        return this.PROPERTY_NAMES[normalized] || property;
+    static getPropertyDisplayName(property, rules) {
+        const ruleSet = this.getRuleSet(rules);
+        const normalized = this.normalizeProperty(property, ruleSet);
+        
+        if (!ruleSet.hasProperty(normalized)) {
+            return property;
+        }
+        
+        const icon = ruleSet.getIcon(normalized);
+        return icon ? `${icon} ${ruleSet.getName(normalized)}` : ruleSet.getName(normalized);
     }
 
     /**
      * Get the icon for a property
      * @param {string} property - The property key
+     * @param {RuleSet|CardUniverse} [rules] - Rule set the property belongs to
      * @returns {string} - Property icon
      */
-    static getPropertyIcon(property) {
-        const normalized = this.normalizeProperty(property);
-        return this.PROPERTY_ICONS[normalized] || '';
+    static getPropertyIcon(property, rules) {
+        const ruleSet = this.getRuleSet(rules);
+        return ruleSet.getIcon(this.normalizeProperty(property, ruleSet));
     }
 
     /**
      * Determine if one property beats another
      * @param {string} prop1 - First property
      * @param {string} prop2 - Second property
+     * @param {RuleSet|CardUniverse} [rules] - Rule set to apply
      * @returns {boolean} - True if prop1 beats prop2
      */
-    static doesPropertyBeat(prop1, prop2) {
-        const normalized1 = this.normalizeProperty(prop1);
-        const normalized2 = this.normalizeProperty(prop2);
-        return this.WINNING_RULES[normalized1] === normalized2;
+    static doesPropertyBeat(prop1, prop2, rules) {
+        const ruleSet = this.getRuleSet(rules);
+        const normalized1 = this.normalizeProperty(prop1, ruleSet);
+        const normalized2 = this.normalizeProperty(prop2, ruleSet);
+        return ruleSet.beats(normalized1, normalized2);
     }
 
     /**
      * Get what property beats the given property
+     * (the first one in rule set order if several do)
      * @param {string} property - Property to find counter for
+     * @param {RuleSet|CardUniverse} [rules] - Rule set to apply
      * @returns {string} - Property that beats the given property
      */
-    static getCounterProperty(property) {
-        const normalized = this.normalizeProperty(property);
+    static getCounterProperty(property, rules) {
+        const counters = this.getCounterProperties(property, rules);
         
-        // Find which property beats the given property
-        for (const [beater, beaten] of Object.entries(this.WINNING_RULES)) {
-            if (beaten === normalized) {
-                return beater;
-            }
+        if (counters.length === 0) {
+            throw new Error(`No counter property found for: ${property}`);
         }
         
-        throw new Error(`No counter property found for: ${property}`);
+        return counters[0];
+    }
+
+    /**
+     * Get every property that beats the given property
+     * @param {string} property - Property to find counters for
+     * @param {RuleSet|CardUniverse} [rules] - Rule set to apply
+     * @returns {string[]} - Properties that beat the given property
+     */
+    static getCounterProperties(property, rules) {
+        const ruleSet = this.getRuleSet(rules);
+        return ruleSet.getCounterProperties(this.normalizeProperty(property, ruleSet));
     }
 
     /**
      * Get what property is beaten by the given property
+     * (the first one in rule set order if it beats several)
      * @param {string} property - Property to find victim for
+     * @param {RuleSet|CardUniverse} [rules] - Rule set to apply
      * @returns {string} - Property that is beaten by the given property
      */
-    static getBeatenProperty(property) {
-        const normalized = this.normalizeProperty(property);
-        return this.WINNING_RULES[normalized];
+    static getBeatenProperty(property, rules) {
+        return this.getBeatenProperties(property, rules)[0];
+    }
+
+    /**
+     * Get every property beaten by the given property
+     * @param {string} property - Property to find victims for
+     * @param {RuleSet|CardUniverse} [rules] - Rule set to apply
+     * @returns {string[]} - Properties beaten by the given property
+     */
+    static getBeatenProperties(property, rules) {
+        const ruleSet = this.getRuleSet(rules);
+        return ruleSet.getBeatenProperties(this.normalizeProperty(property, ruleSet));
     }
 
     /**
@@ -183,10 +240,11 @@ class GameRules {
      * @param {number} val1 - Player 1's value
      * @param {string} prop2 - Player 2's property
      * @param {number} val2 - Player 2's value
+     * @param {CardUniverse} [universe] - Card universe the values come from
      * @returns {string} - 'player1', 'player2', or 'tie'
      */
-    static getRoundWinner(prop1, val1, prop2, val2) {
-        const [score1, score2] = this.calculateRoundScore(prop1, val1, prop2, val2);
+    static getRoundWinner(prop1, val1, prop2, val2, universe) {
+        const [score1, score2] = this.calculateRoundScore(prop1, val1, prop2, val2, universe);
         
         if (score1 > score2) return 'player1';
         if (score2 > score1) return 'player2';
@@ -199,33 +257,37 @@ class GameRules {
      * @param {number} val1 - Player 1's value
      * @param {string} prop2 - Player 2's property
      * @param {number} val2 - Player 2's value
+     * @param {RuleSet|CardUniverse} [rules] - Rule set to apply
      * @returns {string} - Explanation of the outcome
      */
-    static explainRoundOutcome(prop1, val1, prop2, val2) {
-        const normalized1 = this.normalizeProperty(prop1);
-        const normalized2 = this.normalizeProperty(prop2);
+    static explainRoundOutcome(prop1, val1, prop2, val2, rules) {
+        const ruleSet = this.getRuleSet(rules);
+        const normalized1 = this.normalizeProperty(prop1, ruleSet);
+        const normalized2 = this.normalizeProperty(prop2, ruleSet);
+        const name1 = this.getPropertyDisplayName(normalized1, ruleSet);
+        const name2 = this.getPropertyDisplayName(normalized2, ruleSet);
         
         if (normalized1 === normalized2) {
             if (val1 > val2) {
-                return `Both played ${this.getPropertyDisplayName(normalized1)}, but Player 1's value (${val1}) was higher than Player 2's (${val2})`;
+                return `Both played ${name1}, but Player 1's value (${val1}) was higher than Player 2's (${val2})`;
             } else if (val2 > val1) {
-                return `Both played ${this.getPropertyDisplayName(normalized1)}, but Player 2's value (${val2}) was higher than Player 1's (${val1})`;
+                return `Both played ${name1}, but Player 2's value (${val2}) was higher than Player 1's (${val1})`;
             } else {
-                return `Both played ${this.getPropertyDisplayName(normalized1)} with the same value (${val1})`;
+                return `Both played ${name1} with the same value (${val1})`;
             }
         }
         
-        const prop1Beats = this.doesPropertyBeat(normalized1, normalized2);
-        const prop2Beats = this.doesPropertyBeat(normalized2, normalized1);
+        const prop1Beats = ruleSet.beats(normalized1, normalized2);
+        const prop2Beats = ruleSet.beats(normalized2, normalized1);
         
         if (prop1Beats && val1 > val2) {
-            return `${this.getPropertyDisplayName(normalized1)} beats ${this.getPropertyDisplayName(normalized2)}, and Player 1's value (${val1}) was higher`;
+            return `${name1} beats ${name2}, and Player 1's value (${val1}) was higher`;
         } else if (prop2Beats && val2 > val1) {
-            return `${this.getPropertyDisplayName(normalized2)} beats ${this.getPropertyDisplayName(normalized1)}, and Player 2's value (${val2}) was higher`;
+            return `${name2} beats ${name1}, and Player 2's value (${val2}) was higher`;
         } else if (prop1Beats) {
-            return `${this.getPropertyDisplayName(normalized1)} beats ${this.getPropertyDisplayName(normalized2)}, but Player 1's value (${val1}) was not higher than Player 2's (${val2})`;
+            return `${name1} beats ${name2}, but Player 1's value (${val1}) was not higher than Player 2's (${val2})`;
         } else if (prop2Beats) {
-            return `${this.getPropertyDisplayName(normalized2)} beats ${this.getPropertyDisplayName(normalized1)}, but Player 2's value (${val2}) was not higher than Player 1's (${val1})`;
+            return `${name2} beats ${name1}, but Player 2's value (${val2}) was not higher than Player 1's (${val1})`;
         }
         
         return `Neither player could score - no winning property combination with higher value`;
@@ -233,10 +295,11 @@ class GameRules {
 
     /**
      * Get all valid properties in current naming convention
+     * @param {RuleSet|CardUniverse} [rules] - Rule set to list
      * @returns {string[]} - Array of valid property names
      */
-    static getAllProperties() {
-        return [...this.VALID_PROPERTIES];
+    static getAllProperties(rules) {
+        return this.getRuleSet(rules).getProperties();
     }
 
     /**
@@ -245,13 +308,14 @@ class GameRules {
      * @param {number} val1 - Player 1's value
      * @param {string} prop2 - Player 2's property
      * @param {number} val2 - Player 2's value
+     * @param {CardUniverse} [universe] - Card universe the values come from
      * @returns {boolean} - True if all inputs are valid
      */
-    static validateRoundInput(prop1, val1, prop2, val2) {
-        return this.isValidProperty(prop1) && 
-               this.isValidProperty(prop2) && 
-               this.isValidPropertyValue(val1) && 
-               this.isValidPropertyValue(val2);
+    static validateRoundInput(prop1, val1, prop2, val2, universe) {
+        return this.isValidProperty(prop1, universe) && 
+               this.isValidProperty(prop2, universe) && 
+               this.isValidPropertyValue(val1, universe) && 
+               this.isValidPropertyValue(val2, universe);
     }
 }
 
@@ -0,0 +1,152 @@
+// shared/core/match-format.js - Match Format Definition
+
+/**
+ * MatchFormat class describing how a match is played: how many cards each player brings,
+ * how many of them are played (one card game each) and how the winner is decided.
+ * Built from a GameConfig.MATCH_FORMATS-style object, e.g. bring 5, play 3:
+ * { DECK_SIZE: 5, CARDS_PLAYED: 3, WIN_CONDITION: 'total-points' }
+ */
+class MatchFormat {
+    constructor(definition = {}) {
+        const errors = MatchFormat.getValidationErrors(definition);
+        if (errors.length > 0) {
+            throw new Error(`Invalid match format: ${errors.join('; ')}`);
+        }
+
+        this.name = definition.NAME || 'Custom';
+        this.deckSize = definition.DECK_SIZE;
+        this.cardsPlayed = definition.CARDS_PLAYED;
+        this.winCondition = definition.WIN_CONDITION;
+        this.targetPoints = definition.TARGET_POINTS !== undefined ? definition.TARGET_POINTS : null;
+
+        Object.freeze(this);
+    }
+
+    /**
+     * Get the format described by GameConfig.GAME_MECHANICS (3 cards, all played, total points)
+     * @returns {MatchFormat} - Default match format
+     */
+    static getDefault() {
+        const mechanics = GameConfig.GAME_MECHANICS;
+        return new MatchFormat({
+            NAME: 'Standard',
+            DECK_SIZE: mechanics.CARDS_PER_PLAYER,
+            CARDS_PLAYED: mechanics.TOTAL_CARD_GAMES,
+            WIN_CONDITION: GameConfig.WIN_CONDITIONS.TOTAL_POINTS
+        });
+    }
+
+    /**
+     * Resolve a format argument (instance, definition object or nothing)
+     * @param {MatchFormat|Object} [format] - Format or GameConfig.MATCH_FORMATS-style definition
+     * @returns {MatchFormat} - Match format
+     */
+    static from(format) {
+        if (format instanceof MatchFormat) {
+            return format;
+        }
+        if (format === undefined || format === null) {
+            return this.getDefault();
+        }
+        return new MatchFormat(format);
+    }
+
+    /**
+     * List everything wrong with a format definition
+     * @param {Object} definition - Definition to check
+     * @returns {string[]} - Error messages (empty if valid)
+     */
+    static getValidationErrors(definition) {
+        const errors = [];
+        const deckSize = definition.DECK_SIZE;
+        const cardsPlayed = definition.CARDS_PLAYED;
+        const winCondition = definition.WIN_CONDITION;
+        const conditions = GameConfig.WIN_CONDITIONS;
+
+        if (!Number.isInteger(deckSize) || deckSize < 1) {
+            errors.push(`DECK_SIZE must be a positive integer (got ${deckSize})`);
+        }
+        if (!Number.isInteger(cardsPlayed) || cardsPlayed < 1 || (Number.isInteger(deckSize) && cardsPlayed > deckSize)) {
+            errors.push(`CARDS_PLAYED must be an integer between 1 and DECK_SIZE (got ${cardsPlayed})`);
+        }
+        if (!Object.values(conditions).includes(winCondition)) {
+            errors.push(`WIN_CONDITION must be one of ${Object.values(conditions).join(', ')} (got ${winCondition})`);
+        }
+        if (winCondition === conditions.FIRST_TO &&
+            (!Number.isInteger(definition.TARGET_POINTS) || definition.TARGET_POINTS < 1)) {
+            errors.push(`TARGET_POINTS must be a positive integer for ${conditions.FIRST_TO} (got ${definition.TARGET_POINTS})`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check if a first-to-N target has been reached, ending the match early
+     * @param {Object} scores - {player1: number, player2: number, ...}
+     * @returns {boolean} - True if the match is decided by target points
+     */
+    isTargetReached(scores) {
+        return this.winCondition === GameConfig.WIN_CONDITIONS.FIRST_TO &&
+               Math.max(...Object.values(scores)) >= this.targetPoints;
+    }
+
+    /**
+     * Count card games won by each player
+     * @param {Object[]} cardScores - Card results from ScoreManager.getCardResults
+     * @returns {Object} - {player1: number, player2: number}
+     */
+    getCardGamesWon(cardScores) {
+        return {
+            player1: cardScores.filter(card => card.winner === 'player1').length,
+            player2: cardScores.filter(card => card.winner === 'player2').length
+        };
+    }
+
+    /**
+     * Decide the match winner under this format
+     * Card games won and first-to-N fall back to total points when they don't separate the players
+     * @param {Object} scores - {player1: number, player2: number}
+     * @param {Object[]} cardScores - Card results from ScoreManager.getCardResults
+     * @returns {string} - 'player1', 'player2', or 'tie'
+     */
+    determineWinner(scores, cardScores) {
+        const byPoints = scores.player1 > scores.player2 ? 'player1' :
+                         scores.player2 > scores.player1 ? 'player2' : 'tie';
+
+        if (this.winCondition === GameConfig.WIN_CONDITIONS.CARD_GAMES) {
+            const won = this.getCardGamesWon(cardScores);
+            if (won.player1 !== won.player2) {
+                return won.player1 > won.player2 ? 'player1' : 'player2';
+            }
+        }
+
+        return byPoints;
+    }
+
+    /**
+     * Convert format to a GameConfig.MATCH_FORMATS-style definition
+     * @returns {Object} - Plain definition object
+     */
+    toJSON() {
+        const definition = {
+            NAME: this.name,
+            DECK_SIZE: this.deckSize,
+            CARDS_PLAYED: this.cardsPlayed,
+            WIN_CONDITION: this.winCondition
+        };
+        if (this.targetPoints !== null) {
+            definition.TARGET_POINTS = this.targetPoints;
+        }
+        return definition;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MatchFormat };
+}
+
+// Also make available globally for browser
+if (typeof window !== 'undefined') {
+    window.MatchFormat = MatchFormat;
+}
\ No newline at end of file
@@ -0,0 +1,219 @@
+// shared/core/rule-set.js - Property Rule Set Definition
+
+/**
+ * RuleSet class describing the properties a card has and which property beats which.
+ * The standard game is a 3-cycle (deception > attack > magic > deception), but any
+ * number of properties and any "beats" relation can be defined, e.g. a 5-property
+ * Rock-Paper-Scissors-Lizard-Spock style tournament (see GameConfig.RULE_SETS)
+ */
+class RuleSet {
+    constructor(definition = {}) {
+        const errors = RuleSet.getValidationErrors(definition);
+        if (errors.length > 0) {
+            throw new Error(`Invalid rule set: ${errors.join('; ')}`);
+        }
+
+        this.name = definition.NAME || 'Custom';
+        this.properties = Object.freeze(Object.keys(definition.PROPERTIES));
+        this.propertyInfo = {};
+        this.beatsMap = {};
+
+        this.properties.forEach(property => {
+            const info = definition.PROPERTIES[property] || {};
+            this.propertyInfo[property] = Object.freeze({
+                name: info.name || property.charAt(0).toUpperCase() + property.slice(1),
+                icon: info.icon || ''
+            });
+            this.beatsMap[property] = Object.freeze([...(definition.BEATS[property] || [])]);
+        });
+
+        Object.freeze(this.propertyInfo);
+        Object.freeze(this.beatsMap);
+        Object.freeze(this);
+    }
+
+    /**
+     * Get the standard rule set (GameConfig.RULE_SETS.STANDARD)
+     * @returns {RuleSet} - Default rule set
+     */
+    static getDefault() {
+        if (!this.defaultRuleSet) {
+            this.defaultRuleSet = new RuleSet(GameConfig.RULE_SETS.STANDARD);
+        }
+        return this.defaultRuleSet;
+    }
+
+    /**
+     * Resolve a rule set argument (instance, definition object or nothing)
+     * @param {RuleSet|Object} [ruleSet] - Rule set or GameConfig.RULE_SETS-style definition
+     * @returns {RuleSet} - Rule set
+     */
+    static from(ruleSet) {
+        if (ruleSet instanceof RuleSet) {
+            return ruleSet;
+        }
+        if (ruleSet === undefined || ruleSet === null) {
+            return this.getDefault();
+        }
+        return new RuleSet(ruleSet);
+    }
+
+    /**
+     * List everything wrong with a rule set definition
+     * @param {Object} definition - Definition to check
+     * @returns {string[]} - Error messages (empty if valid)
+     */
+    static getValidationErrors(definition) {
+        const errors = [];
+        const properties = definition.PROPERTIES ? Object.keys(definition.PROPERTIES) : [];
+        const beats = definition.BEATS || {};
+
+        if (properties.length < 2) {
+            errors.push('PROPERTIES must define at least two properties');
+        }
+        if (!definition.BEATS || typeof definition.BEATS !== 'object') {
+            errors.push('BEATS must map each property to the properties it beats');
+            return errors;
+        }
+
+        Object.entries(beats).forEach(([winner, losers]) => {
+            if (!properties.includes(winner)) {
+                errors.push(`BEATS references unknown property: ${winner}`);
+                return;
+            }
+            if (!Array.isArray(losers)) {
+                errors.push(`BEATS.${winner} must be an array`);
+                return;
+            }
+            losers.forEach(loser => {
+                if (!properties.includes(loser)) {
+                    errors.push(`BEATS.${winner} references unknown property: ${loser}`);
+                } else if (loser === winner) {
+                    errors.push(`${winner} cannot beat itself`);
+                } else if ((beats[loser] || []).includes(winner) && winner < loser) {
+                    errors.push(`${winner} and ${loser} cannot beat each other`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Get all property names in definition order
+     * @returns {string[]} - Property names
+     */
+    getProperties() {
+        return [...this.properties];
+    }
+
+    /**
+     * Get the number of properties
+     * @returns {number} - Property count
+     */
+    getPropertyCount() {
+        return this.properties.length;
+    }
+
+    /**
+     * Check if a property exists in this rule set
+     * @param {string} property - Property name
+     * @returns {boolean} - True if defined
+     */
+    hasProperty(property) {
+        return this.properties.includes(property);
+    }
+
+    /**
+     * Check if one property beats another
+     * @param {string} prop1 - First property
+     * @param {string} prop2 - Second property
+     * @returns {boolean} - True if prop1 beats prop2
+     */
+    beats(prop1, prop2) {
+        return (this.beatsMap[prop1] || []).includes(prop2);
+    }
+
+    /**
+     * Get every property beaten by the given property
+     * @param {string} property - Property name
+     * @returns {string[]} - Beaten properties
+     */
+    getBeatenProperties(property) {
+        return [...(this.beatsMap[property] || [])];
+    }
+
+    /**
+     * Get every property that beats the given property
+     * @param {string} property - Property name
+     * @returns {string[]} - Counter properties
+     */
+    getCounterProperties(property) {
+        return this.properties.filter(other => this.beats(other, property));
+    }
+
+    /**
+     * Get the display name of a property (without icon)
+     * @param {string} property - Property name
+     * @returns {string} - Display name
+     */
+    getName(property) {
+        return this.propertyInfo[property] ? this.propertyInfo[property].name : property;
+    }
+
+    /**
+     * Get the icon of a property
+     * @param {string} property - Property name
+     * @returns {string} - Icon (empty if none)
+     */
+    getIcon(property) {
+        return this.propertyInfo[property] ? this.propertyInfo[property].icon : '';
+    }
+
+    /**
+     * Check if two rule sets define the same properties and relation
+     * @param {RuleSet} other - Rule set to compare with
+     * @returns {boolean} - True if equivalent
+     */
+    equals(other) {
+        if (!(other instanceof RuleSet) || other.properties.length !== this.properties.length) {
+            return false;
+        }
+
+        return this.properties.every((property, index) =>
+            property === other.properties[index] &&
+            this.beatsMap[property].length === other.beatsMap[property].length &&
+            this.beatsMap[property].every(beaten => other.beats(property, beaten))
+        );
+    }
+
+    /**
+     * Convert rule set to a GameConfig.RULE_SETS-style definition
+     * @returns {Object} - Plain definition object
+     */
+    toJSON() {
+        const properties = {};
+        const beats = {};
+
+        this.properties.forEach(property => {
+            properties[property] = { ...this.propertyInfo[property] };
+            beats[property] = [...this.beatsMap[property]];
+        });
+
+        return {
+            NAME: this.name,
+            PROPERTIES: properties,
+            BEATS: beats
+        };
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RuleSet };
+}
+
+// Also make available globally for browser
+if (typeof window !== 'undefined') {
+    window.RuleSet = RuleSet;
+}
\ No newline at end of file
@@ -0,0 +1,176 @@
+// shared/core/scoring-strategy.js - Round Scoring Strategies
+
+/**
+ * ScoringStrategy class turning a round's plays into points for both players.
+ * The built-in strategies (GameConfig.SCORING_SYSTEMS) all start from the standard
+ * outcome in GameRules.calculateRoundScore and award points differently; custom
+ * strategies can be added with ScoringStrategy.register
+ */
+class ScoringStrategy {
+    /**
+     * @param {string} id - Unique strategy identifier
+     * @param {string} name - Display name
+     * @param {string} description - Short explanation of the rule
+     * @param {Function} scoreFn - (round) => [player1Points, player2Points], where round is
+     *   {prop1, val1, prop2, val2, universe, standard: [p1, p2], winner: 'player1'|'player2'|'tie'}
+     */
+    constructor(id, name, description, scoreFn) {
+        if (typeof scoreFn !== 'function') {
+            throw new Error(`Scoring strategy ${id} needs a score function`);
+        }
+
+        this.id = id;
+        this.name = name;
+        this.description = description;
+        this.scoreFn = scoreFn;
+
+        Object.freeze(this);
+    }
+
+    /**
+     * Registered strategies by id
+     */
+    static registry = {};
+
+    /**
+     * Add a strategy to the registry so matches can select it by id
+     * @param {ScoringStrategy} strategy - Strategy to register
+     * @returns {ScoringStrategy} - The registered strategy
+     */
+    static register(strategy) {
+        if (!(strategy instanceof ScoringStrategy)) {
+            throw new Error('Only ScoringStrategy instances can be registered');
+        }
+        this.registry[strategy.id] = strategy;
+        return strategy;
+    }
+
+    /**
+     * Get a registered strategy by id
+     * @param {string} id - Strategy identifier
+     * @returns {ScoringStrategy} - Strategy
+     */
+    static get(id) {
+        const strategy = this.registry[id];
+        if (!strategy) {
+            throw new Error(`Unknown scoring system: ${id}`);
+        }
+        return strategy;
+    }
+
+    /**
+     * Resolve a strategy argument (instance, id or nothing)
+     * @param {ScoringStrategy|string} [strategy] - Strategy or strategy id
+     * @returns {ScoringStrategy} - Strategy (GameConfig.SCORING.DEFAULT_SYSTEM if omitted)
+     */
+    static from(strategy) {
+        if (strategy instanceof ScoringStrategy) {
+            return strategy;
+        }
+        return this.get(strategy || GameConfig.SCORING.DEFAULT_SYSTEM);
+    }
+
+    /**
+     * Get all registered strategies
+     * @returns {ScoringStrategy[]} - Registered strategies
+     */
+    static getAll() {
+        return Object.values(this.registry);
+    }
+
+    /**
+     * Score a round
+     * @param {string} prop1 - Player 1's property
+     * @param {number} val1 - Player 1's value
+     * @param {string} prop2 - Player 2's property
+     * @param {number} val2 - Player 2's value
+     * @param {CardUniverse} [universe] - Card universe the values come from
+     * @returns {number[]} - [player1Score, player2Score]
+     */
+    scoreRound(prop1, val1, prop2, val2, universe) {
+        const standard = GameRules.calculateRoundScore(prop1, val1, prop2, val2, universe);
+        const winner = standard[0] > standard[1] ? 'player1' :
+                       standard[1] > standard[0] ? 'player2' : 'tie';
+
+        return this.scoreFn({ prop1, val1, prop2, val2, universe, standard, winner });
+    }
+
+    /**
+     * Convert strategy to JSON-serializable object
+     * @returns {Object} - Plain object representation
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            description: this.description
+        };
+    }
+}
+
+// Built-in strategies
+(() => {
+    const systems = GameConfig.SCORING_SYSTEMS;
+
+    ScoringStrategy.register(new ScoringStrategy(
+        systems.DIFFERENCE,
+        'Difference',
+        'Winning property AND higher value scores the difference',
+        round => round.standard
+    ));
+
+    ScoringStrategy.register(new ScoringStrategy(
+        systems.FLAT,
+        'Flat',
+        'One point to the winner of each round',
+        round => round.winner === 'player1' ? [1, 0] :
+                 round.winner === 'player2' ? [0, 1] : [0, 0]
+    ));
+
+    ScoringStrategy.register(new ScoringStrategy(
+        systems.FULL_VALUE,
+        'Full Value',
+        'The winner of each round scores the full value they played',
+        round => round.winner === 'player1' ? [round.val1, 0] :
+                 round.winner === 'player2' ? [0, round.val2] : [0, 0]
+    ));
+
+    ScoringStrategy.register(new ScoringStrategy(
+        systems.PARTIAL,
+        'Partial',
+        'Difference scoring, plus half the difference (rounded up) for a beating property with the lower value',
+        round => {
+            if (round.winner !== 'tie') {
+                return round.standard;
+            }
+
+            const rules = GameRules.getRuleSet(round.universe);
+            const difference = Math.abs(round.val1 - round.val2);
+            if (GameRules.doesPropertyBeat(round.prop1, round.prop2, rules) && round.val1 < round.val2) {
+                return [Math.ceil(difference / 2), 0];
+            }
+            if (GameRules.doesPropertyBeat(round.prop2, round.prop1, rules) && round.val2 < round.val1) {
+                return [0, Math.ceil(difference / 2)];
+            }
+            return [0, 0];
+        }
+    ));
+
+    ScoringStrategy.register(new ScoringStrategy(
+        systems.TIE_SPLIT,
+        'Tie Split',
+        'Two points for winning a round; a tied round splits them one each',
+        round => round.winner === 'player1' ? [2, 0] :
+                 round.winner === 'player2' ? [0, 2] : [1, 1]
+    ));
+})();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScoringStrategy };
+}
+
+// Also make available globally for browser
+if (typeof window !== 'undefined') {
+    window.ScoringStrategy = ScoringStrategy;
+}
\ No newline at end of file
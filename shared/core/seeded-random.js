@@ -0,0 +1,176 @@
+// shared/core/seeded-random.js - Seedable Random Number Generator
+
+/**
+ * SeededRandom class providing deterministic pseudo-random numbers
+ * Every shared module accepts one of these instead of calling Math.random,
+ * so a match created with the same seed, decks and inputs replays identically
+ */
+class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Generate a fresh seed for unseeded play
+     * @returns {number} - 32-bit unsigned seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Convert a numeric or string seed to a 32-bit unsigned integer
+     * @param {number|string} seed - Seed to normalize
+     * @returns {number} - 32-bit unsigned seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        if (typeof seed === 'string' && seed.length > 0) {
+            // FNV-1a hash so readable seeds like "bug-142" are accepted
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < seed.length; i++) {
+                hash ^= seed.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return hash >>> 0;
+        }
+
+        throw new Error(`Invalid seed: ${seed}`);
+    }
+
+    /**
+     * Resolve an rng argument into a SeededRandom instance
+     * @param {SeededRandom|number|string} [rngOrSeed] - Existing generator, seed, or nothing
+     * @returns {SeededRandom} - Generator to use
+     */
+    static from(rngOrSeed) {
+        if (rngOrSeed instanceof SeededRandom) {
+            return rngOrSeed;
+        }
+        if (rngOrSeed === undefined || rngOrSeed === null) {
+            return new SeededRandom();
+        }
+        return new SeededRandom(rngOrSeed);
+    }
+
+    /**
+     * Get the next random number (mulberry32)
+     * @returns {number} - Float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Get a random integer in [0, max)
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} - Random integer
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} array - Array to pick from
+     * @returns {*} - Random element (undefined if array is empty)
+     */
+    pick(array) {
+        return array[this.nextInt(array.length)];
+    }
+
+    /**
+     * Pick a random element from an array, each with the given weight
+     * @param {Array} array - Array to pick from
+     * @param {number[]} weights - Non-negative weight of each element
+     * @returns {*} - Random element (undefined if array is empty)
+     */
+    pickWeighted(array, weights) {
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        if (total <= 0) {
+            return this.pick(array);
+        }
+
+        let target = this.next() * total;
+        for (let i = 0; i < array.length; i++) {
+            target -= weights[i];
+            if (target < 0) {
+                return array[i];
+            }
+        }
+        return array[weights.map(weight => weight > 0).lastIndexOf(true)];
+    }
+
+    /**
+     * Return a shuffled copy of an array (Fisher-Yates)
+     * @param {Array} array - Array to shuffle
+     * @returns {Array} - New shuffled array
+     */
+    shuffle(array) {
+        const copy = [...array];
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+
+    /**
+     * Get a random base-36 string, e.g. for identifiers
+     * @param {number} length - Number of characters
+     * @returns {string} - Random string
+     */
+    nextString(length = 9) {
+        let result = '';
+        for (let i = 0; i < length; i++) {
+            result += this.nextInt(36).toString(36);
+        }
+        return result;
+    }
+
+    /**
+     * Get the seed this generator was created with
+     * @returns {number} - 32-bit unsigned seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Export generator state for save/load
+     * @returns {Object} - Serializable state
+     */
+    exportState() {
+        return {
+            seed: this.seed,
+            state: this.state
+        };
+    }
+
+    /**
+     * Import generator state from save/load
+     * @param {Object} state - State to import
+     */
+    importState(state) {
+        this.seed = SeededRandom.normalizeSeed(state.seed);
+        this.state = state.state !== undefined ? state.state >>> 0 : this.seed;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom };
+}
+
+// Also make available globally for browser
+if (typeof window !== 'undefined') {
+    window.SeededRandom = SeededRandom;
+}
\ No newline at end of file
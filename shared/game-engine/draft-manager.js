@@ -0,0 +1,273 @@
+// shared/game-engine/draft-manager.js - Snake Draft Logic
+
+/**
+ * DraftManager class for building decks by snake draft. The players take turns picking
+ * from a shared pool: the whole card universe, or a random "pack" drawn from it. Each
+ * card can only be taken once, and the order reverses every draft round (1-2, 2-1, ...),
+ * so both sides own different designs. The drafted hands feed straight into a match,
+ * which keeps the draft record in its setup and result
+ */
+class DraftManager extends EventEmitter {
+    /**
+     * @param {Object} options - Draft options
+     * @param {SeededRandom|number|string} [options.rng] - Random number generator or seed (also used by createMatch)
+     * @param {CardUniverse|Object} [options.universe] - Card universe the pool is drawn from
+     * @param {MatchFormat|Object} [options.format] - Match format; each player drafts format.deckSize cards
+     * @param {number} [options.packSize] - Draft from this many random cards instead of the whole universe
+     * @param {number} [options.playerCount] - Number of drafting players (2 if omitted)
+     */
+    constructor(options = {}) {
+        super(Object.values(GameConfig.GAME_EVENTS));
+
+        this.rng = SeededRandom.from(options.rng);
+        this.universe = CardUniverse.from(options.universe);
+        this.format = MatchFormat.from(options.format);
+        this.playerCount = options.playerCount || 2;
+        this.picksPerPlayer = this.format.deckSize;
+        this.packSize = options.packSize || null;
+
+        const allCards = CardGenerator.generateAllCards(this.universe);
+        const errors = this.getValidationErrors(allCards.length);
+        if (errors.length > 0) {
+            throw new Error(`Invalid draft: ${errors.join('; ')}`);
+        }
+
+        // The pack keeps the universe's card order so it reads like the full pool
+        this.pool = this.packSize === null ? allCards :
+            CardGenerator.selectRandomFromArray(allCards, this.packSize, this.rng).sort((a, b) => a.id - b.id);
+        this.pickOrder = DraftManager.getSnakeOrder(this.playerCount, this.picksPerPlayer);
+        this.picks = [];
+    }
+
+    /**
+     * List everything wrong with the draft settings
+     * @param {number} universeSize - Number of cards in the universe
+     * @returns {string[]} - Error messages (empty if valid)
+     */
+    getValidationErrors(universeSize) {
+        const errors = [];
+        const needed = this.playerCount * this.picksPerPlayer;
+
+        if (!Number.isInteger(this.playerCount) || this.playerCount < 2 ||
+            this.playerCount > GameConfig.FREE_FOR_ALL.MAX_PLAYERS) {
+            errors.push(`playerCount must be an integer between 2 and ${GameConfig.FREE_FOR_ALL.MAX_PLAYERS} (got ${this.playerCount})`);
+        }
+        if (this.packSize !== null && (!Number.isInteger(this.packSize) || this.packSize > universeSize)) {
+            errors.push(`packSize must be an integer no larger than the universe (${universeSize} cards, got ${this.packSize})`);
+        }
+        if (Math.min(this.packSize || universeSize, universeSize) < needed) {
+            errors.push(`pool must hold at least ${needed} cards for ${this.playerCount} players drafting ${this.picksPerPlayer} each`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Get the snake pick order, e.g. 1 2 2 1 1 2 for two players drafting three cards
+     * @param {number} playerCount - Number of drafting players
+     * @param {number} picksPerPlayer - Cards each player drafts
+     * @returns {number[]} - Player number of every pick in order
+     */
+    static getSnakeOrder(playerCount, picksPerPlayer) {
+        const order = [];
+        const players = Array.from({ length: playerCount }, (_, index) => index + 1);
+
+        for (let round = 0; round < picksPerPlayer; round++) {
+            order.push(...(round % 2 === 0 ? players : [...players].reverse()));
+        }
+
+        return order;
+    }
+
+    /**
+     * Get the player whose turn it is to pick
+     * @returns {number|null} - Player number, or null when the draft is complete
+     */
+    getCurrentPicker() {
+        return this.isComplete() ? null : this.pickOrder[this.picks.length];
+    }
+
+    /**
+     * Check if every pick has been made
+     * @returns {boolean} - True if the draft is complete
+     */
+    isComplete() {
+        return this.picks.length >= this.pickOrder.length;
+    }
+
+    /**
+     * Get the cards still in the pool
+     * @returns {Card[]} - Undrafted cards
+     */
+    getAvailableCards() {
+        return this.pool.filter(card => this.isCardAvailable(card.id));
+    }
+
+    /**
+     * Check if a card is in the pool and not yet taken
+     * @param {number} cardId - Card id
+     * @returns {boolean} - True if the card can be picked
+     */
+    isCardAvailable(cardId) {
+        return this.pool.some(card => card.id === cardId) && !this.picks.some(pick => pick.cardId === cardId);
+    }
+
+    /**
+     * Take a card from the pool
+     * @param {number} playerNumber - Picking player (must be the current picker)
+     * @param {number} cardId - Id of the card to take
+     * @returns {Object} - Pick {pick, round, playerNumber, cardId}
+     */
+    pick(playerNumber, cardId) {
+        if (this.isComplete()) {
+            throw new Error('Draft is already complete');
+        }
+        if (playerNumber !== this.getCurrentPicker()) {
+            throw new Error(`It is player ${this.getCurrentPicker()}'s pick, not player ${playerNumber}'s`);
+        }
+        if (!this.isCardAvailable(cardId)) {
+            throw new Error(`Card ${cardId} is not available to draft`);
+        }
+
+        const pick = {
+            pick: this.picks.length + 1,
+            round: Math.floor(this.picks.length / this.playerCount) + 1,
+            playerNumber: playerNumber,
+            cardId: cardId
+        };
+        this.picks.push(pick);
+        this.emit(GameConfig.GAME_EVENTS.DRAFT_PICK, { ...pick });
+
+        if (this.isComplete()) {
+            this.emit(GameConfig.GAME_EVENTS.DRAFT_COMPLETE, this.getDraftRecord());
+        }
+
+        return { ...pick };
+    }
+
+    /**
+     * Make the current picker's pick for them (computer players, expired timers)
+     * Easy AI picks at random; otherwise the card that best fits the hand so far
+     * @param {string} [difficulty] - AI difficulty level
+     * @returns {Object} - Pick
+     */
+    autoPick(difficulty = 'normal') {
+        const playerNumber = this.getCurrentPicker();
+        if (playerNumber === null) {
+            throw new Error('Draft is already complete');
+        }
+
+        const available = this.getAvailableCards();
+        let card;
+        if (difficulty === GameConfig.AI_CONFIG.DIFFICULTY_LEVELS.EASY) {
+            card = this.rng.pick(available);
+        } else {
+            const hand = this.getHand(playerNumber);
+            const score = candidate => AIStrategy.scoreCardForSelection(candidate) +
+                                       AIStrategy.calculateSynergyWithSelected(candidate, hand);
+            card = available.reduce((best, candidate) => score(candidate) > score(best) ? candidate : best);
+        }
+
+        return this.pick(playerNumber, card.id);
+    }
+
+    /**
+     * Get the cards a player has drafted
+     * @param {number} playerNumber - Player number
+     * @returns {Card[]} - Drafted cards in pick order
+     */
+    getHand(playerNumber) {
+        return this.picks
+            .filter(pick => pick.playerNumber === playerNumber)
+            .map(pick => this.pool.find(card => card.id === pick.cardId));
+    }
+
+    /**
+     * Get every player's drafted cards (the decks for FreeForAllManager or TeamMatchManager)
+     * @returns {Card[][]} - One hand per player
+     */
+    getHands() {
+        return Array.from({ length: this.playerCount }, (_, index) => this.getHand(index + 1));
+    }
+
+    /**
+     * Get the record of the draft kept alongside the match
+     * @returns {Object} - {packSize, pool, order, picks}
+     */
+    getDraftRecord() {
+        return {
+            packSize: this.packSize,
+            pool: this.pool.map(card => card.id),
+            order: [...this.pickOrder],
+            picks: this.picks.map(pick => ({ ...pick }))
+        };
+    }
+
+    /**
+     * Start a two-player match with the drafted hands
+     * The match continues from the draft's random number generator, so one seed reproduces both
+     * @param {string} [gameMode] - Game mode
+     * @param {Object} [options] - Further MatchManager options
+     * @returns {MatchManager} - Match recording this draft
+     */
+    createMatch(gameMode = 'demo', options = {}) {
+        if (!this.isComplete()) {
+            throw new Error('Draft is not complete');
+        }
+        if (this.playerCount !== 2) {
+            throw new Error('Only a two-player draft can start a MatchManager match');
+        }
+
+        return new MatchManager(this.getHand(1), this.getHand(2), gameMode, {
+            ...options,
+            rng: this.rng,
+            universe: this.universe,
+            format: this.format,
+            draft: this.getDraftRecord()
+        });
+    }
+
+    /**
+     * Export draft state for save/load
+     * @returns {Object} - Serializable draft state
+     */
+    exportState() {
+        return {
+            universe: this.universe.toJSON(),
+            format: this.format.toJSON(),
+            playerCount: this.playerCount,
+            ...this.getDraftRecord(),
+            rng: this.rng.exportState()
+        };
+    }
+
+    /**
+     * Import draft state from save/load
+     * @param {Object} state - State to import
+     */
+    importState(state) {
+        this.universe = CardUniverse.from(state.universe);
+        this.format = MatchFormat.from(state.format);
+        this.playerCount = state.playerCount;
+        this.picksPerPlayer = this.format.deckSize;
+        this.packSize = state.packSize || null;
+
+        const allCards = CardGenerator.generateAllCards(this.universe);
+        this.pool = state.pool.map(cardId => allCards.find(card => card.id === cardId));
+        this.pickOrder = [...state.order];
+        this.picks = state.picks.map(pick => ({ ...pick }));
+        if (state.rng) {
+            this.rng.importState(state.rng);
+        }
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DraftManager };
+}
+
+// Also make available globally for browser
+if (typeof window !== 'undefined') {
+    window.DraftManager = DraftManager;
+}
\ No newline at end of file
@@ -0,0 +1,737 @@
+// shared/game-engine/free-for-all-manager.js - Free-For-All Match Logic
+
+/**
+ * FreeForAllManager class for matches between more than two players
+ * (GameConfig.FREE_FOR_ALL.MIN_PLAYERS to MAX_PLAYERS). Card games and rounds run as in a
+ * two-player match, but every round resolves each pair of players separately and each
+ * player collects the points from all of their pairings
+ */
+class FreeForAllManager extends EventEmitter {
+    /**
+     * Prefix of generated match ids
+     */
+    static MATCH_ID_PREFIX = 'ffa';
+
+    /**
+     * MatchStateSchema schema of saved states
+     */
+    static STATE_SCHEMA = 'freeForAll';
+
+    /**
+     * Get the allowed number of players
+     * @returns {Object} - {min, max}
+     */
+    static getPlayerLimits() {
+        return {
+            min: GameConfig.FREE_FOR_ALL.MIN_PLAYERS,
+            max: GameConfig.FREE_FOR_ALL.MAX_PLAYERS
+        };
+    }
+
+    /**
+     * @param {Card[][]} playerDecks - One deck per player, in player order
+     * @param {Object} options - Match options
+     * @param {SeededRandom|number|string} [options.rng] - Random number generator or seed
+     * @param {CardUniverse|Object} [options.universe] - Card universe all decks must come from
+     * @param {ScoringStrategy|string} [options.scoring] - Pairing scoring strategy or GameConfig.SCORING_SYSTEMS id
+     * @param {MatchFormat|Object} [options.format] - Deck size, cards played and win condition (GameConfig.MATCH_FORMATS)
+     * @param {GameClock} [options.clock] - Clock for match times (system clock if omitted)
+     */
+    constructor(playerDecks, options = {}) {
+        super(Object.values(GameConfig.GAME_EVENTS));
+
+        this.rng = SeededRandom.from(options.rng);
+        this.clock = GameClock.from(options.clock);
+        this.matchId = this.constructor.MATCH_ID_PREFIX + '_' + this.rng.getSeed().toString(36) + '_' + this.rng.nextString(9);
+        this.gameMode = GameConfig.GAME_MODES.FREE_FOR_ALL;
+        this.universe = CardUniverse.from(options.universe);
+        this.ruleSet = this.universe.ruleSet;
+        this.scoringStrategy = ScoringStrategy.from(options.scoring);
+        this.format = MatchFormat.from(options.format);
+
+        // Validate input decks
+        if (!this.validatePlayerDecks(playerDecks)) {
+            throw new Error('Invalid player decks provided');
+        }
+
+        this.players = playerDecks.map((cards, index) => this.createPlayer(index + 1, cards));
+
+        // Match progression
+        this.currentCardGame = 1;
+        this.maxCardGames = this.format.cardsPlayed;
+        this.currentRound = 1;
+        this.maxRounds = this.ruleSet.getPropertyCount();
+        this.matchPhase = GameConfig.GAME_PHASES.CARD_SELECTION;
+        this.autoPlayEnabled = GameConfig.GAME_MECHANICS.AUTO_PLAY_FINAL_ROUND;
+
+        // Results
+        this.roundResults = [];
+        this.cardGameResults = [];
+        this.matchResult = null;
+
+        this.startTime = this.clock.now();
+        this.endTime = null;
+    }
+
+    /**
+     * Create the state kept for one player
+     * @param {number} playerNumber - Player number (1-based)
+     * @param {Card[]} cards - Player's deck
+     * @returns {Object} - Player state
+     */
+    createPlayer(playerNumber, cards) {
+        return {
+            id: `player${playerNumber}`,
+            number: playerNumber,
+            cards: [...cards],
+            usedCards: [],
+            selectedCard: null,
+            usedProperties: [],
+            currentProperty: null,
+            score: 0
+        };
+    }
+
+    /**
+     * Validate player decks
+     * @param {Card[][]} playerDecks - One deck per player
+     * @returns {boolean} - True if valid
+     */
+    validatePlayerDecks(playerDecks) {
+        const limits = this.constructor.getPlayerLimits();
+        if (!Array.isArray(playerDecks) || playerDecks.length < limits.min || playerDecks.length > limits.max) {
+            return false;
+        }
+
+        // Check every deck has the format's size and only cards from this universe
+        const validDecks = playerDecks.every(cards =>
+            Array.isArray(cards) &&
+            cards.length === this.format.deckSize &&
+            cards.every(card => card instanceof Card && card.universe.equals(this.universe))
+        );
+        if (!validDecks) {
+            return false;
+        }
+
+        // Check no card appears in two players' decks
+        const owners = {};
+        return playerDecks.every((cards, index) => cards.every(card => {
+            if (owners[card.id] !== undefined && owners[card.id] !== index) {
+                return false;
+            }
+            owners[card.id] = index;
+            return true;
+        }));
+    }
+
+    /**
+     * Get a player's state
+     * @param {number} playerNumber - Player number (1-based)
+     * @returns {Object} - Player state
+     */
+    getPlayer(playerNumber) {
+        const player = this.players[playerNumber - 1];
+        if (!Number.isInteger(playerNumber) || !player) {
+            throw new Error(`Invalid player number: ${playerNumber}`);
+        }
+        return player;
+    }
+
+    /**
+     * Get the number of players
+     * @returns {number} - Player count
+     */
+    getPlayerCount() {
+        return this.players.length;
+    }
+
+    /**
+     * Start the match
+     * @returns {Object} - Match start information
+     */
+    startMatch() {
+        this.matchPhase = GameConfig.GAME_PHASES.CARD_SELECTION;
+        this.startTime = this.clock.now();
+
+        const startInfo = {
+            matchId: this.matchId,
+            playerCount: this.players.length,
+            cardGame: this.currentCardGame,
+            phase: this.matchPhase,
+            instructions: this.getPhaseInstructions()
+        };
+
+        this.emit(GameConfig.GAME_EVENTS.MATCH_STARTED, startInfo);
+        return startInfo;
+    }
+
+    /**
+     * Get instructions for current phase
+     * @returns {string} - Phase instructions
+     */
+    getPhaseInstructions() {
+        switch (this.matchPhase) {
+            case GameConfig.GAME_PHASES.CARD_SELECTION:
+                return `Choose an unused card for card game ${this.currentCardGame} of ${this.maxCardGames}`;
+            case GameConfig.GAME_PHASES.PROPERTY_SELECTION:
+                return `Round ${this.currentRound}: Choose a property to play`;
+            case GameConfig.GAME_PHASES.ROUND_RESULT:
+                return `Round ${this.currentRound} complete`;
+            case GameConfig.GAME_PHASES.CARD_COMPLETE:
+                return `Card ${this.currentCardGame} complete`;
+            case GameConfig.GAME_PHASES.GAME_OVER:
+                return 'Match complete';
+            default:
+                return 'Game in progress';
+        }
+    }
+
+    /**
+     * Get the indices of the cards a player has not played yet
+     * @param {number} playerNumber - Player number (1-based)
+     * @returns {number[]} - Available card indices
+     */
+    getAvailableCardIndices(playerNumber) {
+        const player = this.getPlayer(playerNumber);
+        return player.cards.map((card, index) => index).filter(index => !player.usedCards.includes(index));
+    }
+
+    /**
+     * Handle card selection by a player
+     * @param {number} playerNumber - Player number (1-based)
+     * @param {number} cardIndex - Index of selected card
+     * @returns {Object} - Selection result
+     */
+    selectCard(playerNumber, cardIndex) {
+        if (this.matchPhase !== GameConfig.GAME_PHASES.CARD_SELECTION) {
+            throw new Error(`Cannot select card during phase: ${this.matchPhase}`);
+        }
+
+        const player = this.getPlayer(playerNumber);
+        if (!Number.isInteger(cardIndex) || cardIndex < 0 || cardIndex >= player.cards.length) {
+            throw new Error(`Invalid card index: ${cardIndex}`);
+        }
+        if (player.usedCards.includes(cardIndex)) {
+            throw new Error(`Card ${cardIndex} already used in previous card game`);
+        }
+
+        player.selectedCard = cardIndex;
+        this.emit(GameConfig.GAME_EVENTS.CARD_SELECTED, {
+            playerNumber: playerNumber,
+            cardIndex: cardIndex,
+            cardGame: this.currentCardGame
+        });
+
+        // Property selection starts once every player has a card
+        if (this.players.every(other => other.selectedCard !== null)) {
+            this.startPropertySelection();
+        }
+
+        return {
+            success: true,
+            selectedCard: cardIndex,
+            nextPhase: this.matchPhase
+        };
+    }
+
+    /**
+     * Start property selection for a new card game
+     */
+    startPropertySelection() {
+        this.players.forEach(player => {
+            player.usedProperties = [];
+            player.currentProperty = null;
+        });
+        this.currentRound = 1;
+        this.roundResults = [];
+        this.matchPhase = GameConfig.GAME_PHASES.PROPERTY_SELECTION;
+    }
+
+    /**
+     * Get properties a player has not played with the current card
+     * @param {number} playerNumber - Player number (1-based)
+     * @returns {string[]} - Available properties
+     */
+    getAvailableProperties(playerNumber) {
+        const player = this.getPlayer(playerNumber);
+        return this.ruleSet.getProperties().filter(property => !player.usedProperties.includes(property));
+    }
+
+    /**
+     * Handle property selection by a player
+     * The round is resolved once every player has chosen
+     * @param {number} playerNumber - Player number (1-based)
+     * @param {string} property - Selected property
+     * @returns {Object} - Selection result
+     */
+    selectProperty(playerNumber, property) {
+        if (this.matchPhase !== GameConfig.GAME_PHASES.PROPERTY_SELECTION) {
+            throw new Error(`Cannot select property during phase: ${this.matchPhase}`);
+        }
+
+        const player = this.getPlayer(playerNumber);
+        if (!GameRules.isValidProperty(property, this.ruleSet)) {
+            throw new Error(`Invalid property: ${property}`);
+        }
+        property = GameRules.normalizeProperty(property, this.ruleSet);
+
+        if (player.currentProperty !== null) {
+            throw new Error(`Player ${playerNumber} has already chosen a property this round`);
+        }
+        if (player.usedProperties.includes(property)) {
+            throw new Error(`Property ${property} not available for player ${playerNumber}`);
+        }
+
+        player.currentProperty = property;
+        player.usedProperties.push(property);
+        // Only who has moved: the properties are published with the round result
+        this.emit(GameConfig.GAME_EVENTS.PROPERTY_COMMITTED, { playerNumber: playerNumber, round: this.currentRound });
+
+        let roundResult = null;
+        if (this.players.every(other => other.currentProperty !== null)) {
+            roundResult = this.calculateRound();
+        }
+
+        return {
+            success: true,
+            roundResult: roundResult
+        };
+    }
+
+    /**
+     * Resolve the current round once every player has chosen
+     * @returns {Object} - Round result
+     */
+    calculateRound() {
+        const roundResult = this.resolveRound();
+
+        this.roundResults.push(roundResult);
+        this.matchPhase = GameConfig.GAME_PHASES.ROUND_RESULT;
+        this.emit(GameConfig.GAME_EVENTS.ROUND_RESOLVED, roundResult);
+
+        // The card game ends after the last round (or as soon as a first-to-N target is reached)
+        if (this.currentRound >= this.maxRounds || this.format.isTargetReached(this.getScores())) {
+            this.completeCardGame();
+        }
+
+        return roundResult;
+    }
+
+    /**
+     * Score the current round: every pair of players is scored separately
+     * @returns {Object} - Round result
+     */
+    resolveRound() {
+        const plays = {};
+        const points = {};
+        this.players.forEach(player => {
+            plays[player.id] = {
+                card: player.selectedCard,
+                property: player.currentProperty,
+                value: player.cards[player.selectedCard].getProperty(player.currentProperty)
+            };
+            points[player.id] = 0;
+        });
+
+        const pairings = [];
+        this.players.forEach((first, index) => {
+            this.players.slice(index + 1).forEach(second => {
+                const [firstPoints, secondPoints] = this.scoringStrategy.scoreRound(
+                    plays[first.id].property, plays[first.id].value,
+                    plays[second.id].property, plays[second.id].value,
+                    this.universe
+                );
+
+                points[first.id] += firstPoints;
+                points[second.id] += secondPoints;
+                pairings.push({
+                    players: [first.id, second.id],
+                    points: [firstPoints, secondPoints],
+                    winner: firstPoints > secondPoints ? first.id :
+                            secondPoints > firstPoints ? second.id : 'tie'
+                });
+            });
+        });
+
+        this.players.forEach(player => {
+            player.score += points[player.id];
+        });
+
+        return {
+            round: this.currentRound,
+            plays: plays,
+            pairings: pairings,
+            points: points,
+            winner: FreeForAllManager.getLeader(points)
+        };
+    }
+
+    /**
+     * Advance to next round, auto-playing a final round in which nobody has a choice left
+     * @returns {boolean} - True if advanced successfully
+     */
+    advanceToNextRound() {
+        if (this.matchPhase !== GameConfig.GAME_PHASES.ROUND_RESULT || this.currentRound >= this.maxRounds) {
+            return false;
+        }
+
+        this.currentRound++;
+        this.players.forEach(player => {
+            player.currentProperty = null;
+        });
+        this.matchPhase = GameConfig.GAME_PHASES.PROPERTY_SELECTION;
+
+        if (this.shouldAutoPlayRound()) {
+            this.players.forEach(player => this.selectProperty(player.number, this.getAvailableProperties(player.number)[0]));
+        }
+
+        return true;
+    }
+
+    /**
+     * Check if the current round should be auto-played
+     * @returns {boolean} - True if it is the final round and every player has one property left
+     */
+    shouldAutoPlayRound() {
+        return this.autoPlayEnabled && this.currentRound === this.maxRounds &&
+               this.players.every(player => this.getAvailableProperties(player.number).length === 1);
+    }
+
+    /**
+     * Complete current card game
+     * @returns {boolean} - True if the card game was completed
+     */
+    completeCardGame() {
+        if (this.matchPhase !== GameConfig.GAME_PHASES.ROUND_RESULT) {
+            return false;
+        }
+
+        this.players.forEach(player => {
+            player.usedCards.push(player.selectedCard);
+        });
+
+        const cardGameResult = this.createCardGameResult();
+        this.cardGameResults.push(cardGameResult);
+        this.matchPhase = GameConfig.GAME_PHASES.CARD_COMPLETE;
+        this.emit(GameConfig.GAME_EVENTS.CARD_GAME_COMPLETE, cardGameResult);
+
+        if (this.currentCardGame >= this.maxCardGames || this.format.isTargetReached(this.getScores())) {
+            this.completeMatch();
+        }
+
+        return true;
+    }
+
+    /**
+     * Summarize the current card game
+     * @returns {Object} - Card game result
+     */
+    createCardGameResult() {
+        const cards = {};
+        const points = {};
+        this.players.forEach(player => {
+            cards[player.id] = player.selectedCard;
+            points[player.id] = this.roundResults.reduce((sum, round) => sum + round.points[player.id], 0);
+        });
+
+        return {
+            cardGame: this.currentCardGame,
+            cards: cards,
+            rounds: this.roundResults,
+            points: points,
+            winner: FreeForAllManager.getLeader(points),
+            scores: this.getScores()
+        };
+    }
+
+    /**
+     * Advance to next card game
+     * @returns {boolean} - True if advanced successfully
+     */
+    advanceToNextCard() {
+        if (this.matchPhase !== GameConfig.GAME_PHASES.CARD_COMPLETE || this.currentCardGame >= this.maxCardGames) {
+            return false;
+        }
+
+        this.currentCardGame++;
+        this.players.forEach(player => {
+            player.selectedCard = null;
+        });
+        this.matchPhase = GameConfig.GAME_PHASES.CARD_SELECTION;
+
+        return true;
+    }
+
+    /**
+     * Complete the entire match
+     */
+    completeMatch() {
+        this.endTime = this.clock.now();
+        this.matchPhase = GameConfig.GAME_PHASES.GAME_OVER;
+
+        this.matchResult = this.createMatchResult();
+        this.emit(GameConfig.GAME_EVENTS.MATCH_COMPLETE, this.matchResult);
+    }
+
+    /**
+     * Summarize the completed match
+     * @returns {Object} - Match result
+     */
+    createMatchResult() {
+        const standings = this.getStandings();
+
+        return {
+            matchId: this.matchId,
+            seed: this.rng.getSeed(),
+            playerCount: this.players.length,
+            scoringSystem: this.scoringStrategy.id,
+            format: this.format.toJSON(),
+            winner: this.getCurrentWinner(),
+            winners: standings.filter(entry => entry.rank === 1).map(entry => entry.player),
+            standings: standings,
+            finalScores: this.getScores(),
+            cardResults: this.cardGameResults,
+            duration: this.endTime - this.startTime,
+            completedAt: this.endTime
+        };
+    }
+
+    /**
+     * Get current scores
+     * @returns {Object} - {player1: number, player2: number, ...}
+     */
+    getScores() {
+        const scores = {};
+        this.players.forEach(player => {
+            scores[player.id] = player.score;
+        });
+        return scores;
+    }
+
+    /**
+     * Count card games won by each player (shared first places win nobody the card game)
+     * @returns {Object} - {player1: number, ...}
+     */
+    getCardGamesWon() {
+        const won = {};
+        this.players.forEach(player => {
+            won[player.id] = this.cardGameResults.filter(result => result.winner === player.id).length;
+        });
+        return won;
+    }
+
+    /**
+     * Get the standings under the match format
+     * Card-games formats rank by card games won, then points; other formats by points
+     * @returns {Object[]} - Entries {rank, player, score, cardGamesWon, tied}, best first
+     */
+    getStandings() {
+        const cardGamesWon = this.getCardGamesWon();
+        const byCardGames = this.format.winCondition === GameConfig.WIN_CONDITIONS.CARD_GAMES;
+
+        return FreeForAllManager.rankStandings(this.players.map(player => ({
+            player: player.id,
+            score: player.score,
+            cardGamesWon: cardGamesWon[player.id],
+            sortKey: byCardGames ? [cardGamesWon[player.id], player.score] : [player.score]
+        })));
+    }
+
+    /**
+     * Rank standings entries, highest sort key first
+     * Entries with equal keys share a rank and the next rank is skipped (1, 2, 2, 4)
+     * @param {Object[]} entries - Entries with a sortKey (array of numbers, compared in order)
+     * @returns {Object[]} - Entries with rank and tied, without sortKey
+     */
+    static rankStandings(entries) {
+        const compare = (a, b) => {
+            for (let i = 0; i < a.sortKey.length; i++) {
+                if (a.sortKey[i] !== b.sortKey[i]) {
+                    return b.sortKey[i] - a.sortKey[i];
+                }
+            }
+            return 0;
+        };
+
+        const sorted = [...entries].sort(compare);
+        return sorted.map((entry, index) => {
+            const firstEqual = sorted.findIndex(other => compare(other, entry) === 0);
+            const tied = sorted.filter(other => compare(other, entry) === 0).length > 1;
+            const { sortKey, ...rest } = entry;
+            return { rank: firstEqual + 1, ...rest, tied: tied };
+        });
+    }
+
+    /**
+     * Get the single highest scorer
+     * @param {Object} points - {player1: number, ...}
+     * @returns {string} - Player id, or 'tie' if the highest score is shared
+     */
+    static getLeader(points) {
+        const best = Math.max(...Object.values(points));
+        const leaders = Object.keys(points).filter(player => points[player] === best);
+        return leaders.length === 1 ? leaders[0] : 'tie';
+    }
+
+    /**
+     * Get current winner (may change during match)
+     * @returns {string} - Player id, or 'tie' if first place is shared
+     */
+    getCurrentWinner() {
+        const leaders = this.getStandings().filter(entry => entry.rank === 1);
+        return leaders.length === 1 ? leaders[0].player : 'tie';
+    }
+
+    /**
+     * Get current match state
+     * @returns {Object} - Current match state
+     */
+    getMatchState() {
+        return {
+            matchId: this.matchId,
+            gameMode: this.gameMode,
+            playerCount: this.players.length,
+            currentCardGame: this.currentCardGame,
+            maxCardGames: this.maxCardGames,
+            matchPhase: this.matchPhase,
+            currentRound: this.currentRound,
+            scores: this.getScores(),
+            standings: this.getStandings(),
+            cardGameResults: this.cardGameResults,
+            instructions: this.getPhaseInstructions(),
+            isComplete: this.isMatchComplete()
+        };
+    }
+
+    /**
+     * Get match result (only available when complete)
+     * @returns {Object|null} - Match result or null if not complete
+     */
+    getMatchResult() {
+        return this.matchResult;
+    }
+
+    /**
+     * Check if match is complete
+     * @returns {boolean} - True if match is complete
+     */
+    isMatchComplete() {
+        return this.matchPhase === GameConfig.GAME_PHASES.GAME_OVER;
+    }
+
+    /**
+     * Validate match state
+     * @returns {boolean} - True if state is valid
+     */
+    validateState() {
+        try {
+            if (this.currentCardGame < 1 || this.currentCardGame > this.maxCardGames) {
+                return false;
+            }
+            if (this.currentRound < 1 || this.currentRound > this.maxRounds) {
+                return false;
+            }
+
+            return this.players.every(player =>
+                new Set(player.usedCards).size === player.usedCards.length &&
+                player.usedCards.every(index => index >= 0 && index < player.cards.length) &&
+                new Set(player.usedProperties).size === player.usedProperties.length &&
+                player.usedProperties.every(property => this.ruleSet.hasProperty(property))
+            );
+        } catch (error) {
+            console.error('Free-for-all manager validation error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Export match state for save/load
+     * @returns {Object} - Serializable match state
+     */
+    exportState() {
+        return {
+            version: MatchStateSchema.VERSION,
+            matchId: this.matchId,
+            universe: this.universe.toJSON(),
+            scoringSystem: this.scoringStrategy.id,
+            format: this.format.toJSON(),
+            players: this.players.map(player => ({
+                ...player,
+                cards: player.cards.map(card => card.toJSON()),
+                usedCards: [...player.usedCards],
+                usedProperties: [...player.usedProperties]
+            })),
+            currentCardGame: this.currentCardGame,
+            currentRound: this.currentRound,
+            matchPhase: this.matchPhase,
+            roundResults: this.roundResults,
+            cardGameResults: this.cardGameResults,
+            matchResult: this.matchResult,
+            startTime: this.startTime,
+            endTime: this.endTime,
+            rng: this.rng.exportState()
+        };
+    }
+
+    /**
+     * Upgrade a saved state to the current version and check it (see MatchStateSchema)
+     * @param {Object} state - Saved match state
+     * @returns {Object} - State in the current version
+     */
+    static migrateState(state) {
+        const migrated = MatchStateSchema.migrate(state, this.STATE_SCHEMA);
+        const errors = MatchStateSchema.validate(migrated, this.STATE_SCHEMA);
+        if (errors.length > 0) {
+            throw new Error(`Invalid match state: ${errors.join('; ')}`);
+        }
+        return migrated;
+    }
+
+    /**
+     * Import match state from save/load
+     * Saves from older versions are migrated first (see MatchStateSchema)
+     * @param {Object} state - State to import
+     */
+    importState(state) {
+        state = this.constructor.migrateState(state);
+
+        this.matchId = state.matchId;
+        this.universe = CardUniverse.from(state.universe);
+        this.ruleSet = this.universe.ruleSet;
+        this.scoringStrategy = ScoringStrategy.from(state.scoringSystem);
+        this.format = MatchFormat.from(state.format);
+        this.players = state.players.map(player => ({
+            ...player,
+            cards: player.cards.map(cardData => Card.fromJSON(cardData, this.universe)),
+            usedCards: [...player.usedCards],
+            usedProperties: [...player.usedProperties]
+        }));
+        this.currentCardGame = state.currentCardGame;
+        this.maxCardGames = this.format.cardsPlayed;
+        this.currentRound = state.currentRound;
+        this.maxRounds = this.ruleSet.getPropertyCount();
+        this.matchPhase = state.matchPhase;
+        this.roundResults = state.roundResults || [];
+        this.cardGameResults = state.cardGameResults || [];
+        this.matchResult = state.matchResult || null;
+        this.startTime = state.startTime || this.clock.now();
+        this.endTime = state.endTime || null;
+        if (state.rng) {
+            this.rng.importState(state.rng);
+        }
+
+        if (!this.validateState()) {
+            throw new Error('Invalid free-for-all state imported');
+        }
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FreeForAllManager };
+}
+
+// Also make available globally for browser
+if (typeof window !== 'undefined') {
+    window.FreeForAllManager = FreeForAllManager;
+}
\ No newline at end of file
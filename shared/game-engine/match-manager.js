@@ -4,10 +4,46 @@
  * MatchManager class for coordinating complete game matches
  * Reusable across console, web testing, and future environments
  */
-class MatchManager {
-    constructor(player1Cards, player2Cards, gameMode = 'demo') {
+class MatchManager extends EventEmitter {
+    /**
+     * @param {Card[]} player1Cards - Player 1's cards
+     * @param {Card[]} player2Cards - Player 2's cards
+     * @param {string} gameMode - Game mode
+     * @param {Object} options - Match options
+     * @param {SeededRandom|number|string} [options.rng] - Random number generator or seed
+     * @param {CardUniverse|Object} [options.universe] - Card universe both decks must come from
+     * @param {ScoringStrategy|string} [options.scoring] - Round scoring strategy or GameConfig.SCORING_SYSTEMS id
+     * @param {Object} [options.bonusRules] - GameConfig.BONUS_RULES-style bonus ruleset ({} disables bonuses)
+     * @param {boolean} [options.allowUndo] - Enable undo/redo (practice matches)
+     * @param {boolean} [options.commitReveal] - Require commit-reveal property selection (see MoveCommitment)
+     * @param {MatchFormat|Object} [options.format] - Deck size, cards played and win condition (GameConfig.MATCH_FORMATS)
+     * @param {string} [options.tiebreaker] - GameConfig.TIEBREAKERS id to decide a level match (none if omitted)
+     * @param {Object} [options.reserveCards] - {player1: Card, player2: Card} for the reserve card tiebreaker
+     *   (defaults to each player's first unplayed card)
+     * @param {GameClock} [options.clock] - Clock for move timers and match times (system clock if omitted)
+     * @param {string} [options.onTimeout] - GameConfig.TIMEOUT_ACTIONS id applied when a move timer expires
+     *   (move timers are not enforced if omitted)
+     * @param {Object} [options.timeouts] - {cardSelection, propertySelection} time limits in ms (GameConfig.UI_CONFIG if omitted)
+     * @param {Object} [options.draft] - Record of the draft the decks came from (see DraftManager.getDraftRecord)
+     * @param {string} [options.bans] - GameConfig.BAN_VISIBILITY id to open the match with a ban phase (none if omitted);
+     *   the format's deck must be larger than the number of cards played
+     * @param {Object} [options.handicaps] - {player1, player2}: each player's GameConfig.HANDICAPS, e.g.
+     *   {player1: {startingPoints: 5, peek: true, extraCards: 1}} (none if omitted)
+     */
+    constructor(player1Cards, player2Cards, gameMode = 'demo', options = {}) {
+        super(Object.values(GameConfig.GAME_EVENTS));
+
+        // Every random decision in the match draws from this generator
+        this.rng = SeededRandom.from(options.rng);
+        const initialRngState = this.rng.exportState();
+        this.clock = GameClock.from(options.clock);
+        
         this.matchId = this.generateMatchId();
         this.gameMode = gameMode;
+        this.universe = CardUniverse.from(options.universe);
+        this.scoringStrategy = ScoringStrategy.from(options.scoring);
+        this.format = MatchFormat.from(options.format);
+        this.handicaps = MatchManager.normalizeHandicaps(options.handicaps);
         
         // Validate input cards
         if (!this.validatePlayerCards(player1Cards, player2Cards)) {
@@ -17,42 +53,202 @@ class MatchManager {
         this.player1Cards = [...player1Cards];
         this.player2Cards = [...player2Cards];
         
+        // How the decks were drafted, if they were
+        this.draft = options.draft || null;
+        
+        // Ban phase: each player bans one card of the opponent's deck before the first card game
+        this.banVisibility = options.bans || null;
+        if (this.banVisibility !== null && !Object.values(GameConfig.BAN_VISIBILITY).includes(this.banVisibility)) {
+            throw new Error(`Unknown ban visibility: ${this.banVisibility}`);
+        }
+        if (this.banVisibility !== null && this.format.deckSize <= this.format.cardsPlayed) {
+            throw new Error(`A ban phase needs a deck larger than the cards played (deck ${this.format.deckSize}, played ${this.format.cardsPlayed})`);
+        }
+        // Index of each player's own card that the opponent banned
+        this.bannedCards = { player1: null, player2: null };
+        
+        // Tiebreaker settings
+        this.tiebreakerMode = options.tiebreaker || null;
+        if (this.tiebreakerMode !== null && !Object.values(GameConfig.TIEBREAKERS).includes(this.tiebreakerMode)) {
+            throw new Error(`Unknown tiebreaker: ${this.tiebreakerMode}`);
+        }
+        this.reserveCards = options.reserveCards || null;
+        if (this.reserveCards !== null && !this.validateReserveCards(this.reserveCards)) {
+            throw new Error('Invalid reserve cards provided');
+        }
+        
         // Match progression
         this.currentCardGame = 1;
-        this.maxCardGames = GameConfig.GAME_MECHANICS.TOTAL_CARD_GAMES;
-        this.matchPhase = GameConfig.GAME_PHASES.CARD_SELECTION;
+        this.maxCardGames = this.format.cardsPlayed;
+        this.matchPhase = this.getStartPhase();
         
         // Current card selections
         this.player1SelectedCard = null;
         this.player2SelectedCard = null;
         
+        // Card indices each player has already played (any unused card can be played next)
+        this.usedCards = { player1: [], player2: [] };
+        
+        // Commit-reveal property selection: hashes published this round
+        this.commitReveal = options.commitReveal === true;
+        this.commitments = { player1: null, player2: null };
+        // Committed moves disclosed to the engine because the opponent could peek at them
+        this.disclosures = { player1: null, player2: null };
+        
         // Initialize managers
-        this.roundManager = new RoundManager();
-        this.scoreManager = new ScoreManager();
+        this.roundManager = new RoundManager(this.universe.ruleSet, this.scoringStrategy);
+        this.scoreManager = new ScoreManager(this.universe, options.bonusRules, this.clock);
+        if (this.handicaps) {
+            this.scoreManager.applyStartingPoints({
+                player1: this.handicaps.player1.startingPoints,
+                player2: this.handicaps.player2.startingPoints
+            });
+        }
+        
+        // Peek handicaps used {playerNumber, cardGame, round}
+        this.peeks = [];
+        
+        // Subscribers to the match also receive round and score events
+        const events = GameConfig.GAME_EVENTS;
+        this.forwardEvents(this.roundManager, [events.PROPERTY_COMMITTED, events.ROUND_RESOLVED, events.ABILITY_ACTIVATED]);
+        this.forwardEvents(this.scoreManager, [events.BONUS_AWARDED]);
         
         // Match results
         this.cardGameResults = [];
         this.matchResult = null;
         
+        // Tiebreaker in progress or played (kept apart from the card game results)
+        this.tiebreaker = null;
+        this.tiebreakerCards = null;
+        
+        // Everything needed to rebuild the match by replaying its action log
+        this.initialSetup = {
+            gameMode: gameMode,
+            universe: this.universe.toJSON(),
+            scoringSystem: this.scoringStrategy.id,
+            format: this.format.toJSON(),
+            bonusRules: this.scoreManager.bonusRules,
+            allowUndo: options.allowUndo === true,
+            commitReveal: this.commitReveal,
+            tiebreaker: this.tiebreakerMode,
+            reserveCards: this.reserveCards && {
+                player1: this.reserveCards.player1.toJSON(),
+                player2: this.reserveCards.player2.toJSON()
+            },
+            onTimeout: options.onTimeout || null,
+            timeouts: options.timeouts || null,
+            draft: this.draft,
+            bans: this.banVisibility,
+            handicaps: this.handicaps,
+            rng: initialRngState,
+            player1Cards: this.player1Cards.map(card => card.toJSON()),
+            player2Cards: this.player2Cards.map(card => card.toJSON())
+        };
+        this.allowUndo = options.allowUndo === true;
+        this.actionLog = [];
+        this.outcomes = {};
+        
         // Match settings
         this.autoProgressCards = true;
         this.allowSpectators = false;
         this.timeouts = {
             cardSelection: GameConfig.UI_CONFIG.CARD_SELECTION_TIMEOUT,
-            propertySelection: GameConfig.UI_CONFIG.PROPERTY_SELECTION_TIMEOUT
+            propertySelection: GameConfig.UI_CONFIG.PROPERTY_SELECTION_TIMEOUT,
+            ...(options.timeouts || {})
         };
         
+        // Move timers: enforced through checkTimers() when an expiry action is set
+        this.onTimeout = options.onTimeout || null;
+        if (this.onTimeout !== null && !Object.values(GameConfig.TIMEOUT_ACTIONS).includes(this.onTimeout)) {
+            throw new Error(`Unknown timeout action: ${this.onTimeout}`);
+        }
+        this.moveTimer = { key: null, startedAt: null };
+        this.timeoutEvents = [];
+        this.timeoutMoves = { player1: null, player2: null };
+        
+        // Early endings: who forfeited the match and why
+        this.forfeitedBy = null;
+        this.terminationReason = null;
+        
         // Match start time
-        this.startTime = Date.now();
+        this.startTime = this.clock.now();
         this.endTime = null;
+        this.updateMoveTimer();
     }
 
     /**
-     * Generate unique match ID
+     * Generate unique match ID (derived from the seed so replays share it)
      * @returns {string} - Unique match identifier
      */
     generateMatchId() {
-        return 'match_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        return 'match_' + this.rng.getSeed().toString(36) + '_' + this.rng.nextString(9);
+    }
+
+    /**
+     * Get the random number generator driving this match
+     * @returns {SeededRandom} - Match random number generator
+     */
+    getRandom() {
+        return this.rng;
+    }
+
+    /**
+     * Get the seed this match was created with
+     * @returns {number} - Match seed
+     */
+    getSeed() {
+        return this.rng.getSeed();
+    }
+
+    /**
+     * Check handicap settings and fill in the handicaps a player does not have
+     * @param {Object} [handicaps] - {player1, player2} handicaps keyed by GameConfig.HANDICAPS ids
+     * @returns {Object|null} - {player1, player2}, each {startingPoints, peek, extraCards}, or null without handicaps
+     */
+    static normalizeHandicaps(handicaps) {
+        if (handicaps === undefined || handicaps === null) {
+            return null;
+        }
+
+        const ids = GameConfig.HANDICAPS;
+        const errors = [];
+        const normalized = {};
+        ['player1', 'player2'].forEach(player => {
+            const given = handicaps[player] || {};
+            const unknown = Object.keys(given).filter(id => !Object.values(ids).includes(id));
+            if (unknown.length > 0) {
+                errors.push(`${player}: unknown handicap ${unknown.join(', ')}`);
+            }
+
+            normalized[player] = {
+                [ids.STARTING_POINTS]: given[ids.STARTING_POINTS] !== undefined ? given[ids.STARTING_POINTS] : 0,
+                [ids.PEEK]: given[ids.PEEK] !== undefined ? given[ids.PEEK] : false,
+                [ids.EXTRA_CARDS]: given[ids.EXTRA_CARDS] !== undefined ? given[ids.EXTRA_CARDS] : 0
+            };
+            [ids.STARTING_POINTS, ids.EXTRA_CARDS].forEach(id => {
+                if (!Number.isInteger(normalized[player][id]) || normalized[player][id] < 0) {
+                    errors.push(`${player}.${id} must be a non-negative integer (got ${normalized[player][id]})`);
+                }
+            });
+            if (typeof normalized[player][ids.PEEK] !== 'boolean') {
+                errors.push(`${player}.${ids.PEEK} must be true or false (got ${normalized[player][ids.PEEK]})`);
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid handicaps: ${errors.join('; ')}`);
+        }
+        return normalized;
+    }
+
+    /**
+     * Get the number of cards a player brings (the format's deck size plus any extra cards handicap)
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @returns {number} - Deck size
+     */
+    getDeckSize(playerNumber) {
+        const extraCards = this.handicaps ? this.handicaps[`player${playerNumber}`].extraCards : 0;
+        return this.format.deckSize + extraCards;
     }
 
     /**
@@ -62,14 +258,12 @@ class MatchManager {
      * @returns {boolean} - True if valid
      */
     validatePlayerCards(player1Cards, player2Cards) {
-        const requiredCount = GameConfig.GAME_MECHANICS.CARDS_PER_PLAYER;
-        
         // Check arrays exist and have correct length
         if (!Array.isArray(player1Cards) || !Array.isArray(player2Cards)) {
             return false;
         }
         
-        if (player1Cards.length !== requiredCount || player2Cards.length !== requiredCount) {
+        if (player1Cards.length !== this.getDeckSize(1) || player2Cards.length !== this.getDeckSize(2)) {
             return false;
         }
         
@@ -79,6 +273,16 @@ class MatchManager {
             return false;
         }
         
+        // Check all cards come from this match's card universe
+        if (!allCards.every(card => card.universe.equals(this.universe))) {
+            return false;
+        }
+        
+        // Check all card abilities are known
+        if (!allCards.every(card => card.abilities.every(ability => CardAbility.has(ability)))) {
+            return false;
+        }
+        
         // Check for duplicate cards between players
         const player1Ids = player1Cards.map(card => card.id);
         const player2Ids = player2Cards.map(card => card.id);
@@ -87,15 +291,344 @@ class MatchManager {
         return duplicates.length === 0;
     }
 
+    /**
+     * Validate reserve cards for the reserve card tiebreaker
+     * @param {Object} reserveCards - {player1: Card, player2: Card}
+     * @returns {boolean} - True if valid
+     */
+    validateReserveCards(reserveCards) {
+        const cards = [reserveCards.player1, reserveCards.player2];
+        if (!cards.every(card => card instanceof Card && card.universe.equals(this.universe))) {
+            return false;
+        }
+
+        return cards[0].id !== cards[1].id;
+    }
+
+    /**
+     * Create a match from its initial setup (see exportState().initialSetup)
+     * @param {Object} setup - Initial decks, options and generator state
+     * @param {Object} [options] - Runtime options that are not part of the setup
+     * @param {GameClock} [options.clock] - Clock for move timers and match times (system clock if omitted)
+     * @returns {MatchManager} - New match, before any action
+     */
+    static fromSetup(setup, options = {}) {
+        const universe = CardUniverse.from(setup.universe);
+        const rng = new SeededRandom(setup.rng.seed);
+        rng.importState(setup.rng);
+
+        return new MatchManager(
+            setup.player1Cards.map(cardData => Card.fromJSON(cardData, universe)),
+            setup.player2Cards.map(cardData => Card.fromJSON(cardData, universe)),
+            setup.gameMode,
+            {
+                rng: rng,
+                universe: universe,
+                scoring: setup.scoringSystem,
+                format: setup.format,
+                bonusRules: setup.bonusRules,
+                allowUndo: setup.allowUndo,
+                commitReveal: setup.commitReveal,
+                tiebreaker: setup.tiebreaker,
+                reserveCards: setup.reserveCards && {
+                    player1: Card.fromJSON(setup.reserveCards.player1, universe),
+                    player2: Card.fromJSON(setup.reserveCards.player2, universe)
+                },
+                onTimeout: setup.onTimeout,
+                timeouts: setup.timeouts,
+                draft: setup.draft,
+                bans: setup.bans,
+                handicaps: setup.handicaps,
+                clock: options.clock
+            }
+        );
+    }
+
+    /**
+     * Rebuild a match by replaying actions from its initial decks
+     * @param {Object} setup - Initial setup (see fromSetup)
+     * @param {Object[]} actions - Actions or action log entries to apply in order
+     * @param {Object} [options] - Runtime options (see fromSetup)
+     * @returns {MatchManager} - Match in the state reached after the actions
+     */
+    static replay(setup, actions, options = {}) {
+        const match = MatchManager.fromSetup(setup, options);
+        actions.forEach((entry, index) => {
+            // Each entry runs from the generator state its predecessor left behind, so any
+            // draw it makes repeats even when undone actions drew in between
+            const previousEntry = actions[index - 1];
+            if (previousEntry && previousEntry.rng) {
+                match.rng.importState(previousEntry.rng);
+            }
+            match.dispatch(entry.action || entry);
+        });
+
+        // Restore the generator as it was after the last action, so AI moves repeat too
+        const lastEntry = actions[actions.length - 1];
+        if (lastEntry && lastEntry.rng) {
+            match.rng.importState(lastEntry.rng);
+        }
+
+        return match;
+    }
+
+    /**
+     * Apply a serializable action (see GameConfig.MATCH_ACTIONS) and append it to the action log
+     * All state changes made through the public methods go through here
+     * @param {Object} action - Action with a type and its parameters
+     * @returns {*} - Result of the action
+     */
+    dispatch(action) {
+        const actions = GameConfig.MATCH_ACTIONS;
+        if (!action || !Object.values(actions).includes(action.type)) {
+            throw new Error(`Unknown match action: ${action && action.type}`);
+        }
+
+        // Random outcomes the action draws (see drawOutcome); a replayed action brings its own
+        this.outcomes = { ...(action.outcomes || {}) };
+
+        let result;
+        switch (action.type) {
+            case actions.START_MATCH:
+                result = this.applyStartMatch();
+                break;
+            case actions.BAN_CARD:
+                result = this.applyBanCard(action.playerNumber, action.cardIndex);
+                break;
+            case actions.SELECT_CARD:
+                result = this.applySelectCard(action.playerNumber, action.cardIndex);
+                break;
+            case actions.SELECT_PROPERTY:
+                result = this.applySelectProperty(action.playerNumber, action.property);
+                break;
+            case actions.COMMIT_PROPERTY:
+                result = this.applyCommitProperty(action.playerNumber, action.commitment, action.disclosure || null);
+                break;
+            case actions.REVEAL_PROPERTY:
+                result = this.applyRevealProperty(action.playerNumber, action.property, action.salt);
+                break;
+            case actions.ADVANCE_ROUND:
+                result = this.applyAdvanceToNextRound();
+                break;
+            case actions.COMPLETE_CARD_GAME:
+                result = this.applyCompleteCardGame();
+                break;
+            case actions.ADVANCE_CARD:
+                result = this.applyAdvanceToNextCard();
+                break;
+            case actions.COMPLETE_MATCH:
+                result = this.applyCompleteMatch();
+                break;
+            case actions.TIMEOUT:
+                result = this.applyTimeout(action.playerNumber);
+                break;
+            case actions.ACTIVATE_ABILITY:
+                result = this.applyActivateAbility(action.playerNumber, action.ability, action.params);
+                break;
+            case actions.PEEK:
+                result = this.applyPeek(action.playerNumber);
+                break;
+            case actions.RESIGN:
+                result = this.applyResign(action.playerNumber);
+                break;
+            case actions.ABANDON:
+                result = this.applyAbandon(action.playerNumber, action.reason);
+                break;
+            case actions.UNDO:
+                result = this.applyUndo();
+                break;
+            case actions.REDO:
+                result = this.applyRedo();
+                break;
+        }
+
+        const loggedAction = { ...action };
+        if (Object.keys(this.outcomes).length > 0) {
+            loggedAction.outcomes = { ...this.outcomes };
+        }
+        this.actionLog.push({
+            sequence: this.actionLog.length + 1,
+            action: loggedAction,
+            rng: this.rng.exportState()
+        });
+        this.updateMoveTimer();
+
+        // Undo and redo rebuild the whole state, so listeners redraw once the log has the entry
+        if ((action.type === actions.UNDO || action.type === actions.REDO) && result) {
+            this.emit(GameConfig.GAME_EVENTS.STATE_RESTORED, {
+                action: action.type,
+                actionCount: this.getEffectiveActions().length
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Draw a random outcome for the action being applied, or reuse the one recorded with it
+     * Outcomes are logged with the action, so replays and undo/redo repeat them exactly
+     * @param {string} name - Outcome name within the action
+     * @param {Function} draw - Draws the outcome from the match's generator
+     * @returns {*} - Drawn or recorded outcome
+     */
+    drawOutcome(name, draw) {
+        if (!Object.prototype.hasOwnProperty.call(this.outcomes, name)) {
+            this.outcomes[name] = draw();
+        }
+        return this.outcomes[name];
+    }
+
+    /**
+     * Get the append-only action log (including undo/redo entries)
+     * @returns {Object[]} - Log entries {sequence, action, rng}
+     */
+    getActionLog() {
+        return this.actionLog.map(entry => ({ ...entry, action: { ...entry.action } }));
+    }
+
+    /**
+     * Resolve undo/redo entries in the log
+     * @returns {Object} - {applied: entries in effect, undone: entries available to redo}
+     */
+    resolveActionLog() {
+        const actions = GameConfig.MATCH_ACTIONS;
+        const applied = [];
+        let undone = [];
+
+        this.actionLog.forEach(entry => {
+            if (entry.action.type === actions.UNDO) {
+                if (applied.length > 0) undone.push(applied.pop());
+            } else if (entry.action.type === actions.REDO) {
+                if (undone.length > 0) applied.push(undone.pop());
+            } else {
+                applied.push(entry);
+                undone = [];
+            }
+        });
+
+        return { applied, undone };
+    }
+
+    /**
+     * Get the log entries currently in effect (undone actions removed)
+     * @returns {Object[]} - Log entries in order
+     */
+    getEffectiveActions() {
+        return this.resolveActionLog().applied;
+    }
+
+    /**
+     * Rebuild the state after a number of effective actions, without changing this match
+     * @param {number} actionCount - Number of effective actions to replay
+     * @returns {MatchManager} - Rebuilt match
+     */
+    getStateAtAction(actionCount) {
+        return MatchManager.replay(this.initialSetup, this.getEffectiveActions().slice(0, actionCount), { clock: this.clock });
+    }
+
+    /**
+     * Check if the last action can be undone
+     * @returns {boolean} - True if undo is possible
+     */
+    canUndo() {
+        return this.allowUndo && this.getEffectiveActions().length > 0;
+    }
+
+    /**
+     * Check if an undone action can be redone
+     * @returns {boolean} - True if redo is possible
+     */
+    canRedo() {
+        return this.allowUndo && this.resolveActionLog().undone.length > 0;
+    }
+
+    /**
+     * Undo the last action (practice matches only)
+     * @returns {boolean} - True if an action was undone
+     */
+    undo() {
+        return this.dispatch({ type: GameConfig.MATCH_ACTIONS.UNDO });
+    }
+
+    /**
+     * Redo the last undone action (practice matches only)
+     * @returns {boolean} - True if an action was redone
+     */
+    redo() {
+        return this.dispatch({ type: GameConfig.MATCH_ACTIONS.REDO });
+    }
+
+    /**
+     * Apply an undo action by rebuilding the state without the last effective action
+     * @returns {boolean} - True if an action was undone
+     */
+    applyUndo() {
+        if (!this.allowUndo) {
+            throw new Error('Undo is only available in practice matches');
+        }
+
+        const applied = this.getEffectiveActions();
+        if (applied.length === 0) {
+            return false;
+        }
+
+        this.restoreFromActions(applied.slice(0, -1));
+        return true;
+    }
+
+    /**
+     * Apply a redo action by rebuilding the state with the last undone action
+     * @returns {boolean} - True if an action was redone
+     */
+    applyRedo() {
+        if (!this.allowUndo) {
+            throw new Error('Redo is only available in practice matches');
+        }
+
+        const { applied, undone } = this.resolveActionLog();
+        if (undone.length === 0) {
+            return false;
+        }
+
+        this.restoreFromActions([...applied, undone[undone.length - 1]]);
+        return true;
+    }
+
+    /**
+     * Replace this match's state with the state reached by replaying actions
+     * @param {Object[]} entries - Action log entries to replay
+     */
+    restoreFromActions(entries) {
+        const replayed = MatchManager.replay(this.initialSetup, entries, { clock: this.clock });
+        const state = replayed.exportState();
+        delete state.actionLog;
+
+        // The replay happens now, but the match started when it did, and a move still
+        // due keeps its deadline
+        const { startTime, moveTimer } = this;
+        this.importState({ ...state, startTime });
+        if (this.moveTimer.key === moveTimer.key) {
+            this.moveTimer = { ...moveTimer };
+        }
+    }
+
     /**
      * Start the match
      * @returns {Object} - Match start information
      */
     startMatch() {
-        this.matchPhase = GameConfig.GAME_PHASES.CARD_SELECTION;
-        this.startTime = Date.now();
+        return this.dispatch({ type: GameConfig.MATCH_ACTIONS.START_MATCH });
+    }
+
+    /**
+     * Apply a start match action
+     * @returns {Object} - Match start information
+     */
+    applyStartMatch() {
+        this.matchPhase = this.getStartPhase();
+        this.startTime = this.clock.now();
         
-        return {
+        const startInfo = {
             matchId: this.matchId,
             cardGame: this.currentCardGame,
             phase: this.matchPhase,
@@ -103,6 +636,111 @@ class MatchManager {
             player2Cards: this.getPlayerCardInfo(2, false), // Hide values for opponent
             instructions: this.getPhaseInstructions()
         };
+        
+        this.emit(GameConfig.GAME_EVENTS.MATCH_STARTED, startInfo);
+        return startInfo;
+    }
+
+    /**
+     * Get the phase the match opens with: the ban phase until both players have banned, if the match has one
+     * @returns {string} - GameConfig.GAME_PHASES id
+     */
+    getStartPhase() {
+        return this.banVisibility !== null && !this.areBansComplete() ?
+            GameConfig.GAME_PHASES.BAN : GameConfig.GAME_PHASES.CARD_SELECTION;
+    }
+
+    /**
+     * Ban one card of the opponent's deck (ban phase)
+     * @param {number} playerNumber - Banning player (1 or 2)
+     * @param {number} cardIndex - Index of the card in the opponent's deck
+     * @returns {Object} - Ban result
+     */
+    banCard(playerNumber, cardIndex) {
+        return this.dispatch({ type: GameConfig.MATCH_ACTIONS.BAN_CARD, playerNumber, cardIndex });
+    }
+
+    /**
+     * Apply a ban action
+     * Which card was banned stays hidden until both players have banned
+     * @param {number} playerNumber - Banning player (1 or 2)
+     * @param {number} cardIndex - Index of the card in the opponent's deck
+     * @returns {Object} - Ban result
+     */
+    applyBanCard(playerNumber, cardIndex) {
+        if (this.matchPhase !== GameConfig.GAME_PHASES.BAN) {
+            throw new Error(`Cannot ban a card during phase: ${this.matchPhase}`);
+        }
+        if (playerNumber !== 1 && playerNumber !== 2) {
+            throw new Error(`Invalid player number: ${playerNumber}`);
+        }
+        if (this.hasBanned(playerNumber)) {
+            throw new Error(`Player ${playerNumber} has already banned a card`);
+        }
+
+        const opponentNumber = playerNumber === 1 ? 2 : 1;
+        const opponentCards = opponentNumber === 1 ? this.player1Cards : this.player2Cards;
+        if (!Number.isInteger(cardIndex) || cardIndex < 0 || cardIndex >= opponentCards.length) {
+            throw new Error(`Invalid card index: ${cardIndex}`);
+        }
+
+        this.bannedCards[`player${opponentNumber}`] = cardIndex;
+        this.emit(GameConfig.GAME_EVENTS.CARD_BANNED, { playerNumber: playerNumber });
+
+        if (this.areBansComplete()) {
+            this.matchPhase = GameConfig.GAME_PHASES.CARD_SELECTION;
+            this.emit(GameConfig.GAME_EVENTS.BANS_COMPLETE, this.getBans());
+        }
+
+        return {
+            success: true,
+            nextPhase: this.matchPhase
+        };
+    }
+
+    /**
+     * Check if a player has made their ban
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @returns {boolean} - True if the player has banned a card
+     */
+    hasBanned(playerNumber) {
+        return this.bannedCards[playerNumber === 1 ? 'player2' : 'player1'] !== null;
+    }
+
+    /**
+     * Check if both players have made their ban
+     * @returns {boolean} - True once both bans are in
+     */
+    areBansComplete() {
+        return this.hasBanned(1) && this.hasBanned(2);
+    }
+
+    /**
+     * Check if a player's card was banned by the opponent
+     * @param {number} playerNumber - Owner of the card (1 or 2)
+     * @param {number} cardIndex - Index of the card
+     * @returns {boolean} - True if the card is banned
+     */
+    isCardBanned(playerNumber, cardIndex) {
+        return this.bannedCards[`player${playerNumber}`] === cardIndex;
+    }
+
+    /**
+     * Get the banned cards by owner
+     * @returns {Object|null} - {visibility, player1, player2}: each player's banned card {cardIndex, cardId},
+     *   or null until banned; null if the match has no ban phase
+     */
+    getBans() {
+        if (this.banVisibility === null) {
+            return null;
+        }
+
+        const ban = playerNumber => {
+            const cardIndex = this.bannedCards[`player${playerNumber}`];
+            const cards = playerNumber === 1 ? this.player1Cards : this.player2Cards;
+            return cardIndex === null ? null : { cardIndex: cardIndex, cardId: cards[cardIndex].id };
+        };
+        return { visibility: this.banVisibility, player1: ban(1), player2: ban(2) };
     }
 
     /**
@@ -117,24 +755,58 @@ class MatchManager {
         return cards.map((card, index) => ({
             index: index,
             id: card.id,
-            available: index >= this.currentCardGame - 1,
-            used: index < this.currentCardGame - 1,
+            available: this.isCardAvailable(playerNumber, index),
+            used: this.usedCards[`player${playerNumber}`].includes(index),
+            banned: this.isCardBanned(playerNumber, index),
             current: playerNumber === 1 ? index === this.player1SelectedCard : index === this.player2SelectedCard,
             values: showValues ? card.getProperties() : null,
+            abilities: showValues ? [...card.abilities] : null,
             rarity: card.getRarity()
         }));
     }
 
+    /**
+     * Check if a player can still play a card
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @param {number} cardIndex - Index of the card
+     * @returns {boolean} - True if the card has not been played or banned
+     */
+    isCardAvailable(playerNumber, cardIndex) {
+        return !this.usedCards[`player${playerNumber}`].includes(cardIndex) && !this.isCardBanned(playerNumber, cardIndex);
+    }
+
+    /**
+     * Get the indices of the cards a player can still play
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @returns {number[]} - Available card indices
+     */
+    getAvailableCardIndices(playerNumber) {
+        const cards = playerNumber === 1 ? this.player1Cards : this.player2Cards;
+        return cards.map((card, index) => index).filter(index => this.isCardAvailable(playerNumber, index));
+    }
+
     /**
      * Get instructions for current phase
      * @returns {string} - Phase instructions
      */
     getPhaseInstructions() {
+        if (this.isTiebreakerActive()) {
+            return this.getTiebreakerInstructions();
+        }
+
         switch (this.matchPhase) {
+            case GameConfig.GAME_PHASES.BAN:
+                return this.banVisibility === GameConfig.BAN_VISIBILITY.RARITY ?
+                    "Ban one of your opponent's cards (only their rarities are shown)" :
+                    "Ban one of your opponent's cards";
             case GameConfig.GAME_PHASES.CARD_SELECTION:
-                return `Select card ${this.currentCardGame} of ${this.maxCardGames} to play`;
+                return `Choose an unused card for card game ${this.currentCardGame} of ${this.maxCardGames}`;
             case GameConfig.GAME_PHASES.PROPERTY_SELECTION:
-                return `Round ${this.roundManager.getCurrentRound()}: Choose a property to play`;
+                return this.commitReveal ?
+                    `Round ${this.roundManager.getCurrentRound()}: Commit to a property to play` :
+                    `Round ${this.roundManager.getCurrentRound()}: Choose a property to play`;
+            case GameConfig.GAME_PHASES.PROPERTY_REVEAL:
+                return `Round ${this.roundManager.getCurrentRound()}: Reveal your committed property`;
             case GameConfig.GAME_PHASES.ROUND_RESULT:
                 return `Round ${this.roundManager.getCurrentRound()} complete`;
             case GameConfig.GAME_PHASES.CARD_COMPLETE:
@@ -153,18 +825,35 @@ class MatchManager {
      * @returns {Object} - Selection result
      */
     selectCard(playerNumber, cardIndex) {
+        return this.dispatch({ type: GameConfig.MATCH_ACTIONS.SELECT_CARD, playerNumber, cardIndex });
+    }
+
+    /**
+     * Apply a card selection action
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @param {number} cardIndex - Index of selected card
+     * @returns {Object} - Selection result
+     */
+    applySelectCard(playerNumber, cardIndex) {
         if (this.matchPhase !== GameConfig.GAME_PHASES.CARD_SELECTION) {
             throw new Error(`Cannot select card during phase: ${this.matchPhase}`);
         }
 
+        if (playerNumber !== 1 && playerNumber !== 2) {
+            throw new Error(`Invalid player number: ${playerNumber}`);
+        }
+
         // Validate card index
         const cards = playerNumber === 1 ? this.player1Cards : this.player2Cards;
-        if (cardIndex < 0 || cardIndex >= cards.length) {
+        if (!Number.isInteger(cardIndex) || cardIndex < 0 || cardIndex >= cards.length) {
             throw new Error(`Invalid card index: ${cardIndex}`);
         }
 
-        // Check if card is available (not used in previous card games)
-        if (cardIndex < this.currentCardGame - 1) {
+        // Check if card is available (not banned or used in previous card games)
+        if (this.isCardBanned(playerNumber, cardIndex)) {
+            throw new Error(`Card ${cardIndex} was banned by the opponent`);
+        }
+        if (!this.isCardAvailable(playerNumber, cardIndex)) {
             throw new Error(`Card ${cardIndex} already used in previous card game`);
         }
 
@@ -174,6 +863,12 @@ class MatchManager {
         } else {
             this.player2SelectedCard = cardIndex;
         }
+        
+        this.emit(GameConfig.GAME_EVENTS.CARD_SELECTED, {
+            playerNumber: playerNumber,
+            cardIndex: cardIndex,
+            cardGame: this.currentCardGame
+        });
 
         // Check if ready to proceed to property selection
         if (this.canProceedToPropertySelection()) {
@@ -211,9 +906,22 @@ class MatchManager {
      * @returns {Object} - Selection result
      */
     selectProperty(playerNumber, property) {
+        return this.dispatch({ type: GameConfig.MATCH_ACTIONS.SELECT_PROPERTY, playerNumber, property });
+    }
+
+    /**
+     * Apply a property selection action
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @param {string} property - Selected property
+     * @returns {Object} - Selection result
+     */
+    applySelectProperty(playerNumber, property) {
         if (this.matchPhase !== GameConfig.GAME_PHASES.PROPERTY_SELECTION) {
             throw new Error(`Cannot select property during phase: ${this.matchPhase}`);
         }
+        if (this.commitReveal) {
+            throw new Error('This match uses commit-reveal: use commitProperty and revealProperty');
+        }
 
         // Delegate to round manager
         const success = this.roundManager.selectProperty(playerNumber, property);
@@ -222,28 +930,327 @@ class MatchManager {
             this.calculateRound();
         }
 
-        return {
-            success: success,
-            readyForCalculation: this.roundManager.isRoundReadyForCalculation(),
-            availableProperties: this.roundManager.getAvailableProperties(playerNumber)
-        };
+        return {
+            success: success,
+            readyForCalculation: this.roundManager.isRoundReadyForCalculation(),
+            availableProperties: this.roundManager.getAvailableProperties(playerNumber)
+        };
+    }
+
+    /**
+     * Commit to a property without revealing it (commit-reveal matches)
+     * While the opponent can still peek (see canPeek), the move must also be disclosed to the
+     * engine, which shows it to a peek and to no one else
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @param {string} commitment - MoveCommitment.create(card id, property, salt)
+     * @param {Object} [disclosure] - {property, salt} the commitment was made with
+     * @returns {Object} - Commit result
+     */
+    commitProperty(playerNumber, commitment, disclosure = null) {
+        return this.dispatch({
+            type: GameConfig.MATCH_ACTIONS.COMMIT_PROPERTY,
+            playerNumber,
+            commitment,
+            disclosure: disclosure && { property: disclosure.property, salt: disclosure.salt }
+        });
+    }
+
+    /**
+     * Apply a property commitment action
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @param {string} commitment - Commitment hash
+     * @param {Object|null} disclosure - {property, salt} behind the commitment, or null
+     * @returns {Object} - Commit result
+     */
+    applyCommitProperty(playerNumber, commitment, disclosure) {
+        if (!this.commitReveal) {
+            throw new Error('This match does not use commit-reveal: use selectProperty');
+        }
+        if (this.matchPhase !== GameConfig.GAME_PHASES.PROPERTY_SELECTION) {
+            throw new Error(`Cannot commit property during phase: ${this.matchPhase}`);
+        }
+        if (playerNumber !== 1 && playerNumber !== 2) {
+            throw new Error(`Invalid player number: ${playerNumber}`);
+        }
+        if (this.hasCommitted(playerNumber)) {
+            throw new Error(`Player ${playerNumber} has already committed this round`);
+        }
+        if (typeof commitment !== 'string' || !/^[0-9a-f]{64}$/.test(commitment)) {
+            throw new Error('Commitment must be a SHA-256 hex digest');
+        }
+
+        const opponentNumber = playerNumber === 1 ? 2 : 1;
+        if (disclosure) {
+            if (!MoveCommitment.verify(commitment, this.getActiveCard(playerNumber).id, disclosure.property, disclosure.salt)) {
+                throw new Error(`Disclosure does not match player ${playerNumber}'s commitment`);
+            }
+        } else if (this.canPeek(opponentNumber)) {
+            throw new Error(`Player ${opponentNumber} can still peek this round: disclose your property with the commitment`);
+        }
+
+        this.commitments[`player${playerNumber}`] = commitment;
+        this.disclosures[`player${playerNumber}`] = disclosure ? disclosure.property : null;
+        this.emit(GameConfig.GAME_EVENTS.MOVE_COMMITTED, {
+            playerNumber: playerNumber,
+            round: this.roundManager.getCurrentRound()
+        });
+
+        // Reveals open only once both players are bound to their move
+        if (this.hasCommitted(1) && this.hasCommitted(2)) {
+            this.startReveal();
+        }
+
+        return {
+            success: true,
+            readyToReveal: this.matchPhase === GameConfig.GAME_PHASES.PROPERTY_REVEAL
+        };
+    }
+
+    /**
+     * Open the reveal phase, revealing any moves the engine played for timed-out players
+     */
+    startReveal() {
+        this.matchPhase = GameConfig.GAME_PHASES.PROPERTY_REVEAL;
+
+        [1, 2].forEach(playerNumber => {
+            const property = this.timeoutMoves[`player${playerNumber}`];
+            if (property !== null) {
+                this.timeoutMoves[`player${playerNumber}`] = null;
+                this.roundManager.selectProperty(playerNumber, property);
+            }
+        });
+
+        if (this.roundManager.isRoundReadyForCalculation()) {
+            this.clearCommitments();
+            this.calculateRound();
+        }
+    }
+
+    /**
+     * Reveal a committed property (commit-reveal matches)
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @param {string} property - Committed property
+     * @param {string} salt - Salt used for the commitment
+     * @returns {Object} - Reveal result
+     */
+    revealProperty(playerNumber, property, salt) {
+        return this.dispatch({ type: GameConfig.MATCH_ACTIONS.REVEAL_PROPERTY, playerNumber, property, salt });
+    }
+
+    /**
+     * Apply a property reveal action, rejecting reveals that do not match the commitment
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @param {string} property - Revealed property
+     * @param {string} salt - Revealed salt
+     * @returns {Object} - Reveal result
+     */
+    applyRevealProperty(playerNumber, property, salt) {
+        if (this.matchPhase !== GameConfig.GAME_PHASES.PROPERTY_REVEAL) {
+            throw new Error(`Cannot reveal property during phase: ${this.matchPhase}`);
+        }
+        if (playerNumber !== 1 && playerNumber !== 2) {
+            throw new Error(`Invalid player number: ${playerNumber}`);
+        }
+        if (this.hasRevealed(playerNumber)) {
+            throw new Error(`Player ${playerNumber} has already revealed this round`);
+        }
+
+        const card = this.getActiveCard(playerNumber);
+        if (!MoveCommitment.verify(this.commitments[`player${playerNumber}`], card.id, property, salt)) {
+            throw new Error(`Reveal does not match player ${playerNumber}'s commitment`);
+        }
+
+        this.roundManager.selectProperty(playerNumber, property);
+
+        let roundResult = null;
+        if (this.roundManager.isRoundReadyForCalculation()) {
+            this.clearCommitments();
+            roundResult = this.calculateRound();
+        }
+
+        return {
+            success: true,
+            roundResult: roundResult
+        };
+    }
+
+    /**
+     * Check if a player has committed this round
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @returns {boolean} - True if committed
+     */
+    hasCommitted(playerNumber) {
+        return this.commitments[`player${playerNumber}`] !== null;
+    }
+
+    /**
+     * Check if a player has revealed this round
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @returns {boolean} - True if revealed
+     */
+    hasRevealed(playerNumber) {
+        const property = playerNumber === 1 ?
+            this.roundManager.currentPlayer1Property :
+            this.roundManager.currentPlayer2Property;
+        return property !== null;
+    }
+
+    /**
+     * Check if a player has chosen their property this round (committed to it in commit-reveal matches)
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @returns {boolean} - True if chosen
+     */
+    hasChosenProperty(playerNumber) {
+        return (this.commitReveal && this.hasCommitted(playerNumber)) || this.hasRevealed(playerNumber);
+    }
+
+    /**
+     * Get the property a player has chosen this round, as far as the engine knows it
+     * In commit-reveal matches a committed move is known once revealed, disclosed or played for a timeout
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @returns {string|null} - Property, or null if not known
+     */
+    getChosenProperty(playerNumber) {
+        const key = `player${playerNumber}`;
+        const revealed = playerNumber === 1 ?
+            this.roundManager.currentPlayer1Property :
+            this.roundManager.currentPlayer2Property;
+        return revealed || this.disclosures[key] || this.timeoutMoves[key];
+    }
+
+    /**
+     * Check if a player can still peek at the opponent's property this round
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @returns {boolean} - True if they have not chosen yet and have a peek handicap or Peek ability left
+     */
+    canPeek(playerNumber) {
+        if (this.matchPhase !== GameConfig.GAME_PHASES.PROPERTY_SELECTION || this.hasChosenProperty(playerNumber)) {
+            return false;
+        }
+
+        const card = this.getActiveCard(playerNumber);
+        return this.getPeeksLeft(playerNumber) > 0 ||
+            (Boolean(card) && this.roundManager.isAbilityAvailable(playerNumber, card, GameConfig.CARD_ABILITIES.PEEK));
+    }
+
+    /**
+     * Forget this round's commitments and disclosures
+     */
+    clearCommitments() {
+        this.commitments = { player1: null, player2: null };
+        this.disclosures = { player1: null, player2: null };
+    }
+
+    /**
+     * Use an ability of the card in play this round (see CardAbility)
+     * Peek returns the opponent's property in the result; other abilities show in the round result's effects
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @param {string} ability - GameConfig.CARD_ABILITIES id (an activated ability)
+     * @param {Object} [params] - Ability parameters (e.g. {properties: ['magic', 'attack']} for swap-values)
+     * @returns {Object} - Activation result {ability, effect}
+     */
+    activateAbility(playerNumber, ability, params = {}) {
+        return this.dispatch({ type: GameConfig.MATCH_ACTIONS.ACTIVATE_ABILITY, playerNumber, ability, params });
+    }
+
+    /**
+     * Apply an ability activation action
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @param {string} ability - CardAbility id
+     * @param {Object} params - Ability parameters
+     * @returns {Object} - Activation result {ability, effect}
+     */
+    applyActivateAbility(playerNumber, ability, params) {
+        if (this.matchPhase !== GameConfig.GAME_PHASES.PROPERTY_SELECTION) {
+            throw new Error(`Cannot activate an ability during phase: ${this.matchPhase}`);
+        }
+        if (ability === GameConfig.CARD_ABILITIES.PEEK && this.hasChosenProperty(playerNumber)) {
+            throw new Error('Peek must be used before choosing your property');
+        }
+
+        // Committed moves stay hidden from abilities unless the engine knows them
+        const chosen = this.commitReveal ? { player1: this.getChosenProperty(1), player2: this.getChosenProperty(2) } : null;
+        return this.roundManager.activateAbility(playerNumber, ability, this.getActiveCard(1), this.getActiveCard(2), params, chosen);
+    }
+
+    /**
+     * See the property the opponent has chosen this round before choosing yours (peek handicap)
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @returns {Object} - Peek result {property}
+     */
+    peek(playerNumber) {
+        return this.dispatch({ type: GameConfig.MATCH_ACTIONS.PEEK, playerNumber });
+    }
+
+    /**
+     * Apply a peek action
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @returns {Object} - Peek result {property}
+     */
+    applyPeek(playerNumber) {
+        if (this.matchPhase !== GameConfig.GAME_PHASES.PROPERTY_SELECTION) {
+            throw new Error(`Cannot peek during phase: ${this.matchPhase}`);
+        }
+        if (playerNumber !== 1 && playerNumber !== 2) {
+            throw new Error(`Invalid player number: ${playerNumber}`);
+        }
+        if (this.getPeeksLeft(playerNumber) === 0) {
+            throw new Error(`Player ${playerNumber} has no peek left this card game`);
+        }
+        if (this.hasChosenProperty(playerNumber)) {
+            throw new Error('Peek must be used before choosing your property');
+        }
+
+        const opponentNumber = playerNumber === 1 ? 2 : 1;
+        const property = this.getChosenProperty(opponentNumber);
+        if (property === null) {
+            throw new Error('Your opponent has not chosen a property yet');
+        }
+
+        const peek = {
+            playerNumber: playerNumber,
+            cardGame: this.currentCardGame,
+            round: this.roundManager.getCurrentRound()
+        };
+        this.peeks.push(peek);
+        this.emit(GameConfig.GAME_EVENTS.HANDICAP_PEEK, { ...peek });
+
+        return { property: property };
+    }
+
+    /**
+     * Get the peeks a player has left in the current card game
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @returns {number} - 1 or 0 with the peek handicap, otherwise 0
+     */
+    getPeeksLeft(playerNumber) {
+        if (!this.handicaps || !this.handicaps[`player${playerNumber}`].peek) {
+            return 0;
+        }
+
+        const used = this.peeks.filter(peek => peek.playerNumber === playerNumber && peek.cardGame === this.currentCardGame);
+        return used.length > 0 ? 0 : 1;
     }
 
     /**
      * Calculate current round result
      */
     calculateRound() {
-        const player1Card = this.player1Cards[this.player1SelectedCard];
-        const player2Card = this.player2Cards[this.player2SelectedCard];
+        const player1Card = this.getActiveCard(1);
+        const player2Card = this.getActiveCard(2);
         
         const roundResult = this.roundManager.calculateRoundResult(player1Card, player2Card);
+        if (this.isTiebreakerActive()) {
+            this.processTiebreakerRound(roundResult);
+            return roundResult;
+        }
         this.scoreManager.processRoundResult(roundResult, this.currentCardGame, this.roundManager.getCurrentRound());
         
         this.matchPhase = GameConfig.GAME_PHASES.ROUND_RESULT;
         
-        // Check if card game is complete
-        if (this.roundManager.areAllRoundsComplete()) {
-            this.completeCardGame();
+        // Check if card game is complete (a first-to-N target ends it, and the match, at once)
+        if (this.roundManager.areAllRoundsComplete() || this.format.isTargetReached(this.scoreManager.getScores())) {
+            this.applyCompleteCardGame();
         } else if (this.roundManager.shouldAutoPlayRound()) {
             this.autoPlayFinalRound();
         }
@@ -255,13 +1262,17 @@ class MatchManager {
      * Auto-play the final round
      */
     autoPlayFinalRound() {
-        const player1Card = this.player1Cards[this.player1SelectedCard];
-        const player2Card = this.player2Cards[this.player2SelectedCard];
+        const player1Card = this.getActiveCard(1);
+        const player2Card = this.getActiveCard(2);
         
         const roundResult = this.roundManager.autoPlayRound(player1Card, player2Card);
+        if (this.isTiebreakerActive()) {
+            this.processTiebreakerRound(roundResult);
+            return roundResult;
+        }
         this.scoreManager.processRoundResult(roundResult, this.currentCardGame, this.roundManager.getCurrentRound());
         
-        this.completeCardGame();
+        this.applyCompleteCardGame();
         return roundResult;
     }
 
@@ -270,10 +1281,25 @@ class MatchManager {
      * @returns {boolean} - True if advanced successfully
      */
     advanceToNextRound() {
+        return this.dispatch({ type: GameConfig.MATCH_ACTIONS.ADVANCE_ROUND });
+    }
+
+    /**
+     * Apply an advance round action
+     * @returns {boolean} - True if advanced successfully
+     */
+    applyAdvanceToNextRound() {
         if (this.matchPhase !== GameConfig.GAME_PHASES.ROUND_RESULT) {
             return false;
         }
 
+        // Every sudden-death round is played with all properties available again
+        if (this.isTiebreakerActive() && this.tiebreaker.stage === GameConfig.TIEBREAKERS.SUDDEN_DEATH) {
+            this.roundManager.reset();
+            this.matchPhase = GameConfig.GAME_PHASES.PROPERTY_SELECTION;
+            return true;
+        }
+
         const advanced = this.roundManager.advanceToNextRound();
         if (advanced) {
             this.matchPhase = GameConfig.GAME_PHASES.PROPERTY_SELECTION;
@@ -286,8 +1312,26 @@ class MatchManager {
      * Complete current card game
      */
     completeCardGame() {
+        return this.dispatch({ type: GameConfig.MATCH_ACTIONS.COMPLETE_CARD_GAME });
+    }
+
+    /**
+     * Apply a complete card game action
+     * @returns {boolean} - True if the card game was completed
+     */
+    applyCompleteCardGame() {
+        if (this.matchPhase !== GameConfig.GAME_PHASES.ROUND_RESULT || this.isTiebreakerActive()) {
+            return false;
+        }
+
+        this.usedCards.player1.push(this.player1SelectedCard);
+        this.usedCards.player2.push(this.player2SelectedCard);
+        
         const roundResults = this.roundManager.getRoundResults();
-        this.scoreManager.completeCardGame(roundResults, this.currentCardGame);
+        this.scoreManager.completeCardGame(roundResults, this.currentCardGame, {
+            player1: this.player1Cards[this.player1SelectedCard],
+            player2: this.player2Cards[this.player2SelectedCard]
+        });
         
         const cardGameResult = {
             cardGame: this.currentCardGame,
@@ -300,11 +1344,14 @@ class MatchManager {
         
         this.cardGameResults.push(cardGameResult);
         this.matchPhase = GameConfig.GAME_PHASES.CARD_COMPLETE;
+        this.emit(GameConfig.GAME_EVENTS.CARD_GAME_COMPLETE, cardGameResult);
         
         // Check if match is complete
-        if (this.currentCardGame >= this.maxCardGames) {
-            this.completeMatch();
+        if (this.currentCardGame >= this.maxCardGames || this.format.isTargetReached(this.scoreManager.getScores())) {
+            this.applyCompleteMatch();
         }
+        
+        return true;
     }
 
     /**
@@ -312,12 +1359,20 @@ class MatchManager {
      * @returns {boolean} - True if advanced successfully
      */
     advanceToNextCard() {
+        return this.dispatch({ type: GameConfig.MATCH_ACTIONS.ADVANCE_CARD });
+    }
+
+    /**
+     * Apply an advance card action
+     * @returns {boolean} - True if advanced successfully
+     */
+    applyAdvanceToNextCard() {
         if (this.matchPhase !== GameConfig.GAME_PHASES.CARD_COMPLETE) {
             return false;
         }
 
         if (this.currentCardGame >= this.maxCardGames) {
-            this.completeMatch();
+            this.applyCompleteMatch();
             return false;
         }
 
@@ -333,21 +1388,453 @@ class MatchManager {
      * Complete the entire match
      */
     completeMatch() {
-        this.endTime = Date.now();
+        return this.dispatch({ type: GameConfig.MATCH_ACTIONS.COMPLETE_MATCH });
+    }
+
+    /**
+     * Apply a complete match action
+     */
+    applyCompleteMatch() {
+        // A level match is not over until its tiebreaker, if the match has one, is decided
+        if (this.tiebreakerMode && this.getCurrentWinner() === 'tie') {
+            if (!this.tiebreaker) {
+                this.startTiebreaker();
+            }
+            return;
+        }
+
+        this.endTime = this.clock.now();
         this.matchPhase = GameConfig.GAME_PHASES.GAME_OVER;
         
         const finalScores = this.scoreManager.getScores();
-        const winner = this.scoreManager.getCurrentWinner();
+        const winner = this.getCurrentWinner();
         
         this.matchResult = {
             matchId: this.matchId,
+            seed: this.rng.getSeed(),
+            scoringSystem: this.scoringStrategy.id,
+            format: this.format.toJSON(),
             winner: winner,
             finalScores: finalScores,
+            cardGamesWon: this.format.getCardGamesWon(this.scoreManager.getCardResults()),
+            bonuses: this.scoreManager.getAwardedBonuses(),
             cardResults: this.cardGameResults,
+            tiebreaker: this.tiebreaker,
+            terminationReason: this.terminationReason || GameConfig.TERMINATION_REASONS.NORMAL,
+            forfeitedBy: this.forfeitedBy,
+            timeouts: this.timeoutEvents,
+            draft: this.draft,
+            bans: this.getBans(),
+            handicaps: this.handicaps,
+            peeks: this.peeks.map(peek => ({ ...peek })),
             statistics: this.scoreManager.getScoreBreakdown(),
             duration: this.endTime - this.startTime,
             completedAt: this.endTime
         };
+        
+        this.emit(GameConfig.GAME_EVENTS.MATCH_COMPLETE, this.matchResult);
+    }
+
+    /**
+     * Get the players who still owe a move in the current phase
+     * @returns {number[]} - Player numbers
+     */
+    getPendingPlayers() {
+        const phases = GameConfig.GAME_PHASES;
+        return [1, 2].filter(playerNumber => {
+            switch (this.matchPhase) {
+                case phases.BAN:
+                    return !this.hasBanned(playerNumber);
+                case phases.CARD_SELECTION:
+                    return (playerNumber === 1 ? this.player1SelectedCard : this.player2SelectedCard) === null;
+                case phases.PROPERTY_SELECTION:
+                    return this.commitReveal ? !this.hasCommitted(playerNumber) : !this.hasRevealed(playerNumber);
+                case phases.PROPERTY_REVEAL:
+                    return !this.hasRevealed(playerNumber);
+                default:
+                    return false;
+            }
+        });
+    }
+
+    /**
+     * Restart the move timer whenever a new move is due (new phase, round or card game)
+     */
+    updateMoveTimer() {
+        const key = [
+            this.matchPhase,
+            this.currentCardGame,
+            this.roundManager.getCurrentRound(),
+            this.tiebreaker ? this.tiebreaker.rounds.length : 0
+        ].join('|');
+
+        if (key !== this.moveTimer.key) {
+            this.moveTimer = { key: key, startedAt: this.clock.now() };
+        }
+    }
+
+    /**
+     * Get the time left for the current move
+     * @returns {number|null} - Remaining ms (0 once expired), or null if no timed move is due
+     */
+    getTimeRemaining() {
+        if (!this.onTimeout || this.getPendingPlayers().length === 0) {
+            return null;
+        }
+
+        const cardPhases = [GameConfig.GAME_PHASES.BAN, GameConfig.GAME_PHASES.CARD_SELECTION];
+        const limit = cardPhases.includes(this.matchPhase) ?
+            this.timeouts.cardSelection : this.timeouts.propertySelection;
+        return Math.max(0, this.moveTimer.startedAt + limit - this.clock.now());
+    }
+
+    /**
+     * Enforce move timers: time out every player whose move is overdue
+     * Call periodically (or after advancing a manual clock)
+     * @returns {Object[]} - Timeout events applied
+     */
+    checkTimers() {
+        const events = [];
+
+        [1, 2].forEach(playerNumber => {
+            if (!this.isMatchComplete() && this.getTimeRemaining() === 0 &&
+                this.getPendingPlayers().includes(playerNumber)) {
+                events.push(this.dispatch({ type: GameConfig.MATCH_ACTIONS.TIMEOUT, playerNumber }));
+            }
+        });
+
+        return events;
+    }
+
+    /**
+     * Apply a timeout action: play a move for the player, or forfeit the match
+     * A committed move can only be revealed by its player, so a reveal timeout always forfeits
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @returns {Object} - Timeout event
+     */
+    applyTimeout(playerNumber) {
+        if (!this.getPendingPlayers().includes(playerNumber)) {
+            throw new Error(`Player ${playerNumber} has no move to time out`);
+        }
+
+        const phases = GameConfig.GAME_PHASES;
+        const timeoutActions = GameConfig.TIMEOUT_ACTIONS;
+        const resolution = this.matchPhase === phases.PROPERTY_REVEAL ?
+            timeoutActions.FORFEIT : this.onTimeout || timeoutActions.RANDOM;
+
+        const event = {
+            playerNumber: playerNumber,
+            phase: this.matchPhase,
+            cardGame: this.currentCardGame,
+            round: [phases.BAN, phases.CARD_SELECTION].includes(this.matchPhase) ? null : this.roundManager.getCurrentRound(),
+            resolution: resolution,
+            move: null
+        };
+
+        // The move is recorded with the action, so replays and undo/redo play the same one
+        if (resolution !== timeoutActions.FORFEIT) {
+            event.move = this.drawOutcome('move', () => {
+                switch (this.matchPhase) {
+                    case phases.BAN:
+                        return this.chooseTimeoutBan(playerNumber, resolution);
+                    case phases.CARD_SELECTION:
+                        return this.rng.pick(this.getAvailableCardIndices(playerNumber));
+                    default:
+                        return this.chooseTimeoutProperty(playerNumber, resolution);
+                }
+            });
+        }
+
+        this.timeoutEvents.push(event);
+        this.emit(GameConfig.GAME_EVENTS.MOVE_TIMEOUT, event);
+
+        if (resolution === timeoutActions.FORFEIT) {
+            this.applyForfeit(playerNumber, GameConfig.TERMINATION_REASONS.TIMEOUT);
+        } else if (this.matchPhase === phases.BAN) {
+            this.applyBanCard(playerNumber, event.move);
+        } else if (this.matchPhase === phases.CARD_SELECTION) {
+            this.applySelectCard(playerNumber, event.move);
+        } else {
+            this.playTimeoutProperty(playerNumber, event.move);
+        }
+
+        return event;
+    }
+
+    /**
+     * Choose the property played for a timed-out player
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @param {string} resolution - GameConfig.TIMEOUT_ACTIONS id
+     * @returns {string} - Property to play
+     */
+    chooseTimeoutProperty(playerNumber, resolution) {
+        const available = this.roundManager.getAvailableProperties(playerNumber);
+        if (resolution !== GameConfig.TIMEOUT_ACTIONS.AI) {
+            return this.rng.pick(available);
+        }
+
+        return AIStrategy.choosePropertyFromView(this.getPlayerView(playerNumber), GameConfig.AI_CONFIG.DIFFICULTY_LEVELS.NORMAL, this.rng);
+    }
+
+    /**
+     * Choose the opponent card banned for a timed-out player
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @param {string} resolution - GameConfig.TIMEOUT_ACTIONS id
+     * @returns {number} - Index of the card in the opponent's deck
+     */
+    chooseTimeoutBan(playerNumber, resolution) {
+        if (resolution !== GameConfig.TIMEOUT_ACTIONS.AI) {
+            const opponentCards = playerNumber === 1 ? this.player2Cards : this.player1Cards;
+            return this.rng.pick(opponentCards.map((card, index) => index));
+        }
+
+        return AIStrategy.chooseBanFromView(this.getPlayerView(playerNumber), GameConfig.AI_CONFIG.DIFFICULTY_LEVELS.NORMAL, this.rng);
+    }
+
+    /**
+     * Play a property for a timed-out player
+     * In commit-reveal matches the move is held back until the reveal, like a committed move
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @param {string} property - Property to play
+     */
+    playTimeoutProperty(playerNumber, property) {
+        if (!this.commitReveal) {
+            this.roundManager.selectProperty(playerNumber, property);
+            if (this.roundManager.isRoundReadyForCalculation()) {
+                this.calculateRound();
+            }
+            return;
+        }
+
+        // No hash is needed: the engine itself keeps the move until the reveal
+        this.commitments[`player${playerNumber}`] = 'timeout';
+        this.timeoutMoves[`player${playerNumber}`] = property;
+        if (this.hasCommitted(1) && this.hasCommitted(2)) {
+            this.startReveal();
+        }
+    }
+
+    /**
+     * Resign the match, ending it at once with the opponent as winner
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @returns {Object} - Match result
+     */
+    resign(playerNumber) {
+        return this.dispatch({ type: GameConfig.MATCH_ACTIONS.RESIGN, playerNumber });
+    }
+
+    /**
+     * Apply a resign action
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @returns {Object} - Match result
+     */
+    applyResign(playerNumber) {
+        return this.applyForfeit(playerNumber, GameConfig.TERMINATION_REASONS.RESIGNATION);
+    }
+
+    /**
+     * Record that a player left the match, ending it at once with the opponent as winner
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @param {string} reason - GameConfig.TERMINATION_REASONS.DISCONNECT or ABANDONED
+     * @returns {Object} - Match result
+     */
+    abandon(playerNumber, reason = GameConfig.TERMINATION_REASONS.ABANDONED) {
+        return this.dispatch({ type: GameConfig.MATCH_ACTIONS.ABANDON, playerNumber, reason });
+    }
+
+    /**
+     * Apply an abandon action
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @param {string} reason - GameConfig.TERMINATION_REASONS.DISCONNECT or ABANDONED
+     * @returns {Object} - Match result
+     */
+    applyAbandon(playerNumber, reason) {
+        const reasons = GameConfig.TERMINATION_REASONS;
+        if (reason !== reasons.DISCONNECT && reason !== reasons.ABANDONED) {
+            throw new Error(`Invalid abandon reason: ${reason}`);
+        }
+
+        return this.applyForfeit(playerNumber, reason);
+    }
+
+    /**
+     * End the match with a player forfeiting
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @param {string} reason - GameConfig.TERMINATION_REASONS id
+     * @returns {Object} - Match result
+     */
+    applyForfeit(playerNumber, reason) {
+        if (this.isMatchComplete()) {
+            throw new Error('Match is already complete');
+        }
+        if (playerNumber !== 1 && playerNumber !== 2) {
+            throw new Error(`Invalid player number: ${playerNumber}`);
+        }
+
+        this.forfeitedBy = `player${playerNumber}`;
+        this.terminationReason = reason;
+        this.applyCompleteMatch();
+
+        return this.matchResult;
+    }
+
+    /**
+     * Get the card a player is playing: the selected card, or their tiebreaker card
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @returns {Card} - Card in play
+     */
+    getActiveCard(playerNumber) {
+        if (this.tiebreakerCards) {
+            return this.tiebreakerCards[`player${playerNumber}`];
+        }
+        return playerNumber === 1 ?
+            this.player1Cards[this.player1SelectedCard] :
+            this.player2Cards[this.player2SelectedCard];
+    }
+
+    /**
+     * Check if a tiebreaker is being played
+     * @returns {boolean} - True while the tiebreaker has no winner
+     */
+    isTiebreakerActive() {
+        return this.tiebreaker !== null && this.tiebreaker.winner === null;
+    }
+
+    /**
+     * Get the reserve cards for the reserve card tiebreaker
+     * @returns {Object|null} - {player1: Card, player2: Card}, or null if a player has no card left
+     */
+    getReserveCards() {
+        if (this.reserveCards) {
+            return this.reserveCards;
+        }
+
+        const player1Index = this.getAvailableCardIndices(1)[0];
+        const player2Index = this.getAvailableCardIndices(2)[0];
+        if (player1Index === undefined || player2Index === undefined) {
+            return null;
+        }
+
+        return {
+            player1: this.player1Cards[player1Index],
+            player2: this.player2Cards[player2Index]
+        };
+    }
+
+    /**
+     * Start the tiebreaker for a level match
+     * The reserve card tiebreaker falls back to sudden death when there are no reserve cards
+     */
+    startTiebreaker() {
+        const tiebreakers = GameConfig.TIEBREAKERS;
+        const reserveCards = this.tiebreakerMode === tiebreakers.RESERVE_CARD ? this.getReserveCards() : null;
+
+        if (reserveCards) {
+            this.tiebreakerCards = { ...reserveCards };
+        } else {
+            // Sudden death is played with the cards from the last card game
+            const lastCard = (playerNumber) => {
+                const used = this.usedCards[`player${playerNumber}`];
+                const cards = playerNumber === 1 ? this.player1Cards : this.player2Cards;
+                return cards[used.length > 0 ? used[used.length - 1] : 0];
+            };
+            this.tiebreakerCards = { player1: lastCard(1), player2: lastCard(2) };
+        }
+
+        this.tiebreaker = {
+            mode: this.tiebreakerMode,
+            stage: reserveCards ? tiebreakers.RESERVE_CARD : tiebreakers.SUDDEN_DEATH,
+            player1Card: this.tiebreakerCards.player1.toJSON(),
+            player2Card: this.tiebreakerCards.player2.toJSON(),
+            rounds: [],
+            scores: { player1: 0, player2: 0 },
+            winner: null,
+            decidedBy: null
+        };
+
+        this.clearCommitments();
+        this.roundManager.reset();
+        this.matchPhase = GameConfig.GAME_PHASES.PROPERTY_SELECTION;
+
+        this.emit(GameConfig.GAME_EVENTS.TIEBREAKER_STARTED, this.tiebreaker);
+    }
+
+    /**
+     * Record a tiebreaker round and decide the tiebreaker when possible
+     * Tiebreaker points never count towards the match scores
+     * @param {Object} roundResult - Round result from the round manager
+     */
+    processTiebreakerRound(roundResult) {
+        const tiebreakers = GameConfig.TIEBREAKERS;
+        const tiebreaker = this.tiebreaker;
+
+        tiebreaker.rounds.push({ ...roundResult, stage: tiebreaker.stage });
+        tiebreaker.scores.player1 += roundResult.player1Points;
+        tiebreaker.scores.player2 += roundResult.player2Points;
+        this.matchPhase = GameConfig.GAME_PHASES.ROUND_RESULT;
+
+        if (tiebreaker.stage === tiebreakers.SUDDEN_DEATH) {
+            const suddenDeathRounds = tiebreaker.rounds.filter(round => round.stage === tiebreakers.SUDDEN_DEATH).length;
+            if (roundResult.winner !== 'tie') {
+                this.completeTiebreaker(roundResult.winner, tiebreakers.SUDDEN_DEATH);
+            } else if (suddenDeathRounds >= GameConfig.TIEBREAKER_RULES.MAX_SUDDEN_DEATH_ROUNDS) {
+                const coinToss = this.drawOutcome('coinToss', () => this.rng.pick(['player1', 'player2']));
+                this.completeTiebreaker(coinToss, 'coin-toss');
+            }
+            return;
+        }
+
+        // Reserve card game: play it out, then sudden death with the same cards if still level
+        if (this.roundManager.getRoundResults().length < this.roundManager.getMaxRounds()) {
+            if (this.roundManager.shouldAutoPlayRound()) {
+                this.autoPlayFinalRound();
+            }
+            return;
+        }
+
+        const { player1, player2 } = tiebreaker.scores;
+        if (player1 !== player2) {
+            this.completeTiebreaker(player1 > player2 ? 'player1' : 'player2', tiebreakers.RESERVE_CARD);
+        } else {
+            tiebreaker.stage = tiebreakers.SUDDEN_DEATH;
+        }
+    }
+
+    /**
+     * Record the tiebreaker winner and complete the match
+     * @param {string} winner - 'player1' or 'player2'
+     * @param {string} decidedBy - Tiebreaker stage that decided it, or 'coin-toss'
+     */
+    completeTiebreaker(winner, decidedBy) {
+        this.tiebreaker.winner = winner;
+        this.tiebreaker.decidedBy = decidedBy;
+
+        this.emit(GameConfig.GAME_EVENTS.TIEBREAKER_COMPLETE, this.tiebreaker);
+        this.applyCompleteMatch();
+    }
+
+    /**
+     * Get instructions while a tiebreaker is being played
+     * @returns {string} - Tiebreaker instructions
+     */
+    getTiebreakerInstructions() {
+        const suddenDeath = this.tiebreaker.stage === GameConfig.TIEBREAKERS.SUDDEN_DEATH;
+        const label = suddenDeath ? 'Sudden death' : 'Reserve card tiebreaker';
+        const resolved = this.matchPhase === GameConfig.GAME_PHASES.ROUND_RESULT;
+        const round = suddenDeath ?
+            this.tiebreaker.rounds.filter(result => result.stage === GameConfig.TIEBREAKERS.SUDDEN_DEATH).length + (resolved ? 0 : 1) :
+            this.roundManager.getCurrentRound();
+
+        switch (this.matchPhase) {
+            case GameConfig.GAME_PHASES.PROPERTY_SELECTION:
+                return this.commitReveal ?
+                    `${label} round ${round}: Commit to a property to play` :
+                    `${label} round ${round}: Choose a property to play`;
+            case GameConfig.GAME_PHASES.PROPERTY_REVEAL:
+                return `${label} round ${round}: Reveal your committed property`;
+            default:
+                return `${label} round ${round} complete`;
+        }
     }
 
     /**
@@ -358,18 +1845,157 @@ class MatchManager {
         return {
             matchId: this.matchId,
             gameMode: this.gameMode,
+            seed: this.rng.getSeed(),
+            scoringSystem: this.scoringStrategy.id,
             currentCardGame: this.currentCardGame,
             maxCardGames: this.maxCardGames,
             matchPhase: this.matchPhase,
             currentRound: this.roundManager.getCurrentRound(),
             scores: this.scoreManager.getScores(),
             cardGameResults: this.cardGameResults,
+            tiebreaker: this.tiebreaker,
+            handicaps: this.handicaps,
             instructions: this.getPhaseInstructions(),
-            timeElapsed: Date.now() - this.startTime,
+            timeElapsed: this.clock.now() - this.startTime,
+            timeRemaining: this.getTimeRemaining(),
+            terminationReason: this.terminationReason,
             isComplete: this.matchPhase === GameConfig.GAME_PHASES.GAME_OVER
         };
     }
 
+    /**
+     * Get what one player is entitled to know about the match
+     * Their own cards and moves; of the opponent only what has been revealed: values played
+     * in past rounds and whether they have chosen this turn, never what they chose.
+     * In matches with a ban phase the opponent's deck is shown (in full or only its rarities),
+     * and the opponent's ban stays hidden until both players have banned.
+     * Clients, AIs and the network layer should read the match through this view
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @returns {Object} - Serializable player view
+     */
+    getPlayerView(playerNumber) {
+        if (playerNumber !== 1 && playerNumber !== 2) {
+            throw new Error(`Invalid player number: ${playerNumber}`);
+        }
+
+        const opponentNumber = playerNumber === 1 ? 2 : 1;
+        const selectedCard = player => player === 1 ? this.player1SelectedCard : this.player2SelectedCard;
+        const cards = player => player === 1 ? this.player1Cards : this.player2Cards;
+        const cardRevealed = ![GameConfig.GAME_PHASES.BAN, GameConfig.GAME_PHASES.CARD_SELECTION].includes(this.matchPhase);
+        const bansRevealed = this.matchPhase !== GameConfig.GAME_PHASES.BAN;
+        const deckShown = card => {
+            switch (this.banVisibility) {
+                case GameConfig.BAN_VISIBILITY.FULL:
+                    return card.toJSON();
+                case GameConfig.BAN_VISIBILITY.RARITY:
+                    return { rarity: card.getRarity() };
+                default:
+                    return {};
+            }
+        };
+        const revealedValues = this.getRevealedValues(opponentNumber);
+        const roundResults = this.tiebreakerCards ? [] : this.roundManager.getRoundResults();
+        const activeCard = this.getActiveCard(playerNumber);
+
+        return {
+            matchId: this.matchId,
+            gameMode: this.gameMode,
+            playerNumber: playerNumber,
+            universe: this.universe.toJSON(),
+            scoringSystem: this.scoringStrategy.id,
+            format: this.format.toJSON(),
+            matchPhase: this.matchPhase,
+            currentCardGame: this.currentCardGame,
+            maxCardGames: this.maxCardGames,
+            currentRound: this.roundManager.getCurrentRound(),
+            maxRounds: this.roundManager.getMaxRounds(),
+            scores: this.scoreManager.getScores(),
+            instructions: this.getPhaseInstructions(),
+            timeRemaining: this.getTimeRemaining(),
+            banVisibility: this.banVisibility,
+            you: {
+                cards: cards(playerNumber).map((card, index) => ({
+                    ...card.toJSON(),
+                    index: index,
+                    used: this.usedCards[`player${playerNumber}`].includes(index),
+                    banned: bansRevealed && this.isCardBanned(playerNumber, index),
+                    current: index === selectedCard(playerNumber)
+                })),
+                activeCard: activeCard ? activeCard.toJSON() : null,
+                hasBanned: this.hasBanned(playerNumber),
+                selectedCard: selectedCard(playerNumber),
+                availableCards: bansRevealed ?
+                    this.getAvailableCardIndices(playerNumber) :
+                    cards(playerNumber).map((card, index) => index),
+                availableProperties: this.roundManager.getAvailableProperties(playerNumber),
+                currentProperty: playerNumber === 1 ?
+                    this.roundManager.currentPlayer1Property :
+                    this.roundManager.currentPlayer2Property,
+                committed: this.hasCommitted(playerNumber),
+                mustDisclose: this.commitReveal && this.canPeek(opponentNumber),
+                handicaps: this.handicaps && { ...this.handicaps[`player${playerNumber}`] },
+                peeksLeft: this.getPeeksLeft(playerNumber),
+                usedAbilities: [...this.roundManager.usedAbilities[`player${playerNumber}`]],
+                effects: this.roundManager.roundEffects.filter(effect => effect.playerNumber === playerNumber)
+            },
+            opponent: {
+                cards: cards(opponentNumber).map((card, index) => ({
+                    ...deckShown(card),
+                    index: index,
+                    used: this.usedCards[`player${opponentNumber}`].includes(index),
+                    banned: this.isCardBanned(opponentNumber, index),
+                    current: cardRevealed && index === selectedCard(opponentNumber),
+                    revealed: { ...(revealedValues[index] || {}) }
+                })),
+                hasBanned: this.hasBanned(opponentNumber),
+                handicaps: this.handicaps && { ...this.handicaps[`player${opponentNumber}`] },
+                hasSelectedCard: selectedCard(opponentNumber) !== null,
+                hasChosenProperty: this.hasChosenProperty(opponentNumber),
+                usedProperties: roundResults.map(round => round[`player${opponentNumber}Property`])
+            },
+            roundResults: roundResults,
+            cardGameResults: this.cardGameResults,
+            tiebreaker: this.tiebreaker && {
+                mode: this.tiebreaker.mode,
+                stage: this.tiebreaker.stage,
+                rounds: this.tiebreaker.rounds,
+                scores: { ...this.tiebreaker.scores },
+                winner: this.tiebreaker.winner,
+                decidedBy: this.tiebreaker.decidedBy
+            },
+            terminationReason: this.terminationReason,
+            matchResult: this.matchResult,
+            isComplete: this.isMatchComplete()
+        };
+    }
+
+    /**
+     * Collect the values a player has shown in resolved rounds, by card
+     * Rounds where an ability changed the value they played reveal nothing about the card
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @returns {Object} - {cardIndex: {property: value}}
+     */
+    getRevealedValues(playerNumber) {
+        const player = `player${playerNumber}`;
+        const revealed = {};
+        const reveal = (cardIndex, rounds) => {
+            rounds.forEach(round => {
+                const changed = (round.effects || []).some(effect =>
+                    effect.playerNumber === playerNumber && effect.hook === GameConfig.ABILITY_HOOKS.BEFORE_SCORING);
+                if (!changed) {
+                    revealed[cardIndex] = { ...(revealed[cardIndex] || {}), [round[`${player}Property`]]: round[`${player}Value`] };
+                }
+            });
+        };
+
+        this.cardGameResults.forEach(result => reveal(result[`${player}Card`], result.rounds));
+        if (!this.tiebreakerCards && this[`${player}SelectedCard`] !== null) {
+            reveal(this[`${player}SelectedCard`], this.roundManager.getRoundResults());
+        }
+
+        return revealed;
+    }
+
     /**
      * Get detailed match information
      * @returns {Object} - Detailed match information
@@ -407,7 +2033,13 @@ class MatchManager {
      * @returns {string} - 'player1', 'player2', or 'tie'
      */
     getCurrentWinner() {
-        return this.scoreManager.getCurrentWinner();
+        if (this.forfeitedBy) {
+            return this.forfeitedBy === 'player1' ? 'player2' : 'player1';
+        }
+        if (this.tiebreaker && this.tiebreaker.winner) {
+            return this.tiebreaker.winner;
+        }
+        return this.format.determineWinner(this.scoreManager.getScores(), this.scoreManager.getCardResults());
     }
 
     /**
@@ -432,6 +2064,27 @@ class MatchManager {
                 return false;
             }
 
+            // Check each played card is a real card, played at most once
+            const validUsedCards = (used, cards) =>
+                new Set(used).size === used.length && used.every(index => index >= 0 && index < cards.length);
+            if (!validUsedCards(this.usedCards.player1, this.player1Cards) ||
+                !validUsedCards(this.usedCards.player2, this.player2Cards)) {
+                return false;
+            }
+
+            // Check banned cards are real cards that were never played
+            const validBan = (banned, used, cards) =>
+                banned === null || (banned >= 0 && banned < cards.length && !used.includes(banned));
+            if (!validBan(this.bannedCards.player1, this.usedCards.player1, this.player1Cards) ||
+                !validBan(this.bannedCards.player2, this.usedCards.player2, this.player2Cards)) {
+                return false;
+            }
+
+            // Check a tiebreaker has the cards it is played with
+            if (this.tiebreaker !== null && !this.tiebreakerCards) {
+                return false;
+            }
+
             // Validate sub-managers
             if (!this.roundManager.validateState() || !this.scoreManager.validateState()) {
                 return false;
@@ -450,8 +2103,12 @@ class MatchManager {
      */
     exportState() {
         return {
+            version: MatchStateSchema.VERSION,
             matchId: this.matchId,
             gameMode: this.gameMode,
+            universe: this.universe.toJSON(),
+            scoringSystem: this.scoringStrategy.id,
+            format: this.format.toJSON(),
             player1Cards: this.player1Cards.map(card => card.toJSON()),
             player2Cards: this.player2Cards.map(card => card.toJSON()),
             currentCardGame: this.currentCardGame,
@@ -459,33 +2116,106 @@ class MatchManager {
             matchPhase: this.matchPhase,
             player1SelectedCard: this.player1SelectedCard,
             player2SelectedCard: this.player2SelectedCard,
+            usedCards: {
+                player1: [...this.usedCards.player1],
+                player2: [...this.usedCards.player2]
+            },
+            banVisibility: this.banVisibility,
+            bannedCards: { ...this.bannedCards },
+            handicaps: this.handicaps,
+            peeks: this.peeks.map(peek => ({ ...peek })),
+            commitReveal: this.commitReveal,
+            commitments: { ...this.commitments },
+            disclosures: { ...this.disclosures },
             cardGameResults: this.cardGameResults,
+            tiebreakerMode: this.tiebreakerMode,
+            tiebreaker: this.tiebreaker,
+            onTimeout: this.onTimeout,
+            timeouts: { ...this.timeouts },
+            timeoutEvents: this.timeoutEvents,
+            timeoutMoves: { ...this.timeoutMoves },
+            forfeitedBy: this.forfeitedBy,
+            terminationReason: this.terminationReason,
             matchResult: this.matchResult,
             startTime: this.startTime,
             endTime: this.endTime,
+            rng: this.rng.exportState(),
             roundManager: this.roundManager.exportState(),
-            scoreManager: this.scoreManager.exportState()
+            scoreManager: this.scoreManager.exportState(),
+            initialSetup: this.initialSetup,
+            actionLog: this.getActionLog()
         };
     }
 
     /**
      * Import match state from save/load
+     * Saves from older versions are migrated first (see MatchStateSchema)
      * @param {Object} state - State to import
      */
     importState(state) {
+        state = MatchStateSchema.migrate(state);
+        const errors = MatchStateSchema.validate(state);
+        if (errors.length > 0) {
+            throw new Error(`Invalid match state: ${errors.join('; ')}`);
+        }
+
         this.matchId = state.matchId;
         this.gameMode = state.gameMode || 'demo';
-        this.player1Cards = state.player1Cards.map(cardData => Card.fromJSON(cardData));
-        this.player2Cards = state.player2Cards.map(cardData => Card.fromJSON(cardData));
+        this.universe = CardUniverse.from(state.universe);
+        this.scoreManager.universe = this.universe;
+        this.roundManager.ruleSet = this.universe.ruleSet;
+        this.scoringStrategy = ScoringStrategy.from(state.scoringSystem);
+        this.roundManager.scoringStrategy = this.scoringStrategy;
+        this.player1Cards = state.player1Cards.map(cardData => Card.fromJSON(cardData, this.universe));
+        this.player2Cards = state.player2Cards.map(cardData => Card.fromJSON(cardData, this.universe));
         this.currentCardGame = state.currentCardGame || 1;
-        this.maxCardGames = state.maxCardGames || GameConfig.GAME_MECHANICS.TOTAL_CARD_GAMES;
+        this.format = MatchFormat.from(state.format);
+        this.maxCardGames = state.maxCardGames || this.format.cardsPlayed;
         this.matchPhase = state.matchPhase || GameConfig.GAME_PHASES.CARD_SELECTION;
         this.player1SelectedCard = state.player1SelectedCard;
         this.player2SelectedCard = state.player2SelectedCard;
+        this.usedCards = {
+            player1: [...state.usedCards.player1],
+            player2: [...state.usedCards.player2]
+        };
+        this.banVisibility = state.banVisibility || null;
+        this.bannedCards = { player1: null, player2: null, ...(state.bannedCards || {}) };
+        this.handicaps = state.handicaps || null;
+        this.peeks = (state.peeks || []).map(peek => ({ ...peek }));
+        this.commitReveal = state.commitReveal === true;
+        this.commitments = { player1: null, player2: null, ...(state.commitments || {}) };
+        this.disclosures = { player1: null, player2: null, ...(state.disclosures || {}) };
         this.cardGameResults = state.cardGameResults || [];
+        this.tiebreakerMode = state.tiebreakerMode || null;
+        this.tiebreaker = state.tiebreaker || null;
+        this.tiebreakerCards = this.tiebreaker && {
+            player1: Card.fromJSON(this.tiebreaker.player1Card, this.universe),
+            player2: Card.fromJSON(this.tiebreaker.player2Card, this.universe)
+        };
+        this.onTimeout = state.onTimeout || null;
+        this.timeouts = { ...this.timeouts, ...(state.timeouts || {}) };
+        this.timeoutEvents = state.timeoutEvents || [];
+        this.timeoutMoves = { player1: null, player2: null, ...(state.timeoutMoves || {}) };
+        this.forfeitedBy = state.forfeitedBy || null;
+        this.terminationReason = state.terminationReason || null;
         this.matchResult = state.matchResult;
-        this.startTime = state.startTime || Date.now();
+        this.startTime = state.startTime || this.clock.now();
         this.endTime = state.endTime;
+        if (state.rng) {
+            this.rng.importState(state.rng);
+        }
+        if (state.initialSetup) {
+            this.initialSetup = state.initialSetup;
+            this.allowUndo = state.initialSetup.allowUndo === true;
+            this.draft = state.initialSetup.draft || null;
+            this.reserveCards = state.initialSetup.reserveCards ? {
+                player1: Card.fromJSON(state.initialSetup.reserveCards.player1, this.universe),
+                player2: Card.fromJSON(state.initialSetup.reserveCards.player2, this.universe)
+            } : null;
+        }
+        if (state.actionLog) {
+            this.actionLog = state.actionLog.map(entry => ({ ...entry, action: { ...entry.action } }));
+        }
 
         // Import sub-managers
         if (state.roundManager) {
@@ -499,6 +2229,10 @@ class MatchManager {
         if (!this.validateState()) {
             throw new Error('Invalid match state imported');
         }
+
+        // Timers restart for the move in progress
+        this.moveTimer = { key: null, startedAt: null };
+        this.updateMoveTimer();
     }
 }
 
@@ -0,0 +1,458 @@
+// shared/game-engine/match-state-schema.js - Versioned Save Format
+
+/**
+ * MatchStateSchema class defining the versioned save format written by MatchManager.exportState
+ * (and by FreeForAllManager and TeamMatchManager). Older saves are upgraded step by step by
+ * MIGRATIONS, and saves are checked against JSON-schema-style definitions that report every
+ * wrong field by its path
+ *
+ * Versions:
+ * 0 - legacy saves with rock/paper/scissors property names
+ * 1 - unversioned saves (before a version field was written)
+ * 2 - versioned saves
+ */
+class MatchStateSchema {
+    /**
+     * Version written by exportState
+     */
+    static VERSION = 2;
+
+    /**
+     * Fields holding a single property name, and fields holding lists of them
+     */
+    static PROPERTY_FIELDS = ['property', 'player1Property', 'player2Property', 'currentPlayer1Property', 'currentPlayer2Property'];
+    static PROPERTY_LIST_FIELDS = ['usedPlayer1Properties', 'usedPlayer2Properties'];
+
+    /**
+     * Migrations by the version they upgrade from; each returns the state one version up
+     */
+    static MIGRATIONS = {
+        0: state => MatchStateSchema.renameLegacyProperties(state),
+        1: state => {
+            const cardGameResults = state.cardGameResults || [];
+            const none = { player1: null, player2: null };
+
+            return {
+                gameMode: 'demo',
+                universe: CardUniverse.getDefault().toJSON(),
+                scoringSystem: GameConfig.SCORING.DEFAULT_SYSTEM,
+                format: MatchFormat.getDefault().toJSON(),
+                // Saves from before free card ordering only have the card game results
+                usedCards: {
+                    player1: cardGameResults.map(result => result.player1Card),
+                    player2: cardGameResults.map(result => result.player2Card)
+                },
+                commitReveal: false,
+                commitments: { ...none },
+                tiebreakerMode: null,
+                tiebreaker: null,
+                onTimeout: null,
+                timeoutEvents: [],
+                timeoutMoves: { ...none },
+                forfeitedBy: null,
+                terminationReason: null,
+                ...state
+            };
+        }
+    };
+
+    /**
+     * Migrations of free-for-all and team saves, which were first written unversioned
+     * (version 1) in the layout of version 2
+     */
+    static MULTIPLAYER_MIGRATIONS = {
+        1: state => state
+    };
+
+    /**
+     * Get the save format version of a state
+     * @param {Object} state - Saved match state
+     * @returns {number} - Version (0 or 1 for unversioned saves)
+     */
+    static getVersion(state) {
+        if (state.version !== undefined) {
+            return state.version;
+        }
+
+        const cards = [...(state.player1Cards || []), ...(state.player2Cards || [])];
+        const legacyNames = Object.keys(Card.LEGACY_PROPERTY_MAP);
+        return cards.some(card => card && legacyNames.some(name => name in card)) ? 0 : 1;
+    }
+
+    /**
+     * Upgrade a saved state to the current version
+     * @param {Object} state - Saved match state (left unchanged)
+     * @param {string} [schemaName] - 'match', 'freeForAll' or 'teamMatch'
+     * @returns {Object} - State in the current version
+     */
+    static migrate(state, schemaName = 'match') {
+        if (!state || typeof state !== 'object') {
+            throw new Error('Saved match state must be an object');
+        }
+
+        let version = this.getVersion(state);
+        if (!Number.isInteger(version) || version < 0) {
+            throw new Error(`Invalid save version: ${version}`);
+        }
+        if (version > this.VERSION) {
+            throw new Error(`Save version ${version} is newer than supported version ${this.VERSION}`);
+        }
+
+        const migrations = schemaName === 'match' ? this.MIGRATIONS : this.MULTIPLAYER_MIGRATIONS;
+        let migrated = JSON.parse(JSON.stringify(state));
+        while (version < this.VERSION) {
+            if (!migrations[version]) {
+                throw new Error(`No ${schemaName} saves exist in version ${version}`);
+            }
+            migrated = migrations[version](migrated);
+            version++;
+        }
+        migrated.version = this.VERSION;
+
+        return migrated;
+    }
+
+    /**
+     * Replace rock/paper/scissors names throughout a state, in keys and property fields
+     * @param {*} value - State or part of it
+     * @param {string} [key] - Field the value is stored under
+     * @returns {*} - Value with current property names
+     */
+    static renameLegacyProperties(value, key = null) {
+        const map = Card.LEGACY_PROPERTY_MAP;
+
+        if (Array.isArray(value)) {
+            return value.map(item => this.PROPERTY_LIST_FIELDS.includes(key) ?
+                map[item] || item :
+                this.renameLegacyProperties(item));
+        }
+        if (value && typeof value === 'object') {
+            const renamed = {};
+            Object.entries(value).forEach(([field, fieldValue]) => {
+                renamed[map[field] || field] = this.renameLegacyProperties(fieldValue, field);
+            });
+            return renamed;
+        }
+        if (typeof value === 'string' && this.PROPERTY_FIELDS.includes(key)) {
+            return map[value] || value;
+        }
+
+        return value;
+    }
+
+    /**
+     * Get the schema definitions (built on demand from the current GameConfig)
+     * @returns {Object} - Schemas by name: match, roundManager, scoreManager, freeForAll, teamMatch
+     */
+    static getSchemas() {
+        const nullable = type => [type, 'null'];
+        const playerPair = valueSchema => ({
+            type: 'object',
+            required: ['player1', 'player2'],
+            properties: { player1: valueSchema, player2: valueSchema }
+        });
+        const card = {
+            type: 'object',
+            required: ['id'],
+            properties: {
+                id: { type: ['integer', 'string'] },
+                abilities: { type: 'array', items: { type: 'string' } }
+            }
+        };
+        const cardIndex = { type: 'integer', minimum: 0 };
+        const roundResult = {
+            type: 'object',
+            required: ['round', 'player1Property', 'player1Points', 'player2Property', 'player2Points', 'winner'],
+            properties: {
+                round: { type: 'integer', minimum: 1 },
+                player1Property: { type: 'string' },
+                player1Value: { type: 'number' },
+                player1Points: { type: 'number' },
+                player2Property: { type: 'string' },
+                player2Value: { type: 'number' },
+                player2Points: { type: 'number' },
+                winner: { enum: ['player1', 'player2', 'tie'] },
+                effects: { type: 'array', items: { type: 'object', required: ['playerNumber', 'ability', 'hook'] } }
+            }
+        };
+
+        const roundManager = {
+            type: 'object',
+            required: ['currentRound', 'roundResults'],
+            properties: {
+                currentRound: { type: 'integer', minimum: 1 },
+                maxRounds: { type: 'integer', minimum: 1 },
+                roundResults: { type: 'array', items: roundResult },
+                usedPlayer1Properties: { type: 'array', items: { type: 'string' } },
+                usedPlayer2Properties: { type: 'array', items: { type: 'string' } },
+                currentPlayer1Property: { type: nullable('string') },
+                currentPlayer2Property: { type: nullable('string') },
+                roundPhase: { enum: Object.values(GameConfig.GAME_PHASES) },
+                autoPlayEnabled: { type: 'boolean' },
+                usedAbilities: playerPair({ type: 'array', items: { type: 'string' } }),
+                pendingAbilities: { type: 'array', items: { type: 'object', required: ['playerNumber', 'ability'] } },
+                roundEffects: { type: 'array', items: { type: 'object', required: ['playerNumber', 'ability', 'hook'] } }
+            }
+        };
+
+        const scoreManager = {
+            type: 'object',
+            required: ['player1Score', 'player2Score'],
+            properties: {
+                player1Score: { type: 'number' },
+                player2Score: { type: 'number' },
+                scoreHistory: { type: 'array', items: { type: 'object' } },
+                cardScores: { type: 'array', items: { type: 'object' } },
+                bonusPoints: playerPair({ type: 'number' }),
+                awardedBonuses: { type: 'array', items: { type: 'object', required: ['player', 'type', 'points'] } },
+                startingPoints: playerPair({ type: 'number', minimum: 0 }),
+                bonusRules: { type: 'object' },
+                statistics: playerPair({ type: 'object' })
+            }
+        };
+
+        const match = {
+            type: 'object',
+            required: [
+                'version', 'matchId', 'player1Cards', 'player2Cards', 'currentCardGame', 'maxCardGames',
+                'matchPhase', 'player1SelectedCard', 'player2SelectedCard', 'usedCards', 'cardGameResults',
+                'roundManager', 'scoreManager'
+            ],
+            properties: {
+                version: { type: 'integer', enum: [this.VERSION] },
+                matchId: { type: 'string' },
+                gameMode: { type: 'string' },
+                universe: { type: 'object' },
+                scoringSystem: { type: 'string' },
+                format: { type: 'object', required: ['DECK_SIZE', 'CARDS_PLAYED', 'WIN_CONDITION'] },
+                player1Cards: { type: 'array', items: card },
+                player2Cards: { type: 'array', items: card },
+                currentCardGame: { type: 'integer', minimum: 1 },
+                maxCardGames: { type: 'integer', minimum: 1 },
+                matchPhase: { enum: Object.values(GameConfig.GAME_PHASES) },
+                player1SelectedCard: { type: nullable('integer'), minimum: 0 },
+                player2SelectedCard: { type: nullable('integer'), minimum: 0 },
+                usedCards: playerPair({ type: 'array', items: cardIndex }),
+                banVisibility: { enum: [...Object.values(GameConfig.BAN_VISIBILITY), null] },
+                bannedCards: playerPair({ type: nullable('integer'), minimum: 0 }),
+                handicaps: { type: nullable('object') },
+                peeks: { type: 'array', items: { type: 'object', required: ['playerNumber', 'cardGame', 'round'] } },
+                commitReveal: { type: 'boolean' },
+                commitments: playerPair({ type: nullable('string') }),
+                disclosures: playerPair({ type: nullable('string') }),
+                cardGameResults: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['cardGame', 'player1Card', 'player2Card', 'rounds'],
+                        properties: {
+                            cardGame: { type: 'integer', minimum: 1 },
+                            player1Card: cardIndex,
+                            player2Card: cardIndex,
+                            rounds: { type: 'array', items: roundResult }
+                        }
+                    }
+                },
+                tiebreakerMode: { enum: [...Object.values(GameConfig.TIEBREAKERS), null] },
+                tiebreaker: { type: nullable('object') },
+                onTimeout: { enum: [...Object.values(GameConfig.TIMEOUT_ACTIONS), null] },
+                timeouts: { type: 'object' },
+                timeoutEvents: { type: 'array', items: { type: 'object', required: ['playerNumber', 'resolution'] } },
+                timeoutMoves: playerPair({ type: nullable('string') }),
+                forfeitedBy: { enum: ['player1', 'player2', null] },
+                terminationReason: { enum: [...Object.values(GameConfig.TERMINATION_REASONS), null] },
+                matchResult: { type: nullable('object') },
+                startTime: { type: 'number' },
+                endTime: { type: nullable('number') },
+                rng: { type: 'object', required: ['seed'] },
+                roundManager: roundManager,
+                scoreManager: scoreManager,
+                initialSetup: { type: 'object', required: ['player1Cards', 'player2Cards', 'rng'] },
+                actionLog: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['sequence', 'action'],
+                        properties: {
+                            sequence: { type: 'integer', minimum: 1 },
+                            action: {
+                                type: 'object',
+                                required: ['type'],
+                                properties: { type: { enum: Object.values(GameConfig.MATCH_ACTIONS) } }
+                            }
+                        }
+                    }
+                }
+            }
+        };
+
+        const player = {
+            type: 'object',
+            required: ['id', 'number', 'cards', 'usedCards', 'usedProperties'],
+            properties: {
+                id: { type: 'string' },
+                number: { type: 'integer', minimum: 1 },
+                cards: { type: 'array', items: card },
+                usedCards: { type: 'array', items: cardIndex },
+                selectedCard: { type: nullable('integer'), minimum: 0 },
+                usedProperties: { type: 'array', items: { type: 'string' } },
+                currentProperty: { type: nullable('string') },
+                score: { type: 'number' }
+            }
+        };
+        const freeForAll = {
+            type: 'object',
+            required: ['version', 'matchId', 'players', 'currentCardGame', 'currentRound', 'matchPhase'],
+            properties: {
+                version: match.properties.version,
+                matchId: { type: 'string' },
+                universe: { type: 'object' },
+                scoringSystem: { type: 'string' },
+                format: match.properties.format,
+                players: { type: 'array', items: player },
+                currentCardGame: { type: 'integer', minimum: 1 },
+                currentRound: { type: 'integer', minimum: 1 },
+                matchPhase: match.properties.matchPhase,
+                roundResults: { type: 'array', items: { type: 'object', required: ['round', 'pairings'] } },
+                cardGameResults: { type: 'array', items: { type: 'object', required: ['cardGame', 'rounds'] } },
+                matchResult: { type: nullable('object') },
+                startTime: { type: 'number' },
+                endTime: { type: nullable('number') },
+                rng: match.properties.rng
+            }
+        };
+        const teamMatch = {
+            ...freeForAll,
+            properties: {
+                ...freeForAll.properties,
+                pairing: { enum: Object.values(GameConfig.TEAM_PAIRINGS) },
+                hints: { type: 'array', items: { type: 'object', required: ['from', 'to', 'cardGame'] } },
+                scoreManager: scoreManager
+            }
+        };
+
+        return { match, roundManager, scoreManager, freeForAll, teamMatch };
+    }
+
+    /**
+     * Check a state against a schema
+     * @param {Object} state - State to check (in the current version)
+     * @param {string} [schemaName] - 'match', 'roundManager', 'scoreManager', 'freeForAll' or 'teamMatch'
+     * @returns {string[]} - Error messages naming the wrong fields (empty if valid)
+     */
+    static validate(state, schemaName = 'match') {
+        const schema = this.getSchemas()[schemaName];
+        if (!schema) {
+            throw new Error(`Unknown state schema: ${schemaName}`);
+        }
+
+        const errors = [];
+        this.validateValue(state, schema, '', errors);
+        if (errors.length === 0 && schemaName === 'match') {
+            this.validatePropertyNames(state, errors);
+        }
+        return errors;
+    }
+
+    /**
+     * Check a value against a schema, collecting errors
+     * @param {*} value - Value to check
+     * @param {Object} schema - Schema: type, enum, required, properties, items, minimum
+     * @param {string} path - Path of the value in the state
+     * @param {string[]} errors - Collected error messages
+     */
+    static validateValue(value, schema, path, errors) {
+        const label = path || 'state';
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            const actual = this.getType(value);
+            const matches = types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+            if (!matches) {
+                errors.push(`${label}: expected ${types.join(' or ')}, got ${actual}`);
+                return;
+            }
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${label}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+            return;
+        }
+
+        if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+            errors.push(`${label}: must be at least ${schema.minimum}, got ${value}`);
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, index) => this.validateValue(item, schema.items, `${path}[${index}]`, errors));
+        } else if (this.getType(value) === 'object') {
+            const prefix = path ? `${path}.` : '';
+            (schema.required || []).forEach(field => {
+                if (value[field] === undefined) {
+                    errors.push(`${prefix}${field}: is required`);
+                }
+            });
+            Object.entries(schema.properties || {}).forEach(([field, fieldSchema]) => {
+                if (value[field] !== undefined) {
+                    this.validateValue(value[field], fieldSchema, `${prefix}${field}`, errors);
+                }
+            });
+        }
+    }
+
+    /**
+     * Get the JSON type of a value
+     * @param {*} value - Value
+     * @returns {string} - 'null', 'array', 'integer', 'number', 'string', 'boolean', 'object' or 'undefined'
+     */
+    static getType(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    /**
+     * Check that every played property exists in the state's card universe
+     * @param {Object} state - Structurally valid match state
+     * @param {string[]} errors - Collected error messages
+     */
+    static validatePropertyNames(state, errors) {
+        let properties;
+        try {
+            properties = CardUniverse.from(state.universe).properties;
+        } catch (error) {
+            errors.push(`universe: ${error.message}`);
+            return;
+        }
+
+        const check = (property, path) => {
+            if (property !== null && !properties.includes(property)) {
+                errors.push(`${path}: unknown property ${JSON.stringify(property)}`);
+            }
+        };
+        const checkRounds = (rounds, path) => rounds.forEach((round, index) => {
+            check(round.player1Property, `${path}[${index}].player1Property`);
+            check(round.player2Property, `${path}[${index}].player2Property`);
+        });
+
+        const round = state.roundManager;
+        ['usedPlayer1Properties', 'usedPlayer2Properties'].forEach(field => {
+            (round[field] || []).forEach((property, index) => check(property, `roundManager.${field}[${index}]`));
+        });
+        check(round.currentPlayer1Property || null, 'roundManager.currentPlayer1Property');
+        check(round.currentPlayer2Property || null, 'roundManager.currentPlayer2Property');
+        checkRounds(round.roundResults, 'roundManager.roundResults');
+        state.cardGameResults.forEach((result, index) => checkRounds(result.rounds, `cardGameResults[${index}].rounds`));
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MatchStateSchema };
+}
+
+// Also make available globally for browser
+if (typeof window !== 'undefined') {
+    window.MatchStateSchema = MatchStateSchema;
+}
\ No newline at end of file
@@ -4,10 +4,15 @@
  * RoundManager class for handling round progression and state
  * Reusable across console, web testing, and future environments
  */
-class RoundManager {
-    constructor() {
+class RoundManager extends EventEmitter {
+    constructor(ruleSet, scoringStrategy) {
+        super(Object.values(GameConfig.GAME_EVENTS));
+
+        // Each property on the card is played exactly once, so there is one round per property
+        this.ruleSet = RuleSet.from(ruleSet);
+        this.scoringStrategy = ScoringStrategy.from(scoringStrategy);
         this.currentRound = 1;
-        this.maxRounds = GameConfig.GAME_MECHANICS.ROUNDS_PER_CARD;
+        this.maxRounds = this.ruleSet.getPropertyCount();
         this.roundResults = [];
         this.usedPlayer1Properties = [];
         this.usedPlayer2Properties = [];
@@ -15,6 +20,11 @@ class RoundManager {
         this.currentPlayer2Property = null;
         this.roundPhase = GameConfig.GAME_PHASES.PROPERTY_SELECTION;
         this.autoPlayEnabled = GameConfig.GAME_MECHANICS.AUTO_PLAY_FINAL_ROUND;
+
+        // Card abilities: used this card game, activated for this round, and effects fired this round
+        this.usedAbilities = { player1: [], player2: [] };
+        this.pendingAbilities = [];
+        this.roundEffects = [];
     }
 
     /**
@@ -28,6 +38,9 @@ class RoundManager {
         this.currentPlayer1Property = null;
         this.currentPlayer2Property = null;
         this.roundPhase = GameConfig.GAME_PHASES.PROPERTY_SELECTION;
+        this.usedAbilities = { player1: [], player2: [] };
+        this.pendingAbilities = [];
+        this.roundEffects = [];
     }
 
     /**
@@ -69,7 +82,7 @@ class RoundManager {
      */
     getAvailableProperties(playerNumber) {
         const usedProperties = playerNumber === 1 ? this.usedPlayer1Properties : this.usedPlayer2Properties;
-        return GameConfig.getAllProperties().filter(prop => !usedProperties.includes(prop));
+        return this.ruleSet.getProperties().filter(prop => !usedProperties.includes(prop));
     }
 
     /**
@@ -80,7 +93,7 @@ class RoundManager {
      */
     isPropertyAvailable(playerNumber, property) {
         const usedProperties = playerNumber === 1 ? this.usedPlayer1Properties : this.usedPlayer2Properties;
-        return !usedProperties.includes(property);
+        return !usedProperties.includes(GameRules.normalizeProperty(property, this.ruleSet));
     }
 
     /**
@@ -91,9 +104,10 @@ class RoundManager {
      */
     selectProperty(playerNumber, property) {
         // Validate property
-        if (!GameConfig.isValidProperty(property)) {
+        if (!GameRules.isValidProperty(property, this.ruleSet)) {
             throw new Error(`Invalid property: ${property}`);
         }
+        property = GameRules.normalizeProperty(property, this.ruleSet);
 
         // Check if property is available
         if (!this.isPropertyAvailable(playerNumber, property)) {
@@ -111,9 +125,144 @@ class RoundManager {
             throw new Error(`Invalid player number: ${playerNumber}`);
         }
 
+        // Only who has moved: the properties are published with the round result, so no
+        // listener learns a move before the opponent has made theirs
+        this.emit(GameConfig.GAME_EVENTS.PROPERTY_COMMITTED, {
+            playerNumber: playerNumber,
+            round: this.currentRound
+        });
+
         return true;
     }
 
+    /**
+     * Check if a card ability can still be used this card game
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @param {Card} card - Player's card in play
+     * @param {string} abilityId - CardAbility id
+     * @returns {boolean} - True if the card carries the ability and it has not been used
+     */
+    isAbilityAvailable(playerNumber, card, abilityId) {
+        return card.hasAbility(abilityId) && !this.usedAbilities[`player${playerNumber}`].includes(abilityId);
+    }
+
+    /**
+     * Activate a card ability for the current round
+     * Abilities with the activate hook resolve at once; the others wait for the round to be scored
+     * @param {number} playerNumber - Player number (1 or 2)
+     * @param {string} abilityId - CardAbility id (an activated ability)
+     * @param {Card} player1Card - Player 1's card
+     * @param {Card} player2Card - Player 2's card
+     * @param {Object} [params] - Ability parameters (e.g. {properties} for swap-values)
+     * @param {Object} [chosen] - {player1, player2} properties the ability sees as chosen, instead of
+     *   the selected ones (commit-reveal matches only know the moves disclosed to them)
+     * @returns {Object} - Activation result {ability, effect} (effect is null until the round is scored)
+     */
+    activateAbility(playerNumber, abilityId, player1Card, player2Card, params = {}, chosen = null) {
+        if (playerNumber !== 1 && playerNumber !== 2) {
+            throw new Error(`Invalid player number: ${playerNumber}`);
+        }
+
+        const card = playerNumber === 1 ? player1Card : player2Card;
+        const ability = CardAbility.get(abilityId);
+        if (!ability.isActivated()) {
+            throw new Error(`${ability.name} cannot be activated: it fires by itself`);
+        }
+        if (!this.isAbilityAvailable(playerNumber, card, abilityId)) {
+            throw new Error(`Player ${playerNumber}'s card has no ${ability.name} ability left to use`);
+        }
+        const error = ability.validateParams(params, card, this.ruleSet);
+        if (error) {
+            throw new Error(error);
+        }
+
+        let effect = null;
+        if (ability.hook === GameConfig.ABILITY_HOOKS.ACTIVATE) {
+            effect = this.applyAbility(ability, playerNumber, this.getPlays(player1Card, player2Card, chosen), params);
+        } else {
+            this.pendingAbilities.push({ playerNumber: playerNumber, ability: abilityId, params: params });
+        }
+
+        this.usedAbilities[`player${playerNumber}`].push(abilityId);
+        this.emit(GameConfig.GAME_EVENTS.ABILITY_ACTIVATED, {
+            playerNumber: playerNumber,
+            round: this.currentRound,
+            ability: abilityId
+        });
+
+        return { ability: abilityId, effect: effect };
+    }
+
+    /**
+     * Build what each player is playing this round, for ability resolution
+     * @param {Card} player1Card - Player 1's card
+     * @param {Card} player2Card - Player 2's card
+     * @param {Object} [chosen] - {player1, player2} properties to use instead of the selected ones
+     * @returns {Object} - {player1, player2}: {card, property, value, points}
+     */
+    getPlays(player1Card, player2Card, chosen = null) {
+        const play = (card, property) => ({
+            card: card,
+            property: property,
+            value: card && property !== null ? card.getProperty(property) : null,
+            points: 0
+        });
+
+        const properties = chosen || { player1: this.currentPlayer1Property, player2: this.currentPlayer2Property };
+        return {
+            player1: play(player1Card, properties.player1),
+            player2: play(player2Card, properties.player2)
+        };
+    }
+
+    /**
+     * Resolve one ability for a player, recording the effect if it fired
+     * @param {CardAbility} ability - Ability to resolve
+     * @param {number} playerNumber - Player the ability belongs to
+     * @param {Object} plays - Plays of both players (changed in place by the ability)
+     * @param {Object} [params] - Activation parameters
+     * @returns {Object|null} - Effect, or null if the ability did not fire
+     */
+    applyAbility(ability, playerNumber, plays, params = {}) {
+        const details = ability.apply({
+            player: `player${playerNumber}`,
+            opponent: `player${playerNumber === 1 ? 2 : 1}`,
+            plays: plays,
+            params: params,
+            ruleSet: this.ruleSet
+        });
+        if (details === null) {
+            return null;
+        }
+
+        const effect = { playerNumber: playerNumber, ability: ability.id, hook: ability.hook, ...details };
+        this.roundEffects.push(effect);
+        return effect;
+    }
+
+    /**
+     * Resolve every ability due at a scoring hook: abilities activated this round,
+     * then unused passive abilities on the cards, in registration order
+     * @param {string} hook - GameConfig.ABILITY_HOOKS id
+     * @param {Object} plays - Plays of both players (changed in place)
+     */
+    runAbilityHook(hook, plays) {
+        CardAbility.getAll().filter(ability => ability.hook === hook).forEach(ability => {
+            [1, 2].forEach(playerNumber => {
+                const card = plays[`player${playerNumber}`].card;
+
+                if (ability.isActivated()) {
+                    this.pendingAbilities
+                        .filter(pending => pending.playerNumber === playerNumber && pending.ability === ability.id)
+                        .forEach(pending => this.applyAbility(ability, playerNumber, plays, pending.params));
+                } else if (this.isAbilityAvailable(playerNumber, card, ability.id) &&
+                           this.applyAbility(ability, playerNumber, plays) !== null) {
+                    this.usedAbilities[`player${playerNumber}`].push(ability.id);
+                }
+            });
+        });
+    }
+
     /**
      * Check if round is ready to be calculated
      * @returns {boolean} - True if both players have selected properties
@@ -133,13 +282,20 @@ class RoundManager {
             throw new Error('Round not ready for calculation - missing property selections');
         }
 
-        const player1Value = player1Card.getProperty(this.currentPlayer1Property);
-        const player2Value = player2Card.getProperty(this.currentPlayer2Property);
+        // Card abilities resolve before scoring (values) and after it (points)
+        const plays = this.getPlays(player1Card, player2Card);
+        this.runAbilityHook(GameConfig.ABILITY_HOOKS.BEFORE_SCORING, plays);
+        const player1Value = plays.player1.value;
+        const player2Value = plays.player2.value;
 
-        const [player1Points, player2Points] = GameRules.calculateRoundScore(
+        [plays.player1.points, plays.player2.points] = this.scoringStrategy.scoreRound(
             this.currentPlayer1Property, player1Value,
-            this.currentPlayer2Property, player2Value
+            this.currentPlayer2Property, player2Value,
+            player1Card.universe
         );
+        this.runAbilityHook(GameConfig.ABILITY_HOOKS.AFTER_SCORING, plays);
+        const player1Points = plays.player1.points;
+        const player2Points = plays.player2.points;
 
         const roundResult = {
             round: this.currentRound,
@@ -152,12 +308,15 @@ class RoundManager {
             winner: this.determineRoundWinner(player1Points, player2Points),
             explanation: GameRules.explainRoundOutcome(
                 this.currentPlayer1Property, player1Value,
-                this.currentPlayer2Property, player2Value
-            )
+                this.currentPlayer2Property, player2Value,
+                this.ruleSet
+            ),
+            effects: [...this.roundEffects]
         };
 
         this.roundResults.push(roundResult);
         this.roundPhase = GameConfig.GAME_PHASES.ROUND_RESULT;
+        this.emit(GameConfig.GAME_EVENTS.ROUND_RESOLVED, roundResult);
 
         return roundResult;
     }
@@ -187,6 +346,8 @@ class RoundManager {
         this.currentPlayer1Property = null;
         this.currentPlayer2Property = null;
         this.roundPhase = GameConfig.GAME_PHASES.PROPERTY_SELECTION;
+        this.pendingAbilities = [];
+        this.roundEffects = [];
 
         return true;
     }
@@ -290,8 +451,8 @@ class RoundManager {
             summary.roundDetails.push({
                 round: result.round,
                 winner: result.winner,
-                player1: `${GameRules.getPropertyIcon(result.player1Property)} ${result.player1Value}`,
-                player2: `${GameRules.getPropertyIcon(result.player2Property)} ${result.player2Value}`,
+                player1: `${GameRules.getPropertyIcon(result.player1Property, this.ruleSet)} ${result.player1Value}`,
+                player2: `${GameRules.getPropertyIcon(result.player2Property, this.ruleSet)} ${result.player2Value}`,
                 score: `${result.player1Points}-${result.player2Points}`
             });
         });
@@ -341,8 +502,9 @@ class RoundManager {
                 return false;
             }
 
-            // Check round results count matches expected
-            const expectedResults = Math.min(this.currentRound - 1, this.maxRounds);
+            // Check round results count matches expected (the current round counts once resolved)
+            const currentRoundResolved = this.roundPhase === GameConfig.GAME_PHASES.ROUND_RESULT;
+            const expectedResults = Math.min(currentRoundResolved ? this.currentRound : this.currentRound - 1, this.maxRounds);
             if (this.roundResults.length !== expectedResults) {
                 return false;
             }
@@ -368,7 +530,13 @@ class RoundManager {
             currentPlayer1Property: this.currentPlayer1Property,
             currentPlayer2Property: this.currentPlayer2Property,
             roundPhase: this.roundPhase,
-            autoPlayEnabled: this.autoPlayEnabled
+            autoPlayEnabled: this.autoPlayEnabled,
+            usedAbilities: {
+                player1: [...this.usedAbilities.player1],
+                player2: [...this.usedAbilities.player2]
+            },
+            pendingAbilities: this.pendingAbilities.map(pending => ({ ...pending })),
+            roundEffects: this.roundEffects.map(effect => ({ ...effect }))
         };
     }
 
@@ -377,8 +545,13 @@ class RoundManager {
      * @param {Object} state - State to import
      */
     importState(state) {
+        const errors = MatchStateSchema.validate(state, 'roundManager');
+        if (errors.length > 0) {
+            throw new Error(`Invalid round manager state: ${errors.join('; ')}`);
+        }
+
         this.currentRound = state.currentRound || 1;
-        this.maxRounds = state.maxRounds || GameConfig.GAME_MECHANICS.ROUNDS_PER_CARD;
+        this.maxRounds = state.maxRounds || this.ruleSet.getPropertyCount();
         this.roundResults = state.roundResults || [];
         this.usedPlayer1Properties = [...(state.usedPlayer1Properties || [])];
         this.usedPlayer2Properties = [...(state.usedPlayer2Properties || [])];
@@ -386,6 +559,12 @@ class RoundManager {
         this.currentPlayer2Property = state.currentPlayer2Property || null;
         this.roundPhase = state.roundPhase || GameConfig.GAME_PHASES.PROPERTY_SELECTION;
         this.autoPlayEnabled = state.autoPlayEnabled !== undefined ? state.autoPlayEnabled : true;
+        this.usedAbilities = {
+            player1: [...((state.usedAbilities || {}).player1 || [])],
+            player2: [...((state.usedAbilities || {}).player2 || [])]
+        };
+        this.pendingAbilities = (state.pendingAbilities || []).map(pending => ({ ...pending }));
+        this.roundEffects = (state.roundEffects || []).map(effect => ({ ...effect }));
 
         // Validate imported state
         if (!this.validateState()) {
@@ -4,8 +4,17 @@
  * ScoreManager class for handling score tracking and calculations
  * Reusable across console, web testing, and future environments
  */
-class ScoreManager {
-    constructor() {
+class ScoreManager extends EventEmitter {
+    /**
+     * @param {CardUniverse|Object} [universe] - Card universe the match is played in
+     * @param {Object} [bonusRules] - GameConfig.BONUS_RULES-style ruleset ({} disables bonuses)
+     * @param {GameClock} [clock] - Clock for score history timestamps (system clock if omitted)
+     */
+    constructor(universe, bonusRules = GameConfig.BONUS_RULES, clock) {
+        super(Object.values(GameConfig.GAME_EVENTS));
+        this.universe = CardUniverse.from(universe);
+        this.bonusRules = bonusRules;
+        this.clock = GameClock.from(clock);
         this.player1Score = 0;
         this.player2Score = 0;
         this.scoreHistory = [];
@@ -14,6 +23,8 @@ class ScoreManager {
             player1: 0,
             player2: 0
         };
+        this.awardedBonuses = [];
+        this.startingPoints = { player1: 0, player2: 0 };
         this.statistics = {
             player1: this.initPlayerStats(),
             player2: this.initPlayerStats()
@@ -50,12 +61,28 @@ class ScoreManager {
         this.scoreHistory = [];
         this.cardScores = [];
         this.bonusPoints = { player1: 0, player2: 0 };
+        this.awardedBonuses = [];
+        this.startingPoints = { player1: 0, player2: 0 };
         this.statistics = {
             player1: this.initPlayerStats(),
             player2: this.initPlayerStats()
         };
     }
 
+    /**
+     * Give players a starting lead (starting points handicap), before any round is scored
+     * @param {Object} startingPoints - {player1: number, player2: number}
+     */
+    applyStartingPoints(startingPoints) {
+        [1, 2].forEach(playerNumber => {
+            const points = startingPoints[`player${playerNumber}`] || 0;
+            if (points > 0) {
+                this.addPoints(playerNumber, points, 'handicap');
+                this.startingPoints[`player${playerNumber}`] += points;
+            }
+        });
+    }
+
     /**
      * Get current score for a player
      * @param {number} playerNumber - Player number (1 or 2)
@@ -115,7 +142,7 @@ class ScoreManager {
      */
     recordScoreChange(playerNumber, points, source, previousScore) {
         this.scoreHistory.push({
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
             player: playerNumber,
             points: points,
             source: source,
@@ -228,8 +255,9 @@ class ScoreManager {
      * Complete a card game and update card-level statistics
      * @param {Object[]} roundResults - All round results for the card
      * @param {number} cardGame - Card game number
+     * @param {Object} [cards] - Cards played {player1: Card, player2: Card} (for card-based bonuses)
      */
-    completeCardGame(roundResults, cardGame) {
+    completeCardGame(roundResults, cardGame, cards = null) {
         const player1CardScore = roundResults.reduce((sum, r) => sum + (r.player1Points || 0), 0);
         const player2CardScore = roundResults.reduce((sum, r) => sum + (r.player2Points || 0), 0);
 
@@ -257,67 +285,190 @@ class ScoreManager {
             this.statistics.player2.cardsTied++;
         }
 
-        // Check for comeback bonuses
-        this.checkForComebacks(cardResult, cardGame);
+        // Check for card game bonuses (clean sheet, comeback, underdog)
+        this.checkForCardBonuses(cardResult, cardGame, cards);
     }
 
     /**
-     * Check for bonus points to award
+     * Get the bonus rules checked at a trigger point
+     * @param {string} trigger - 'round' or 'card'
+     * @returns {Object[]} - Matching bonus rules
+     */
+    getBonusRules(trigger) {
+        return Object.values(this.bonusRules || {}).filter(rule => rule.TRIGGER === trigger);
+    }
+
+    /**
+     * Check for round bonuses to award
      * @param {Object} roundResult - Round result
      * @param {number} cardGame - Card game number
      * @param {number} round - Round number
      */
     checkForBonuses(roundResult, cardGame, round) {
-        const config = GameConfig.SCORING;
-        
-        // Perfect round bonus (maximum possible points)
-        if (roundResult.player1Points === config.MAX_SINGLE_ROUND_SCORE) {
-            this.addBonusPoints(1, config.WIN_BONUS, 'perfect_round');
+        this.getBonusRules('round').forEach(rule => {
+            [1, 2].forEach(playerNumber => {
+                if (this.isRoundBonusEarned(rule, playerNumber, roundResult)) {
+                    this.addBonusPoints(playerNumber, rule, cardGame, round);
+                }
+            });
+        });
+    }
+
+    /**
+     * Check whether a player earned a round bonus
+     * @param {Object} rule - Bonus rule
+     * @param {number} playerNumber - Player number
+     * @param {Object} roundResult - Round result
+     * @returns {boolean} - True if earned
+     */
+    isRoundBonusEarned(rule, playerNumber, roundResult) {
+        const player = `player${playerNumber}`;
+        const opponent = `player${playerNumber === 1 ? 2 : 1}`;
+
+        if (roundResult.winner !== player) {
+            return false;
         }
-        if (roundResult.player2Points === config.MAX_SINGLE_ROUND_SCORE) {
-            this.addBonusPoints(2, config.WIN_BONUS, 'perfect_round');
+
+        switch (rule.TYPE) {
+            case 'perfect_round':
+                return roundResult[`${player}Value`] - roundResult[`${opponent}Value`] === this.universe.getMaxRoundScore();
+            case 'win_streak': {
+                const streak = this.statistics[player].currentStreak;
+                return streak > 0 && streak % (rule.LENGTH || 3) === 0;
+            }
+            default:
+                return false;
         }
+    }
+
+    /**
+     * Check for card game bonuses to award
+     * @param {Object} cardResult - Card game result
+     * @param {number} cardGame - Card game number
+     * @param {Object} [cards] - Cards played {player1: Card, player2: Card}
+     */
+    checkForCardBonuses(cardResult, cardGame, cards) {
+        const scoresBefore = this.getScoresBeforeCardGame(cardGame);
+
+        // Comeback statistics are tracked even when no comeback bonus is configured
+        [1, 2].forEach(playerNumber => {
+            if (this.isComeback(playerNumber, cardResult, scoresBefore)) {
+                this.statistics[`player${playerNumber}`].comebacks++;
+            }
+        });
 
-        // Win streak bonus (3+ rounds in a row)
-        if (this.statistics.player1.currentStreak >= 3) {
-            this.addBonusPoints(1, config.WIN_BONUS, 'win_streak');
+        this.getBonusRules('card').forEach(rule => {
+            [1, 2].forEach(playerNumber => {
+                if (this.isCardBonusEarned(rule, playerNumber, cardResult, cards, scoresBefore)) {
+                    this.addBonusPoints(playerNumber, rule, cardGame, null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Check whether a player earned a card game bonus
+     * @param {Object} rule - Bonus rule
+     * @param {number} playerNumber - Player number
+     * @param {Object} cardResult - Card game result
+     * @param {Object} [cards] - Cards played {player1: Card, player2: Card}
+     * @param {Object} scoresBefore - Overall scores before the card game
+     * @returns {boolean} - True if earned
+     */
+    isCardBonusEarned(rule, playerNumber, cardResult, cards, scoresBefore) {
+        const player = `player${playerNumber}`;
+        const opponent = `player${playerNumber === 1 ? 2 : 1}`;
+
+        if (cardResult.winner !== player) {
+            return false;
         }
-        if (this.statistics.player2.currentStreak >= 3) {
-            this.addBonusPoints(2, config.WIN_BONUS, 'win_streak');
+
+        switch (rule.TYPE) {
+            case 'clean_sheet':
+                return cardResult[`${opponent}Score`] === 0;
+            case 'comeback':
+                return this.isComeback(playerNumber, cardResult, scoresBefore);
+            case 'underdog': {
+                if (!cards || !cards[player] || !cards[opponent]) return false;
+                // RARITY_LEVELS is ordered from rarest to most common
+                const levels = Object.values(GameConfig.RARITY_LEVELS);
+                return levels.indexOf(cards[player].getRarity()) > levels.indexOf(cards[opponent].getRarity());
+            }
+            default:
+                return false;
         }
     }
 
     /**
-     * Check for comeback scenarios
+     * Check if a player trailed before a card game and leads after its round points
+     * @param {number} playerNumber - Player number
      * @param {Object} cardResult - Card game result
+     * @param {Object} scoresBefore - Overall scores before the card game
+     * @returns {boolean} - True if it was a comeback
+     */
+    isComeback(playerNumber, cardResult, scoresBefore) {
+        const player = `player${playerNumber}`;
+        const opponent = `player${playerNumber === 1 ? 2 : 1}`;
+
+        return cardResult.winner === player &&
+               scoresBefore[player] < scoresBefore[opponent] &&
+               scoresBefore[player] + cardResult[`${player}Score`] > scoresBefore[opponent] + cardResult[`${opponent}Score`];
+    }
+
+    /**
+     * Get overall scores before a card game started (starting points, and round points and bonuses from earlier card games)
      * @param {number} cardGame - Card game number
+     * @returns {Object} - {player1: number, player2: number}
      */
-    checkForComebacks(cardResult, cardGame) {
-        // Check if player won card game despite being behind in overall score
-        const overallScores = this.getScores();
-        
-        if (cardResult.winner === 'player1' && overallScores.player1 < overallScores.player2) {
-            this.statistics.player1.comebacks++;
-            this.addBonusPoints(1, GameConfig.SCORING.COMEBACK_BONUS, 'comeback');
-        } else if (cardResult.winner === 'player2' && overallScores.player2 < overallScores.player1) {
-            this.statistics.player2.comebacks++;
-            this.addBonusPoints(2, GameConfig.SCORING.COMEBACK_BONUS, 'comeback');
-        }
+    getScoresBeforeCardGame(cardGame) {
+        const scores = { ...this.startingPoints };
+
+        this.cardScores.filter(card => card.cardGame < cardGame).forEach(card => {
+            scores.player1 += card.player1Score;
+            scores.player2 += card.player2Score;
+        });
+        this.awardedBonuses.filter(bonus => bonus.cardGame < cardGame).forEach(bonus => {
+            scores[`player${bonus.player}`] += bonus.points;
+        });
+
+        return scores;
     }
 
     /**
-     * Add bonus points to a player
+     * Award a bonus to a player and itemize it
      * @param {number} playerNumber - Player number
-     * @param {number} points - Bonus points to add
-     * @param {string} bonusType - Type of bonus
+     * @param {Object} rule - Bonus rule being awarded
+     * @param {number} cardGame - Card game number
+     * @param {number|null} round - Round number (null for card game bonuses)
      */
-    addBonusPoints(playerNumber, points, bonusType) {
-        if (points > 0) {
-            this.addPoints(playerNumber, points, `bonus_${bonusType}`);
-            this.bonusPoints[`player${playerNumber}`] += points;
+    addBonusPoints(playerNumber, rule, cardGame, round) {
+        if (rule.POINTS > 0) {
+            this.addPoints(playerNumber, rule.POINTS, `bonus_${rule.TYPE}`);
+            this.bonusPoints[`player${playerNumber}`] += rule.POINTS;
+            const bonus = {
+                player: playerNumber,
+                type: rule.TYPE,
+                name: rule.NAME,
+                points: rule.POINTS,
+                cardGame: cardGame,
+                round: round
+            };
+            this.awardedBonuses.push(bonus);
+            this.emit(GameConfig.GAME_EVENTS.BONUS_AWARDED, { ...bonus });
         }
     }
 
+    /**
+     * Get every bonus awarded so far
+     * @param {number} [playerNumber] - Only this player's bonuses
+     * @returns {Object[]} - Itemized bonuses in award order
+     */
+    getAwardedBonuses(playerNumber) {
+        return this.awardedBonuses
+            .filter(bonus => playerNumber === undefined || bonus.player === playerNumber)
+            .map(bonus => ({ ...bonus }));
+    }
+
     /**
      * Get current game winner
      * @returns {string} - 'player1', 'player2', or 'tie'
@@ -344,6 +495,8 @@ class ScoreManager {
         return {
             current: this.getScores(),
             bonus: { ...this.bonusPoints },
+            bonuses: this.getAwardedBonuses(),
+            startingPoints: { ...this.startingPoints },
             difference: this.getScoreDifference(),
             winner: this.getCurrentWinner(),
             cardScores: [...this.cardScores],
@@ -435,6 +588,9 @@ class ScoreManager {
             scoreHistory: [...this.scoreHistory],
             cardScores: [...this.cardScores],
             bonusPoints: { ...this.bonusPoints },
+            awardedBonuses: this.getAwardedBonuses(),
+            startingPoints: { ...this.startingPoints },
+            bonusRules: this.bonusRules,
             statistics: {
                 player1: { ...this.statistics.player1 },
                 player2: { ...this.statistics.player2 }
@@ -447,11 +603,21 @@ class ScoreManager {
      * @param {Object} state - State to import
      */
     importState(state) {
+        const errors = MatchStateSchema.validate(state, 'scoreManager');
+        if (errors.length > 0) {
+            throw new Error(`Invalid score manager state: ${errors.join('; ')}`);
+        }
+
         this.player1Score = state.player1Score || 0;
         this.player2Score = state.player2Score || 0;
         this.scoreHistory = [...(state.scoreHistory || [])];
         this.cardScores = [...(state.cardScores || [])];
         this.bonusPoints = { ...(state.bonusPoints || { player1: 0, player2: 0 }) };
+        this.awardedBonuses = (state.awardedBonuses || []).map(bonus => ({ ...bonus }));
+        this.startingPoints = { ...(state.startingPoints || { player1: 0, player2: 0 }) };
+        if (state.bonusRules) {
+            this.bonusRules = state.bonusRules;
+        }
         this.statistics = {
             player1: { ...this.initPlayerStats(), ...(state.statistics?.player1 || {}) },
             player2: { ...this.initPlayerStats(), ...(state.statistics?.player2 || {}) }
@@ -0,0 +1,348 @@
+// shared/game-engine/team-match-manager.js - 2v2 Team Match Logic
+
+/**
+ * TeamMatchManager class for 2v2 matches. Players 1 and 2 form team 1, players 3 and 4
+ * team 2; everyone brings a deck. Each round pits the partners against the opposing pair
+ * under a pairing rule (GameConfig.TEAM_PAIRINGS), and the pairings' points go into a
+ * team total kept by a ScoreManager (its player1/player2 are team 1/team 2).
+ * Teammates can send each other a limited number of hints the opponents cannot see
+ */
+class TeamMatchManager extends FreeForAllManager {
+    /**
+     * Prefix of generated match ids
+     */
+    static MATCH_ID_PREFIX = 'team';
+
+    /**
+     * MatchStateSchema schema of saved states
+     */
+    static STATE_SCHEMA = 'teamMatch';
+
+    /**
+     * Get the allowed number of players
+     * @returns {Object} - {min, max}
+     */
+    static getPlayerLimits() {
+        const players = GameConfig.TEAM_MODE.PLAYERS_PER_TEAM * 2;
+        return { min: players, max: players };
+    }
+
+    /**
+     * @param {Card[][]} playerDecks - One deck per player: team 1 first, then team 2
+     * @param {Object} options - Match options (see FreeForAllManager)
+     * @param {string} [options.pairing] - GameConfig.TEAM_PAIRINGS id (fixed if omitted)
+     * @param {Object} [options.bonusRules] - GameConfig.BONUS_RULES-style bonus ruleset for team scores
+     */
+    constructor(playerDecks, options = {}) {
+        super(playerDecks, options);
+
+        this.gameMode = GameConfig.GAME_MODES.TEAMS;
+        this.pairing = options.pairing || GameConfig.TEAM_PAIRINGS.FIXED;
+        if (!Object.values(GameConfig.TEAM_PAIRINGS).includes(this.pairing)) {
+            throw new Error(`Unknown team pairing: ${this.pairing}`);
+        }
+
+        // Team totals: ScoreManager player1 is team 1, player2 is team 2
+        this.scoreManager = new ScoreManager(this.universe, options.bonusRules, this.clock);
+        this.forwardEvents(this.scoreManager, [GameConfig.GAME_EVENTS.BONUS_AWARDED]);
+
+        // Hints between teammates (never shown to the other team)
+        this.hints = [];
+    }
+
+    /**
+     * Get the team a player belongs to
+     * @param {number} playerNumber - Player number (1-4)
+     * @returns {string} - 'team1' or 'team2'
+     */
+    getTeam(playerNumber) {
+        this.getPlayer(playerNumber);
+        return playerNumber <= GameConfig.TEAM_MODE.PLAYERS_PER_TEAM ? 'team1' : 'team2';
+    }
+
+    /**
+     * Get the players of a team
+     * @param {string} team - 'team1' or 'team2'
+     * @returns {Object[]} - Player states
+     */
+    getTeamPlayers(team) {
+        return this.players.filter(player => this.getTeam(player.number) === team);
+    }
+
+    /**
+     * Get a player's teammate
+     * @param {number} playerNumber - Player number (1-4)
+     * @returns {Object} - Teammate's player state
+     */
+    getTeammate(playerNumber) {
+        return this.getTeamPlayers(this.getTeam(playerNumber)).find(player => player.number !== playerNumber);
+    }
+
+    /**
+     * Get who plays whom in a round
+     * Fixed: 1 v 3 and 2 v 4 every round. Rotating: the opponents swap every other round
+     * @param {number} round - Round number
+     * @returns {number[][]} - [team 1 player, team 2 player] pairs
+     */
+    getPairings(round) {
+        const swap = this.pairing === GameConfig.TEAM_PAIRINGS.ROTATING && round % 2 === 0;
+        return swap ? [[1, 4], [2, 3]] : [[1, 3], [2, 4]];
+    }
+
+    /**
+     * Send a hint to your teammate about the property you mean to play
+     * Hints are not binding, and only the sender's team can read them
+     * @param {number} playerNumber - Sending player (1-4)
+     * @param {string} property - Property the player says they will play
+     * @returns {Object} - Hint
+     */
+    sendHint(playerNumber, property) {
+        if (this.matchPhase !== GameConfig.GAME_PHASES.PROPERTY_SELECTION) {
+            throw new Error(`Cannot send a hint during phase: ${this.matchPhase}`);
+        }
+
+        const player = this.getPlayer(playerNumber);
+        if (!GameRules.isValidProperty(property, this.ruleSet)) {
+            throw new Error(`Invalid property: ${property}`);
+        }
+        property = GameRules.normalizeProperty(property, this.ruleSet);
+
+        const sent = this.hints.filter(hint => hint.from === player.id && hint.cardGame === this.currentCardGame);
+        if (sent.length >= GameConfig.TEAM_MODE.HINTS_PER_CARD_GAME) {
+            throw new Error(`Player ${playerNumber} has no hints left this card game`);
+        }
+
+        const team = this.getTeam(playerNumber);
+        const hint = {
+            team: team,
+            from: player.id,
+            to: this.getTeammate(playerNumber).id,
+            cardGame: this.currentCardGame,
+            round: this.currentRound,
+            property: property,
+            message: `I'm playing ${this.ruleSet.getName(property)}`
+        };
+        this.hints.push(hint);
+
+        // The event only says that a hint was sent, never what it says
+        this.emit(GameConfig.GAME_EVENTS.TEAM_HINT, {
+            team: team,
+            cardGame: hint.cardGame,
+            round: hint.round
+        });
+
+        return { ...hint };
+    }
+
+    /**
+     * Get the hints a player may read (those sent within their team)
+     * @param {number} playerNumber - Reading player (1-4)
+     * @returns {Object[]} - Hints, oldest first
+     */
+    getHints(playerNumber) {
+        const team = this.getTeam(playerNumber);
+        return this.hints.filter(hint => hint.team === team).map(hint => ({ ...hint }));
+    }
+
+    /**
+     * Score the current round: each pairing is scored, and each team collects its pairings' points
+     * @returns {Object} - Round result
+     */
+    resolveRound() {
+        const points = {};
+        this.players.forEach(player => {
+            points[player.id] = 0;
+        });
+
+        const pairings = this.getPairings(this.currentRound).map(([first, second]) => {
+            const players = [this.getPlayer(first), this.getPlayer(second)];
+            const properties = players.map(player => player.currentProperty);
+            const values = players.map(player => player.cards[player.selectedCard].getProperty(player.currentProperty));
+            const pairPoints = this.scoringStrategy.scoreRound(properties[0], values[0], properties[1], values[1], this.universe);
+
+            points[players[0].id] += pairPoints[0];
+            points[players[1].id] += pairPoints[1];
+            return {
+                players: players.map(player => player.id),
+                properties: properties,
+                values: values,
+                points: pairPoints,
+                winner: pairPoints[0] > pairPoints[1] ? players[0].id :
+                        pairPoints[1] > pairPoints[0] ? players[1].id : 'tie'
+            };
+        });
+
+        this.players.forEach(player => {
+            player.score += points[player.id];
+        });
+
+        const teamPoints = team => this.getTeamPlayers(team).reduce((sum, player) => sum + points[player.id], 0);
+        const roundResult = {
+            round: this.currentRound,
+            pairings: pairings,
+            points: points,
+            team1Points: teamPoints('team1'),
+            team2Points: teamPoints('team2')
+        };
+        roundResult.winner = roundResult.team1Points > roundResult.team2Points ? 'team1' :
+                             roundResult.team2Points > roundResult.team1Points ? 'team2' : 'tie';
+
+        this.scoreManager.processRoundResult(this.toScoreRound(roundResult), this.currentCardGame, this.currentRound);
+        return roundResult;
+    }
+
+    /**
+     * Express a team round result in ScoreManager's player1/player2 terms
+     * @param {Object} roundResult - Team round result
+     * @returns {Object} - Round result for the ScoreManager
+     */
+    toScoreRound(roundResult) {
+        return {
+            round: roundResult.round,
+            player1Points: roundResult.team1Points,
+            player2Points: roundResult.team2Points,
+            winner: TeamMatchManager.toTeam(roundResult.winner, true)
+        };
+    }
+
+    /**
+     * Convert between team ids and ScoreManager player ids
+     * @param {string} id - 'team1'/'team2' or 'player1'/'player2' ('tie' is kept)
+     * @param {boolean} [toPlayer] - Convert team to player id instead
+     * @returns {string} - Converted id
+     */
+    static toTeam(id, toPlayer = false) {
+        if (id === 'tie') {
+            return id;
+        }
+        return toPlayer ? id.replace('team', 'player') : id.replace('player', 'team');
+    }
+
+    /**
+     * Summarize the current card game, recording it in the team scores
+     * @returns {Object} - Card game result
+     */
+    createCardGameResult() {
+        this.scoreManager.completeCardGame(this.roundResults.map(round => this.toScoreRound(round)), this.currentCardGame);
+        const cardScore = this.scoreManager.getCardResults().slice(-1)[0];
+
+        return {
+            ...super.createCardGameResult(),
+            teamPoints: {
+                team1: cardScore.player1Score,
+                team2: cardScore.player2Score
+            },
+            winner: TeamMatchManager.toTeam(cardScore.winner)
+        };
+    }
+
+    /**
+     * Get current team scores
+     * @returns {Object} - {team1: number, team2: number}
+     */
+    getScores() {
+        const scores = this.scoreManager.getScores();
+        return { team1: scores.player1, team2: scores.player2 };
+    }
+
+    /**
+     * Get the points each player has contributed to their team
+     * @returns {Object} - {player1: number, ..., player4: number}
+     */
+    getPlayerScores() {
+        return super.getScores();
+    }
+
+    /**
+     * Get the team standings under the match format
+     * @returns {Object[]} - Entries {rank, team, players, score, cardGamesWon, tied}, best first
+     */
+    getStandings() {
+        const scores = this.getScores();
+        const cardGamesWon = this.format.getCardGamesWon(this.scoreManager.getCardResults());
+        const byCardGames = this.format.winCondition === GameConfig.WIN_CONDITIONS.CARD_GAMES;
+
+        return FreeForAllManager.rankStandings(['team1', 'team2'].map(team => {
+            const won = cardGamesWon[TeamMatchManager.toTeam(team, true)];
+            return {
+                team: team,
+                players: this.getTeamPlayers(team).map(player => player.id),
+                score: scores[team],
+                cardGamesWon: won,
+                sortKey: byCardGames ? [won, scores[team]] : [scores[team]]
+            };
+        }));
+    }
+
+    /**
+     * Get current winning team (may change during match)
+     * @returns {string} - 'team1', 'team2', or 'tie'
+     */
+    getCurrentWinner() {
+        return TeamMatchManager.toTeam(
+            this.format.determineWinner(this.scoreManager.getScores(), this.scoreManager.getCardResults())
+        );
+    }
+
+    /**
+     * Summarize the completed match
+     * @returns {Object} - Match result
+     */
+    createMatchResult() {
+        const { winners, ...result } = super.createMatchResult();
+
+        return {
+            ...result,
+            pairing: this.pairing,
+            playerScores: this.getPlayerScores(),
+            bonuses: this.scoreManager.getAwardedBonuses().map(({ player, ...bonus }) => ({ team: `team${player}`, ...bonus })),
+            hints: this.hints.map(hint => ({ ...hint }))
+        };
+    }
+
+    /**
+     * Validate match state
+     * @returns {boolean} - True if state is valid
+     */
+    validateState() {
+        return super.validateState() && this.scoreManager.validateState();
+    }
+
+    /**
+     * Export match state for save/load
+     * @returns {Object} - Serializable match state
+     */
+    exportState() {
+        return {
+            ...super.exportState(),
+            pairing: this.pairing,
+            hints: this.hints.map(hint => ({ ...hint })),
+            scoreManager: this.scoreManager.exportState()
+        };
+    }
+
+    /**
+     * Import match state from save/load
+     * @param {Object} state - State to import
+     */
+    importState(state) {
+        state = this.constructor.migrateState(state);
+        this.pairing = state.pairing || GameConfig.TEAM_PAIRINGS.FIXED;
+        this.hints = (state.hints || []).map(hint => ({ ...hint }));
+        if (state.scoreManager) {
+            this.scoreManager.importState(state.scoreManager);
+        }
+
+        super.importState(state);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TeamMatchManager };
+}
+
+// Also make available globally for browser
+if (typeof window !== 'undefined') {
+    window.TeamMatchManager = TeamMatchManager;
+}
\ No newline at end of file
@@ -3,6 +3,17 @@
 class CardSelectionManager {
     constructor() {
         this.selectedCards = [];
+        this.cardElements = {};
+        this.deckSize = GameConfig.GAME_MECHANICS.CARDS_PER_PLAYER;
+    }
+
+    // Deck size of the match format (more than 3 when the match has a ban phase)
+    setDeckSize(deckSize) {
+        this.deckSize = deckSize;
+        document.querySelectorAll('.deck-size').forEach(el => {
+            el.textContent = deckSize;
+        });
+        this.updateSelectedCardsDisplay();
     }
 
     generateCardGrid(allCards, onCardSelect) {
@@ -16,17 +27,44 @@ class CardSelectionManager {
         });
     }
 
+    // Draft grid: picks are final, so a click only reports the card
+    generateDraftGrid(poolCards, onCardPick) {
+        const grid = document.getElementById('cards-grid');
+        grid.innerHTML = '';
+        this.cardElements = {};
+
+        poolCards.forEach(card => {
+            const cardElement = UIManager.createNFTCard(card);
+            cardElement.onclick = () => onCardPick(card);
+            this.cardElements[card.id] = cardElement;
+            grid.appendChild(cardElement);
+        });
+    }
+
+    markDrafted(card, ownPick) {
+        const element = this.cardElements[card.id];
+        element.onclick = null;
+
+        if (ownPick) {
+            this.selectedCards.push(card);
+            element.classList.add('selected');
+            this.updateSelectedCardsDisplay();
+        } else {
+            element.classList.add('taken');
+        }
+    }
+
     toggleCardSelection(card, element, onCardSelect) {
         const index = this.selectedCards.findIndex(c => c.id === card.id);
         
         if (index > -1) {
             this.selectedCards.splice(index, 1);
             element.classList.remove('selected');
-        } else if (this.selectedCards.length < 3) {
+        } else if (this.selectedCards.length < this.deckSize) {
             this.selectedCards.push(card);
             element.classList.add('selected');
         } else {
-            UIManager.showMessage('Maximum 3 cards can be selected');
+            UIManager.showMessage(`Maximum ${this.deckSize} cards can be selected`);
             return;
         }
         
@@ -45,16 +83,16 @@ class CardSelectionManager {
             cardDiv.className = 'selected-card-mini';
             cardDiv.innerHTML = `
                 <div>Card ${card.id + 1}</div>
-                <div>🎭${card.deception} ✨${card.magic} ⚔️${card.attack}</div>
+                <div>${card.toCompactString()}</div>
             `;
             listDiv.appendChild(cardDiv);
         });
         
         const startBtn = document.getElementById('start-game-btn');
-        startBtn.disabled = this.selectedCards.length !== 3;
-        startBtn.textContent = this.selectedCards.length === 3 ? 'Start Game' : 
-                             this.selectedCards.length === 0 ? 'Select 3 Cards' : 
-                             `Select ${3 - this.selectedCards.length} More`;
+        startBtn.disabled = this.selectedCards.length !== this.deckSize;
+        startBtn.textContent = this.selectedCards.length === this.deckSize ? 'Start Game' : 
+                             this.selectedCards.length === 0 ? `Select ${this.deckSize} Cards` : 
+                             `Select ${this.deckSize - this.selectedCards.length} More`;
     }
 
     clearSelection() {
@@ -71,10 +109,11 @@ class CardSelectionManager {
     }
 
     isValidSelection() {
-        return this.selectedCards.length === 3;
+        return this.selectedCards.length === this.deckSize;
     }
 
     reset() {
         this.selectedCards = [];
+        this.cardElements = {};
     }
 }
\ No newline at end of file
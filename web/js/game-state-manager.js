@@ -1,8 +1,10 @@
 // web/js/game-state-manager.js - Game State Management Class
 
 class GameStateManager {
-    constructor() {
+    constructor(difficulty = GameConfig.AI_CONFIG.DEFAULT_DIFFICULTY, opponentModel = null) {
         this.isProcessing = false;
+        this.difficulty = difficulty;
+        this.opponentModel = opponentModel;
     }
 
     handleGamePhase(match, phase, callbacks) {
@@ -14,11 +16,16 @@ class GameStateManager {
         }
         
         UIManager.clearPropertySelection();
+        UIManager.clearCardChoice();
         
         switch (phase) {
+            case GameConfig.GAME_PHASES.BAN:
+                console.log('Handling BAN phase');
+                this.handleBanPhase(match);
+                break;
             case GameConfig.GAME_PHASES.CARD_SELECTION:
                 console.log('Handling CARD_SELECTION phase');
-                this.handleCardSelection(match, callbacks.onUpdate);
+                this.handleCardSelection(match);
                 break;
             case GameConfig.GAME_PHASES.PROPERTY_SELECTION:
                 console.log('Handling PROPERTY_SELECTION phase');
@@ -41,11 +48,55 @@ class GameStateManager {
         }
     }
 
-    handleCardSelection(match, onUpdate) {
-        const cardIndex = match.currentCardGame - 1;
-        match.selectCard(1, cardIndex);
-        match.selectCard(2, cardIndex);
-        onUpdate();
+    handleBanPhase(match) {
+        // AI bans first; its ban stays hidden until the player has banned too
+        const aiView = match.getPlayerView(2);
+        if (!aiView.you.hasBanned) {
+            match.banCard(2, AIStrategy.chooseBanFromView(aiView, this.difficulty, match.getRandom()));
+        }
+
+        const view = match.getPlayerView(1);
+        UIManager.showBanChoice(
+            view.opponent.cards,
+            view.banVisibility,
+            match.universe,
+            'webGameController.banCard'
+        );
+    }
+
+    banCard(match, cardIndex, onUpdate) {
+        try {
+            match.banCard(1, cardIndex);
+            UIManager.clearCardChoice();
+            onUpdate();
+        } catch (error) {
+            console.error('Error in banCard:', error);
+        }
+    }
+
+    handleCardSelection(match) {
+        // AI picks one of its unused cards first, then the player chooses theirs
+        const aiView = match.getPlayerView(2);
+        if (aiView.you.selectedCard === null) {
+            match.selectCard(2, AIStrategy.chooseCardFromView(aiView, this.difficulty, match.getRandom()));
+        }
+        
+        UIManager.showCardChoice(
+            match.player1Cards,
+            match.getAvailableCardIndices(1),
+            match.currentCardGame,
+            'webGameController.selectCard'
+        );
+    }
+
+    selectCard(match, cardIndex, onUpdate) {
+        try {
+            match.selectCard(1, cardIndex);
+            UIManager.clearCardChoice();
+            onUpdate();
+        } catch (error) {
+            console.error('Error in selectCard:', error);
+        }
     }
 
     handlePropertySelection(match, onPropertySelect) {
@@ -54,7 +105,7 @@ class GameStateManager {
         const availableProps2 = match.roundManager.getAvailableProperties(2);
         
         // Auto-play final round if only one property left for each player
-        if (currentRound === 3 && availableProps1.length === 1 && availableProps2.length === 1) {
+        if (currentRound === match.roundManager.getMaxRounds() && availableProps1.length === 1 && availableProps2.length === 1) {
             this.autoPlayFinalRound(match, availableProps1[0], availableProps2[0], onPropertySelect);
         } else {
             this.showPropertySelection(match, availableProps1, currentRound, onPropertySelect);
@@ -62,15 +113,30 @@ class GameStateManager {
     }
 
     autoPlayFinalRound(match, prop1, prop2, onPropertySelect) {
-        UIManager.showMessage(`Round 3: Auto-playing final properties (${prop1} vs ${prop2})`);
+        UIManager.showMessage(`Round ${match.roundManager.getCurrentRound()}: Auto-playing final properties (${prop1} vs ${prop2})`);
         
         setTimeout(() => {
-            match.selectProperty(1, prop1);
-            match.selectProperty(2, prop2);
+            const move1 = this.commitMove(match, 1, prop1);
+            const move2 = this.commitMove(match, 2, prop2);
+            match.revealProperty(1, move1.property, move1.salt);
+            match.revealProperty(2, move2.property, move2.salt);
             onPropertySelect();
         }, 1000);
     }
 
+    // Commit to a property with a fresh secret salt; keep the returned move for the reveal
+    commitMove(match, playerNumber, property) {
+        const card = playerNumber === 1 ?
+            match.player1Cards[match.player1SelectedCard] :
+            match.player2Cards[match.player2SelectedCard];
+        const salt = MoveCommitment.createSalt();
+        // A move the opponent can still peek at is disclosed to the engine too
+        const disclosure = match.canPeek(playerNumber === 1 ? 2 : 1) ? { property, salt } : null;
+        
+        match.commitProperty(playerNumber, MoveCommitment.create(card.id, property, salt), disclosure);
+        return { property, salt };
+    }
+
     showPropertySelection(match, availableProperties, currentRound, onPropertySelect) {
         const currentCard = match.player1Cards[match.player1SelectedCard];
         UIManager.showPropertySelection(
@@ -87,7 +153,7 @@ class GameStateManager {
         const latestResult = roundResults[roundResults.length - 1];
         
         if (latestResult) {
-            UIManager.showRoundResult(latestResult);
+            UIManager.showRoundResult(latestResult, match.universe);
             
             // Check the actual state more carefully
             const roundsCompleted = roundResults.length;
@@ -118,7 +184,7 @@ class GameStateManager {
         UIManager.showMessage(`Card ${match.currentCardGame} complete!`);
         
         setTimeout(() => {
-            if (match.currentCardGame < 3) {
+            if (match.currentCardGame < match.maxCardGames) {
                 match.advanceToNextCard();
                 onUpdate();
             } else {
@@ -133,23 +199,24 @@ class GameStateManager {
         UIManager.showGameComplete(matchResult);
     }
 
-    selectProperty(match, property, aiCards, allCards, onUpdate) {
+    selectProperty(match, property, onUpdate) {
         if (this.isProcessing) return;
         this.isProcessing = true;
 
         console.log(`selectProperty called with: ${property}, isProcessing set to true`);
 
         try {
-            // Player selects property
-            match.selectProperty(1, property);
-            
-            // AI selects property
-            const aiCard = aiCards[match.player2SelectedCard];
-            const availableProperties = match.roundManager.getAvailableProperties(2);
-            const usedPlayerProps = match.roundManager.usedPlayer1Properties;
+            // AI chooses and commits first, before the player's move is recorded,
+            // seeing only what its own player view shows
+            const aiChoice = AIStrategy.choosePropertyFromView(
+                match.getPlayerView(2), this.difficulty, match.getRandom(), this.opponentModel
+            );
+            const aiMove = this.commitMove(match, 2, aiChoice);
+            const playerMove = this.commitMove(match, 1, property);
             
-            const aiChoice = AIStrategy.chooseBestProperty(aiCard, availableProperties, allCards, usedPlayerProps);
-            match.selectProperty(2, aiChoice);
+            // Both are bound to their moves, so reveal
+            match.revealProperty(1, playerMove.property, playerMove.salt);
+            match.revealProperty(2, aiMove.property, aiMove.salt);
             
             UIManager.clearPropertySelection();
             
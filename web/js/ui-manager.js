@@ -16,9 +16,9 @@ class UIManager {
             </div>
             <div class="nft-properties-section">
                 <div class="nft-properties-grid">
-                    ${this.createPropertyBar('deception', card.deception)}
-                    ${this.createPropertyBar('magic', card.magic)}
-                    ${this.createPropertyBar('attack', card.attack)}
+                    ${card.getPropertyNames().map(property => 
+                        this.createPropertyBar(property, card.getProperty(property), card.universe.maxValue, GameRules.getPropertyIcon(property, card.universe))
+                    ).join('')}
                 </div>
             </div>
         `;
@@ -26,14 +26,13 @@ class UIManager {
         return cardElement;
     }
 
-    static createPropertyBar(propertyName, value) {
-        const icons = { deception: '🎭', magic: '✨', attack: '⚔️' };
+    static createPropertyBar(propertyName, value, maxValue = GameConfig.GAME_MECHANICS.MAX_PROPERTY_VALUE, icon = GameRules.getPropertyIcon(propertyName)) {
         return `
             <div class="nft-property ${propertyName}">
-                <span class="nft-property-icon">${icons[propertyName]}</span>
+                <span class="nft-property-icon">${icon}</span>
                 <div class="nft-property-label">${propertyName.toUpperCase()}</div>
                 <div class="nft-property-bar-container">
-                    <div class="nft-property-bar" style="width: ${(value / 9) * 100}%;">
+                    <div class="nft-property-bar" style="width: ${(value / maxValue) * 100}%;">
                         <div class="nft-property-value">${value}</div>
                     </div>
                 </div>
@@ -53,7 +52,7 @@ class UIManager {
                 <div style="display: flex; gap: 15px; justify-content: center; margin-top: 15px;">
                     ${availableProperties.map(prop => 
                         `<button class="btn" onclick="${onSelect}('${prop}')" style="min-width: 120px;">
-                            ${GameRules.getPropertyIcon(prop)} ${prop.charAt(0).toUpperCase() + prop.slice(1)}<br>
+                            ${GameRules.getPropertyDisplayName(prop, card.universe)}<br>
                             <strong>Value: ${card.getProperty(prop)}</strong>
                         </button>`
                     ).join('')}
@@ -64,7 +63,62 @@ class UIManager {
         document.getElementById('game-area').appendChild(propertyDiv);
     }
 
-    static showRoundResult(result) {
+    static showCardChoice(cards, availableIndices, currentCardGame, onSelect) {
+        this.clearCardChoice();
+        
+        const choiceDiv = document.createElement('div');
+        choiceDiv.id = 'card-choice-ui';
+        choiceDiv.innerHTML = `
+            <div style="background: rgba(255,255,255,0.1); padding: 20px; border-radius: 10px; margin: 20px 0;">
+                <h3>Card Game ${currentCardGame}</h3>
+                <p>Choose which of your cards to play:</p>
+                <div style="display: flex; gap: 15px; justify-content: center; margin-top: 15px;">
+                    ${availableIndices.map(index => 
+                        `<button class="btn" onclick="${onSelect}(${index})" style="min-width: 120px;">
+                            Card #${cards[index].id + 1}<br>
+                            <strong>${cards[index].toCompactString()}</strong>
+                        </button>`
+                    ).join('')}
+                </div>
+            </div>
+        `;
+        
+        document.getElementById('game-area').appendChild(choiceDiv);
+    }
+
+    // Opponent's deck for the ban phase: full cards, or only their rarities
+    static showBanChoice(opponentCards, visibility, universe, onSelect) {
+        this.clearCardChoice();
+        
+        const label = card => visibility === GameConfig.BAN_VISIBILITY.FULL ?
+            `Card #${card.id + 1}<br><strong>${Card.fromJSON(card, universe).toCompactString()}</strong>` :
+            `Card ${card.index + 1}<br><strong>${card.rarity}</strong>`;
+        
+        const choiceDiv = document.createElement('div');
+        choiceDiv.id = 'card-choice-ui';
+        choiceDiv.innerHTML = `
+            <div style="background: rgba(255,255,255,0.1); padding: 20px; border-radius: 10px; margin: 20px 0;">
+                <h3>Ban Phase</h3>
+                <p>Choose one of the AI's cards to ban from the match:</p>
+                <div style="display: flex; gap: 15px; justify-content: center; margin-top: 15px;">
+                    ${opponentCards.map(card => 
+                        `<button class="btn" onclick="${onSelect}(${card.index})" style="min-width: 120px;">
+                            ${label(card)}
+                        </button>`
+                    ).join('')}
+                </div>
+            </div>
+        `;
+        
+        document.getElementById('game-area').appendChild(choiceDiv);
+    }
+
+    static clearCardChoice() {
+        const existing = document.getElementById('card-choice-ui');
+        if (existing) existing.remove();
+    }
+
+    static showRoundResult(result, rules) {
         const resultDiv = document.getElementById('round-results');
         let outcomeText = '🤝 Round tied!';
         
@@ -75,11 +129,11 @@ class UIManager {
             <h3>Round ${result.round} Results</h3>
             <div style="display: flex; gap: 30px; justify-content: center; margin: 20px 0;">
                 <div style="background: rgba(255,255,255,0.1); padding: 15px; border-radius: 8px;">
-                    <h4>You: ${GameRules.getPropertyDisplayName(result.player1Property)} ${result.player1Value}</h4>
+                    <h4>You: ${GameRules.getPropertyDisplayName(result.player1Property, rules)} ${result.player1Value}</h4>
                     <p>+${result.player1Points} points</p>
                 </div>
                 <div style="background: rgba(255,255,255,0.1); padding: 15px; border-radius: 8px;">
-                    <h4>AI: ${GameRules.getPropertyDisplayName(result.player2Property)} ${result.player2Value}</h4>
+                    <h4>AI: ${GameRules.getPropertyDisplayName(result.player2Property, rules)} ${result.player2Value}</h4>
                     <p>+${result.player2Points} points</p>
                 </div>
             </div>
@@ -91,12 +145,16 @@ class UIManager {
     static showGameComplete(matchResult) {
         const winner = matchResult.winner === 'player1' ? '🎉 You Win!' : 
                       matchResult.winner === 'player2' ? '🤖 AI Wins!' : '🤝 Tie!';
+        const bonuses = (matchResult.bonuses || []).map(bonus =>
+            `<div>${bonus.player === 1 ? 'You' : 'AI'}: ${bonus.name} +${bonus.points} (Card ${bonus.cardGame}${bonus.round ? `, Round ${bonus.round}` : ''})</div>`
+        ).join('');
         
         document.getElementById('round-results').innerHTML = `
             <div style="text-align: center; padding: 30px;">
                 <h2>Game Complete!</h2>
                 <h3>${winner}</h3>
                 <p style="font-size: 1.2em;">Final Score: You ${matchResult.finalScores.player1} - ${matchResult.finalScores.player2} AI</p>
+                ${bonuses ? `<div style="margin-top: 15px;"><strong>Bonuses</strong>${bonuses}</div>` : ''}
             </div>
         `;
         document.getElementById('round-results').style.display = 'block';
@@ -116,9 +174,9 @@ class UIManager {
         setTimeout(() => messageDiv.remove(), 3000);
     }
 
-    static updateGameStatus(currentCardGame, maxCardGames, currentRound, scores) {
+    static updateGameStatus(currentCardGame, maxCardGames, currentRound, scores, maxRounds = GameConfig.GAME_MECHANICS.ROUNDS_PER_CARD) {
         document.getElementById('player1-score').textContent = scores.player1;
         document.getElementById('player2-score').textContent = scores.player2;
-        document.getElementById('round-info').textContent = `Card ${currentCardGame} of ${maxCardGames} • Round ${currentRound} of 3`;
+        document.getElementById('round-info').textContent = `Card ${currentCardGame} of ${maxCardGames} • Round ${currentRound} of ${maxRounds}`;
     }
 }
\ No newline at end of file
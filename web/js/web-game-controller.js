@@ -6,10 +6,16 @@ class WebGameController {
         this.allCards = CardGenerator.generateAllCards();
         this.currentMatch = null;
         this.aiCards = [];
+        this.draft = null;
+        this.bans = undefined;
+        this.format = MatchFormat.getDefault();
+        
+        // The AI keeps learning the player's habits from match to match
+        this.opponentModel = new OpponentModel();
         
         // Delegate managers
         this.cardManager = new CardSelectionManager();
-        this.stateManager = new GameStateManager();
+        this.stateManager = new GameStateManager(this.getDifficultyFromUrl(), this.opponentModel);
         
         console.log(`Generated ${this.allCards.length} possible cards`);
     }
@@ -19,11 +25,52 @@ class WebGameController {
         this.gameMode = mode;
         document.getElementById('mode-selection').style.display = 'none';
         document.getElementById('card-selection').style.display = 'block';
-        this.cardManager.generateCardGrid(this.allCards);
+        this.showCardChoice();
+    }
+
+    // Hand-pick any cards, or snake draft them against the AI with ?draft=
+    // A ?ban= match brings more cards than it plays, so there is a card to lose to the ban
+    showCardChoice() {
+        this.bans = this.getBansFromUrl();
+        this.format = MatchFormat.from(this.bans ? GameConfig.MATCH_FORMATS.BRING_FIVE_PLAY_THREE : undefined);
+        this.cardManager.setDeckSize(this.format.deckSize);
+
+        if (this.getDraftFromUrl() === undefined) {
+            this.cardManager.generateCardGrid(this.allCards);
+            return;
+        }
+
+        this.draft = new DraftManager({
+            rng: SeededRandom.from(this.getSeedFromUrl()),
+            format: this.format,
+            packSize: this.getDraftFromUrl()
+        });
+        this.cardManager.generateDraftGrid(this.draft.pool, card => this.draftCard(card));
+        UIManager.showMessage(`Snake draft: you pick first from ${this.draft.pool.length} cards`);
+    }
+
+    // Draft Phase: the AI answers each of your picks
+    draftCard(card) {
+        try {
+            this.draft.pick(1, card.id);
+        } catch (error) {
+            UIManager.showMessage(error.message);
+            return;
+        }
+        this.cardManager.markDrafted(card, true);
+
+        while (this.draft.getCurrentPicker() === 2) {
+            const pick = this.draft.autoPick();
+            this.cardManager.markDrafted(this.draft.pool.find(poolCard => poolCard.id === pick.cardId), false);
+        }
     }
 
     // Card Selection Phase
     clearSelection() {
+        if (this.draft) {
+            UIManager.showMessage('Draft picks are final');
+            return;
+        }
         this.cardManager.clearSelection();
     }
 
@@ -32,11 +79,12 @@ class WebGameController {
         document.getElementById('card-selection').style.display = 'none';
         document.getElementById('mode-selection').style.display = 'block';
         this.gameMode = null;
+        this.draft = null;
     }
 
     startGame() {
         if (!this.cardManager.isValidSelection()) {
-            UIManager.showMessage('Please select exactly 3 cards');
+            UIManager.showMessage(`Please select exactly ${this.format.deckSize} cards`);
             return;
         }
 
@@ -55,14 +103,85 @@ class WebGameController {
         document.getElementById('player1-name').textContent = 'You';
         document.getElementById('player2-name').textContent = 'AI Opponent';
         
-        const selectedCards = this.cardManager.getSelectedCards();
-        this.aiCards = CardGenerator.getRandomCards(3, selectedCards);
-        this.currentMatch = new MatchManager(selectedCards, this.aiCards, 'pvc');
+        const options = {
+            scoring: this.getScoringFromUrl(),
+            bans: this.bans,
+            commitReveal: true
+        };
+        let rng;
+        if (this.draft) {
+            rng = this.draft.rng;
+            this.aiCards = this.draft.getHand(2);
+            this.currentMatch = this.draft.createMatch('pvc', options);
+        } else {
+            const selectedCards = this.cardManager.getSelectedCards();
+            rng = SeededRandom.from(this.getSeedFromUrl());
+            this.aiCards = CardGenerator.getRandomCards(this.format.deckSize, selectedCards, rng);
+            this.currentMatch = new MatchManager(selectedCards, this.aiCards, 'pvc', { ...options, format: this.format, rng });
+        }
+        this.currentMatch.on(GameConfig.GAME_EVENTS.BANS_COMPLETE, bans => {
+            UIManager.showMessage(`AI banned your Card #${bans.player1.cardIndex + 1}`);
+        });
+        this.opponentModel.observe(this.currentMatch, 1);
+        this.currentMatch.on(GameConfig.GAME_EVENTS.BONUS_AWARDED, bonus => {
+            UIManager.showMessage(`${bonus.player === 1 ? 'You' : 'AI'} earned ${bonus.name} +${bonus.points}`);
+        });
         this.currentMatch.startMatch();
         
+        console.log(`Match seed: ${rng.getSeed()} (replay with ?seed=${rng.getSeed()})`);
+        
         this.updateGameDisplay();
     }
 
+    // Read an optional ?seed= parameter so a reported match can be replayed
+    getSeedFromUrl() {
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        if (seed === null || seed === '') return undefined;
+        return /^\d+$/.test(seed) ? Number(seed) : seed;
+    }
+
+    // Read an optional ?draft= parameter: a pack size, or empty/'pool' to draft from every card
+    getDraftFromUrl() {
+        const draft = new URLSearchParams(window.location.search).get('draft');
+        if (draft === null) return undefined;
+        return /^\d+$/.test(draft) ? Number(draft) : null;
+    }
+
+    // Read an optional ?ban= parameter: empty/'full' to ban seeing the AI's cards, 'rarity' to see only their rarities
+    // (a GameConfig.BAN_VISIBILITY value); an unknown value plays without bans
+    getBansFromUrl() {
+        const bans = new URLSearchParams(window.location.search).get('ban');
+        if (bans === null) return undefined;
+        if (bans === '') return GameConfig.BAN_VISIBILITY.FULL;
+        if (!Object.values(GameConfig.BAN_VISIBILITY).includes(bans)) {
+            UIManager.showMessage(`Unknown ban visibility "${bans}": use ?ban=full or ?ban=rarity. Playing without bans`);
+            return undefined;
+        }
+        return bans;
+    }
+
+    // Read an optional ?scoring= parameter (a GameConfig.SCORING_SYSTEMS id); an unknown id keeps the default
+    getScoringFromUrl() {
+        const scoring = new URLSearchParams(window.location.search).get('scoring');
+        if (!scoring) return undefined;
+        if (!Object.values(GameConfig.SCORING_SYSTEMS).includes(scoring)) {
+            UIManager.showMessage(`Unknown scoring system "${scoring}": playing with ${GameConfig.SCORING.DEFAULT_SYSTEM} scoring`);
+            return undefined;
+        }
+        return scoring;
+    }
+
+    // Read an optional ?ai= parameter (a GameConfig.AI_CONFIG.DIFFICULTY_LEVELS value); an unknown level keeps the default
+    getDifficultyFromUrl() {
+        const difficulty = new URLSearchParams(window.location.search).get('ai');
+        if (!difficulty) return undefined;
+        if (!Object.values(GameConfig.AI_CONFIG.DIFFICULTY_LEVELS).includes(difficulty)) {
+            UIManager.showMessage(`Unknown AI difficulty "${difficulty}": playing on ${GameConfig.AI_CONFIG.DEFAULT_DIFFICULTY}`);
+            return undefined;
+        }
+        return difficulty;
+    }
+
     // Game State Updates
     updateGameDisplay() {
         if (!this.currentMatch) return;
@@ -77,7 +196,8 @@ class WebGameController {
             matchState.currentCardGame, 
             matchState.maxCardGames, 
             currentRound, 
-            matchState.scores
+            matchState.scores,
+            this.currentMatch.roundManager.getMaxRounds()
         );
         
         document.getElementById('game-status-text').textContent = matchState.instructions;
@@ -91,13 +211,29 @@ class WebGameController {
         console.log(`Finished calling handleGamePhase`);
     }
 
+    // Ban Phase
+    banCard(cardIndex) {
+        this.stateManager.banCard(
+            this.currentMatch,
+            cardIndex,
+            () => this.updateGameDisplay()
+        );
+    }
+
+    // Card Selection (any unused card can be played in any card game)
+    selectCard(cardIndex) {
+        this.stateManager.selectCard(
+            this.currentMatch,
+            cardIndex,
+            () => this.updateGameDisplay()
+        );
+    }
+
     // Property Selection
     selectProperty(property) {
         this.stateManager.selectProperty(
             this.currentMatch, 
             property, 
-            this.aiCards, 
-            this.allCards, 
             () => this.updateGameDisplay()
         );
     }
@@ -107,7 +243,7 @@ class WebGameController {
         this.reset();
         document.getElementById('game-area').style.display = 'none';
         document.getElementById('card-selection').style.display = 'block';
-        this.cardManager.generateCardGrid(this.allCards);
+        this.showCardChoice();
     }
 
     goToMenu() {
@@ -122,9 +258,11 @@ class WebGameController {
         this.currentMatch = null;
         this.aiCards = [];
         this.gameMode = null;
+        this.draft = null;
         this.cardManager.reset();
         document.getElementById('round-results').style.display = 'none';
         UIManager.clearPropertySelection();
+        UIManager.clearCardChoice();
     }
 }
 